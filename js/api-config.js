@@ -40,6 +40,7 @@
   const DEFAULT_PROFILES = {
     dataplan: {
       name: 'DataPLANT',
+      provider: 'openai',
       endpoint: 'aHR0cHM6Ly9oLmRhdGFwbGFuLnRvcC92MS9jaGF0L2NvbXBsZXRpb25z',
       requiresAPIKey: false,
       authHeaderTemplate: '',
@@ -53,10 +54,12 @@
       temperature: 0.3,
       maxTokens: 8000,
       responseFormat: null,  // gpt-oss on DataPLANT corrupts output with json_object; prompt requests JSON and parser handles it
-      streamEnabled: true
+      streamEnabled: true,
+      defaultModel: 'openai/gpt-oss-20b'
     },
     together: {
       name: 'Together.ai (Default)',
+      provider: 'openai',
       endpoint: 'https://api.together.xyz/v1/chat/completions',
       authHeaderTemplate: 'Bearer {API_KEY}',
       additionalHeaders: {
@@ -67,10 +70,12 @@
       temperature: 0.3,
       maxTokens: 8000,
       responseFormat: 'json_object',
-      streamEnabled: true
+      streamEnabled: true,
+      defaultModel: 'Qwen/Qwen3-235B-A22B-Instruct-2507-tput'
     },
     openai: {
       name: 'OpenAI Compatible',
+      provider: 'openai',
       endpoint: 'https://api.openai.com/v1/chat/completions',
       authHeaderTemplate: 'Bearer {API_KEY}',
       additionalHeaders: {
@@ -85,6 +90,7 @@
     },
     lmstudio: {
       name: 'LM Studio (Local)',
+      provider: 'openai',
       endpoint: 'http://localhost:1234/v1/chat/completions',
       requiresAPIKey: false,
       authHeaderTemplate: '',
@@ -96,6 +102,47 @@
       temperature: 0.3,
       maxTokens: 16000,
       responseFormat: null,  // LM Studio doesn't support response_format
+      streamEnabled: true,
+      defaultModel: 'minimax/minimax-m2.7'
+    },
+    anthropic: {
+      name: 'Anthropic',
+      provider: 'anthropic',
+      endpoint: 'https://api.anthropic.com/v1/messages',
+      authHeaderTemplate: '{API_KEY}',
+      additionalHeaders: {
+        'Content-Type': 'application/json'
+      },
+      temperature: 0.3,
+      maxTokens: 8000,
+      responseFormat: null,  // Messages API has no JSON mode; prompt requests JSON
+      streamEnabled: true
+    },
+    ollama: {
+      name: 'Ollama (Local)',
+      provider: 'ollama',
+      endpoint: 'http://localhost:11434/api/chat',
+      requiresAPIKey: false,
+      authHeaderTemplate: '',
+      additionalHeaders: {
+        'Content-Type': 'application/json'
+      },
+      temperature: 0.3,
+      maxTokens: 16000,
+      responseFormat: 'json_object',
+      streamEnabled: true
+    },
+    gemini: {
+      name: 'Google Gemini',
+      provider: 'gemini',
+      endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+      authHeaderTemplate: '{API_KEY}',
+      additionalHeaders: {
+        'Content-Type': 'application/json'
+      },
+      temperature: 0.3,
+      maxTokens: 8000,
+      responseFormat: 'json_object',
       streamEnabled: true
     }
   };
@@ -106,7 +153,9 @@
 
   const STORAGE_KEYS = {
     ACTIVE_PROFILE: 'apiActiveProfile',
-    CUSTOM_PROFILES: 'apiCustomProfiles'
+    CUSTOM_PROFILES: 'apiCustomProfiles',
+    PROFILE_OVERRIDES: 'apiProfileOverrides',
+    PROFILE_MODELS: 'apiProfileModels'   // {profileId: model} last model chosen per profile
   };
 
   // =============================================================================
@@ -146,15 +195,24 @@
     localStorage.setItem(STORAGE_KEYS.CUSTOM_PROFILES, JSON.stringify(profiles));
   }
 
+  /**
+   * Get user generation settings for default profiles
+   * @returns {Object} - Map of profile ID to settings (see saveGenerationSettings)
+   */
+  function getProfileOverrides() {
+    const overrides = localStorage.getItem(STORAGE_KEYS.PROFILE_OVERRIDES);
+    return overrides ? JSON.parse(overrides) : {};
+  }
+
   /**
    * Get a specific profile by ID
    * @param {string} profileId - Profile ID
    * @returns {Object|null} - Profile configuration or null if not found
    */
   function getProfile(profileId) {
-    // Check default profiles first
+    // Check default profiles first (with any saved generation settings)
     if (DEFAULT_PROFILES[profileId]) {
-      return { ...DEFAULT_PROFILES[profileId] };
+      return { ...DEFAULT_PROFILES[profileId], ...getProfileOverrides()[profileId] };
     }
 
     // Check custom profiles
@@ -197,6 +255,43 @@
     return true;
   }
 
+  // Profile settings that can be changed on default profiles too
+  const GENERATION_SETTING_KEYS = [
+    'maxTokens', 'responseFormat', 'maxCorrectionRounds',
+    // Client-side rate limits (see LLMService request scheduler)
+    'maxConcurrency', 'requestsPerMinute', 'tokensPerMinute'
+  ];
+
+  /**
+   * Save the generation settings of a profile (sampling, max tokens, response format, correction rounds,
+   * rate limits)
+   * Default profiles cannot be overwritten, so their settings are stored as overrides.
+   * @param {string} profileId - Profile ID
+   * @param {Object} settings - Values for SAMPLING_KEYS and GENERATION_SETTING_KEYS; missing keys are cleared
+   * @returns {boolean} - Success status
+   */
+  function saveGenerationSettings(profileId, settings) {
+    const values = {};
+    [...window.ProviderAdapters.SAMPLING_KEYS, ...GENERATION_SETTING_KEYS].forEach(key => {
+      values[key] = settings[key] === undefined ? null : settings[key];
+    });
+
+    if (DEFAULT_PROFILES[profileId]) {
+      const overrides = getProfileOverrides();
+      overrides[profileId] = values;
+      localStorage.setItem(STORAGE_KEYS.PROFILE_OVERRIDES, JSON.stringify(overrides));
+      return true;
+    }
+
+    const customProfiles = getCustomProfiles();
+    if (!customProfiles[profileId]) {
+      return false;
+    }
+    customProfiles[profileId] = { ...customProfiles[profileId], ...values };
+    saveCustomProfiles(customProfiles);
+    return true;
+  }
+
   /**
    * Delete a custom profile
    * @param {string} profileId - Profile ID to delete
@@ -213,6 +308,7 @@
     if (customProfiles[profileId]) {
       delete customProfiles[profileId];
       saveCustomProfiles(customProfiles);
+      setProfileModel(profileId, '');
 
       // If deleted profile was active, switch to default
       if (getActiveProfileId() === profileId) {
@@ -225,13 +321,50 @@
     return false;
   }
 
+  /**
+   * Get the model last chosen for a profile
+   * @param {string} profileId - Profile ID
+   * @returns {string|null} - Model identifier, or null if none was chosen
+   */
+  function getProfileModel(profileId) {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEYS.PROFILE_MODELS) || '{}')[profileId] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the model chosen for a profile
+   * @param {string} profileId - Profile ID
+   * @param {string} model - Model identifier ('' forgets the choice)
+   */
+  function setProfileModel(profileId, model) {
+    let models = {};
+    try {
+      models = JSON.parse(localStorage.getItem(STORAGE_KEYS.PROFILE_MODELS) || '{}');
+    } catch (e) {
+      // Start over from an unreadable value
+    }
+    if (model) {
+      models[profileId] = model;
+    } else {
+      delete models[profileId];
+    }
+    localStorage.setItem(STORAGE_KEYS.PROFILE_MODELS, JSON.stringify(models));
+  }
+
   /**
    * Get all available profiles (default + custom)
    * @returns {Object} - Object containing all profiles with their IDs as keys
    */
   function getAllProfiles() {
     const customProfiles = getCustomProfiles();
-    return { ...DEFAULT_PROFILES, ...customProfiles };
+    const defaults = {};
+    for (const id of Object.keys(DEFAULT_PROFILES)) {
+      defaults[id] = getProfile(id);
+    }
+    return { ...defaults, ...customProfiles };
   }
 
   /**
@@ -243,96 +376,299 @@
     return !DEFAULT_PROFILES[profileId] && getCustomProfiles()[profileId] !== undefined;
   }
 
+  // =============================================================================
+  // PROFILE BUNDLES
+  // Custom profiles exported to / imported from a JSON file
+  // =============================================================================
+
+  const BUNDLE_FORMAT = 'dmp-eva-api-profiles';
+  const BUNDLE_VERSION = 1;
+
+  const nullable = (type, extra = {}) => ({ type: [type, 'null'], ...extra });
+
+  // Structure of one profile in a bundle (the same keys the API Config dialog saves)
+  const PROFILE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'endpoint'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      provider: { enum: ['openai', 'anthropic', 'ollama', 'gemini'] },
+      endpoint: { type: 'string', minLength: 1 },
+      requiresAPIKey: { type: 'boolean' },
+      authHeaderTemplate: { type: 'string' },
+      authHeaderName: { type: 'string' },
+      additionalHeaders: { type: 'object', additionalProperties: { type: 'string' } },
+      modelParamName: { type: 'string' },
+      messagesParamName: { type: 'string' },
+      streamEnabled: { type: 'boolean' },
+      defaultModel: { type: 'string' },
+      responseFormat: { enum: [null, '', 'json_object', 'json_schema'] },
+      maxTokens: nullable('integer', { minimum: 1 }),
+      maxCorrectionRounds: nullable('integer', { minimum: 0 }),
+      maxConcurrency: nullable('integer', { minimum: 1 }),
+      requestsPerMinute: nullable('integer', { minimum: 1 }),
+      tokensPerMinute: nullable('integer', { minimum: 1 }),
+      temperature: nullable('number', { minimum: 0 }),
+      topP: nullable('number', { minimum: 0, maximum: 1 }),
+      topK: nullable('integer', { minimum: 0 }),
+      seed: nullable('integer'),
+      frequencyPenalty: nullable('number'),
+      presencePenalty: nullable('number'),
+      stopSequences: nullable('array', { items: { type: 'string' } })
+    }
+  };
+
+  // Custom profile IDs are slugs of the profile name (see the API Config dialog)
+  const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+  /**
+   * Build a bundle of custom profiles
+   * API keys are not part of the bundle; the caller may add them as bundle.apiKeys.
+   * @param {Array<string>} profileIds - Custom profile IDs to include
+   * @returns {Object} - {format, version, createdAt, profiles: {id: config}}
+   */
+  function exportProfiles(profileIds) {
+    const customProfiles = getCustomProfiles();
+    const profiles = {};
+    profileIds.forEach(id => {
+      if (!customProfiles[id]) return;
+      profiles[id] = { ...customProfiles[id] };
+      // The model chosen in the picker travels with the profile
+      const model = getProfileModel(id);
+      if (model) {
+        profiles[id].defaultModel = model;
+      }
+    });
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      createdAt: new Date().toISOString(),
+      profiles: profiles
+    };
+  }
+
+  /**
+   * Check a bundle before importing it
+   * @param {Object} bundle - Parsed bundle file
+   * @returns {Object} - {valid, errors: ['$.profiles["id"].path: message', ...], conflicts: [profileId]}
+   */
+  function validateProfileBundle(bundle) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !bundle.profiles || typeof bundle.profiles !== 'object') {
+      return { valid: false, errors: [`Not a profile bundle (expected format "${BUNDLE_FORMAT}")`], conflicts: [] };
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+      return {
+        valid: false,
+        errors: [`Bundle version ${bundle.version} is newer than supported (${BUNDLE_VERSION})`],
+        conflicts: []
+      };
+    }
+
+    const errors = [];
+    const conflicts = [];
+    const existing = getAllProfiles();
+    for (const [id, config] of Object.entries(bundle.profiles)) {
+      if (!PROFILE_ID_PATTERN.test(id)) {
+        errors.push(`$.profiles[${JSON.stringify(id)}]: profile ID must be lower-case letters, digits and dashes`);
+      }
+      const result = window.SchemaValidator.validate(config, PROFILE_SCHEMA);
+      errors.push(...result.errors.map(error => error.replace(/^\$/, `$.profiles[${JSON.stringify(id)}]`)));
+      if (existing[id]) {
+        conflicts.push(id);
+      }
+    }
+    if (Object.keys(bundle.profiles).length === 0) {
+      errors.push('$.profiles: the bundle contains no profiles');
+    }
+    if (bundle.apiKeys !== undefined) {
+      const keyCheck = window.SchemaValidator.validate(bundle.apiKeys, { type: 'object', additionalProperties: { type: 'string' } });
+      errors.push(...keyCheck.errors.map(error => error.replace(/^\$/, '$.apiKeys')));
+    }
+
+    return { valid: errors.length === 0, errors, conflicts };
+  }
+
+  /**
+   * Find an unused profile ID
+   * @param {string} id - Wanted ID
+   * @param {Object} taken - Existing profiles by ID
+   * @returns {string} - id, or id-2, id-3, ...
+   */
+  function uniqueProfileId(id, taken) {
+    let candidate = id;
+    for (let n = 2; taken[candidate]; n++) {
+      candidate = `${id}-${n}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Import the profiles of a validated bundle
+   * @param {Object} bundle - Parsed bundle file (see validateProfileBundle)
+   * @param {string} onConflict - For IDs that exist already: 'rename' (import as id-2),
+   *   'replace' (overwrite the custom profile) or 'skip'. Built-in profiles are never replaced.
+   * @returns {Array<Object>} - [{sourceId, id, action}] with action 'added', 'renamed', 'replaced' or 'skipped'
+   */
+  function importProfiles(bundle, onConflict = 'rename') {
+    const check = validateProfileBundle(bundle);
+    if (!check.valid) {
+      throw new Error(`Invalid profile bundle:\n${check.errors.join('\n')}`);
+    }
+
+    const customProfiles = getCustomProfiles();
+    const taken = getAllProfiles();
+    const results = [];
+    for (const [sourceId, config] of Object.entries(bundle.profiles)) {
+      let id = sourceId;
+      let action = 'added';
+      if (taken[sourceId]) {
+        if (onConflict === 'skip') {
+          results.push({ sourceId, id: sourceId, action: 'skipped' });
+          continue;
+        }
+        if (onConflict === 'replace' && customProfiles[sourceId]) {
+          action = 'replaced';
+        } else {
+          id = uniqueProfileId(sourceId, taken);
+          action = 'renamed';
+        }
+      }
+
+      customProfiles[id] = { ...config };
+      taken[id] = customProfiles[id];
+      results.push({ sourceId, id, action });
+    }
+
+    saveCustomProfiles(customProfiles);
+    console.log('[APIConfig] Imported profiles:', results);
+    return results;
+  }
+
   // =============================================================================
   // FETCH CONFIGURATION GENERATION
   // =============================================================================
 
   /**
    * Generate fetch configuration from a profile
+   * The profile's provider type (see ProviderAdapters) decides the request body and auth header.
    * @param {Object} profile - Profile configuration
    * @param {string} apiKey - API key to use
    * @param {string} model - Model identifier
    * @param {Array} messages - Chat messages array
+   * @param {Object} options - Request options
+   * @param {Object} options.responseSchema - {name, schema} to constrain the reply to
+   *   (used when the profile's responseFormat is 'json_schema')
    * @returns {Object} - Fetch configuration (url, options)
    */
-  function generateFetchConfig(profile, apiKey, model, messages) {
+  function generateFetchConfig(profile, apiKey, model, messages, options = {}) {
+    const adapter = window.ProviderAdapters.getAdapter(profile.provider);
+
     // Deobfuscate endpoint if needed
     const endpoint = deobfuscateURL(profile.endpoint);
 
     // Build headers - only add auth if profile requires it
-    const headers = { ...profile.additionalHeaders };
-    if (profile.requiresAPIKey !== false && apiKey) {
-      const authHeader = profile.authHeaderTemplate.replace('{API_KEY}', apiKey);
-      headers['Authorization'] = authHeader;
-    }
-
-    // Build request body
-    const body = {
-      [profile.modelParamName]: model,
-      [profile.messagesParamName]: messages
+    const headers = {
+      ...adapter.defaultHeaders,
+      ...profile.additionalHeaders,
+      ...window.ProviderAdapters.buildAuthHeader(adapter, profile, apiKey)
     };
 
-    // Add max tokens if specified
-    if (profile.maxTokens) {
-      body.max_tokens = profile.maxTokens;
-    }
-
-    // Add response format if specified
-    if (profile.responseFormat === 'json_object') {
-      body.response_format = { type: 'json_object' };
-    }
-
-    // Add streaming if enabled in profile
-    if (profile.streamEnabled !== false) {
-      body.stream = true;
-    }
+    // Build request body in the provider's format
+    const request = adapter.buildRequest(
+      { ...profile, endpoint },
+      model,
+      messages,
+      profile.streamEnabled !== false,
+      window.ProviderAdapters.getSamplingParams(profile),
+      options.responseSchema || null
+    );
 
     return {
-      url: endpoint,
+      url: request.url,
       options: {
         method: 'POST',
         headers: headers,
-        body: JSON.stringify(body)
+        body: JSON.stringify(request.body)
       }
     };
   }
 
+  /**
+   * Generate the fetch configuration that lists a profile's models
+   * @param {Object} profile - Profile configuration
+   * @param {string} apiKey - API key to use
+   * @returns {Object|null} - Fetch configuration (url, options), or null if the provider
+   *   or endpoint has no model listing
+   */
+  function generateModelsFetchConfig(profile, apiKey) {
+    const adapter = window.ProviderAdapters.getAdapter(profile.provider);
+    const url = adapter.modelsURL ? adapter.modelsURL(deobfuscateURL(profile.endpoint)) : null;
+    if (!url) {
+      return null;
+    }
+
+    // No body, so no Content-Type (keeps simple CORS servers happy)
+    const headers = {
+      ...profile.additionalHeaders,
+      ...window.ProviderAdapters.buildAuthHeader(adapter, profile, apiKey)
+    };
+    delete headers['Content-Type'];
+
+    return {
+      url: url,
+      options: { method: 'GET', headers: headers }
+    };
+  }
+
+  /**
+   * Get the host name a profile sends requests to
+   * @param {Object} profile - Profile configuration
+   * @returns {string} - Host (with port), or '' if the endpoint is not a valid URL
+   */
+  function getEndpointHost(profile) {
+    try {
+      return new URL(deobfuscateURL(profile.endpoint)).host;
+    } catch {
+      return '';
+    }
+  }
+
   /**
    * Generate a preview of the fetch code for display
    * @param {Object} profile - Profile configuration
    * @returns {string} - Formatted JavaScript code string
    */
   function generateFetchPreview(profile) {
+    const adapter = window.ProviderAdapters.getAdapter(profile.provider);
+
     // Deobfuscate endpoint for preview display
     const endpoint = deobfuscateURL(profile.endpoint);
 
     // Build headers - only add auth if profile requires it
-    const headers = { ...profile.additionalHeaders };
-    if (profile.requiresAPIKey !== false) {
-      const authHeader = profile.authHeaderTemplate.replace('{API_KEY}', 'YOUR_API_KEY');
-      headers['Authorization'] = authHeader;
-    }
+    const headers = {
+      ...adapter.defaultHeaders,
+      ...profile.additionalHeaders,
+      ...window.ProviderAdapters.buildAuthHeader(adapter, profile, 'YOUR_API_KEY')
+    };
 
-    const body = {
-      [profile.modelParamName]: 'SELECTED_MODEL',
-      [profile.messagesParamName]: [
+    const request = adapter.buildRequest(
+      { ...profile, endpoint },
+      'SELECTED_MODEL',
+      [
         { role: 'system', content: 'SYSTEM_PROMPT' },
         { role: 'user', content: 'USER_PROMPT' }
-      ]
-    };
+      ],
+      profile.streamEnabled !== false,
+      window.ProviderAdapters.getSamplingParams(profile),
+      { name: 'RESPONSE_SCHEMA_NAME', schema: { type: 'object', description: 'RESPONSE_SCHEMA' } }
+    );
 
-    if (profile.responseFormat === 'json_object') {
-      body.response_format = { type: 'json_object' };
-    }
-
-    if (profile.streamEnabled !== false) {
-      body.stream = true;
-    }
-
-    const code = `fetch('${endpoint}', {
+    const code = `fetch('${request.url}', {
   method: 'POST',
   headers: ${JSON.stringify(headers, null, 4).replace(/\n/g, '\n  ')},
-  body: JSON.stringify(${JSON.stringify(body, null, 4).replace(/\n/g, '\n    ')})
+  body: JSON.stringify(${JSON.stringify(request.body, null, 4).replace(/\n/g, '\n    ')})
 })`;
 
     return code;
@@ -352,10 +688,20 @@
     deleteProfile,
     getAllProfiles,
     isCustomProfile,
+    saveGenerationSettings,
+    getProfileModel,
+    setProfileModel,
+
+    // Profile bundles
+    exportProfiles,
+    validateProfileBundle,
+    importProfiles,
 
     // Fetch configuration
     generateFetchConfig,
+    generateModelsFetchConfig,
     generateFetchPreview,
+    getEndpointHost,
 
     // URL utilities
     obfuscateURL,
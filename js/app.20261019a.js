@@ -0,0 +1,4538 @@
+// =============================================================================
+// MAIN APPLICATION
+// Handles UI interactions and coordinates evaluation workflow
+// =============================================================================
+
+(function() {
+  'use strict';
+
+  // State management
+  let state = {
+    criteriaFile: null,
+    dmpFile: null,
+    evaluationResults: null,
+    isEvaluating: false,
+    abortController: null, // Cancels the running evaluation or batch
+    usingDefaultCriteria: false, // Track if using eva.json default
+    liveResults: null, // {evaluations, dmpText, renderTimer} while paragraphs stream in
+    urlSources: {}, // Original URLs of resources loaded via URL parameters (prompt/criteria/dmp)
+    modelLists: {}, // profileId -> models listed by the endpoint (loaded on demand)
+    legacyKeyMigrated: false // A plain-text key of an earlier version was moved off localStorage this session
+  };
+
+  // Picker suggestions until the endpoint's model list has been loaded
+  const SUGGESTED_MODELS = {
+    together: [
+      'Qwen/Qwen3-235B-A22B-Instruct-2507-tput',
+      'openai/gpt-oss-20b',
+      'openai/gpt-oss-120b',
+      'minimax/minimax-m2.7',
+      'Qwen/Qwen3.5-9B',
+      'deepseek-ai/DeepSeek-R1-0528-tput'
+    ],
+    lmstudio: [
+      'minimax/minimax-m2.7',
+      'openai/gpt-oss-120b',
+      'openai/gpt-oss-20b',
+      'qwen3-235b-a22b-instruct-2507-mlx',
+      'qwen/qwen3.5-9b'
+    ]
+  };
+
+  // Initialize app when DOM is ready
+  document.addEventListener('DOMContentLoaded', initializeApp);
+
+  async function initializeApp() {
+    console.log('[App] Initializing DMP Evaluation Tool');
+
+    // Load saved settings from localStorage
+    loadSettings();
+
+    // Load default criteria (eva.json) - awaited so URL-provided criteria can override it
+    await loadDefaultCriteria();
+
+    // Apply optional URL parameters (API settings, remote prompt/criteria/DMP links)
+    applyUrlParameters();
+
+    // Setup event listeners
+    setupAPIKeyListeners();
+    setupAPIConfigListeners();
+    setupFileUploadListeners();
+    setupPasteTextListeners();
+    setupEvaluationListeners();
+    setupExportListeners();
+    setupPromptEditorListeners();
+    setupShareLinkListener();
+    setupEnsembleListeners();
+    setupCriteriaPreviewListeners();
+    setupCriteriaEditorListeners();
+    setupFailoverListeners();
+    setupResponseCacheListeners();
+    setupExemplarBankListeners();
+    setupLanguageListeners();
+    setupUsageListeners();
+    setupFixtureListeners();
+    setupKeyVaultListeners();
+    setupProfileBundleListeners();
+
+    // Restore cached results if available
+    loadResultsFromCache();
+
+    // Update UI state
+    updateEvaluateButtonState();
+    updateAPIKeyVisibility();
+    updateModelPicker();
+    updateEnsembleNote();
+
+    // The moved plain-text key only lasts for this session unless the vault is created or unlocked
+    if (state.legacyKeyMigrated) {
+      openKeyVaultModal(true);
+    }
+
+    console.log('[App] Initialization complete');
+  }
+
+  /**
+   * Load default criteria from eva.json
+   */
+  async function loadDefaultCriteria() {
+    try {
+      const response = await fetch('eva.json');
+      if (!response.ok) {
+        console.warn('[App] eva.json not found, using fallback criteria');
+        return;
+      }
+
+      const evaData = await response.json();
+      const evaJsonString = JSON.stringify(evaData, null, 2);
+
+      // Create a virtual file from eva.json
+      const blob = new Blob([evaJsonString], { type: 'application/json' });
+      const file = new File([blob], 'eva.json', { type: 'application/json' });
+
+      // Set as default criteria file
+      state.criteriaFile = file;
+      state.usingDefaultCriteria = true;
+
+      // Update UI to show default criteria is loaded
+      const zone = document.getElementById('criteriaUploadZone');
+      const info = document.getElementById('criteriaFileInfo');
+      const nameSpan = document.getElementById('criteriaFileName');
+
+      zone.style.display = 'none';
+      info.classList.remove('d-none');
+      nameSpan.innerHTML = `
+        <i class="fas fa-check-circle text-success me-1"></i>
+        <strong>eva.json</strong> (Default DMP Criteria)
+        <span class="badge bg-secondary ms-2">Pre-loaded</span>
+      `;
+
+      // Hide "Use Default" button since default is now loaded
+      document.getElementById('useDefaultCriteriaBtn').style.display = 'none';
+
+      updateEvaluateButtonState();
+      updateCriteriaProblems();
+      console.log('[App] Default criteria (eva.json) loaded successfully');
+
+    } catch (error) {
+      console.warn('[App] Could not load eva.json:', error.message);
+    }
+  }
+
+  /**
+   * Apply optional URL query parameters.
+   * Supported parameters:
+   *   ?profile=together                - switch the active API profile
+   *   ?endpoint=...&apikey=...&model=... - configure a custom LLM endpoint
+   *   ?prompt=<url>    - load a custom prompt template (GitHub links supported)
+   *   ?criteria=<url>  - load evaluation criteria from a URL
+   *   ?dmp=<url>       - load a DMP document from a URL
+   */
+  function applyUrlParameters() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.toString()) return;
+
+    // --- API settings (applied synchronously) ---
+    const profile = params.get('profile');
+    const endpoint = params.get('endpoint');
+    const apikey = params.get('apikey');
+    const model = params.get('model');
+
+    if (endpoint) {
+      // Create/update a custom profile pointing at the given endpoint
+      window.APIConfig.saveProfile('url-custom', {
+        name: 'URL Custom Endpoint',
+        endpoint: endpoint,
+        requiresAPIKey: !!apikey,
+        authHeaderTemplate: apikey ? 'Bearer {API_KEY}' : '',
+        additionalHeaders: { 'Content-Type': 'application/json' },
+        modelParamName: 'model',
+        messagesParamName: 'messages',
+        temperature: 0.3,
+        maxTokens: 8000,
+        responseFormat: null,
+        streamEnabled: true
+      });
+      window.APIConfig.setActiveProfileId('url-custom');
+      console.log('[App] URL parameter: custom endpoint configured');
+    } else if (profile) {
+      window.APIConfig.setActiveProfileId(profile);
+      console.log(`[App] URL parameter: active profile set to "${profile}"`);
+    }
+
+    if (model) {
+      window.APIConfig.setProfileModel(window.APIConfig.getActiveProfileId(), model);
+    }
+
+    if (apikey) {
+      // Kept for this session only until the key vault is created or unlocked
+      window.KeyVault.setKey(window.APIConfig.getActiveProfileId(), apikey);
+    }
+
+    // --- Remote resources (loaded asynchronously) ---
+    loadUrlResources(params);
+  }
+
+  /**
+   * Convert a github.com "blob" page URL to its raw content URL
+   * @param {string} url - Original URL
+   * @returns {string} - Raw content URL (or the input unchanged)
+   */
+  function toRawUrl(url) {
+    const m = url.match(/^https?:\/\/github\.com\/([^/]+)\/([^/]+)\/blob\/([^/]+)\/(.+)$/);
+    return m ? `https://raw.githubusercontent.com/${m[1]}/${m[2]}/${m[3]}/${m[4]}` : url;
+  }
+
+  /**
+   * Fetch a remote file, returning a Blob, filename, and text (for text files)
+   * @param {string} url - URL to fetch (github.com blob URLs are converted)
+   * @returns {Promise<{blob: Blob, filename: string, text: string|null}>}
+   */
+  async function fetchRemoteFile(url) {
+    const rawUrl = toRawUrl(url);
+    const response = await fetch(rawUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${rawUrl}`);
+    }
+    const filename = rawUrl.split('/').pop().split('?')[0] || 'remote-file.txt';
+    if (/\.docx$/i.test(filename)) {
+      const buffer = await response.arrayBuffer();
+      return {
+        blob: new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }),
+        filename,
+        text: null
+      };
+    }
+    const text = await response.text();
+    const isJson = /\.json$/i.test(filename);
+    return {
+      blob: new Blob([text], { type: isJson ? 'application/json' : 'text/plain' }),
+      filename,
+      text
+    };
+  }
+
+  /**
+   * Load remote prompt / criteria / DMP resources given in URL parameters
+   * @param {URLSearchParams} params - Parsed query parameters
+   */
+  async function loadUrlResources(params) {
+    // Custom prompt template
+    const promptUrl = params.get('prompt');
+    if (promptUrl) {
+      try {
+        const { text } = await fetchRemoteFile(promptUrl);
+        let sections = null;
+        try {
+          const parsed = JSON.parse(text);
+          if (parsed && typeof parsed === 'object' && typeof parsed.dmpContext === 'string') {
+            sections = parsed;
+          }
+        } catch { /* not JSON - treat as plain template text */ }
+        if (!sections) {
+          sections = { systemRole: '', criteriaContext: '', dmpContext: text };
+        }
+        // Kept as its own template - the user's templates are never overwritten
+        const name = decodeURIComponent(new URL(promptUrl, window.location.href).pathname.split('/').pop()) || 'Prompt from link';
+        const { version, created } = window.PromptLibrary.importFromSource(promptUrl, name, sections);
+        state.urlSources.prompt = promptUrl;
+        console.log(`[App] Prompt template from URL active (${created ? 'new template' : 'version ' + version})`);
+      } catch (error) {
+        console.error('[App] Failed to load prompt from URL:', error.message);
+        alert(`Could not load the prompt template from:\n${promptUrl}\n\n${error.message}`);
+      }
+    }
+
+    // Criteria file
+    const criteriaUrl = params.get('criteria');
+    if (criteriaUrl) {
+      try {
+        const { blob, filename } = await fetchRemoteFile(criteriaUrl);
+        state.criteriaFile = new File([blob], filename, { type: blob.type });
+        state.usingDefaultCriteria = false;
+        state.urlSources.criteria = criteriaUrl;
+
+        const zone = document.getElementById('criteriaUploadZone');
+        const info = document.getElementById('criteriaFileInfo');
+        const nameSpan = document.getElementById('criteriaFileName');
+        zone.style.display = 'none';
+        info.classList.remove('d-none');
+        nameSpan.innerHTML = `<i class="fas fa-link me-1"></i><strong>${filename}</strong> <span class="badge bg-info ms-2">From URL</span>`;
+
+        updateEvaluateButtonState();
+        updateCriteriaProblems();
+        console.log('[App] Criteria loaded from URL:', filename);
+      } catch (error) {
+        console.error('[App] Failed to load criteria from URL:', error.message);
+        alert(`Could not load the criteria from:\n${criteriaUrl}\n\n${error.message}`);
+      }
+    }
+
+    // DMP document
+    const dmpUrl = params.get('dmp');
+    if (dmpUrl) {
+      try {
+        const { blob, filename } = await fetchRemoteFile(dmpUrl);
+        state.dmpFile = new File([blob], filename, { type: blob.type });
+        state.urlSources.dmp = dmpUrl;
+
+        const zone = document.getElementById('dmpUploadZone');
+        const info = document.getElementById('dmpFileInfo');
+        const nameSpan = document.getElementById('dmpFileName');
+        zone.style.display = 'none';
+        info.classList.remove('d-none');
+        nameSpan.innerHTML = `<i class="fas fa-link me-1"></i><strong>${filename}</strong> <small class="text-muted">(${window.FileParser.formatFileSize(blob.size)})</small> <span class="badge bg-info ms-2">From URL</span>`;
+
+        checkDMPSizeWarning(blob.size);
+        updateEvaluateButtonState();
+        updateDetectedLanguage();
+        console.log('[App] DMP loaded from URL:', filename);
+      } catch (error) {
+        console.error('[App] Failed to load DMP from URL:', error.message);
+        alert(`Could not load the DMP document from:\n${dmpUrl}\n\n${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Build a shareable URL from the current settings.
+   * Includes: active profile, custom endpoint, model, and any resources
+   * that were loaded from URLs.
+   * @param {boolean} includeAPIKey - Also embed the API key (sensitive!)
+   * @returns {string} - Shareable URL
+   */
+  function buildShareLink(includeAPIKey = false) {
+    const params = new URLSearchParams();
+
+    const profileId = window.APIConfig.getActiveProfileId();
+    if (window.APIConfig.isCustomProfile(profileId)) {
+      const profile = window.APIConfig.getProfile(profileId);
+      params.set('endpoint', window.APIConfig.deobfuscateURL(profile.endpoint));
+    } else if (profileId !== 'dataplan') {
+      params.set('profile', profileId);
+    }
+
+    const model = window.APIConfig.getProfileModel(profileId);
+    if (model) {
+      params.set('model', model);
+    }
+
+    if (includeAPIKey) {
+      const apiKey = window.KeyVault.getKey(profileId);
+      if (apiKey) {
+        params.set('apikey', apiKey);
+      }
+    }
+
+    for (const key of ['prompt', 'criteria', 'dmp']) {
+      if (state.urlSources[key]) {
+        params.set(key, state.urlSources[key]);
+      }
+    }
+
+    const query = params.toString();
+    return window.location.origin + window.location.pathname + (query ? `?${query}` : '');
+  }
+
+  /**
+   * Setup the Share Link button - copies buildShareLink() to the clipboard.
+   * The "Include API key" checkbox (visible only when a key is configured)
+   * controls whether the key is embedded; its state is remembered.
+   */
+  function setupShareLinkListener() {
+    const shareBtn = document.getElementById('shareLinkBtn');
+    const keyOption = document.getElementById('shareKeyOption');
+    const keyCheckbox = document.getElementById('shareIncludeKey');
+    if (!shareBtn) return;
+
+    // Restore checkbox state and visibility
+    if (keyCheckbox) {
+      keyCheckbox.checked = localStorage.getItem('shareIncludeAPIKey') === 'true';
+      keyCheckbox.addEventListener('change', () => {
+        localStorage.setItem('shareIncludeAPIKey', keyCheckbox.checked);
+      });
+    }
+
+    // Show the checkbox only when an (unlocked) API key is configured
+    const updateKeyOptionVisibility = () => {
+      if (keyOption) {
+        keyOption.style.display = window.KeyVault.getKey(window.APIConfig.getActiveProfileId()) ? 'block' : 'none';
+      }
+    };
+    updateKeyOptionVisibility();
+    window.KeyVault.onChange(updateKeyOptionVisibility);
+    const apiKeyInput = document.getElementById('togetherAPIKey');
+    if (apiKeyInput) {
+      apiKeyInput.addEventListener('input', updateKeyOptionVisibility);
+    }
+
+    shareBtn.addEventListener('click', async () => {
+      const includeAPIKey = !!keyCheckbox && keyCheckbox.checked;
+      const link = buildShareLink(includeAPIKey);
+      try {
+        await navigator.clipboard.writeText(link);
+        const original = shareBtn.innerHTML;
+        shareBtn.innerHTML = '<i class="fas fa-check me-1"></i>Copied!';
+        setTimeout(() => { shareBtn.innerHTML = original; }, 2000);
+      } catch {
+        // Clipboard API unavailable (e.g. non-secure context) - show the link instead
+        prompt('Copy this share link:', link);
+      }
+    });
+  }
+
+  /**
+   * Load settings from localStorage
+   */
+  function loadSettings() {
+    const testMode = localStorage.getItem('llmTestMode');
+
+    // Earlier versions kept one plain-text key - move it into session memory (it is encrypted once
+    // the vault is created or unlocked) and delete it from localStorage
+    const legacyAPIKey = localStorage.getItem('togetherAPIKey');
+    if (legacyAPIKey) {
+      const activeProfileId = window.APIConfig.getActiveProfileId();
+      if (!window.KeyVault.hasKey(activeProfileId)) {
+        window.KeyVault.setKey(activeProfileId, legacyAPIKey);
+      }
+      localStorage.removeItem('togetherAPIKey');
+      state.legacyKeyMigrated = true;
+    }
+
+    // Earlier versions kept one model for all profiles - keep it for the active profile
+    const legacyModel = localStorage.getItem('togetherAIModel');
+    if (legacyModel) {
+      const activeProfileId = window.APIConfig.getActiveProfileId();
+      if (activeProfileId !== 'dataplan' && !window.APIConfig.getProfileModel(activeProfileId)) {
+        window.APIConfig.setProfileModel(activeProfileId, legacyModel);
+      }
+      localStorage.removeItem('togetherAIModel');
+    }
+
+    // Sync test mode with menu checkbox
+    const testModeCheckbox = document.getElementById('testModeMenuItem');
+    if (testModeCheckbox) {
+      testModeCheckbox.checked = testMode === 'true';
+    }
+
+    // Sync response cache toggle with menu checkbox
+    const useCacheCheckbox = document.getElementById('useCacheMenuItem');
+    if (useCacheCheckbox) {
+      useCacheCheckbox.checked = window.ResponseCache.isEnabled();
+    }
+
+    // Sync self-consistency runs with menu input
+    const runsInput = document.getElementById('selfConsistencyRuns');
+    if (runsInput) {
+      runsInput.value = getSelfConsistencyRuns();
+    }
+  }
+
+  /**
+   * Get the number of self-consistency runs per evaluation
+   * @returns {number} - Runs (1 = single evaluation)
+   */
+  function getSelfConsistencyRuns() {
+    const runs = parseInt(localStorage.getItem('selfConsistencyRuns'), 10);
+    return Number.isFinite(runs) && runs >= 1 ? Math.min(runs, 10) : 1;
+  }
+
+  /**
+   * Get the language chosen for explanations and feedback
+   * @returns {string} - Language code, or 'auto' for the DMP language
+   */
+  function getFeedbackLanguage() {
+    const language = localStorage.getItem('feedbackLanguage');
+    return language && window.LanguageUtils.isSupported(language) ? language : 'auto';
+  }
+
+  /**
+   * Setup the feedback language selector
+   */
+  function setupLanguageListeners() {
+    const select = document.getElementById('feedbackLanguage');
+    if (!select) return;
+
+    select.innerHTML = '<option value="auto">Same as the DMP</option>' +
+      window.LanguageUtils.listLanguages().map(language =>
+        `<option value="${language.code}">${escapeHtml(language.nativeName)}` +
+        `${language.nativeName !== language.name ? ` (${escapeHtml(language.name)})` : ''}</option>`
+      ).join('');
+    select.value = getFeedbackLanguage();
+
+    select.addEventListener('change', () => {
+      localStorage.setItem('feedbackLanguage', select.value);
+      updateDetectedLanguage();
+    });
+  }
+
+  /**
+   * Show the detected DMP language and the language the feedback will be written in
+   */
+  async function updateDetectedLanguage() {
+    const info = document.getElementById('feedbackLanguageInfo');
+    if (!info) return;
+
+    const file = state.dmpFile;
+    let detected = null;
+    if (file) {
+      try {
+        const text = await getLoadedFileText(file);
+        detected = text === null ? null : window.LanguageUtils.detectLanguage(text);
+      } catch (error) {
+        console.warn('[App] Could not detect the DMP language:', error.message);
+      }
+      if (file !== state.dmpFile) return;
+    }
+
+    const chosen = getFeedbackLanguage();
+    if (!file) {
+      info.textContent = 'Language of explanations and feedback';
+    } else if (!detected || !detected.code) {
+      info.textContent = 'DMP language not detected' +
+        (chosen === 'auto' ? ' - feedback in English' : '');
+    } else {
+      const feedback = chosen !== 'auto' ? chosen
+        : window.LanguageUtils.isSupported(detected.code) ? detected.code : window.LanguageUtils.DEFAULT_LANGUAGE;
+      info.textContent = `DMP language: ${detected.name} - feedback in ${window.LanguageUtils.getLanguageName(feedback)}`;
+    }
+  }
+
+  /**
+   * Check the loaded criteria file and list its problems (with JSON paths for eva.json-style files)
+   */
+  async function updateCriteriaProblems() {
+    const box = document.getElementById('criteriaProblems');
+    if (!box) return;
+
+    const file = state.criteriaFile;
+    let check = null;
+    if (file) {
+      try {
+        const text = await getLoadedFileText(file);
+        check = text === null ? null : window.CriteriaExtractor.checkCriteriaFile(text);
+      } catch (error) {
+        console.warn('[App] Could not check the criteria file:', error.message);
+      }
+      if (file !== state.criteriaFile) return;
+    }
+
+    if (!check || check.errors.length === 0) {
+      box.classList.add('d-none');
+      return;
+    }
+
+    const count = check.errors.length;
+    document.getElementById('criteriaProblemsSummary').innerHTML = check.format === 'eva.json'
+      ? `<i class="fas fa-exclamation-triangle me-1"></i><strong>${escapeHtml(file.name)}</strong> does not match the criteria schema ` +
+        `(${count} problem${count === 1 ? '' : 's'}). Criteria with problems may be left out of the evaluation.`
+      : `<i class="fas fa-exclamation-triangle me-1"></i>No criteria were found in <strong>${escapeHtml(file.name)}</strong>.`;
+    document.getElementById('criteriaProblemsList').innerHTML = check.errors
+      .map(error => `<li>${escapeHtml(error)}</li>`).join('');
+    box.classList.remove('d-none');
+  }
+
+  /**
+   * Ask whether to evaluate with the generic default criteria, after the evaluator refused to substitute them
+   * @param {Object} result - Failed evaluation result with errorCode 'DEFAULT_CRITERIA'
+   * @returns {boolean} - true if the user agrees
+   */
+  function confirmDefaultCriteria(result) {
+    return confirm(`${result.error}\n\nEvaluate with the generic default criteria instead? ` +
+      'They only name each topic and do not reflect your criteria file.');
+  }
+
+  /**
+   * Load cached evaluation results from localStorage
+   */
+  function loadResultsFromCache() {
+    try {
+      const cached = localStorage.getItem('dmpEvaluationCache');
+      if (cached) {
+        const data = JSON.parse(cached);
+        if (data && data.success && data.results) {
+          state.evaluationResults = data;
+          displayResults(data.results, data.metadata);
+          showStatus('complete');
+          console.log('[App] Restored evaluation results from cache');
+        }
+      }
+    } catch (e) {
+      console.warn('[App] Failed to load cached results:', e);
+    }
+  }
+
+  /**
+   * Clear cached evaluation results
+   */
+  function clearResultsCache() {
+    localStorage.removeItem('dmpEvaluationCache');
+    state.evaluationResults = null;
+    hideResults();
+    console.log('[App] Cleared evaluation cache');
+  }
+
+  /**
+   * Setup API key and configuration listeners
+   */
+  function setupAPIKeyListeners() {
+    // API Key input
+    const apiKeyInput = document.getElementById('togetherAPIKey');
+    apiKeyInput.addEventListener('input', (e) => {
+      window.KeyVault.setKey(window.APIConfig.getActiveProfileId(), e.target.value)
+        .catch(error => console.warn('[App] Could not save API key:', error));
+      updateEvaluateButtonState();
+    });
+
+    // Toggle API key visibility
+    const toggleBtn = document.getElementById('toggleAPIKey');
+    toggleBtn.addEventListener('click', () => {
+      const type = apiKeyInput.type === 'password' ? 'text' : 'password';
+      apiKeyInput.type = type;
+      toggleBtn.innerHTML = type === 'password'
+        ? '<i class="fas fa-eye"></i>'
+        : '<i class="fas fa-eye-slash"></i>';
+    });
+
+    // Model picker - the choice is remembered per profile
+    const modelInput = document.getElementById('modelInput');
+    modelInput.addEventListener('change', (e) => {
+      window.APIConfig.setProfileModel(window.APIConfig.getActiveProfileId(), e.target.value.trim());
+      updateModelPicker();
+      updateEnsembleNote();
+    });
+    // Load the endpoint's model list the first time the picker is used
+    modelInput.addEventListener('focus', () => {
+      if (!(window.APIConfig.getActiveProfileId() in state.modelLists)) {
+        loadModelList();
+      }
+    });
+    document.getElementById('refreshModelsBtn').addEventListener('click', () => loadModelList());
+
+    // Test mode toggle (in header menu)
+    const testModeToggle = document.getElementById('testModeMenuItem');
+    if (testModeToggle) {
+      testModeToggle.addEventListener('change', (e) => {
+        localStorage.setItem('llmTestMode', e.target.checked);
+        updateEvaluateButtonState();
+      });
+    }
+
+    // Response cache toggle (in header menu)
+    const useCacheToggle = document.getElementById('useCacheMenuItem');
+    if (useCacheToggle) {
+      useCacheToggle.addEventListener('change', (e) => {
+        window.ResponseCache.setEnabled(e.target.checked);
+      });
+    }
+
+    // Self-consistency runs (in header menu)
+    const runsInput = document.getElementById('selfConsistencyRuns');
+    if (runsInput) {
+      runsInput.addEventListener('change', (e) => {
+        const runs = parseInt(e.target.value, 10);
+        localStorage.setItem('selfConsistencyRuns', Number.isFinite(runs) && runs >= 1 ? Math.min(runs, 10) : 1);
+        e.target.value = getSelfConsistencyRuns();
+      });
+    }
+  }
+
+  /**
+   * Setup API configuration modal listeners
+   */
+  function setupAPIConfigListeners() {
+    const modal = new bootstrap.Modal(document.getElementById('apiConfigModal'));
+    const openBtn = document.getElementById('openAPIConfigBtn');
+    const saveBtn = document.getElementById('saveAPIConfigBtn');
+    const deleteBtn = document.getElementById('deleteProfileBtn');
+    const profileSelect = document.getElementById('apiProfileSelect');
+    const addHeaderBtn = document.getElementById('addHeaderBtn');
+
+    // Open modal and load active profile
+    openBtn.addEventListener('click', () => {
+      document.getElementById('connectionTestResult').innerHTML = '';
+      loadAPIConfigModal();
+      modal.show();
+    });
+
+    // Profile selection change
+    profileSelect.addEventListener('change', () => {
+      const selectedProfile = profileSelect.value;
+      document.getElementById('connectionTestResult').innerHTML = '';
+      loadProfileIntoForm(selectedProfile);
+      updateDeleteButtonState();
+    });
+
+    // Add header button
+    addHeaderBtn.addEventListener('click', () => {
+      addHeaderInput();
+    });
+
+    // Test the profile as currently entered
+    document.getElementById('testConnectionBtn').addEventListener('click', testConnection);
+
+    // Save configuration
+    saveBtn.addEventListener('click', () => {
+      saveAPIConfiguration();
+      modal.hide();
+    });
+
+    // Delete profile
+    deleteBtn.addEventListener('click', () => {
+      const profileId = profileSelect.value;
+      if (confirm(`Delete custom profile "${profileId}"?`)) {
+        window.APIConfig.deleteProfile(profileId);
+        window.KeyVault.setKey(profileId, '')
+          .catch(error => console.warn('[App] Could not remove API key:', error));
+        removeFromFailoverChain(profileId);
+        loadAPIConfigModal();
+        updateCodePreview();
+      }
+    });
+
+    // Provider type change - suggest the provider's endpoint and auth header for new profiles
+    const providerSelect = document.getElementById('apiProvider');
+    window.ProviderAdapters.listProviders().forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      providerSelect.appendChild(option);
+    });
+    providerSelect.addEventListener('change', () => {
+      const provider = window.ProviderAdapters.listProviders().find(p => p.id === providerSelect.value);
+      const endpointInput = document.getElementById('apiEndpoint');
+      endpointInput.placeholder = provider.exampleEndpoint;
+      if (profileSelect.value === 'custom') {
+        endpointInput.value = provider.exampleEndpoint;
+        document.getElementById('authHeader').value = provider.authHeaderTemplate;
+      }
+      document.getElementById('authHeaderName').textContent = provider.authHeaderName;
+      updateCodePreview();
+    });
+
+    // Update code preview on input changes (debounced)
+    let previewTimeout;
+    const formInputs = [
+      'apiEndpoint', 'authHeader', 'modelParamName', 'messagesParamName',
+      'temperature', 'maxTokens', 'responseFormat',
+      'topP', 'topK', 'seed', 'frequencyPenalty', 'presencePenalty', 'stopSequences',
+      'maxCorrectionRounds'
+    ];
+
+    formInputs.forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener('input', () => {
+          clearTimeout(previewTimeout);
+          previewTimeout = setTimeout(() => updateCodePreview(), 500);
+        });
+      }
+    });
+  }
+
+  /**
+   * Load API config modal with current profile
+   */
+  function loadAPIConfigModal() {
+    const activeProfileId = window.APIConfig.getActiveProfileId();
+
+    // Update profile selector - include dataplan as first option
+    const profileSelect = document.getElementById('apiProfileSelect');
+    profileSelect.innerHTML = `
+      <option value="dataplan">DataPLANT (Default)</option>
+      <option value="lmstudio">LM Studio (Local)</option>
+      <option value="together">Together.ai</option>
+      <option value="openai">OpenAI Compatible</option>
+      <option value="anthropic">Anthropic</option>
+      <option value="ollama">Ollama (Local)</option>
+      <option value="gemini">Google Gemini</option>
+    `;
+
+    // Add custom profiles
+    const customProfiles = window.APIConfig.getAllProfiles();
+    for (const [id, profile] of Object.entries(customProfiles)) {
+      if (!window.APIConfig.DEFAULT_PROFILES[id]) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = profile.name + ' (Custom)';
+        profileSelect.appendChild(option);
+      }
+    }
+
+    // Add "Add Custom API" option
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = '+ Add Custom API';
+    profileSelect.appendChild(customOption);
+
+    // Select active profile
+    profileSelect.value = activeProfileId;
+
+    // Load profile into form
+    loadProfileIntoForm(activeProfileId);
+
+    // Update delete button state
+    updateDeleteButtonState();
+
+    // Update code preview
+    updateCodePreview();
+  }
+
+  /**
+   * Load profile data into form fields
+   */
+  function loadProfileIntoForm(profileId) {
+    let profile;
+    const customProfileGroup = document.getElementById('customProfileNameGroup');
+    const builtInInfo = document.getElementById('builtInProfileInfo');
+    const isBuiltInSecure = profileId === 'dataplan';  // Only dataplan is truly secure/built-in
+
+    // Show/hide built-in profile info alert
+    if (builtInInfo) {
+      builtInInfo.style.display = isBuiltInSecure ? 'block' : 'none';
+    }
+
+    // Disable/hide form fields for built-in secure profiles
+    const formFields = ['apiProvider', 'apiEndpoint', 'authHeader', 'addHeaderBtn'];
+    formFields.forEach(fieldId => {
+      const field = document.getElementById(fieldId);
+      if (field) {
+        field.disabled = isBuiltInSecure;
+        if (fieldId === 'apiEndpoint' || fieldId === 'authHeader') {
+          field.readOnly = isBuiltInSecure;
+        }
+      }
+    });
+
+    // Disable header inputs container for dataplan
+    const headersContainer = document.getElementById('additionalHeadersContainer');
+    if (headersContainer) {
+      headersContainer.style.opacity = isBuiltInSecure ? '0.5' : '1';
+      headersContainer.style.pointerEvents = isBuiltInSecure ? 'none' : 'auto';
+    }
+
+    if (profileId === 'custom') {
+      // Show custom profile name input
+      customProfileGroup.style.display = 'block';
+      // Start with blank template for custom API
+      profile = {
+        provider: 'openai',
+        endpoint: '',
+        authHeaderTemplate: 'Bearer {API_KEY}',
+        additionalHeaders: { 'Content-Type': 'application/json' },
+        modelParamName: 'model',
+        messagesParamName: 'messages',
+        temperature: 0.3,
+        maxTokens: 8000,
+        responseFormat: 'json_object',
+        requiresAPIKey: true
+      };
+    } else {
+      // Hide custom profile name input
+      customProfileGroup.style.display = 'none';
+      profile = window.APIConfig.getProfile(profileId);
+    }
+
+    if (!profile) {
+      profile = { ...window.APIConfig.DEFAULT_PROFILES.dataplan };
+    }
+
+    // For built-in secure profiles, show placeholder instead of actual values
+    if (isBuiltInSecure) {
+      document.getElementById('apiEndpoint').value = '[Built-in secure endpoint]';
+      document.getElementById('authHeader').value = '[Not required]';
+      loadAdditionalHeaders({}); // Clear headers display
+    } else {
+      // Deobfuscate endpoint for display in form
+      const displayEndpoint = window.APIConfig.deobfuscateURL
+        ? window.APIConfig.deobfuscateURL(profile.endpoint || '')
+        : profile.endpoint;
+
+      // Set form values
+      document.getElementById('apiEndpoint').value = displayEndpoint;
+      document.getElementById('authHeader').value = profile.authHeaderTemplate || '';
+
+      // Load additional headers (exclude Content-Type as it's always included)
+      loadAdditionalHeaders(profile.additionalHeaders || {});
+    }
+
+    // Always set these values
+    const adapter = window.ProviderAdapters.getAdapter(profile.provider);
+    document.getElementById('apiProvider').value = profile.provider || 'openai';
+    document.getElementById('apiEndpoint').placeholder = adapter.exampleEndpoint;
+    document.getElementById('authHeaderName').textContent = profile.authHeaderName || adapter.authHeaderName;
+    document.getElementById('modelParamName').value = profile.modelParamName || 'model';
+    document.getElementById('messagesParamName').value = profile.messagesParamName || 'messages';
+    document.getElementById('maxTokens').value = profile.maxTokens || 8000;
+    document.getElementById('responseFormat').value = profile.responseFormat || 'text';
+    document.getElementById('maxCorrectionRounds').value = profile.maxCorrectionRounds ?? '';
+    ['maxConcurrency', 'requestsPerMinute', 'tokensPerMinute'].forEach(key => {
+      document.getElementById(key).value = profile[key] ?? '';
+    });
+    loadSamplingIntoForm(profile);
+
+    // Update code preview
+    updateCodePreview();
+  }
+
+  /**
+   * Load sampling settings into the Advanced Parameters fields (empty = API default)
+   * @param {Object} profile - Profile configuration
+   */
+  function loadSamplingIntoForm(profile) {
+    ['temperature', 'topP', 'topK', 'seed', 'frequencyPenalty', 'presencePenalty'].forEach(key => {
+      const value = profile[key];
+      document.getElementById(key).value = typeof value === 'number' ? value : '';
+    });
+    document.getElementById('stopSequences').value = (profile.stopSequences || []).join('\n');
+  }
+
+  /**
+   * Read generation settings from the Advanced Parameters fields
+   * @returns {Object} - Sampling settings, max tokens, response format, correction rounds and rate limits;
+   *   empty fields are null
+   */
+  function getGenerationSettingsFromForm() {
+    const readNumber = (id, parse) => {
+      const value = document.getElementById(id).value.trim();
+      if (value === '') return null;
+      const number = parse(value);
+      return Number.isFinite(number) ? number : null;
+    };
+    const stopSequences = document.getElementById('stopSequences').value
+      .split('\n')
+      .filter(line => line.length > 0);
+
+    return {
+      temperature: readNumber('temperature', parseFloat),
+      topP: readNumber('topP', parseFloat),
+      topK: readNumber('topK', v => parseInt(v, 10)),
+      seed: readNumber('seed', v => parseInt(v, 10)),
+      frequencyPenalty: readNumber('frequencyPenalty', parseFloat),
+      presencePenalty: readNumber('presencePenalty', parseFloat),
+      stopSequences: stopSequences.length > 0 ? stopSequences : null,
+      maxTokens: readNumber('maxTokens', v => parseInt(v, 10)),
+      responseFormat: document.getElementById('responseFormat').value,
+      maxCorrectionRounds: readNumber('maxCorrectionRounds', v => parseInt(v, 10)),
+      maxConcurrency: readNumber('maxConcurrency', v => parseInt(v, 10)),
+      requestsPerMinute: readNumber('requestsPerMinute', v => parseInt(v, 10)),
+      tokensPerMinute: readNumber('tokensPerMinute', v => parseInt(v, 10))
+    };
+  }
+
+  /**
+   * Load additional headers into the container
+   */
+  function loadAdditionalHeaders(headers) {
+    const container = document.getElementById('additionalHeadersContainer');
+    container.innerHTML = '';
+
+    for (const [key, value] of Object.entries(headers)) {
+      if (key !== 'Content-Type') { // Content-Type is always included
+        addHeaderInput(key, value);
+      }
+    }
+  }
+
+  /**
+   * Add a header input row
+   */
+  function addHeaderInput(key = '', value = '') {
+    const container = document.getElementById('additionalHeadersContainer');
+    const headerRow = document.createElement('div');
+    headerRow.className = 'input-group mb-2';
+
+    headerRow.innerHTML = `
+      <input type="text" class="form-control" placeholder="Header Name" value="${key}">
+      <input type="text" class="form-control" placeholder="Header Value" value="${value}">
+      <button class="btn btn-outline-danger" type="button">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+
+    // Remove button handler
+    const removeBtn = headerRow.querySelector('button');
+    removeBtn.addEventListener('click', () => {
+      headerRow.remove();
+      updateCodePreview();
+    });
+
+    // Update preview on input
+    const inputs = headerRow.querySelectorAll('input');
+    inputs.forEach(input => {
+      input.addEventListener('input', () => {
+        clearTimeout(window.headerPreviewTimeout);
+        window.headerPreviewTimeout = setTimeout(() => updateCodePreview(), 500);
+      });
+    });
+
+    container.appendChild(headerRow);
+  }
+
+  /**
+   * Update code preview
+   */
+  function updateCodePreview() {
+    const profileId = document.getElementById('apiProfileSelect').value;
+
+    // Hide preview for built-in secure profiles (dataplan)
+    if (profileId === 'dataplan') {
+      document.getElementById('fetchCodePreview').textContent = '// Built-in secure configuration\n// API endpoint and headers are managed internally';
+      return;
+    }
+
+    const profile = {
+      provider: document.getElementById('apiProvider').value,
+      endpoint: document.getElementById('apiEndpoint').value,
+      authHeaderTemplate: document.getElementById('authHeader').value,
+      additionalHeaders: getAdditionalHeaders(),
+      modelParamName: document.getElementById('modelParamName').value,
+      messagesParamName: document.getElementById('messagesParamName').value,
+      ...getGenerationSettingsFromForm()
+    };
+
+    const preview = window.APIConfig.generateFetchPreview(profile);
+    document.getElementById('fetchCodePreview').textContent = preview;
+  }
+
+  /**
+   * Get additional headers from form
+   */
+  function getAdditionalHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    const container = document.getElementById('additionalHeadersContainer');
+    const rows = container.querySelectorAll('.input-group');
+
+    rows.forEach(row => {
+      const inputs = row.querySelectorAll('input');
+      const key = inputs[0].value.trim();
+      const value = inputs[1].value.trim();
+
+      if (key && value) {
+        headers[key] = value;
+      }
+    });
+
+    return headers;
+  }
+
+  /**
+   * Save API configuration
+   */
+  function saveAPIConfiguration() {
+    const profileId = document.getElementById('apiProfileSelect').value;
+    const config = getProfileConfigFromForm();
+
+    // If custom profile, save with custom name
+    if (profileId === 'custom') {
+      const customName = document.getElementById('customProfileName').value.trim();
+      if (!customName) {
+        alert('Please enter a profile name');
+        return;
+      }
+
+      const customId = customName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+      window.APIConfig.saveProfile(customId, config);
+      window.APIConfig.setActiveProfileId(customId);
+      console.log('[App] Custom profile saved:', customId, config);
+    } else if (window.APIConfig.DEFAULT_PROFILES[profileId]) {
+      // For default profiles, keep the generation settings and set as active
+      window.APIConfig.saveGenerationSettings(profileId, getGenerationSettingsFromForm());
+      window.APIConfig.setActiveProfileId(profileId);
+    } else {
+      // Update existing custom profile
+      window.APIConfig.saveProfile(profileId, config);
+      window.APIConfig.setActiveProfileId(profileId);
+    }
+
+    console.log('[App] API configuration saved:', profileId);
+
+    // Update API key visibility based on new profile
+    updateAPIKeyVisibility();
+    updateModelPicker();
+    updateEnsembleNote();
+    updateEvaluateButtonState();
+  }
+
+  /**
+   * Build a custom profile configuration from the API Config form
+   * @returns {Object} - Profile configuration
+   */
+  function getProfileConfigFromForm() {
+    const profileSelect = document.getElementById('apiProfileSelect');
+    const authHeaderTemplate = document.getElementById('authHeader').value.trim();
+
+    return {
+      name: profileSelect.value === 'custom' ? document.getElementById('customProfileName').value : profileSelect.options[profileSelect.selectedIndex].text.replace(' (Custom)', ''),
+      provider: document.getElementById('apiProvider').value,
+      endpoint: document.getElementById('apiEndpoint').value,
+      authHeaderTemplate: authHeaderTemplate,
+      requiresAPIKey: authHeaderTemplate.length > 0,
+      additionalHeaders: getAdditionalHeaders(),
+      modelParamName: document.getElementById('modelParamName').value,
+      messagesParamName: document.getElementById('messagesParamName').value,
+      streamEnabled: true,
+      ...getGenerationSettingsFromForm()
+    };
+  }
+
+  /**
+   * Test the profile shown in the API Config form, including unsaved edits
+   */
+  async function testConnection() {
+    const profileId = document.getElementById('apiProfileSelect').value;
+    const resultEl = document.getElementById('connectionTestResult');
+    const testBtn = document.getElementById('testConnectionBtn');
+
+    // Built-in profiles only take generation settings from the form
+    const profile = window.APIConfig.DEFAULT_PROFILES[profileId]
+      ? { ...window.APIConfig.getProfile(profileId), ...getGenerationSettingsFromForm() }
+      : getProfileConfigFromForm();
+    const model = profileId === 'custom' ? '' : window.LLMService.getSelectedModel(profileId);
+
+    if (profile.requiresAPIKey !== false && window.KeyVault.isLocked() &&
+        window.KeyVault.hasKey(profileId) && !window.KeyVault.getKey(profileId)) {
+      resultEl.innerHTML = '<div class="alert alert-warning py-2 mb-0">Unlock the API key vault first to test with the saved key.</div>';
+      return;
+    }
+
+    testBtn.disabled = true;
+    resultEl.innerHTML = '<div class="text-muted small"><i class="fas fa-spinner fa-spin me-1"></i>Sending test requests...</div>';
+    try {
+      const report = await window.LLMService.probeProfile(profile, {
+        apiKey: window.KeyVault.getKey(profileId) || '',
+        model: model
+      });
+      window.UsageTracker.recordUsage(report.usage, profileId, model || profile.defaultModel);
+      const icons = {
+        ok: 'fa-check-circle text-success',
+        warn: 'fa-exclamation-triangle text-warning',
+        fail: 'fa-times-circle text-danger',
+        skip: 'fa-minus-circle text-muted'
+      };
+      resultEl.innerHTML = '<ul class="list-group list-group-flush small connection-test-report">' +
+        report.checks.map(check => `
+          <li class="list-group-item px-0">
+            <i class="fas ${icons[check.status]} me-2"></i><strong>${escapeHtml(check.label)}</strong>
+            <div class="text-muted ms-4">${escapeHtml(check.detail)}</div>
+          </li>`).join('') +
+        '</ul>';
+    } catch (error) {
+      resultEl.innerHTML = `<div class="alert alert-danger py-2 mb-0">Test failed: ${escapeHtml(error.message)}</div>`;
+    } finally {
+      testBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Update delete button state
+   */
+  function updateDeleteButtonState() {
+    const profileId = document.getElementById('apiProfileSelect').value;
+    const deleteBtn = document.getElementById('deleteProfileBtn');
+
+    if (window.APIConfig.isCustomProfile(profileId)) {
+      deleteBtn.disabled = false;
+    } else {
+      deleteBtn.disabled = true;
+    }
+  }
+
+  /**
+   * Get ensemble settings from localStorage
+   * @returns {Object} - {enabled, members: [{profileId, model}], disagreementMargin}
+   */
+  function getEnsembleConfig() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('ensembleConfig'));
+      if (saved && Array.isArray(saved.members)) {
+        return {
+          enabled: !!saved.enabled,
+          members: saved.members,
+          disagreementMargin: typeof saved.disagreementMargin === 'number' ? saved.disagreementMargin : 15
+        };
+      }
+    } catch { /* fall through to defaults */ }
+    return { enabled: false, members: [], disagreementMargin: 15 };
+  }
+
+  /**
+   * Get the ensemble settings to evaluate with, or null for single-model evaluation
+   * @returns {Object|null}
+   */
+  function getActiveEnsemble() {
+    const config = getEnsembleConfig();
+    return config.enabled && config.members.length >= 2 ? config : null;
+  }
+
+  /**
+   * Setup ensemble evaluation modal listeners
+   */
+  function setupEnsembleListeners() {
+    const modalEl = document.getElementById('ensembleModal');
+    if (!modalEl) return;
+
+    const modal = new bootstrap.Modal(modalEl);
+    const menuItem = document.getElementById('ensembleMenuItem');
+    const addBtn = document.getElementById('addEnsembleMemberBtn');
+    const saveBtn = document.getElementById('saveEnsembleBtn');
+
+    menuItem.addEventListener('click', (e) => {
+      e.preventDefault();
+      const config = getEnsembleConfig();
+      document.getElementById('ensembleEnabled').checked = config.enabled;
+      document.getElementById('ensembleMargin').value = config.disagreementMargin;
+
+      const container = document.getElementById('ensembleMembersContainer');
+      container.innerHTML = '';
+      const members = config.members.length > 0
+        ? config.members
+        : [{ profileId: window.APIConfig.getActiveProfileId() }];
+      members.forEach(member => addEnsembleMemberRow(member));
+      modal.show();
+    });
+
+    addBtn.addEventListener('click', () => {
+      addEnsembleMemberRow({ profileId: window.APIConfig.getActiveProfileId() });
+    });
+
+    saveBtn.addEventListener('click', () => {
+      const members = [];
+      document.querySelectorAll('#ensembleMembersContainer .input-group').forEach(row => {
+        const profileId = row.querySelector('select').value;
+        const model = row.querySelector('input').value.trim();
+        if (profileId && model) {
+          members.push({ profileId, model });
+        }
+      });
+
+      const enabled = document.getElementById('ensembleEnabled').checked;
+      if (enabled && members.length < 2) {
+        alert('Select at least two models for ensemble evaluation.');
+        return;
+      }
+
+      const margin = parseInt(document.getElementById('ensembleMargin').value, 10);
+      localStorage.setItem('ensembleConfig', JSON.stringify({
+        enabled: enabled,
+        members: members,
+        disagreementMargin: Number.isFinite(margin) && margin >= 0 ? margin : 15
+      }));
+      console.log('[App] Ensemble settings saved:', members.length, 'members');
+
+      updateEnsembleNote();
+      modal.hide();
+    });
+  }
+
+  /**
+   * Add a profile/model row to the ensemble members list
+   * @param {Object} member - {profileId, model}
+   */
+  function addEnsembleMemberRow(member) {
+    const container = document.getElementById('ensembleMembersContainer');
+    const row = document.createElement('div');
+    row.className = 'input-group mb-2';
+
+    const profileSelect = document.createElement('select');
+    profileSelect.className = 'form-select';
+    for (const [id, profile] of Object.entries(window.APIConfig.getAllProfiles())) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    }
+    profileSelect.value = member.profileId;
+
+    const modelInput = document.createElement('input');
+    modelInput.type = 'text';
+    modelInput.className = 'form-control';
+    modelInput.placeholder = 'Model identifier';
+
+    const syncModelInput = (model) => {
+      modelInput.value = model || window.LLMService.getSelectedModel(profileSelect.value);
+    };
+    syncModelInput(member.model);
+    profileSelect.addEventListener('change', () => syncModelInput(null));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-outline-danger';
+    removeBtn.type = 'button';
+    removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    row.append(profileSelect, modelInput, removeBtn);
+    container.appendChild(row);
+  }
+
+  /**
+   * Get failover chain settings from localStorage
+   * @returns {Object} - {enabled, profileIds}
+   */
+  function getFailoverConfig() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('failoverConfig'));
+      if (saved && Array.isArray(saved.profileIds)) {
+        const profiles = window.APIConfig.getAllProfiles();
+        return {
+          enabled: !!saved.enabled,
+          profileIds: saved.profileIds.filter(id => profiles[id])
+        };
+      }
+    } catch { /* fall through to defaults */ }
+    return { enabled: false, profileIds: [] };
+  }
+
+  /**
+   * Remove a deleted profile from the stored failover chain
+   * @param {string} profileId - Deleted profile ID
+   */
+  function removeFromFailoverChain(profileId) {
+    try {
+      const saved = JSON.parse(localStorage.getItem('failoverConfig'));
+      if (saved && Array.isArray(saved.profileIds) && saved.profileIds.includes(profileId)) {
+        saved.profileIds = saved.profileIds.filter(id => id !== profileId);
+        localStorage.setItem('failoverConfig', JSON.stringify(saved));
+        console.log('[App] Removed deleted profile from the failover chain:', profileId);
+      }
+    } catch { /* nothing stored */ }
+  }
+
+  /**
+   * Get the fallback profiles to evaluate with, in order
+   * @returns {Array<string>} - Profile IDs other than the active one (empty when failover is off
+   *   or an ensemble is active, which always calls every member)
+   */
+  function getActiveFailover() {
+    const config = getFailoverConfig();
+    if (!config.enabled || getActiveEnsemble()) return [];
+    const activeId = window.APIConfig.getActiveProfileId();
+    return config.profileIds.filter(id => id !== activeId);
+  }
+
+  /**
+   * Setup failover chain modal listeners
+   */
+  function setupFailoverListeners() {
+    const modalEl = document.getElementById('failoverModal');
+    if (!modalEl) return;
+
+    const modal = new bootstrap.Modal(modalEl);
+    const menuItem = document.getElementById('failoverMenuItem');
+    const addBtn = document.getElementById('addFailoverProfileBtn');
+    const saveBtn = document.getElementById('saveFailoverBtn');
+
+    menuItem.addEventListener('click', (e) => {
+      e.preventDefault();
+      const config = getFailoverConfig();
+      document.getElementById('failoverEnabled').checked = config.enabled;
+
+      const container = document.getElementById('failoverProfilesContainer');
+      container.innerHTML = '';
+      config.profileIds.forEach(profileId => addFailoverProfileRow(profileId));
+      modal.show();
+    });
+
+    addBtn.addEventListener('click', () => {
+      const used = Array.from(document.querySelectorAll('#failoverProfilesContainer select')).map(s => s.value);
+      const unused = Object.keys(window.APIConfig.getAllProfiles())
+        .find(id => id !== window.APIConfig.getActiveProfileId() && !used.includes(id));
+      addFailoverProfileRow(unused || window.APIConfig.getActiveProfileId());
+    });
+
+    saveBtn.addEventListener('click', () => {
+      const profileIds = [];
+      document.querySelectorAll('#failoverProfilesContainer select').forEach(select => {
+        if (select.value && !profileIds.includes(select.value)) {
+          profileIds.push(select.value);
+        }
+      });
+
+      const enabled = document.getElementById('failoverEnabled').checked;
+      if (enabled && profileIds.length === 0) {
+        alert('Add at least one fallback profile.');
+        return;
+      }
+
+      localStorage.setItem('failoverConfig', JSON.stringify({ enabled, profileIds }));
+      console.log('[App] Failover chain saved:', profileIds.join(' -> ') || '(empty)');
+
+      updateEnsembleNote();
+      modal.hide();
+    });
+  }
+
+  /**
+   * Add a profile row to the failover chain
+   * @param {string} profileId - Fallback profile ID
+   */
+  function addFailoverProfileRow(profileId) {
+    const container = document.getElementById('failoverProfilesContainer');
+    const row = document.createElement('div');
+    row.className = 'input-group mb-2';
+
+    const profileSelect = document.createElement('select');
+    profileSelect.className = 'form-select';
+    for (const [id, profile] of Object.entries(window.APIConfig.getAllProfiles())) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    }
+    profileSelect.value = profileId;
+
+    const makeButton = (icon, title, className, onClick) => {
+      const button = document.createElement('button');
+      button.className = `btn ${className}`;
+      button.type = 'button';
+      button.title = title;
+      button.innerHTML = `<i class="fas ${icon}"></i>`;
+      button.addEventListener('click', onClick);
+      return button;
+    };
+    const upBtn = makeButton('fa-arrow-up', 'Move up', 'btn-outline-secondary', () => {
+      if (row.previousElementSibling) container.insertBefore(row, row.previousElementSibling);
+    });
+    const downBtn = makeButton('fa-arrow-down', 'Move down', 'btn-outline-secondary', () => {
+      if (row.nextElementSibling) container.insertBefore(row.nextElementSibling, row);
+    });
+    const removeBtn = makeButton('fa-times', 'Remove', 'btn-outline-danger', () => row.remove());
+
+    row.append(profileSelect, upBtn, downBtn, removeBtn);
+    container.appendChild(row);
+  }
+
+  /**
+   * Show which models will be used when ensemble evaluation or a failover chain is enabled
+   */
+  function updateEnsembleNote() {
+    const note = document.getElementById('ensembleNote');
+    if (!note) return;
+
+    const ensemble = getActiveEnsemble();
+    const failover = getActiveFailover();
+    if (ensemble) {
+      note.innerHTML = `<i class="fas fa-users me-2"></i><strong>Ensemble:</strong> ${ensemble.members.length} models ` +
+        `<small class="text-muted">(${ensemble.members.map(m => escapeHtml(m.model)).join(', ')})</small>`;
+      if (getFailoverConfig().enabled) {
+        note.innerHTML += '<br><small class="text-muted">The failover chain is not used for ensemble evaluations.</small>';
+      }
+      note.style.display = 'block';
+    } else if (failover.length > 0) {
+      const chain = [window.APIConfig.getActiveProfileId(), ...failover]
+        .map(id => escapeHtml(window.APIConfig.getProfile(id).name));
+      note.innerHTML = `<i class="fas fa-route me-2"></i><strong>Failover:</strong> ${chain.join(' &rarr; ')}`;
+      note.style.display = 'block';
+    } else {
+      note.style.display = 'none';
+    }
+  }
+
+  /**
+   * Setup response cache browser listeners
+   */
+  function setupResponseCacheListeners() {
+    const modalEl = document.getElementById('responseCacheModal');
+    if (!modalEl) return;
+
+    const modal = new bootstrap.Modal(modalEl);
+
+    document.getElementById('responseCacheMenuItem').addEventListener('click', async (e) => {
+      e.preventDefault();
+      await renderResponseCache();
+      modal.show();
+    });
+
+    document.getElementById('purgeResponseCacheBtn').addEventListener('click', async () => {
+      if (!confirm('Delete all cached responses?')) return;
+      await window.ResponseCache.clear();
+      console.log('[App] Response cache purged');
+      await renderResponseCache();
+    });
+
+    document.getElementById('responseCacheTableBody').addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-cache-key]');
+      if (!btn) return;
+      await window.ResponseCache.remove(btn.dataset.cacheKey);
+      await renderResponseCache();
+    });
+  }
+
+  /**
+   * Fill the response cache browser with the stored entries
+   */
+  async function renderResponseCache() {
+    const tbody = document.getElementById('responseCacheTableBody');
+    const summary = document.getElementById('responseCacheSummary');
+    const entries = await window.ResponseCache.list();
+
+    if (entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="text-muted text-center">No cached responses</td></tr>';
+      summary.textContent = '';
+      return;
+    }
+
+    tbody.innerHTML = entries.map(entry => `
+      <tr>
+        <td class="text-nowrap"><small>${escapeHtml(new Date(entry.createdAt).toLocaleString())}</small></td>
+        <td><small>${escapeHtml(entry.label || '-')}</small></td>
+        <td><small>${escapeHtml(entry.model)}</small><br><small class="text-muted">${escapeHtml(entry.endpointHost)}</small></td>
+        <td class="text-end text-nowrap"><small>${window.FileParser.formatFileSize(entry.size)}</small></td>
+        <td class="text-end">
+          <button type="button" class="btn btn-sm btn-outline-danger" data-cache-key="${escapeHtml(entry.key)}" title="Delete">
+            <i class="fas fa-times"></i>
+          </button>
+        </td>
+      </tr>`).join('');
+
+    const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    summary.textContent = `${entries.length} cached response${entries.length === 1 ? '' : 's'}, ` +
+      `${window.FileParser.formatFileSize(totalSize)} total`;
+  }
+
+  /**
+   * Setup the exemplar bank modal (Advanced menu)
+   */
+  function setupExemplarBankListeners() {
+    const modalEl = document.getElementById('exemplarBankModal');
+    if (!modalEl) return;
+
+    const modal = new bootstrap.Modal(modalEl);
+    const budgetInput = document.getElementById('exemplarTokenBudget');
+    const importInput = document.getElementById('importExemplarsInput');
+
+    document.getElementById('exemplarBankMenuItem').addEventListener('click', (e) => {
+      e.preventDefault();
+      budgetInput.value = window.ExemplarBank.getTokenBudget();
+      renderExemplarBank();
+      modal.show();
+    });
+
+    budgetInput.addEventListener('change', () => {
+      window.ExemplarBank.setTokenBudget(parseInt(budgetInput.value, 10));
+      budgetInput.value = window.ExemplarBank.getTokenBudget();
+    });
+
+    document.getElementById('clearExemplarsBtn').addEventListener('click', () => {
+      if (!confirm('Delete all exemplars?')) return;
+      window.ExemplarBank.clear();
+      console.log('[App] Exemplar bank cleared');
+      renderExemplarBank();
+    });
+
+    document.getElementById('exportExemplarsBtn').addEventListener('click', () => {
+      if (window.ExemplarBank.count() === 0) {
+        alert('The exemplar bank is empty.');
+        return;
+      }
+      window.ExportService.downloadJSON(window.ExemplarBank.exportExemplars(), 'dmp-exemplars');
+    });
+
+    document.getElementById('importExemplarsBtn').addEventListener('click', () => {
+      importInput.click();
+    });
+
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+
+      try {
+        const { added, replaced } = window.ExemplarBank.importExemplars(JSON.parse(await file.text()));
+        renderExemplarBank();
+        alert(`Imported ${added} new exemplar${added === 1 ? '' : 's'}` +
+          (replaced > 0 ? `, ${replaced} replaced existing ones for the same paragraph and phase.` : '.'));
+      } catch (error) {
+        alert('Could not import exemplars: ' + error.message);
+      }
+    });
+
+    document.getElementById('exemplarTableBody').addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-exemplar-id]');
+      if (!btn) return;
+      window.ExemplarBank.remove(btn.dataset.exemplarId);
+      renderExemplarBank();
+    });
+  }
+
+  /**
+   * Fill the exemplar bank table
+   */
+  function renderExemplarBank() {
+    const tbody = document.getElementById('exemplarTableBody');
+    const exemplars = window.ExemplarBank.list();
+    const phaseLabels = { proposal: 'Proposal', mid: 'Mid', end: 'End' };
+
+    if (exemplars.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" class="text-muted text-center">No exemplars yet</td></tr>';
+      document.getElementById('exemplarSummary').textContent = '';
+      return;
+    }
+
+    tbody.innerHTML = exemplars.map(exemplar => `
+      <tr>
+        <td><small>${phaseLabels[exemplar.phase]}</small></td>
+        <td>${exemplar.criteriaIds.map(id => `<span class="criteria-tag">${escapeHtml(id)}</span>`).join('')}</td>
+        <td class="text-end"><span class="score-badge score-${getStatusClass(exemplar.score)}">${exemplar.score}</span></td>
+        <td>
+          <small class="exemplar-text" title="${escapeHtml(exemplar.text)}">${escapeHtml(exemplar.text)}</small>
+          <br><small class="text-muted">${escapeHtml(exemplar.explanation)}</small>
+        </td>
+        <td class="text-end">
+          <button type="button" class="btn btn-sm btn-outline-danger" data-exemplar-id="${escapeHtml(exemplar.id)}" title="Delete">
+            <i class="fas fa-times"></i>
+          </button>
+        </td>
+      </tr>`).join('');
+
+    document.getElementById('exemplarSummary').textContent =
+      `${exemplars.length} exemplar${exemplars.length === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Show or hide the cache marker in the results header
+   * @param {Object|null} cache - metadata.cache {hits, requests}
+   */
+  function updateCacheHitBadge(cache) {
+    const badge = document.getElementById('cacheHitBadge');
+    if (!badge) return;
+
+    if (cache && cache.hits > 0) {
+      badge.title = `${cache.hits} of ${cache.requests} requests answered from the response cache`;
+      badge.classList.remove('d-none');
+    } else {
+      badge.classList.add('d-none');
+    }
+  }
+
+  /**
+   * Setup record/replay modal listeners
+   */
+  function setupFixtureListeners() {
+    const modalEl = document.getElementById('fixturesModal');
+    if (!modalEl) return;
+
+    const modal = new bootstrap.Modal(modalEl);
+    const fileInput = document.getElementById('loadFixturesInput');
+
+    const updateFixtureCount = () => {
+      document.getElementById('fixtureCount').textContent = window.LLMFixtures.count();
+    };
+
+    document.getElementById('fixturesMenuItem').addEventListener('click', (e) => {
+      e.preventDefault();
+      document.querySelector(`input[name="fixtureMode"][value="${window.LLMFixtures.getMode()}"]`).checked = true;
+      updateFixtureCount();
+      modal.show();
+    });
+
+    document.querySelectorAll('input[name="fixtureMode"]').forEach(radio => {
+      radio.addEventListener('change', (e) => {
+        window.LLMFixtures.setMode(e.target.value);
+      });
+    });
+
+    // Recordings finish in the background - refresh the count while the dialog is open
+    modalEl.addEventListener('shown.bs.modal', updateFixtureCount);
+
+    document.getElementById('downloadFixturesBtn').addEventListener('click', () => {
+      if (window.LLMFixtures.count() === 0) {
+        alert('No recorded responses yet. Switch to Record and run an evaluation first.');
+        return;
+      }
+      window.ExportService.downloadJSON(window.LLMFixtures.exportFixtures(), 'dmp-llm-fixtures');
+    });
+
+    document.getElementById('loadFixturesBtn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        try {
+          const loaded = window.LLMFixtures.importFixtures(JSON.parse(event.target.result));
+          console.log(`[App] Loaded ${loaded} fixtures from ${file.name}`);
+          updateFixtureCount();
+        } catch (error) {
+          alert(`Could not load fixtures: ${error.message}`);
+        }
+      };
+      reader.readAsText(file);
+      fileInput.value = '';
+    });
+
+    document.getElementById('clearFixturesBtn').addEventListener('click', () => {
+      window.LLMFixtures.clear();
+      updateFixtureCount();
+    });
+  }
+
+  /**
+   * Setup usage and pricing modal listeners
+   */
+  function setupUsageListeners() {
+    const modalEl = document.getElementById('usageModal');
+    if (!modalEl) return;
+
+    const modal = new bootstrap.Modal(modalEl);
+
+    document.getElementById('usageMenuItem').addEventListener('click', (e) => {
+      e.preventDefault();
+      updateMonthlyUsage();
+
+      const container = document.getElementById('priceRowsContainer');
+      container.innerHTML = '';
+      for (const [profileId, models] of Object.entries(window.UsageTracker.getPriceTable())) {
+        for (const [model, price] of Object.entries(models)) {
+          addPriceRow({ profileId, model, ...price });
+        }
+      }
+      if (container.children.length === 0) {
+        const profileId = window.APIConfig.getActiveProfileId();
+        addPriceRow({ profileId, model: window.LLMService.getSelectedModel(profileId) });
+      }
+      modal.show();
+    });
+
+    document.getElementById('addPriceRowBtn').addEventListener('click', () => {
+      const profileId = window.APIConfig.getActiveProfileId();
+      addPriceRow({ profileId, model: window.LLMService.getSelectedModel(profileId) });
+    });
+
+    document.getElementById('resetUsageBtn').addEventListener('click', () => {
+      if (!confirm('Reset the monthly usage totals?')) return;
+      window.UsageTracker.resetMonthlyTotals();
+      updateMonthlyUsage();
+    });
+
+    document.getElementById('savePricesBtn').addEventListener('click', () => {
+      const rows = [];
+      document.querySelectorAll('#priceRowsContainer .row').forEach(row => {
+        rows.push({
+          profileId: row.querySelector('select').value,
+          model: row.querySelector('.price-model').value.trim(),
+          input: parseFloat(row.querySelector('.price-input').value),
+          output: parseFloat(row.querySelector('.price-output').value)
+        });
+      });
+      window.UsageTracker.savePriceTable(rows);
+      console.log('[App] Price table saved');
+      modal.hide();
+    });
+  }
+
+  /**
+   * Add a profile/model price row to the pricing modal
+   * @param {Object} price - {profileId, model, input, output}
+   */
+  function addPriceRow(price) {
+    const container = document.getElementById('priceRowsContainer');
+    const row = document.createElement('div');
+    row.className = 'row g-2 mb-2 align-items-center';
+
+    const profileSelect = document.createElement('select');
+    profileSelect.className = 'form-select form-select-sm';
+    for (const [id, profile] of Object.entries(window.APIConfig.getAllProfiles())) {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = profile.name;
+      profileSelect.appendChild(option);
+    }
+    profileSelect.value = price.profileId;
+
+    const makeInput = (className, value, placeholder, type = 'number') => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.className = 'form-control form-control-sm ' + className;
+      input.placeholder = placeholder;
+      if (type === 'number') {
+        input.min = '0';
+        input.step = 'any';
+      }
+      input.value = value ?? '';
+      return input;
+    };
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-sm btn-outline-danger';
+    removeBtn.type = 'button';
+    removeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    removeBtn.addEventListener('click', () => row.remove());
+
+    const cells = [
+      ['col-4', profileSelect],
+      ['col-4', makeInput('price-model', price.model, 'Model identifier', 'text')],
+      ['col-2', makeInput('price-input', price.input, '0.00')],
+      ['col-2 d-flex gap-1', makeInput('price-output', price.output, '0.00'), removeBtn]
+    ];
+    cells.forEach(([className, ...children]) => {
+      const col = document.createElement('div');
+      col.className = className;
+      col.append(...children);
+      row.appendChild(col);
+    });
+    container.appendChild(row);
+  }
+
+  /**
+   * Show this month's running usage total in the pricing modal
+   */
+  function updateMonthlyUsage() {
+    const total = window.UsageTracker.getMonthlyTotal();
+    const tokens = total.promptTokens + total.completionTokens;
+    document.getElementById('usageMonthlyTotal').innerHTML =
+      `<strong>${total.month}:</strong> ${total.evaluations} evaluation${total.evaluations === 1 ? '' : 's'}, ` +
+      `${window.UsageTracker.formatTokens(tokens)} tokens, ${window.UsageTracker.formatCost(total.cost)}`;
+  }
+
+  /**
+   * Show tokens and estimated cost in the results header
+   * @param {Object|null} usage - metadata.usage
+   */
+  function updateUsageBadge(usage) {
+    const badge = document.getElementById('usageBadge');
+    if (!badge) return;
+
+    if (!usage) {
+      badge.classList.add('d-none');
+      return;
+    }
+
+    badge.textContent = formatUsage(usage);
+    badge.title = `Prompt: ${window.UsageTracker.formatTokens(usage.promptTokens)}, ` +
+      `completion: ${window.UsageTracker.formatTokens(usage.completionTokens)}` +
+      (usage.estimated ? ' (partly estimated - the API did not report token counts)' : '');
+    badge.classList.remove('d-none');
+  }
+
+  /**
+   * Format token usage and cost for display
+   * @param {Object} usage - metadata.usage
+   * @returns {string} - e.g. "~12,345 tokens · $0.0042+"
+   */
+  function formatUsage(usage) {
+    let text = `${usage.estimated ? '~' : ''}${window.UsageTracker.formatTokens(usage.totalTokens)} tokens`;
+    if (usage.cost !== null && usage.cost !== undefined) {
+      text += ` · ${window.UsageTracker.formatCost(usage.cost)}${usage.costIncomplete ? '+' : ''}`;
+    }
+    return text;
+  }
+
+  /**
+   * Add up the usage of several evaluations
+   * @param {Array<Object>} usages - metadata.usage of each evaluation (null entries are skipped)
+   * @returns {Object|null} - Combined usage in the metadata.usage form, or null if none has usage
+   */
+  function sumUsage(usages) {
+    const present = usages.filter(Boolean);
+    if (present.length === 0) return null;
+
+    const priced = present.filter(u => u.cost !== null && u.cost !== undefined);
+    const total = {
+      promptTokens: present.reduce((sum, u) => sum + u.promptTokens, 0),
+      completionTokens: present.reduce((sum, u) => sum + u.completionTokens, 0),
+      totalTokens: present.reduce((sum, u) => sum + u.totalTokens, 0),
+      estimated: present.some(u => u.estimated),
+      cost: priced.length > 0 ? priced.reduce((sum, u) => sum + u.cost, 0) : null
+    };
+    if (total.cost !== null && (priced.length < present.length || priced.some(u => u.costIncomplete))) {
+      total.costIncomplete = true;
+    }
+    return total;
+  }
+
+  /**
+   * Setup file upload listeners (drag-drop and click)
+   */
+  function setupFileUploadListeners() {
+    // Criteria file upload
+    setupFileZone(
+      'criteriaUploadZone',
+      'criteriaFileInput',
+      'criteriaFileInfo',
+      'criteriaFileName',
+      'removeCriteriaFile',
+      (file) => {
+        if (file === null) {
+          // User removed the file, clear criteria completely
+          state.criteriaFile = null;
+          state.usingDefaultCriteria = false;
+          // Show "Use Default" button
+          document.getElementById('useDefaultCriteriaBtn').style.display = 'inline-block';
+          updateEvaluateButtonState();
+          updateCriteriaProblems();
+        } else {
+          state.criteriaFile = file;
+          state.usingDefaultCriteria = false; // User uploaded custom criteria
+          // Hide "Use Default" button
+          document.getElementById('useDefaultCriteriaBtn').style.display = 'none';
+          updateEvaluateButtonState();
+          updateCriteriaProblems();
+        }
+      }
+    );
+
+    // DMP file upload
+    setupFileZone(
+      'dmpUploadZone',
+      'dmpFileInput',
+      'dmpFileInfo',
+      'dmpFileName',
+      'removeDmpFile',
+      (file) => {
+        state.dmpFile = file;
+        if (file) {
+          checkDMPSizeWarning(file.size);
+        } else {
+          // Clear warning when file removed
+          document.getElementById('dmpSizeWarning').classList.add('d-none');
+        }
+        updateEvaluateButtonState();
+        updateDetectedLanguage();
+      }
+    );
+  }
+
+  /**
+   * Check DMP file size and show warning if > 10KB with time estimate
+   * Also notes that files > 30KB will be evaluated in several chunks
+   * @param {number} sizeInBytes - File size in bytes
+   */
+  function checkDMPSizeWarning(sizeInBytes) {
+    const warningEl = document.getElementById('dmpSizeWarning');
+    const warningTextEl = document.getElementById('dmpSizeWarningText');
+    const threshold = 10 * 1024; // 10KB
+    const chunkThreshold = 30 * 1024; // 30KB - beyond this the DMP rarely fits one request
+
+    const sizeKB = Math.round(sizeInBytes / 1024);
+
+    if (sizeInBytes > threshold) {
+      // Estimate tokens (roughly 4 chars per token)
+      const estimatedTokens = Math.ceil(sizeInBytes / 4);
+      // Processing rate: 40 tokens/s
+      const estimatedSeconds = Math.ceil(estimatedTokens / 40);
+      const estimatedMinutes = Math.floor(estimatedSeconds / 60);
+      const remainingSeconds = estimatedSeconds % 60;
+
+      const timeStr = estimatedMinutes > 0
+        ? `${estimatedMinutes}m ${remainingSeconds}s`
+        : `${estimatedSeconds}s`;
+
+      const chunkNote = sizeInBytes > chunkThreshold
+        ? ' The document will be split along headings and paragraphs and evaluated in several chunks.'
+        : ' Larger files may take longer to process.';
+
+      warningTextEl.innerHTML = `<strong>Large file (${sizeKB}KB)</strong> — Estimated evaluation time: <strong>${timeStr}</strong>.${chunkNote}`;
+      warningEl.classList.remove('d-none');
+    } else {
+      warningEl.classList.add('d-none');
+    }
+  }
+
+  /**
+   * Setup a file upload zone with drag-drop
+   */
+  function setupFileZone(zoneId, inputId, infoId, nameId, removeId, onFileSelected) {
+    const zone = document.getElementById(zoneId);
+    const input = document.getElementById(inputId);
+    const info = document.getElementById(infoId);
+    const nameSpan = document.getElementById(nameId);
+    const removeBtn = document.getElementById(removeId);
+
+    // Click to upload
+    zone.addEventListener('click', () => input.click());
+
+    // File input change
+    input.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) handleFileSelection(file, zone, info, nameSpan, onFileSelected);
+    });
+
+    // Drag and drop
+    zone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      zone.classList.add('drag-over');
+    });
+
+    zone.addEventListener('dragleave', () => {
+      zone.classList.remove('drag-over');
+    });
+
+    zone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      zone.classList.remove('drag-over');
+
+      const file = e.dataTransfer.files[0];
+      if (file) handleFileSelection(file, zone, info, nameSpan, onFileSelected);
+    });
+
+    // Remove file
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      input.value = '';
+      zone.style.display = 'flex';
+      info.classList.add('d-none');
+      onFileSelected(null);
+    });
+  }
+
+  /**
+   * Handle file selection
+   */
+  function handleFileSelection(file, zone, info, nameSpan, callback) {
+    // Validate file
+    const validation = window.FileParser.validateFile(file);
+    if (!validation.valid) {
+      alert(validation.error);
+      return;
+    }
+
+    // Update UI
+    zone.style.display = 'none';
+    info.classList.remove('d-none');
+
+    // Show file name with info/warning if needed
+    let displayText = file.name;
+    if (validation.warning) {
+      displayText += ' 🤖'; // AI icon for .doc files
+      // Show compact tooltip-style info
+      nameSpan.setAttribute('title', validation.error);
+      nameSpan.style.fontWeight = '500';
+    }
+    nameSpan.innerHTML = `${displayText} <small class="text-muted">(${window.FileParser.formatFileSize(file.size)})</small>`;
+
+    // Call callback
+    callback(file);
+
+    console.log('[App] File selected:', file.name);
+  }
+
+  /**
+   * Setup paste text listeners
+   */
+  function setupPasteTextListeners() {
+    const pasteCriteriaBtn = document.getElementById('pasteCriteriaBtn');
+    const pasteDmpBtn = document.getElementById('pasteDmpBtn');
+    const saveCriteriaTextBtn = document.getElementById('saveCriteriaTextBtn');
+    const saveDmpTextBtn = document.getElementById('saveDmpTextBtn');
+    const useDefaultCriteria = document.getElementById('useDefaultCriteria');
+    const criteriaTextArea = document.getElementById('criteriaTextArea');
+    const useDefaultCriteriaBtn = document.getElementById('useDefaultCriteriaBtn');
+
+    const pasteCriteriaModal = new bootstrap.Modal(document.getElementById('pasteCriteriaModal'));
+    const pasteDmpModal = new bootstrap.Modal(document.getElementById('pasteDmpModal'));
+
+    // Open criteria paste modal
+    pasteCriteriaBtn.addEventListener('click', () => {
+      // Load phase-specific default criteria if checkbox is checked
+      if (useDefaultCriteria.checked) {
+        const phase = document.getElementById('projectPhase').value;
+        criteriaTextArea.value = window.CriteriaExtractor.getDefaultCriteriaText(phase);
+      }
+      pasteCriteriaModal.show();
+    });
+
+    // Use default criteria button (eva.json)
+    useDefaultCriteriaBtn.addEventListener('click', () => {
+      loadDefaultCriteria();
+    });
+
+    // Toggle default criteria text
+    useDefaultCriteria.addEventListener('change', (e) => {
+      if (e.target.checked) {
+        const phase = document.getElementById('projectPhase').value;
+        criteriaTextArea.value = window.CriteriaExtractor.getDefaultCriteriaText(phase);
+      } else {
+        criteriaTextArea.value = '';
+      }
+    });
+
+    // Phase change listener - update criteria if default is checked
+    const projectPhaseSelect = document.getElementById('projectPhase');
+    projectPhaseSelect.addEventListener('change', () => {
+      // If modal is open and default criteria checkbox is checked, update the text
+      if (useDefaultCriteria.checked) {
+        const phase = projectPhaseSelect.value;
+        criteriaTextArea.value = window.CriteriaExtractor.getDefaultCriteriaText(phase);
+      }
+    });
+
+    // Open DMP paste modal
+    pasteDmpBtn.addEventListener('click', () => {
+      pasteDmpModal.show();
+    });
+
+    // Use example DMP button - directly loads example DMP
+    const useExampleDmpBtn = document.getElementById('useExampleDmpBtn');
+    useExampleDmpBtn.addEventListener('click', () => {
+      // Create a virtual file object from the example DMP text
+      const exampleText = window.CriteriaExtractor.EXAMPLE_DMP_TEXT;
+      const blob = new Blob([exampleText], { type: 'text/plain' });
+      const file = new File([blob], 'example-dmp.txt', { type: 'text/plain' });
+
+      // Set it as the DMP file
+      state.dmpFile = file;
+
+      // Update UI
+      const zone = document.getElementById('dmpUploadZone');
+      const info = document.getElementById('dmpFileInfo');
+      const nameSpan = document.getElementById('dmpFileName');
+
+      zone.style.display = 'none';
+      info.classList.remove('d-none');
+      nameSpan.innerHTML = `Example DMP <small class="text-muted">(${window.FileParser.formatFileSize(blob.size)})</small> <span class="badge bg-info">Alpine Biodiversity</span>`;
+
+      checkDMPSizeWarning(blob.size);
+      updateEvaluateButtonState();
+      updateDetectedLanguage();
+      console.log('[App] Example DMP loaded');
+    });
+
+    // Save criteria text
+    saveCriteriaTextBtn.addEventListener('click', async () => {
+      const text = criteriaTextArea.value.trim();
+
+      if (!text) {
+        alert('Please enter or paste evaluation criteria text');
+        return;
+      }
+
+      // Show processing status
+      saveCriteriaTextBtn.disabled = true;
+      saveCriteriaTextBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Processing...';
+
+      try {
+        // Detect and convert if needed
+        const result = await window.LLMService.detectAndConvertCriteria(text);
+        window.UsageTracker.recordUsage(result.usage, result.profileId, result.model);
+        pasteCriteriaModal.hide();
+
+        if (result.suitable) {
+          usePastedCriteria(result.convertedText, 'pasted-criteria.txt', 'Pasted Text');
+        } else {
+          // Converted criteria are only used once the user has reviewed them
+          openCriteriaPreview(result);
+        }
+
+        console.log('[App] Criteria text processed:', result);
+      } catch (error) {
+        console.error('[App] Error processing criteria:', error);
+        alert(`Error processing criteria: ${error.message}`);
+      } finally {
+        // Reset button
+        saveCriteriaTextBtn.disabled = false;
+        saveCriteriaTextBtn.innerHTML = '<i class="fas fa-check me-1"></i>Use This Text';
+      }
+    });
+
+    // Save DMP text
+    saveDmpTextBtn.addEventListener('click', () => {
+      const text = document.getElementById('dmpTextArea').value.trim();
+
+      if (!text) {
+        alert('Please enter or paste DMP document text');
+        return;
+      }
+
+      // Create a virtual file object from the text
+      const blob = new Blob([text], { type: 'text/plain' });
+      const file = new File([blob], 'pasted-dmp.txt', { type: 'text/plain' });
+
+      // Set it as the DMP file
+      state.dmpFile = file;
+
+      // Update UI
+      const zone = document.getElementById('dmpUploadZone');
+      const info = document.getElementById('dmpFileInfo');
+      const nameSpan = document.getElementById('dmpFileName');
+
+      zone.style.display = 'none';
+      info.classList.remove('d-none');
+      nameSpan.textContent = `Pasted Text (${window.FileParser.formatFileSize(blob.size)})`;
+      checkDMPSizeWarning(blob.size);
+
+      updateEvaluateButtonState();
+      updateDetectedLanguage();
+
+      // Close modal
+      pasteDmpModal.hide();
+
+      console.log(`[App] DMP text saved (${text.length} chars)`);
+    });
+  }
+
+  /**
+   * Use pasted or converted criteria as the criteria file
+   * @param {string} text - Criteria text (eva.json-style JSON or a document with Table 2)
+   * @param {string} fileName - Name of the virtual criteria file
+   * @param {string} label - Label shown in the upload zone
+   * @param {string} badge - Optional badge text (e.g. 'AI Converted')
+   */
+  function usePastedCriteria(text, fileName, label, badge = null) {
+    const type = fileName.endsWith('.json') ? 'application/json' : 'text/plain';
+    const blob = new Blob([text], { type: type });
+    state.criteriaFile = new File([blob], fileName, { type: type });
+    state.usingDefaultCriteria = false; // User pasted custom criteria
+
+    // Update UI
+    const zone = document.getElementById('criteriaUploadZone');
+    const info = document.getElementById('criteriaFileInfo');
+    const nameSpan = document.getElementById('criteriaFileName');
+
+    zone.style.display = 'none';
+    info.classList.remove('d-none');
+    nameSpan.innerHTML = `${escapeHtml(label)} <small class="text-muted">(${window.FileParser.formatFileSize(blob.size)})</small>` +
+      (badge ? ` <span class="badge bg-info">${escapeHtml(badge)}</span>` : '');
+
+    // Hide "Use Default" button since custom criteria is loaded
+    document.getElementById('useDefaultCriteriaBtn').style.display = 'none';
+
+    updateEvaluateButtonState();
+    updateCriteriaProblems();
+  }
+
+  /**
+   * Show AI-converted criteria for review and editing before they are used
+   * @param {Object} conversion - Result of LLMService.detectAndConvertCriteria
+   */
+  function openCriteriaPreview(conversion) {
+    const modalEl = document.getElementById('criteriaPreviewModal');
+    if (!modalEl) return;
+
+    const message = document.getElementById('criteriaPreviewMessage');
+    message.className = `alert ${conversion.error || conversion.errors.length > 0 ? 'alert-warning' : 'alert-info'} small`;
+    message.textContent = conversion.message;
+
+    document.getElementById('criteriaPreviewJson').value = conversion.convertedText;
+    validateCriteriaPreview();
+    bootstrap.Modal.getOrCreateInstance(modalEl).show();
+  }
+
+  /**
+   * Validate the criteria in the preview editor and show the result
+   * @returns {Object|null} - Parsed criteria data if valid, otherwise null
+   */
+  function validateCriteriaPreview() {
+    const text = document.getElementById('criteriaPreviewJson').value;
+    const summary = document.getElementById('criteriaPreviewSummary');
+    const errorList = document.getElementById('criteriaPreviewErrors');
+    const acceptBtn = document.getElementById('acceptCriteriaPreviewBtn');
+
+    let data = null;
+    let errors;
+    try {
+      data = JSON.parse(text);
+      errors = window.CriteriaExtractor.validateCriteriaData(data).errors;
+    } catch (e) {
+      errors = [`Not valid JSON: ${e.message}`];
+    }
+
+    if (errors.length === 0) {
+      const sections = data.data_management_plan;
+      const criteriaCount = sections.reduce((total, section) => total + section.subsections.length, 0);
+      summary.innerHTML = `<i class="fas fa-check-circle text-success me-1"></i>${sections.length} sections, ${criteriaCount} criteria`;
+      errorList.innerHTML = '';
+    } else {
+      summary.innerHTML = `<i class="fas fa-exclamation-triangle text-warning me-1"></i>${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+      errorList.innerHTML = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+    }
+    acceptBtn.disabled = errors.length > 0;
+    return errors.length === 0 ? data : null;
+  }
+
+  /**
+   * Setup converted-criteria preview listeners
+   */
+  function setupCriteriaPreviewListeners() {
+    const modalEl = document.getElementById('criteriaPreviewModal');
+    if (!modalEl) return;
+
+    const editor = document.getElementById('criteriaPreviewJson');
+    let validateTimer = null;
+    editor.addEventListener('input', () => {
+      clearTimeout(validateTimer);
+      validateTimer = setTimeout(validateCriteriaPreview, 300);
+    });
+
+    document.getElementById('downloadCriteriaPreviewBtn').addEventListener('click', () => {
+      const data = validateCriteriaPreview();
+      if (data) {
+        window.ExportService.downloadJSON(data, 'dmp-criteria');
+      }
+    });
+
+    document.getElementById('acceptCriteriaPreviewBtn').addEventListener('click', () => {
+      const data = validateCriteriaPreview();
+      if (!data) return;
+      usePastedCriteria(JSON.stringify(data, null, 2), 'converted-criteria.json', 'Converted Criteria', 'AI Converted');
+      bootstrap.Modal.getOrCreateInstance(modalEl).hide();
+      console.log('[App] Converted criteria accepted');
+    });
+  }
+
+  // Criteria being edited in the criteria editor (eva.json structure, all three stage texts present)
+  let criteriaEditorSections = [];
+
+  // Column labels of the stage texts in the criteria editor
+  const STAGE_LABELS = {
+    proposal_early_stage: 'Proposal / Early Stage',
+    mid_project: 'Mid-Project',
+    end_project: 'End-Project'
+  };
+
+  /**
+   * Bring criteria data into the shape the editor works on.
+   * Missing fields become empty strings so that incomplete files can be repaired in the editor.
+   * @param {Object} data - Parsed eva.json-style criteria
+   * @returns {Array<Object>} - Sections [{section_id, section_title, subsections: [{id, question, stages}]}]
+   */
+  function toEditorSections(data) {
+    const asText = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value) : '');
+    const sections = data && Array.isArray(data.data_management_plan) ? data.data_management_plan : [];
+
+    return sections.map(section => ({
+      section_id: asText(section && section.section_id),
+      section_title: asText(section && section.section_title),
+      subsections: (section && Array.isArray(section.subsections) ? section.subsections : []).map(sub => ({
+        id: asText(sub && sub.id),
+        question: asText(sub && sub.question),
+        stages: Object.fromEntries(window.CriteriaExtractor.STAGE_KEYS.map(key =>
+          [key, sub && sub.stages ? asText(sub.stages[key]) : '']))
+      }))
+    }));
+  }
+
+  /**
+   * Build the criteria file from the editor (empty stage texts are left out)
+   * @returns {Object} - eva.json-style criteria data
+   */
+  function getCriteriaEditorData() {
+    return {
+      data_management_plan: criteriaEditorSections.map(section => ({
+        section_id: section.section_id.trim(),
+        section_title: section.section_title,
+        subsections: section.subsections.map(sub => ({
+          id: sub.id.trim(),
+          question: sub.question,
+          stages: Object.fromEntries(Object.entries(sub.stages).filter(([, text]) => text.trim() !== ''))
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Create an empty criterion for the editor
+   * @param {string} id - Criterion ID
+   * @returns {Object} - {id, question, stages}
+   */
+  function newCriterion(id) {
+    return {
+      id: id,
+      question: '',
+      stages: Object.fromEntries(window.CriteriaExtractor.STAGE_KEYS.map(key => [key, '']))
+    };
+  }
+
+  /**
+   * Get the first criterion ID of a section that is not used anywhere
+   * @param {string} sectionId - Section number
+   * @returns {string} - e.g. "3d"
+   */
+  function nextCriterionId(sectionId) {
+    const used = new Set();
+    criteriaEditorSections.forEach(section => section.subsections.forEach(sub => used.add(sub.id.trim())));
+    for (let i = 0; i < 26; i++) {
+      const id = sectionId + String.fromCharCode(97 + i);
+      if (!used.has(id)) return id;
+    }
+    return sectionId;
+  }
+
+  /**
+   * Open the criteria editor with the loaded criteria file
+   */
+  async function openCriteriaEditor() {
+    const phase = document.getElementById('projectPhase').value;
+    const phaseLabel = document.getElementById('projectPhase').selectedOptions[0].textContent;
+    const message = document.getElementById('criteriaEditorMessage');
+    const file = state.criteriaFile;
+    let data = null;
+    let note;
+
+    const text = file ? await getLoadedFileText(file) : null;
+    if (!file) {
+      note = 'No criteria file is loaded. Add sections and criteria below.';
+    } else if (text === null) {
+      note = `${file.name} cannot be read in the browser. Add sections and criteria below.`;
+    } else if (window.CriteriaExtractor.parseJSONCriteria(text, phase)) {
+      data = JSON.parse(text);
+      note = `Editing ${file.name}. Changes are used once you click "Use These Criteria".`;
+    } else {
+      const criteria = window.CriteriaExtractor.extractCriteria(text, phase);
+      data = window.CriteriaExtractor.criteriaToData(criteria);
+      note = criteria.source === 'default'
+        ? `No criteria were found in ${file.name}; the editor starts from the generic default criteria for the ${phaseLabel} phase.`
+        : `${file.name} is not in the eva.json format. Its criteria for the ${phaseLabel} phase were converted; add the texts for the other phases as needed.`;
+    }
+
+    criteriaEditorSections = toEditorSections(data);
+    if (criteriaEditorSections.length === 0) {
+      criteriaEditorSections.push({ section_id: '1', section_title: '', subsections: [newCriterion('1a')] });
+    }
+
+    message.textContent = note;
+    renderCriteriaEditor();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('criteriaEditorModal')).show();
+  }
+
+  /**
+   * Get the edited value of a criteria editor field
+   * @param {DOMStringMap} target - Field dataset {section, sub, field, stage}
+   * @returns {string}
+   */
+  function getCriteriaEditorField(target) {
+    const section = criteriaEditorSections[target.section];
+    if (target.sub === undefined) return section[target.field];
+    const sub = section.subsections[target.sub];
+    return target.field === 'stage' ? sub.stages[target.stage] : sub[target.field];
+  }
+
+  /**
+   * Render the sections and criteria of the criteria editor
+   */
+  function renderCriteriaEditor() {
+    const container = document.getElementById('criteriaEditorSections');
+    const lastSection = criteriaEditorSections.length - 1;
+
+    // Up / down / remove buttons; data-section and data-sub say what they act on
+    const moveButtons = (target, index, last, label) => `
+      <div class="btn-group btn-group-sm flex-shrink-0">
+        <button type="button" class="btn btn-outline-secondary" data-action="up" ${target} ${index === 0 ? 'disabled' : ''} title="Move ${label} up">
+          <i class="fas fa-arrow-up"></i>
+        </button>
+        <button type="button" class="btn btn-outline-secondary" data-action="down" ${target} ${index === last ? 'disabled' : ''} title="Move ${label} down">
+          <i class="fas fa-arrow-down"></i>
+        </button>
+        <button type="button" class="btn btn-outline-danger" data-action="remove" ${target} title="Remove ${label}">
+          <i class="fas fa-trash-alt"></i>
+        </button>
+      </div>`;
+
+    container.innerHTML = criteriaEditorSections.map((section, i) => {
+      const sectionPath = `$.data_management_plan[${i}]`;
+      const lastSub = section.subsections.length - 1;
+
+      const subsections = section.subsections.map((sub, j) => {
+        const subPath = `${sectionPath}.subsections[${j}]`;
+        const target = `data-section="${i}" data-sub="${j}"`;
+        const stages = window.CriteriaExtractor.STAGE_KEYS.map(key => `
+          <div class="col-md-4">
+            <label class="form-label small text-muted mb-1">${STAGE_LABELS[key]}</label>
+            <textarea class="form-control form-control-sm" rows="4" ${target} data-field="stage" data-stage="${key}"
+                      data-path="${subPath}.stages.${key}"></textarea>
+          </div>`).join('');
+
+        return `
+          <div class="criteria-editor-criterion">
+            <div class="d-flex gap-2 mb-2">
+              <input type="text" class="form-control form-control-sm criteria-editor-id" ${target} data-field="id"
+                     data-path="${subPath}.id" placeholder="1a" aria-label="Criterion ID">
+              <input type="text" class="form-control form-control-sm" ${target} data-field="question"
+                     data-path="${subPath}.question" placeholder="Question" aria-label="Question">
+              ${moveButtons(target, j, lastSub, 'criterion')}
+            </div>
+            <div class="row g-2">${stages}</div>
+          </div>`;
+      }).join('');
+
+      return `
+        <div class="card mb-3">
+          <div class="card-header d-flex gap-2 align-items-center">
+            <input type="text" class="form-control form-control-sm criteria-editor-id" data-section="${i}" data-field="section_id"
+                   data-path="${sectionPath}.section_id" placeholder="1" aria-label="Section number">
+            <input type="text" class="form-control form-control-sm fw-semibold" data-section="${i}" data-field="section_title"
+                   data-path="${sectionPath}.section_title" placeholder="Section title" aria-label="Section title">
+            ${moveButtons(`data-section="${i}"`, i, lastSection, 'section')}
+          </div>
+          <div class="card-body">
+            ${subsections}
+            <button type="button" class="btn btn-outline-primary btn-sm" data-action="add-criterion" data-section="${i}">
+              <i class="fas fa-plus me-1"></i>Add Criterion
+            </button>
+          </div>
+        </div>`;
+    }).join('');
+
+    // Values are set as properties, so quotes in the texts need no escaping
+    container.querySelectorAll('[data-field]').forEach(el => {
+      el.value = getCriteriaEditorField(el.dataset);
+    });
+    validateCriteriaEditor();
+  }
+
+  /**
+   * Validate the edited criteria, mark the fields with problems and show the summary
+   * @returns {Object|null} - Criteria data if valid, otherwise null
+   */
+  function validateCriteriaEditor() {
+    const data = getCriteriaEditorData();
+    const errors = window.CriteriaExtractor.validateCriteriaData(data).errors;
+    const summary = document.getElementById('criteriaEditorSummary');
+
+    const container = document.getElementById('criteriaEditorSections');
+    container.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+    errors.forEach(error => {
+      const path = error.substring(0, error.indexOf(':'));
+      container.querySelectorAll('[data-field]').forEach(el => {
+        if (el.dataset.path === path || el.dataset.path.startsWith(path + '.')) {
+          el.classList.add('is-invalid');
+        }
+      });
+    });
+
+    // Number of criteria that apply to each phase
+    const sections = data.data_management_plan;
+    const criteria = sections.reduce((all, section) => all.concat(section.subsections), []);
+    const perPhase = window.CriteriaExtractor.STAGE_KEYS
+      .map(key => `${STAGE_LABELS[key]}: ${criteria.filter(sub => sub.stages[key]).length}`)
+      .join(', ');
+
+    if (errors.length === 0) {
+      summary.innerHTML = `<i class="fas fa-check-circle text-success me-1"></i>${sections.length} sections, ${criteria.length} criteria (${perPhase})`;
+    } else {
+      summary.innerHTML = `<i class="fas fa-exclamation-triangle text-warning me-1"></i>${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+    }
+    document.getElementById('criteriaEditorErrors').innerHTML = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+    document.getElementById('useCriteriaEditorBtn').disabled = errors.length > 0;
+    document.getElementById('downloadCriteriaEditorBtn').disabled = errors.length > 0;
+    return errors.length === 0 ? data : null;
+  }
+
+  /**
+   * Setup criteria editor listeners
+   */
+  function setupCriteriaEditorListeners() {
+    const modalEl = document.getElementById('criteriaEditorModal');
+    if (!modalEl) return;
+
+    const container = document.getElementById('criteriaEditorSections');
+
+    document.getElementById('editCriteriaBtn').addEventListener('click', () => {
+      openCriteriaEditor().catch(error => {
+        console.error('[App] Could not open criteria editor:', error);
+        alert(`Could not open the criteria editor: ${error.message}`);
+      });
+    });
+
+    // Typing updates the edited criteria without re-rendering, so the focus stays in the field
+    let validateTimer = null;
+    container.addEventListener('input', (e) => {
+      const field = e.target.dataset.field;
+      if (!field) return;
+
+      const section = criteriaEditorSections[e.target.dataset.section];
+      if (e.target.dataset.sub === undefined) {
+        section[field] = e.target.value;
+      } else if (field === 'stage') {
+        section.subsections[e.target.dataset.sub].stages[e.target.dataset.stage] = e.target.value;
+      } else {
+        section.subsections[e.target.dataset.sub][field] = e.target.value;
+      }
+
+      clearTimeout(validateTimer);
+      validateTimer = setTimeout(validateCriteriaEditor, 300);
+    });
+
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+
+      const i = parseInt(btn.dataset.section, 10);
+      const section = criteriaEditorSections[i];
+      const isCriterion = btn.dataset.sub !== undefined;
+      const list = isCriterion ? section.subsections : criteriaEditorSections;
+      const index = isCriterion ? parseInt(btn.dataset.sub, 10) : i;
+
+      switch (btn.dataset.action) {
+        case 'up':
+        case 'down': {
+          const other = btn.dataset.action === 'up' ? index - 1 : index + 1;
+          [list[index], list[other]] = [list[other], list[index]];
+          break;
+        }
+        case 'remove':
+          if (!isCriterion && section.subsections.length > 0 &&
+              !confirm(`Remove section "${section.section_title || section.section_id}" and its ${section.subsections.length} criteria?`)) {
+            return;
+          }
+          list.splice(index, 1);
+          break;
+        case 'add-criterion':
+          section.subsections.push(newCriterion(nextCriterionId(section.section_id.trim())));
+          break;
+        default:
+          return;
+      }
+      renderCriteriaEditor();
+    });
+
+    document.getElementById('addCriteriaSectionBtn').addEventListener('click', () => {
+      const sectionId = String(criteriaEditorSections.reduce((max, section) =>
+        Math.max(max, parseInt(section.section_id, 10) || 0), 0) + 1);
+      criteriaEditorSections.push({ section_id: sectionId, section_title: '', subsections: [newCriterion(sectionId + 'a')] });
+      renderCriteriaEditor();
+      container.lastElementChild.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    document.getElementById('renumberCriteriaBtn').addEventListener('click', () => {
+      criteriaEditorSections.forEach((section, i) => {
+        section.section_id = String(i + 1);
+        section.subsections.forEach((sub, j) => {
+          sub.id = `${i + 1}${String.fromCharCode(97 + j)}`;
+        });
+      });
+      renderCriteriaEditor();
+    });
+
+    document.getElementById('downloadCriteriaEditorBtn').addEventListener('click', () => {
+      const data = validateCriteriaEditor();
+      if (data) {
+        window.ExportService.downloadJSON(data, 'dmp-criteria');
+      }
+    });
+
+    document.getElementById('useCriteriaEditorBtn').addEventListener('click', () => {
+      const data = validateCriteriaEditor();
+      if (!data) return;
+      usePastedCriteria(JSON.stringify(data, null, 2), 'edited-criteria.json', 'Edited Criteria', 'Edited');
+      bootstrap.Modal.getOrCreateInstance(modalEl).hide();
+      console.log('[App] Edited criteria used for the next evaluation');
+    });
+  }
+
+  /**
+   * Setup evaluation listeners
+   */
+  function setupEvaluationListeners() {
+    const evaluateBtn = document.getElementById('evaluateBtn');
+    evaluateBtn.addEventListener('click', startEvaluation);
+
+    const batchBtn = document.getElementById('batchEvaluateBtn');
+    if (batchBtn) {
+      batchBtn.addEventListener('click', startBatchEvaluation);
+    }
+
+    const cancelBtn = document.getElementById('cancelEvaluationBtn');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', cancelEvaluation);
+    }
+  }
+
+  /**
+   * Cancel the running evaluation or batch.
+   * Aborts the in-flight request, the stream reader and any pending retries.
+   */
+  function cancelEvaluation() {
+    if (!state.isEvaluating || !state.abortController) return;
+
+    console.log('[App] Cancelling evaluation');
+    state.abortController.abort();
+    updateStatusMessage('Cancelling...');
+  }
+
+  /**
+   * Setup export and load listeners
+   */
+  function setupExportListeners() {
+    // Load JSON from header menu
+    const loadMenuItem = document.getElementById('loadResultsMenuItem');
+    const loadInput = document.getElementById('loadJsonInput');
+
+    if (!loadMenuItem || !loadInput) {
+      console.warn('[App] Load menu item or input not found');
+      return;
+    }
+
+    loadMenuItem.addEventListener('click', (e) => {
+      e.preventDefault();
+      loadInput.click();
+    });
+
+    // Clear results menu item
+    const clearMenuItem = document.getElementById('clearResultsMenuItem');
+    if (clearMenuItem) {
+      clearMenuItem.addEventListener('click', (e) => {
+        e.preventDefault();
+        clearResultsCache();
+      });
+    }
+
+    loadInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        try {
+          const data = JSON.parse(event.target.result);
+          loadEvaluationResults(data);
+        } catch (err) {
+          console.error('[App] Failed to parse JSON:', err);
+          showError('Failed to parse JSON file: ' + err.message);
+        }
+      };
+      reader.readAsText(file);
+      // Reset input so same file can be loaded again
+      loadInput.value = '';
+    });
+
+    // Reasoning traces are left out of exports unless the reviewer asks for them
+    const reasoningToggle = document.getElementById('exportReasoningToggle');
+    reasoningToggle.checked = localStorage.getItem('exportIncludeReasoning') === 'true';
+    reasoningToggle.addEventListener('change', () => {
+      localStorage.setItem('exportIncludeReasoning', reasoningToggle.checked);
+    });
+
+    document.getElementById('exportJsonBtn').addEventListener('click', () => {
+      if (state.evaluationResults) {
+        window.ExportService.exportAsJSON(state.evaluationResults, null, { includeReasoning: reasoningToggle.checked });
+      }
+    });
+
+    document.getElementById('exportMarkdownBtn').addEventListener('click', () => {
+      if (state.evaluationResults) {
+        window.ExportService.exportAsMarkdown(state.evaluationResults, null, { includeReasoning: reasoningToggle.checked });
+      }
+    });
+  }
+
+  /**
+   * Load evaluation results from exported JSON
+   */
+  function loadEvaluationResults(data) {
+    console.log('[App] Loading evaluation results:', data);
+
+    // Handle both full export format and results-only format
+    const results = data.results || data;
+
+    if (!results.overallScore && !results.categories && !results.sentenceEvaluations) {
+      showError('Invalid evaluation JSON format - missing required fields');
+      return;
+    }
+
+    // Store in state
+    state.evaluationResults = data;
+
+    // Display results
+    displayResults(results, data.metadata);
+
+    // Show success status
+    showStatus('complete');
+
+    console.log('[App] Successfully loaded evaluation from file');
+  }
+
+  /**
+   * Setup profile bundle (import/export) dialog listeners
+   */
+  function setupProfileBundleListeners() {
+    const modalEl = document.getElementById('profileBundleModal');
+    if (!modalEl) return;
+
+    const modal = new bootstrap.Modal(modalEl);
+    const list = document.getElementById('exportProfilesList');
+    const includeKeys = document.getElementById('exportIncludeKeys');
+    const fileInput = document.getElementById('importProfilesInput');
+    const resultEl = document.getElementById('importProfilesResult');
+
+    document.getElementById('profileBundleMenuItem').addEventListener('click', (e) => {
+      e.preventDefault();
+      list.innerHTML = '';
+      const profiles = window.APIConfig.getAllProfiles();
+      const customIds = Object.keys(profiles).filter(id => window.APIConfig.isCustomProfile(id));
+      if (customIds.length === 0) {
+        list.innerHTML = '<p class="text-muted small mb-0">No custom profiles yet - add one in API Config.</p>';
+      }
+      customIds.forEach(id => {
+        const item = document.createElement('div');
+        item.className = 'form-check';
+        item.innerHTML = `
+          <input class="form-check-input" type="checkbox" value="${escapeHtml(id)}" id="exportProfile-${escapeHtml(id)}" checked>
+          <label class="form-check-label" for="exportProfile-${escapeHtml(id)}">
+            ${escapeHtml(profiles[id].name)} <small class="text-muted">(${escapeHtml(id)})</small>
+          </label>`;
+        list.appendChild(item);
+      });
+      document.getElementById('exportProfilesBtn').disabled = customIds.length === 0;
+      includeKeys.checked = false;
+      resultEl.innerHTML = '';
+      modal.show();
+    });
+
+    document.getElementById('exportProfilesBtn').addEventListener('click', () => {
+      const ids = Array.from(list.querySelectorAll('input:checked')).map(input => input.value);
+      if (ids.length === 0) {
+        alert('Select at least one profile to export.');
+        return;
+      }
+
+      const bundle = window.APIConfig.exportProfiles(ids);
+      if (includeKeys.checked) {
+        if (window.KeyVault.isLocked() && ids.some(id => window.KeyVault.hasKey(id))) {
+          alert('Unlock the API key vault first to include saved keys.');
+          return;
+        }
+        const apiKeys = {};
+        ids.forEach(id => {
+          const apiKey = window.KeyVault.getKey(id);
+          if (apiKey) apiKeys[id] = apiKey;
+        });
+        bundle.apiKeys = apiKeys;
+      }
+      window.ExportService.downloadJSON(bundle, 'dmp-api-profiles');
+    });
+
+    document.getElementById('importProfilesBtn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = async (event) => {
+        resultEl.innerHTML = '';
+        let bundle;
+        try {
+          bundle = JSON.parse(event.target.result);
+        } catch (error) {
+          resultEl.innerHTML = `<div class="text-danger">Not a JSON file: ${escapeHtml(error.message)}</div>`;
+          return;
+        }
+
+        const check = window.APIConfig.validateProfileBundle(bundle);
+        if (!check.valid) {
+          resultEl.innerHTML = '<div class="text-danger">The file was not imported:</div><ul class="text-danger mb-0">' +
+            check.errors.map(error => `<li><code>${escapeHtml(error)}</code></li>`).join('') + '</ul>';
+          return;
+        }
+
+        const results = window.APIConfig.importProfiles(bundle, document.getElementById('importConflictMode').value);
+
+        // Keys are only taken over when the user agrees
+        const keyed = results.filter(r => r.action !== 'skipped' && bundle.apiKeys && bundle.apiKeys[r.sourceId]);
+        if (keyed.length > 0 && confirm(`The file contains API keys for ${keyed.length} profile(s). Save them in this browser?`)) {
+          for (const r of keyed) {
+            await window.KeyVault.setKey(r.id, bundle.apiKeys[r.sourceId]);
+          }
+        }
+
+        const labels = {
+          added: 'added',
+          renamed: 'added as',
+          replaced: 'replaced',
+          skipped: 'skipped (ID exists)'
+        };
+        resultEl.innerHTML = '<ul class="mb-0">' + results.map(r =>
+          `<li><code>${escapeHtml(r.sourceId)}</code> ${labels[r.action]}${r.action === 'renamed' ? ` <code>${escapeHtml(r.id)}</code>` : ''}</li>`
+        ).join('') + '</ul>';
+        updateAPIKeyField();
+        updateEvaluateButtonState();
+      };
+      reader.readAsText(file);
+      fileInput.value = '';
+    });
+  }
+
+  /**
+   * Update evaluate button state
+   */
+  function updateEvaluateButtonState() {
+    const evaluateBtn = document.getElementById('evaluateBtn');
+    const testMode = localStorage.getItem('llmTestMode') === 'true';
+    const activeProfile = window.APIConfig.getActiveProfile();
+    const needsAPIKey = activeProfile.requiresAPIKey !== false;
+    const hasAPIKey = window.KeyVault.hasKey(window.APIConfig.getActiveProfileId());
+
+    // Can evaluate if: files uploaded AND (test mode OR keyless profile OR has API key, possibly still locked)
+    const canEvaluate = state.criteriaFile && state.dmpFile &&
+      (testMode || !needsAPIKey || hasAPIKey);
+
+    evaluateBtn.disabled = !canEvaluate;
+
+    const batchBtn = document.getElementById('batchEvaluateBtn');
+    if (batchBtn) {
+      batchBtn.disabled = !canEvaluate;
+    }
+  }
+
+  /**
+   * Update API key field visibility based on active profile
+   */
+  function updateAPIKeyVisibility() {
+    const activeProfile = window.APIConfig.getActiveProfile();
+    const needsAPIKey = activeProfile.requiresAPIKey !== false;
+
+    // Get the API key section by ID
+    const apiKeySection = document.getElementById('apiKeySection');
+
+    // Show/hide based on profile requirement
+    if (apiKeySection) {
+      apiKeySection.style.display = needsAPIKey ? 'block' : 'none';
+    }
+
+    updateAPIKeyField();
+  }
+
+  /**
+   * Show the active profile's key and the key vault state in the API key field
+   */
+  function updateAPIKeyField() {
+    const apiKeyInput = document.getElementById('togetherAPIKey');
+    const statusText = document.getElementById('keyVaultStatus');
+    const vaultBtn = document.getElementById('keyVaultBtn');
+    if (!apiKeyInput) return;
+
+    const profileId = window.APIConfig.getActiveProfileId();
+    const status = window.KeyVault.getStatus();
+    const lockedKey = status.locked && window.KeyVault.hasKey(profileId) && !window.KeyVault.getKey(profileId);
+
+    apiKeyInput.value = window.KeyVault.getKey(profileId) || '';
+    apiKeyInput.disabled = lockedKey;
+    apiKeyInput.placeholder = lockedKey ? 'Saved key is locked - click the lock to unlock' : 'Enter your API key';
+
+    if (vaultBtn) {
+      vaultBtn.innerHTML = status.exists && status.locked
+        ? '<i class="fas fa-lock"></i>'
+        : '<i class="fas fa-lock-open"></i>';
+    }
+    if (statusText) {
+      if (!status.exists) {
+        statusText.textContent = 'Not saved - set a vault passphrase to keep keys (encrypted) in this browser';
+      } else if (status.locked) {
+        statusText.textContent = 'Key vault locked - unlock it once per session to use saved keys';
+      } else {
+        statusText.textContent = 'Saved encrypted in this browser, one key per API profile';
+      }
+    }
+  }
+
+  /**
+   * Ask for the vault passphrase if a locked key is needed to evaluate
+   * @param {Array<string>} profileIds - Profiles the evaluation will call
+   * @returns {Promise<boolean>} - false if the user closed the dialog without unlocking
+   */
+  function ensureVaultUnlocked(profileIds) {
+    const needsUnlock = window.KeyVault.isLocked() && profileIds.some(profileId => {
+      const profile = window.APIConfig.getProfile(profileId);
+      return profile && profile.requiresAPIKey !== false &&
+        window.KeyVault.hasKey(profileId) && !window.KeyVault.getKey(profileId);
+    });
+    // Test mode and replayed fixtures send nothing to the API
+    if (!needsUnlock || localStorage.getItem('llmTestMode') === 'true' || window.LLMFixtures.getMode() === 'replay') {
+      return Promise.resolve(true);
+    }
+
+    const modalEl = document.getElementById('keyVaultModal');
+    return new Promise(resolve => {
+      modalEl.addEventListener('hidden.bs.modal', () => resolve(!window.KeyVault.isLocked()), { once: true });
+      openKeyVaultModal();
+    });
+  }
+
+  /**
+   * Get the profiles an evaluation with the current settings will call
+   * @returns {Array<string>} - Profile IDs
+   */
+  function getEvaluationProfileIds() {
+    const ensemble = getActiveEnsemble();
+    return ensemble
+      ? ensemble.members.map(member => member.profileId)
+      : [window.APIConfig.getActiveProfileId(), ...getActiveFailover()];
+  }
+
+  /**
+   * Show the key vault dialog in its create, unlock or settings state
+   * @param {boolean} legacyNotice - Explain that a plain-text key of an earlier version was moved to this session
+   */
+  function openKeyVaultModal(legacyNotice = false) {
+    const modalEl = document.getElementById('keyVaultModal');
+    if (!modalEl) return;
+
+    const status = window.KeyVault.getStatus();
+    document.getElementById('keyVaultLegacyNotice').classList.toggle('d-none', legacyNotice !== true);
+    document.getElementById('keyVaultCreateSection').style.display = status.exists ? 'none' : 'block';
+    document.getElementById('keyVaultUnlockSection').style.display = status.exists && status.locked ? 'block' : 'none';
+    document.getElementById('keyVaultUnlockedSection').style.display = status.exists && !status.locked ? 'block' : 'none';
+    document.getElementById('keyVaultStoredCount').textContent = status.storedKeys;
+    document.getElementById('keyVaultAutoLock').value = String(status.autoLockMinutes);
+    document.getElementById('keyVaultError').textContent = '';
+    ['keyVaultNewPassphrase', 'keyVaultConfirmPassphrase', 'keyVaultPassphrase'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+
+    bootstrap.Modal.getOrCreateInstance(modalEl).show();
+  }
+
+  /**
+   * Setup key vault dialog listeners
+   */
+  function setupKeyVaultListeners() {
+    const modalEl = document.getElementById('keyVaultModal');
+    if (!modalEl) return;
+
+    const errorText = document.getElementById('keyVaultError');
+    const modal = bootstrap.Modal.getOrCreateInstance(modalEl);
+
+    document.getElementById('keyVaultBtn').addEventListener('click', openKeyVaultModal);
+    document.getElementById('keyVaultMenuItem').addEventListener('click', (e) => {
+      e.preventDefault();
+      openKeyVaultModal();
+    });
+
+    modalEl.addEventListener('shown.bs.modal', () => {
+      const input = ['keyVaultNewPassphrase', 'keyVaultPassphrase']
+        .map(id => document.getElementById(id))
+        .find(el => el.offsetParent !== null);
+      if (input) input.focus();
+    });
+
+    // Derivation takes a moment - disable the button meanwhile
+    const runWithButton = async (button, action) => {
+      errorText.textContent = '';
+      button.disabled = true;
+      try {
+        await action();
+        modal.hide();
+      } catch (error) {
+        errorText.textContent = error.message;
+      } finally {
+        button.disabled = false;
+      }
+    };
+
+    const createBtn = document.getElementById('createKeyVaultBtn');
+    createBtn.addEventListener('click', () => runWithButton(createBtn, async () => {
+      const passphrase = document.getElementById('keyVaultNewPassphrase').value;
+      if (passphrase !== document.getElementById('keyVaultConfirmPassphrase').value) {
+        throw new Error('The passphrases do not match');
+      }
+      await window.KeyVault.create(passphrase, window.APIConfig.getActiveProfileId());
+    }));
+
+    const unlockBtn = document.getElementById('unlockKeyVaultBtn');
+    unlockBtn.addEventListener('click', () => runWithButton(unlockBtn, async () => {
+      const unreadable = await window.KeyVault.unlock(document.getElementById('keyVaultPassphrase').value);
+      if (unreadable.length > 0) {
+        alert(`The saved API key of ${unreadable.join(', ')} could not be decrypted and was skipped. Please enter it again.`);
+      }
+    }));
+    document.getElementById('keyVaultPassphrase').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') unlockBtn.click();
+    });
+
+    document.getElementById('lockKeyVaultBtn').addEventListener('click', () => {
+      window.KeyVault.lock();
+      modal.hide();
+    });
+
+    document.getElementById('keyVaultAutoLock').addEventListener('change', (e) => {
+      window.KeyVault.setAutoLockMinutes(parseInt(e.target.value, 10));
+    });
+
+    document.getElementById('forgetKeysBtn').addEventListener('click', () => {
+      if (confirm('Delete the key vault and all saved API keys from this browser?')) {
+        window.KeyVault.forgetAll();
+        modal.hide();
+      }
+    });
+
+    window.KeyVault.onChange(() => {
+      updateAPIKeyField();
+      updateEvaluateButtonState();
+    });
+  }
+
+  /**
+   * Show the active profile's model in the picker and offer its known models.
+   * Suggestions come from the endpoint's model listing once loaded, otherwise from SUGGESTED_MODELS.
+   */
+  function updateModelPicker() {
+    const profileId = window.APIConfig.getActiveProfileId();
+    const modelInput = document.getElementById('modelInput');
+    const datalist = document.getElementById('modelOptions');
+    const info = document.getElementById('modelInfo');
+    const refreshBtn = document.getElementById('refreshModelsBtn');
+    if (!modelInput) return;
+
+    const model = window.LLMService.getSelectedModel(profileId);
+    const listed = state.modelLists[profileId];
+    const models = listed || (SUGGESTED_MODELS[profileId] || []).map(id => ({ id, name: '', contextLength: null }));
+
+    modelInput.value = model;
+    datalist.innerHTML = '';
+    models.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      const details = [entry.name, entry.contextLength ? `${formatContextLength(entry.contextLength)} context` : '']
+        .filter(Boolean);
+      option.textContent = details.join(' - ');
+      datalist.appendChild(option);
+    });
+
+    const profile = window.APIConfig.getActiveProfile();
+    refreshBtn.disabled = !window.APIConfig.generateModelsFetchConfig(profile, '');
+
+    const current = models.find(entry => entry.id === model);
+    if (current && current.contextLength) {
+      info.textContent = `Context length: ${current.contextLength.toLocaleString('en-US')} tokens`;
+    } else if (listed && !current) {
+      info.textContent = `Not in the endpoint's list of ${listed.length} models`;
+    } else if (listed) {
+      info.textContent = `${listed.length} models available`;
+    } else {
+      info.textContent = model === profile.defaultModel ? 'Default model of this profile' : '';
+    }
+  }
+
+  /**
+   * Format one model's score in an ensemble result
+   * @param {number|null} score - Score, or null if the model did not score the paragraph or category
+   * @returns {string}
+   */
+  function formatModelScore(score) {
+    return score === null ? '–' : String(score);
+  }
+
+  /**
+   * Format a context length for the picker, e.g. 131072 -> "128K"
+   * @param {number} tokens - Context length in tokens
+   * @returns {string}
+   */
+  function formatContextLength(tokens) {
+    return tokens >= 1024 ? `${Math.round(tokens / 1024)}K` : String(tokens);
+  }
+
+  /**
+   * Load the active profile's model list from its endpoint
+   */
+  async function loadModelList() {
+    const profileId = window.APIConfig.getActiveProfileId();
+    const info = document.getElementById('modelInfo');
+    const refreshBtn = document.getElementById('refreshModelsBtn');
+    if (refreshBtn.disabled) return;
+
+    refreshBtn.disabled = true;
+    info.textContent = 'Loading models...';
+    try {
+      state.modelLists[profileId] = await window.LLMService.listModels(profileId);
+      if (window.APIConfig.getActiveProfileId() === profileId) {
+        updateModelPicker();
+      }
+    } catch (error) {
+      console.warn('[App] Could not load models:', error);
+      // Keep the suggestions; remember the failure so focusing the picker does not retry
+      if (!(profileId in state.modelLists)) {
+        state.modelLists[profileId] = null;
+      }
+      info.textContent = `Could not load models: ${error.message}`;
+    } finally {
+      refreshBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Start evaluation process
+   */
+  async function startEvaluation() {
+    if (state.isEvaluating) {
+      console.warn('[App] Evaluation already in progress');
+      return;
+    }
+
+    if (!await ensureVaultUnlocked(getEvaluationProfileIds())) {
+      return;
+    }
+
+    state.isEvaluating = true;
+    state.abortController = new AbortController();
+    window.KeyVault.setAutoLockPaused(true);
+
+    // Get project phase
+    const phase = document.getElementById('projectPhase').value;
+
+    // Update UI to show processing
+    showStatus('processing');
+    hideResults();
+    clearStreamingDisplay();
+
+    try {
+      // Run evaluation
+      const runEvaluation = (allowDefaultCriteria) => window.Evaluator.evaluate(
+        state.criteriaFile,
+        state.dmpFile,
+        phase,
+        (message) => updateStatusMessage(message),
+        { signal: state.abortController.signal, ensemble: getActiveEnsemble(),
+          failover: getActiveFailover(), runs: getSelfConsistencyRuns(), feedbackLanguage: getFeedbackLanguage(),
+          allowDefaultCriteria: allowDefaultCriteria }
+      );
+      let result = await runEvaluation(false);
+      if (result.errorCode === 'DEFAULT_CRITERIA' && confirmDefaultCriteria(result)) {
+        result = await runEvaluation(true);
+      }
+
+      // Failed and cancelled evaluations report the tokens they spent too
+      window.UsageTracker.recordEvaluation(result.metadata.usage);
+
+      if (result.success) {
+        // Store results
+        state.evaluationResults = result;
+
+        // Cache in localStorage
+        try {
+          localStorage.setItem('dmpEvaluationCache', JSON.stringify(result));
+          console.log('[App] Results cached to localStorage');
+        } catch (e) {
+          console.warn('[App] Failed to cache results:', e);
+        }
+
+        // Display results
+        displayResults(result.results, result.metadata);
+
+        // Show success status
+        showStatus('complete');
+      } else if (result.cancelled) {
+        finishLiveResults();
+        showStatus('cancelled');
+      } else {
+        // Show error
+        finishLiveResults();
+        showStatus('error', result.error);
+      }
+
+    } catch (error) {
+      console.error('[App] Evaluation error:', error);
+      finishLiveResults();
+      showStatus('error', error.message);
+    } finally {
+      state.isEvaluating = false;
+      state.abortController = null;
+      window.KeyVault.setAutoLockPaused(false);
+    }
+  }
+
+  /**
+   * Start batch evaluation across all phases
+   */
+  async function startBatchEvaluation() {
+    if (state.isEvaluating) {
+      console.warn('[App] Batch evaluation already in progress');
+      return;
+    }
+
+    const phases = [
+      { value: 'proposal_early_stage', label: 'Early Stage' },
+      { value: 'mid_project', label: 'Mid-Project' },
+      { value: 'end_project', label: 'End-Project' }
+    ];
+
+    if (!await ensureVaultUnlocked(getEvaluationProfileIds())) {
+      return;
+    }
+
+    const batchResults = [];
+    let cancelled = false;
+    let allowDefaultCriteria = false;
+    let defaultCriteriaDeclined = false;
+    state.isEvaluating = true;
+    state.abortController = new AbortController();
+    window.KeyVault.setAutoLockPaused(true);
+    showStatus('processing');
+    hideResults();
+    clearStreamingDisplay();
+
+    for (const phaseInfo of phases) {
+      // Live paragraphs and their count start over for each phase
+      clearLiveResults();
+      updateStatusMessage({ type: 'status', content: `Evaluating for ${phaseInfo.label}...` });
+      try {
+        const runEvaluation = () => window.Evaluator.evaluate(
+          state.criteriaFile,
+          state.dmpFile,
+          phaseInfo.value,
+          (message) => updateStatusMessage(message),
+          { signal: state.abortController.signal, ensemble: getActiveEnsemble(),
+            failover: getActiveFailover(), runs: getSelfConsistencyRuns(), feedbackLanguage: getFeedbackLanguage(),
+            allowDefaultCriteria: allowDefaultCriteria }
+        );
+        let result = await runEvaluation();
+        // Asked once per batch; the answer applies to the remaining phases
+        if (result.errorCode === 'DEFAULT_CRITERIA' && !defaultCriteriaDeclined) {
+          allowDefaultCriteria = confirmDefaultCriteria(result);
+          defaultCriteriaDeclined = !allowDefaultCriteria;
+          if (allowDefaultCriteria) {
+            result = await runEvaluation();
+          }
+        }
+        window.UsageTracker.recordEvaluation(result.metadata.usage);
+        if (result.cancelled) {
+          cancelled = true;
+          break;
+        }
+        const { usage = null, cache = null } = result.metadata;
+        if (result.success) {
+          batchResults.push({ phase: phaseInfo.label, result, usage, cache });
+        } else {
+          batchResults.push({ phase: phaseInfo.label, error: result.error, usage, cache });
+        }
+      } catch (error) {
+        console.error(`[App] Batch evaluation error for ${phaseInfo.label}:`, error);
+        batchResults.push({ phase: phaseInfo.label, error: error.message });
+      }
+    }
+
+    state.isEvaluating = false;
+    state.abortController = null;
+    window.KeyVault.setAutoLockPaused(false);
+
+    // Cancelled before any phase finished - nothing to show
+    if (cancelled && batchResults.length === 0) {
+      finishLiveResults();
+      showStatus('cancelled');
+      return;
+    }
+
+    // Store first successful result as primary
+    const firstSuccess = batchResults.find(r => r.result);
+    if (firstSuccess) {
+      state.evaluationResults = firstSuccess.result;
+      try {
+        localStorage.setItem('dmpEvaluationCache', JSON.stringify(firstSuccess.result));
+      } catch (e) {}
+    }
+
+    // Display batch comparison (phases finished before a cancel are kept)
+    displayBatchResults(batchResults);
+    showStatus(cancelled ? 'cancelled' : 'complete');
+  }
+
+  /**
+   * Display batch evaluation comparison
+   */
+  function displayBatchResults(batchResults) {
+    clearLiveResults();
+    const resultsCard = document.getElementById('resultsCard');
+    resultsCard.style.display = 'block';
+    resultsCard.classList.add('fade-in');
+
+    // Header badges cover the whole batch
+    const cacheTotals = batchResults.filter(b => b.cache).reduce((sum, b) => ({
+      requests: sum.requests + b.cache.requests,
+      hits: sum.hits + b.cache.hits
+    }), { requests: 0, hits: 0 });
+    const totalUsage = sumUsage(batchResults.map(b => b.usage));
+    updateCacheHitBadge(cacheTotals);
+    updateUsageBadge(totalUsage);
+
+    // Build comparison table
+    let html = `<div class="mb-4"><h5 class="mb-3"><i class="fas fa-layer-group me-2"></i>Batch Evaluation Comparison</h5>`;
+    html += `<div class="table-responsive"><table class="table table-sm table-bordered">`;
+    html += `<thead class="table-light"><tr><th>Criterion</th>`;
+    batchResults.forEach(b => {
+      html += `<th>${b.phase}${b.error ? ' <span class="text-danger">(ERR)</span>' : ''}</th>`;
+    });
+    html += `</tr></thead><tbody>`;
+
+    // Get all unique criterion IDs from first successful result
+    const firstSuccess = batchResults.find(b => b.result);
+    if (firstSuccess) {
+      const categories = firstSuccess.result.results.categories;
+      categories.forEach(cat => {
+        html += `<tr><td><strong>${cat.id}</strong> ${cat.name}</td>`;
+        batchResults.forEach(b => {
+          if (b.error) {
+            html += `<td class="text-muted">—</td>`;
+          } else {
+            const match = b.result.results.categories.find(c => c.id === cat.id);
+            const score = match ? match.score : 0;
+            const badgeClass = score >= 90 ? 'bg-success' : score >= 75 ? 'bg-info' : score >= 60 ? 'bg-warning' : 'bg-danger';
+            html += `<td><span class="badge ${badgeClass}">${score}</span></td>`;
+          }
+        });
+        html += `</tr>`;
+      });
+
+      // Overall row
+      html += `<tr class="table-primary"><td><strong>Overall</strong></td>`;
+      batchResults.forEach(b => {
+        if (b.error) {
+          html += `<td class="text-danger">Error</td>`;
+        } else {
+          html += `<td><strong>${b.result.results.overallScore}%</strong></td>`;
+        }
+      });
+      html += `</tr>`;
+    }
+
+    // Tokens and cost per phase, failed ones included (they were paid for too)
+    if (totalUsage) {
+      html += `<tr class="small text-muted"><td>Usage</td>`;
+      batchResults.forEach(b => {
+        html += `<td>${b.usage ? formatUsage(b.usage) : '—'}</td>`;
+      });
+      html += `</tr>`;
+    }
+
+    html += `</tbody></table></div>`;
+    if (totalUsage) {
+      html += `<p class="small text-muted mb-0"><i class="fas fa-coins me-1"></i>Batch total: ${formatUsage(totalUsage)}</p>`;
+    }
+    html += `</div>`;
+
+    // Also show detailed results for the first successful evaluation
+    if (firstSuccess) {
+      html += `<hr class="my-4"><h5 class="mb-3">Detailed Results — ${firstSuccess.phase}</h5>`;
+      updateOverallScore(firstSuccess.result.results.overallScore, firstSuccess.result.results.stability);
+      updateScoresTable(firstSuccess.result.results.categories);
+      updateEnsembleReport(firstSuccess.result.results);
+      updateSentenceFeedback(firstSuccess.result.results.sentenceEvaluations, firstSuccess.result.results.originalDMPText);
+    }
+
+    // Reasoning of every phase, not just the detailed one, labelled by phase
+    updateReasoningReport(batchResults.filter(b => b.result).flatMap(b =>
+      (b.result.results.reasoning || []).map(trace => ({
+        label: trace.label ? `${b.phase} · ${trace.label}` : b.phase,
+        text: trace.text
+      }))
+    ));
+
+    // Inject comparison HTML before the standard results content
+    const container = document.getElementById('resultsCard');
+    const existing = container.querySelector('.batch-comparison');
+    if (existing) existing.remove();
+    const wrapper = document.createElement('div');
+    wrapper.className = 'batch-comparison';
+    wrapper.innerHTML = html;
+    container.insertBefore(wrapper, container.firstChild);
+
+    setTimeout(() => {
+      resultsCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 300);
+  }
+
+  /**
+   * Display evaluation results
+   */
+  function displayResults(results, metadata = null) {
+    console.log('[App] Displaying results:', results);
+
+    // Show results card (replacing any live partial results)
+    clearLiveResults();
+    const resultsCard = document.getElementById('resultsCard');
+    resultsCard.style.display = 'block';
+    resultsCard.classList.add('fade-in');
+
+    // Mark results that were (partly) served from the response cache
+    updateCacheHitBadge(metadata && metadata.cache);
+    updateUsageBadge(metadata && metadata.usage);
+
+    // Update overall score (now calculated from sentences)
+    updateOverallScore(results.overallScore, results.stability);
+
+    // Update simplified scores table
+    updateScoresTable(results.categories);
+
+    // Per-model scores and disagreements (ensemble evaluations only)
+    updateEnsembleReport(results);
+
+    // Reasoning traces (reasoning models only)
+    updateReasoningReport(results.reasoning);
+
+    // Update sentence-level feedback
+    updateSentenceFeedback(results.sentenceEvaluations, results.originalDMPText);
+
+    // Scroll to results
+    setTimeout(() => {
+      resultsCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 300);
+  }
+
+  /**
+   * Update overall score display
+   */
+  function updateOverallScore(score, stability = null) {
+    const scoreBar = document.getElementById('overallScoreBar');
+    const scoreText = document.getElementById('overallScoreText');
+    const stabilityText = document.getElementById('overallScoreStability');
+
+    scoreBar.style.width = score + '%';
+    scoreBar.setAttribute('aria-valuenow', score);
+    scoreText.textContent = score + '%';
+
+    // Update color based on score
+    const colorClass = window.Evaluator.getProgressBarClass(score);
+    scoreBar.className = 'progress-bar ' + colorClass;
+
+    // Run-to-run spread (self-consistency evaluations only)
+    if (stabilityText) {
+      if (stability) {
+        stabilityText.innerHTML = `<i class="fas fa-redo me-1"></i>Mean of ${stability.runs} runs: ` +
+          `${stability.min}–${stability.max}% (σ ${stability.stddev})` +
+          (stability.unstableCount > 0 ? ` · <span class="text-warning">${stability.unstableCount} unstable categories</span>` : '');
+        stabilityText.classList.remove('d-none');
+      } else {
+        stabilityText.classList.add('d-none');
+      }
+    }
+  }
+
+  /**
+   * Update scores table
+   */
+  function updateScoresTable(categories) {
+    const tbody = document.getElementById('scoresTableBody');
+    tbody.innerHTML = '';
+
+    categories.forEach(cat => {
+      const row = document.createElement('tr');
+      const statusColor = getStatusColor(cat.status);
+
+      // Per-model scores next to the consensus (ensemble evaluations only)
+      let modelScoresHtml = '';
+      if (cat.agreement) {
+        const flag = cat.agreement.disagreement
+          ? `<i class="fas fa-exclamation-triangle text-warning ms-1" title="Models disagree by ${cat.agreement.spread} points"></i>`
+          : '';
+        modelScoresHtml = `<div class="model-scores">${cat.agreement.modelScores
+          .map(ms => `<span title="${escapeHtml(ms.label)}">${formatModelScore(ms.score)}</span>`).join(' · ')}${flag}</div>`;
+      }
+
+      // Run-to-run spread (self-consistency evaluations only)
+      let stabilityHtml = '';
+      let unstableBadge = '';
+      if (cat.stability) {
+        stabilityHtml = `<div class="stability-range" title="Scores across ${cat.stability.runs} runs: ${cat.stability.scores.join(', ')}">` +
+          `${cat.stability.min}–${cat.stability.max} (σ ${cat.stability.stddev})</div>`;
+        if (cat.stability.unstable) {
+          const bands = [...new Set(cat.stability.scores.map(score => window.Evaluator.determineStatus(score)))];
+          unstableBadge = `<span class="badge bg-warning text-dark unstable-badge" title="Status changed across runs: ${bands.join(', ')}">` +
+            `<i class="fas fa-random me-1"></i>UNSTABLE</span>`;
+        }
+      }
+
+      row.innerHTML = `
+        <td class="criterion-id">${cat.id}</td>
+        <td>${cat.name}</td>
+        <td class="score-cell" style="color: ${statusColor}; font-weight: 600;">
+          ${cat.score}/100
+          ${modelScoresHtml}
+          ${stabilityHtml}
+        </td>
+        <td>
+          <span class="score-badge ${window.Evaluator.getScoreColorClass(cat.score)}">
+            ${cat.status.toUpperCase()}
+          </span>
+          ${unstableBadge}
+        </td>
+      `;
+
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Show the model's reasoning traces in a collapsed panel
+   * @param {Array<Object>} reasoning - Traces [{label, text}], or undefined if the model returned none
+   */
+  function updateReasoningReport(reasoning) {
+    const container = document.getElementById('reasoningReport');
+    if (!container) return;
+
+    const traces = document.getElementById('reasoningTraces');
+    if (!reasoning || reasoning.length === 0) {
+      container.classList.add('d-none');
+      traces.innerHTML = '';
+      return;
+    }
+
+    const words = reasoning.reduce((total, trace) => total + trace.text.split(/\s+/).filter(Boolean).length, 0);
+    document.getElementById('reasoningSummary').textContent =
+      `(${reasoning.length} trace${reasoning.length === 1 ? '' : 's'}, ~${words.toLocaleString()} words)`;
+
+    // Labels only help once traces come from several chunks, runs or models
+    traces.innerHTML = reasoning.map(trace => (reasoning.length > 1
+      ? `<div class="small fw-semibold mt-2 mb-1">${escapeHtml(trace.label)}</div>`
+      : '') +
+      `<div class="streaming-content reasoning-content stream-complete reasoning-trace">${escapeHtml(trace.text.trim())}</div>`
+    ).join('');
+    container.classList.remove('d-none');
+  }
+
+  /**
+   * Show ensemble members and the paragraphs the models disagree on
+   * @param {Object} results - Processed results
+   */
+  function updateEnsembleReport(results) {
+    const container = document.getElementById('ensembleReport');
+    if (!container) return;
+
+    if (!results.ensemble) {
+      container.classList.add('d-none');
+      container.innerHTML = '';
+      return;
+    }
+
+    const { members, disagreementMargin } = results.ensemble;
+    const flagged = (results.sentenceEvaluations || []).filter(se => se.agreement && se.agreement.disagreement);
+
+    let html = `<h6>Model Agreement</h6>`;
+    html += `<div class="d-flex flex-wrap gap-2 mb-2">`;
+    members.forEach(m => {
+      html += `<span class="badge bg-light text-dark border">${escapeHtml(m.label)}: <strong>${m.overallScore}%</strong></span>`;
+    });
+    html += `</div>`;
+
+    if (flagged.length === 0) {
+      html += `<p class="text-muted small mb-0"><i class="fas fa-check me-1"></i>All models agree within ${disagreementMargin} points on every paragraph.</p>`;
+    } else {
+      html += `<p class="text-muted small mb-1">${flagged.length} paragraph(s) where models disagree by more than ${disagreementMargin} points:</p>`;
+      html += `<ul class="small disagreement-list">`;
+      flagged.forEach(se => {
+        const preview = se.sentence.length > 90 ? se.sentence.slice(0, 90) + '…' : se.sentence;
+        const scores = se.agreement.modelScores.map(ms => `${escapeHtml(ms.label)}: ${formatModelScore(ms.score)}`).join(', ');
+        html += `<li><em>${escapeHtml(preview)}</em><br><span class="text-muted">Consensus ${se.score} — ${scores}</span></li>`;
+      });
+      html += `</ul>`;
+    }
+
+    container.innerHTML = html;
+    container.classList.remove('d-none');
+  }
+
+  /**
+   * Get status color for score display
+   */
+  function getStatusColor(status) {
+    const colors = {
+      'excellent': '#0a6638',
+      'good': '#28a745',
+      'pass': '#ffc107',
+      'insufficient': '#dc3545'
+    };
+    return colors[status] || '#6c757d';
+  }
+
+  /**
+   * Get category group name from number
+   */
+  function getCategoryGroupName(num) {
+    const names = {
+      '1': 'Data Description',
+      '2': 'Documentation',
+      '3': 'Storage & Backup',
+      '4': 'Legal & Ethics',
+      '5': 'Sharing & Preservation',
+      '6': 'Responsibilities'
+    };
+    return names[num] || 'Category ' + num;
+  }
+
+  /**
+   * Update sentence-level feedback — inline document annotation view
+   */
+  function updateSentenceFeedback(sentenceEvaluations, originalDMPText) {
+    const container = document.getElementById('narrativeFeedback');
+    container.innerHTML = '';
+
+    if (!sentenceEvaluations || sentenceEvaluations.length === 0) {
+      container.innerHTML = '<div class="alert alert-info"><i class="fas fa-info-circle me-2"></i>No sentence-level evaluations available.</div>';
+      return;
+    }
+
+    // Score legend
+    const legend = document.createElement('div');
+    legend.className = 'eval-legend';
+    legend.innerHTML = `
+      <span class="legend-item"><span class="legend-swatch" style="background:#0a6638"></span>Excellent (90+)</span>
+      <span class="legend-item"><span class="legend-swatch" style="background:#28a745"></span>Good (75–89)</span>
+      <span class="legend-item"><span class="legend-swatch" style="background:#d39e00"></span>Pass (60–74)</span>
+      <span class="legend-item"><span class="legend-swatch" style="background:#dc3545"></span>Insufficient (&lt;60)</span>
+    `;
+    container.appendChild(legend);
+
+    // If no source text, fall back to flat list of annotated spans
+    if (!originalDMPText || originalDMPText.trim().length === 0) {
+      sentenceEvaluations.forEach(se => {
+        const block = buildAnnotatedParagraph(se.sentence, [se]);
+        container.appendChild(block);
+      });
+      return;
+    }
+
+    // Split original text into paragraphs with table/bullet awareness and annotate
+    const paragraphs = splitIntoParagraphs(originalDMPText);
+    paragraphs.forEach(para => {
+      const block = buildAnnotatedParagraph(para, sentenceEvaluations);
+      container.appendChild(block);
+    });
+  }
+
+  /**
+   * Split text into paragraphs with special handling for tables and bullet lists.
+   * Tables are split into rows, bullet lists into individual bullets.
+   */
+  function splitIntoParagraphs(text) {
+    // First split by double newlines (normal paragraphs)
+    const blocks = text.split(/\n\n+/);
+
+    const paragraphs = [];
+    for (const block of blocks) {
+      const trimmedBlock = block.trim();
+      if (trimmedBlock.length < 10) continue;
+
+      // Check if this block contains a table (markdown style with | separators)
+      if (trimmedBlock.includes('|') && /\n\|/.test(trimmedBlock)) {
+        // This is a multi-line table - split into rows
+        const lines = trimmedBlock.split('\n');
+        let inTable = false;
+        let tableStart = -1;
+
+        for (let i = 0; i < lines.length; i++) {
+          const line = lines[i].trim();
+          if (line.startsWith('|') && line.endsWith('|')) {
+            if (!inTable) {
+              inTable = true;
+              tableStart = i;
+            }
+            // Add table row as a paragraph (skip separator rows like |---|---|)
+            if (!/^[\|:\-\s]+$/.test(line)) {
+              paragraphs.push(line);
+            }
+          } else if (inTable) {
+            // Table ended, reset
+            inTable = false;
+            // Add any non-table content before/after
+            if (line.length > 10) {
+              paragraphs.push(lines.slice(tableStart === 0 ? 0 : tableStart, i).join('\n'));
+            }
+          }
+        }
+      } else if (trimmedBlock.includes('\n- ') || trimmedBlock.includes('\n* ') || /^\s*[-*]\s/.test(trimmedBlock)) {
+        // Bullet list - split into individual bullets
+        const bulletPattern = /\n(?=[-*]\s)/;
+        const bullets = trimmedBlock.split(bulletPattern);
+        bullets.forEach(bullet => {
+          const cleanBullet = bullet.trim();
+          if (cleanBullet.length > 10) {
+            paragraphs.push(cleanBullet);
+          }
+        });
+      } else {
+        // Regular paragraph
+        paragraphs.push(trimmedBlock);
+      }
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * Build one annotated paragraph block (.doc-block)
+   */
+  function buildAnnotatedParagraph(paragraphText, sentenceEvaluations) {
+    const block = document.createElement('div');
+    block.className = 'doc-block';
+
+    // Detect heading lines (markdown # syntax)
+    const isHeading = /^#{1,4}\s/.test(paragraphText);
+    const textEl = document.createElement(isHeading ? 'div' : 'p');
+    textEl.className = isHeading ? 'doc-heading' : 'doc-paragraph';
+
+    const displayText = isHeading ? paragraphText.replace(/^#{1,4}\s+/, '') : paragraphText;
+
+    // Find which evaluated sentences appear in this paragraph
+    const matches = matchSentencesInText(displayText, sentenceEvaluations);
+
+    if (matches.length === 0) {
+      // No annotated sentences — plain text, preserve soft line breaks
+      displayText.split('\n').forEach((line, i, arr) => {
+        textEl.appendChild(document.createTextNode(line));
+        if (i < arr.length - 1) textEl.appendChild(document.createElement('br'));
+      });
+    } else {
+      // Build interleaved plain + annotated spans
+      let cursor = 0;
+      matches.forEach(m => {
+        if (m.start > cursor) {
+          textEl.appendChild(document.createTextNode(displayText.slice(cursor, m.start)));
+        }
+        const span = document.createElement('span');
+        span.className = 'eval-sentence ' + getStatusClass(m.se.score);
+        if (m.se.agreement && m.se.agreement.disagreement) {
+          span.classList.add('disagreement');
+        }
+        span.textContent = displayText.slice(m.start, m.end);
+        span.addEventListener('click', () => toggleDetailPanel(block, span, m.se));
+        textEl.appendChild(span);
+        cursor = m.end;
+      });
+      if (cursor < displayText.length) {
+        textEl.appendChild(document.createTextNode(displayText.slice(cursor)));
+      }
+    }
+
+    block.appendChild(textEl);
+
+    return block;
+  }
+
+  /**
+   * Show/hide sentence detail panel - inserted directly after the clicked span
+   */
+  function toggleDetailPanel(block, span, se) {
+    const statusClass = getStatusClass(se.score);
+    const isActive = span.classList.contains('active');
+
+    // Remove any existing detail panels in this block
+    block.querySelectorAll('.sentence-detail-panel').forEach(p => p.remove());
+
+    // Deactivate all spans in this block
+    block.querySelectorAll('.eval-sentence').forEach(s => s.classList.remove('active'));
+
+    if (isActive) {
+      // Toggle off - panel already removed
+      return;
+    }
+
+    // Activate this span
+    span.classList.add('active');
+
+    // Create and insert panel directly after the clicked span
+    const panel = document.createElement('div');
+    const criteriaHtml = se.criteriaIds.map(cid => `<span class="criteria-tag">${cid}</span>`).join('');
+    const suggestionHtml = se.suggestion && se.score < 75
+      ? `<div class="detail-suggestion"><i class="fas fa-lightbulb text-warning me-1"></i><strong>Suggestion:</strong> ${escapeHtml(se.suggestion)}</div>`
+      : '';
+
+    // Each model's score next to the consensus (ensemble evaluations only)
+    const modelsHtml = se.agreement
+      ? `<div class="detail-models">${se.agreement.disagreement ? '<i class="fas fa-exclamation-triangle text-warning me-1"></i>' : ''}` +
+        se.agreement.modelScores.map(ms =>
+          `<span class="model-score" title="${escapeHtml(ms.explanation || '')}">${escapeHtml(ms.label)}: <strong>${formatModelScore(ms.score)}</strong></span>`
+        ).join('') + `</div>`
+      : '';
+
+    // Run-to-run spread (self-consistency evaluations only)
+    const stabilityHtml = se.stability && se.stability.runs > 1
+      ? `<div class="stability-range mb-1"><i class="fas fa-redo me-1"></i>${se.stability.runs} runs: ` +
+        `${se.stability.min}–${se.stability.max} (σ ${se.stability.stddev})</div>`
+      : '';
+
+    // Finished evaluations can be kept as reviewed exemplars (not while paragraphs stream in)
+    const results = state.evaluationResults;
+    const goldMetadata = !state.liveResults && results && results.metadata &&
+      results.results.sentenceEvaluations.includes(se) ? results.metadata : null;
+    const goldHtml = goldMetadata
+      ? `<button type="button" class="btn btn-sm btn-link gold-toggle ms-auto p-0"></button>`
+      : '';
+
+    panel.className = `sentence-detail-panel ${statusClass}`;
+    panel.innerHTML = `
+      <div class="detail-meta">
+        <div class="criteria-tags">${criteriaHtml}</div>
+        <span class="score-badge score-${statusClass} ms-1">${se.score}/100</span>
+        ${goldHtml}
+      </div>
+      ${modelsHtml}
+      ${stabilityHtml}
+      <div class="detail-explanation">${escapeHtml(se.explanation)}</div>
+      ${suggestionHtml}
+    `;
+
+    if (goldMetadata) {
+      setupGoldToggle(panel.querySelector('.gold-toggle'), se, goldMetadata);
+    }
+
+    // Insert panel directly after the span
+    span.insertAdjacentElement('afterend', panel);
+  }
+
+  /**
+   * Let the reviewer save a paragraph evaluation to the exemplar bank or remove it again
+   * @param {HTMLElement} button - Star button in the detail panel
+   * @param {Object} se - Paragraph evaluation
+   * @param {Object} metadata - Metadata of the displayed results (phase, DMP file, model)
+   */
+  function setupGoldToggle(button, se, metadata) {
+    const render = () => {
+      const isGold = !!window.ExemplarBank.findId(se.sentence, metadata.phase);
+      button.innerHTML = `<i class="fas fa-star ${isGold ? 'text-warning' : 'text-muted'}"></i>`;
+      button.title = isGold
+        ? 'Gold exemplar - click to remove it from the exemplar bank'
+        : 'Mark as gold: save this evaluation to the exemplar bank';
+    };
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const existingId = window.ExemplarBank.findId(se.sentence, metadata.phase);
+      if (existingId) {
+        window.ExemplarBank.remove(existingId);
+      } else {
+        const answer = prompt('Reviewed score for this exemplar (0-100):', se.score);
+        if (answer === null) return;
+        const score = Number(answer);
+        if (answer.trim() === '' || !Number.isFinite(score) || score < 0 || score > 100) {
+          alert('Please enter a score from 0 to 100.');
+          return;
+        }
+        window.ExemplarBank.add({ ...se, score: score }, {
+          phase: metadata.phase,
+          source: metadata.dmpFile || '',
+          model: metadata.model || ''
+        });
+      }
+      render();
+    });
+    render();
+  }
+
+  /**
+   * Match evaluated paragraphs/sentences to positions in paragraph text.
+   * Uses fuzzy matching for table rows and handles variations.
+   * Returns sorted array of {start, end, se} with no overlaps.
+   */
+  function matchSentencesInText(text, sentenceEvaluations) {
+    const matches = [];
+    sentenceEvaluations.forEach(se => {
+      const needle = typeof se.sentence === 'string' ? se.sentence.trim() : '';
+      if (!needle || needle.length < 10) return;
+
+      // Try exact match first
+      let idx = text.indexOf(needle);
+
+      // If no exact match, try fuzzy (first 50 chars)
+      if (idx === -1 && needle.length > 50) {
+        const prefix = needle.slice(0, 50);
+        idx = text.indexOf(prefix);
+      }
+
+      // If still no match, try matching by key content words (for tables)
+      if (idx === -1 && needle.includes('|')) {
+        // Table row: try matching by cell values
+        const cells = needle.split('|').filter(c => c.trim().length > 3);
+        for (const cell of cells) {
+          const cellText = cell.trim();
+          idx = text.indexOf(cellText);
+          if (idx !== -1) break;
+        }
+      }
+
+      // If still no match, try last 50 chars (for truncated matches)
+      if (idx === -1 && needle.length > 50) {
+        const suffix = needle.slice(-50);
+        idx = text.indexOf(suffix);
+        if (idx !== -1) {
+          idx = idx - (needle.length - 50); // Adjust to start position
+          if (idx < 0) idx = 0;
+        }
+      }
+
+      if (idx !== -1) {
+        matches.push({ start: idx, end: idx + needle.length, se });
+      }
+    });
+
+    // Sort by position, remove overlaps
+    matches.sort((a, b) => a.start - b.start);
+    const deduped = [];
+    let lastEnd = 0;
+    matches.forEach(m => {
+      if (m.start >= lastEnd) {
+        deduped.push(m);
+        lastEnd = m.end;
+      }
+    });
+    return deduped;
+  }
+
+  /**
+   * Get status class based on score
+   */
+  function getStatusClass(score) {
+    if (score >= 90) return 'excellent';
+    if (score >= 75) return 'good';
+    if (score >= 60) return 'pass';
+    return 'insufficient';
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Show status message
+   */
+  function showStatus(status, message = '') {
+    // Hide all status divs
+    document.getElementById('statusIdle').style.display = 'none';
+    document.getElementById('statusProcessing').classList.add('d-none');
+    document.getElementById('statusComplete').classList.add('d-none');
+    document.getElementById('statusError').classList.add('d-none');
+    document.getElementById('statusCancelled').classList.add('d-none');
+
+    // Show appropriate status
+    switch (status) {
+      case 'processing':
+        document.getElementById('statusProcessing').classList.remove('d-none');
+        break;
+      case 'complete':
+        document.getElementById('statusComplete').classList.remove('d-none');
+        break;
+      case 'error':
+        document.getElementById('statusError').classList.remove('d-none');
+        document.getElementById('errorMessage').textContent = message;
+        break;
+      case 'cancelled':
+        document.getElementById('statusCancelled').classList.remove('d-none');
+        break;
+      default:
+        document.getElementById('statusIdle').style.display = 'block';
+    }
+  }
+
+  /**
+   * Update status message during processing
+   */
+  function updateStatusMessage(message) {
+    // Handle both string messages and streaming objects
+    if (typeof message === 'string') {
+      // Simple status message
+      const statusMessage = document.getElementById('statusMessage');
+      if (statusMessage) {
+        statusMessage.textContent = message;
+      }
+    } else if (typeof message === 'object') {
+      // Streaming message object
+      handleStreamingMessage(message);
+    }
+  }
+
+  /**
+   * Handle streaming messages from LLM
+   */
+  function handleStreamingMessage(messageObj) {
+    const streamingContainer = document.getElementById('streamingOutputContainer');
+    const reasoningSection = document.getElementById('streamingReasoningSection');
+    const responseSection = document.getElementById('streamingResponseSection');
+    const reasoningContent = document.getElementById('streamingReasoningContent');
+    const responseContent = document.getElementById('streamingResponseContent');
+
+    if (messageObj.type === 'stream') {
+      // Show streaming container on first chunk
+      if (streamingContainer.classList.contains('d-none')) {
+        streamingContainer.classList.remove('d-none');
+      }
+
+      // Handle streaming chunks
+      if (messageObj.isReasoning) {
+        // Reasoning content (thinking)
+        if (reasoningSection.classList.contains('d-none')) {
+          reasoningSection.classList.remove('d-none');
+        }
+        reasoningContent.textContent += messageObj.content;
+        reasoningContent.classList.remove('stream-complete');
+
+        // Auto-scroll to bottom
+        streamingContainer.scrollTop = streamingContainer.scrollHeight;
+
+      } else {
+        // Regular response content
+        if (responseSection.classList.contains('d-none')) {
+          responseSection.classList.remove('d-none');
+        }
+        responseContent.textContent += messageObj.content;
+        responseContent.classList.remove('stream-complete');
+
+        // Auto-scroll to bottom
+        streamingContainer.scrollTop = streamingContainer.scrollHeight;
+      }
+
+    } else if (messageObj.type === 'paragraph') {
+      // Paragraph results parsed from the stream - annotate the document right away
+      addLiveParagraphs(messageObj);
+
+    } else if (messageObj.type === 'status') {
+      // Regular status message
+      const statusMessage = document.getElementById('statusMessage');
+      if (statusMessage) {
+        statusMessage.textContent = messageObj.content;
+      }
+
+    } else if (messageObj.type === 'complete') {
+      // Mark streaming as complete
+      if (reasoningContent) {
+        reasoningContent.classList.add('stream-complete');
+      }
+      if (responseContent) {
+        responseContent.classList.add('stream-complete');
+      }
+
+      // Update status message
+      const statusMessage = document.getElementById('statusMessage');
+      if (statusMessage) {
+        statusMessage.textContent = messageObj.content || 'Processing complete...';
+      }
+    }
+  }
+
+  /**
+   * Clear streaming display
+   */
+  function clearStreamingDisplay() {
+    const streamingContainer = document.getElementById('streamingOutputContainer');
+    const reasoningSection = document.getElementById('streamingReasoningSection');
+    const responseSection = document.getElementById('streamingResponseSection');
+    const reasoningContent = document.getElementById('streamingReasoningContent');
+    const responseContent = document.getElementById('streamingResponseContent');
+
+    // Hide all streaming elements
+    if (streamingContainer) streamingContainer.classList.add('d-none');
+    if (reasoningSection) reasoningSection.classList.add('d-none');
+    if (responseSection) responseSection.classList.add('d-none');
+
+    // Clear content
+    if (reasoningContent) {
+      reasoningContent.textContent = '';
+      reasoningContent.classList.remove('stream-complete');
+    }
+    if (responseContent) {
+      responseContent.textContent = '';
+      responseContent.classList.remove('stream-complete');
+    }
+  }
+
+  // Minimum time between live re-renders of the document view
+  const LIVE_RENDER_INTERVAL_MS = 500;
+
+  /**
+   * Add streamed paragraph results to the live document view
+   * @param {Object} messageObj - {evaluations, dmpText, round} from the evaluator
+   */
+  function addLiveParagraphs(messageObj) {
+    if (!state.liveResults) {
+      state.liveResults = { evaluations: [], dmpText: messageObj.dmpText, renderTimer: null };
+
+      const resultsCard = document.getElementById('resultsCard');
+      resultsCard.classList.add('results-live');
+      resultsCard.style.display = 'block';
+    }
+
+    // A later reply (correction round, next run or model) replaces the result for the same paragraph
+    const live = state.liveResults;
+    messageObj.evaluations.forEach(evaluation => {
+      const index = live.evaluations.findIndex(se => se.sentence === evaluation.sentence);
+      if (index >= 0) {
+        live.evaluations[index] = evaluation;
+      } else {
+        live.evaluations.push(evaluation);
+      }
+    });
+
+    if (!live.renderTimer) {
+      live.renderTimer = setTimeout(() => {
+        live.renderTimer = null;
+        if (state.liveResults !== live) return;
+        updateSentenceFeedback(live.evaluations, live.dmpText);
+        document.getElementById('liveResultsBadge').textContent =
+          `Live: ${live.evaluations.length} paragraph${live.evaluations.length === 1 ? '' : 's'}`;
+      }, LIVE_RENDER_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Keep the paragraphs received so far after a cancelled or failed evaluation
+   */
+  function finishLiveResults() {
+    const live = state.liveResults;
+    if (!live) return;
+
+    clearTimeout(live.renderTimer);
+    state.liveResults = null;
+    updateSentenceFeedback(live.evaluations, live.dmpText);
+    document.getElementById('liveResultsBadge').textContent =
+      `Partial: ${live.evaluations.length} paragraph${live.evaluations.length === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Leave live mode; the final results (if any) are rendered by displayResults
+   */
+  function clearLiveResults() {
+    if (state.liveResults && state.liveResults.renderTimer) {
+      clearTimeout(state.liveResults.renderTimer);
+    }
+    state.liveResults = null;
+    document.getElementById('resultsCard').classList.remove('results-live');
+  }
+
+  /**
+   * Hide results card
+   */
+  function hideResults() {
+    clearLiveResults();
+    document.getElementById('resultsCard').style.display = 'none';
+  }
+
+  /**
+   * Setup prompt editor listeners
+   */
+  function setupPromptEditorListeners() {
+    const modal = document.getElementById('promptEditorModal');
+    const saveBtn = document.getElementById('savePromptBtn');
+    const resetBtn = document.getElementById('resetPromptBtn');
+    const templateSelect = document.getElementById('promptTemplateSelect');
+    const versionSelect = document.getElementById('promptVersionSelect');
+    const noteInput = document.getElementById('promptVersionNote');
+    const importInput = document.getElementById('importPromptTemplatesInput');
+
+    if (!modal) {
+      console.warn('[App] Prompt editor modal not found');
+      return;
+    }
+
+    document.getElementById('promptVariablesTable').innerHTML = Object.entries(window.PromptLibrary.VARIABLES)
+      .map(([name, description]) => `<tr><td><code>{${name}}</code></td><td>${escapeHtml(description)}</td></tr>`)
+      .join('');
+
+    // Load the active template when modal opens
+    modal.addEventListener('show.bs.modal', () => {
+      noteInput.value = '';
+      showPromptTemplate(window.PromptLibrary.getActiveId());
+    });
+
+    // Update preview and diff on input (debounced)
+    const inputs = ['systemRoleInput', 'criteriaContextInput', 'dmpContextInput'];
+    let previewTimeout;
+    inputs.forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener('input', () => {
+          clearTimeout(previewTimeout);
+          previewTimeout = setTimeout(() => {
+            updateFullPromptPreview();
+            updatePromptDiff();
+          }, 500);
+        });
+      }
+    });
+
+    // Switching template makes it the one used for evaluations
+    templateSelect.addEventListener('change', () => {
+      window.PromptLibrary.setActive(templateSelect.value);
+      showPromptTemplate(templateSelect.value);
+      console.log('[App] Active prompt template:', templateSelect.value);
+    });
+
+    // Older versions are loaded into the editor; saving makes them the newest version
+    versionSelect.addEventListener('change', () => {
+      showPromptTemplate(templateSelect.value, parseInt(versionSelect.value, 10));
+    });
+
+    // Save prompt as a new version (the built-in default is copied into a new template)
+    saveBtn.addEventListener('click', () => {
+      const sections = getPromptEditorSections();
+      try {
+        window.PromptLibrary.SECTION_KEYS.forEach(key => window.PromptLibrary.renderTemplate(sections[key], {}));
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      const note = noteInput.value.trim();
+      let templateId = templateSelect.value;
+
+      if (templateId === window.PromptLibrary.DEFAULT_ID) {
+        const name = prompt('The built-in prompt cannot be changed. Name for the new template:', 'Custom prompt');
+        if (name === null) return;
+        templateId = window.PromptLibrary.create(name, sections, note);
+        window.PromptLibrary.setActive(templateId);
+      } else {
+        window.PromptLibrary.saveVersion(templateId, sections, note);
+      }
+      noteInput.value = '';
+      showPromptTemplate(templateId);
+
+      // Visual feedback
+      saveBtn.classList.remove('btn-primary');
+      saveBtn.classList.add('btn-success');
+      saveBtn.innerHTML = '<i class="fas fa-check me-1"></i>Saved!';
+      setTimeout(() => {
+        saveBtn.classList.remove('btn-success');
+        saveBtn.classList.add('btn-primary');
+        saveBtn.innerHTML = '<i class="fas fa-save me-1"></i>Save Version';
+      }, 2000);
+
+      console.log('[App] Prompt template saved');
+    });
+
+    // Reset to default (saved as a new version only when the user saves)
+    resetBtn.addEventListener('click', () => {
+      if (confirm('Reset all prompt sections to default values?')) {
+        setPromptEditorSections(window.LLMService.getDefaultPrompt());
+        console.log('[App] Prompt reset to default');
+      }
+    });
+
+    document.getElementById('newPromptTemplateBtn').addEventListener('click', () => {
+      const name = prompt('Name for the new template (starts from the text in the editor):');
+      if (name === null) return;
+      const source = templateSelect.options[templateSelect.selectedIndex].text;
+      const templateId = window.PromptLibrary.create(name, getPromptEditorSections(), `Created from ${source}`);
+      window.PromptLibrary.setActive(templateId);
+      showPromptTemplate(templateId);
+    });
+
+    document.getElementById('renamePromptTemplateBtn').addEventListener('click', () => {
+      const template = window.PromptLibrary.get(templateSelect.value);
+      const name = prompt('New name for the template:', template.name);
+      if (name === null) return;
+      try {
+        window.PromptLibrary.rename(template.id, name);
+        showPromptTemplate(template.id, parseInt(versionSelect.value, 10));
+      } catch (error) {
+        alert(error.message);
+      }
+    });
+
+    document.getElementById('deletePromptTemplateBtn').addEventListener('click', () => {
+      const template = window.PromptLibrary.get(templateSelect.value);
+      if (!confirm(`Delete the template "${template.name}" and all ${template.versions.length} versions?`)) return;
+      window.PromptLibrary.remove(template.id);
+      showPromptTemplate(window.PromptLibrary.getActiveId());
+    });
+
+    document.getElementById('exportPromptTemplatesBtn').addEventListener('click', () => {
+      const bundle = window.PromptLibrary.exportTemplates();
+      if (bundle.templates.length === 0) {
+        alert('There are no saved templates to export yet - the built-in default is not exported.');
+        return;
+      }
+      window.ExportService.downloadJSON(bundle, 'dmp-prompt-templates');
+    });
+
+    document.getElementById('importPromptTemplatesBtn').addEventListener('click', () => {
+      importInput.click();
+    });
+
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+
+      try {
+        const imported = window.PromptLibrary.importTemplates(JSON.parse(await file.text()));
+        showPromptTemplate(templateSelect.value);
+        alert(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}: ` +
+          imported.map(t => t.name).join(', '));
+      } catch (error) {
+        alert('Could not import templates: ' + error.message);
+      }
+    });
+  }
+
+  /**
+   * Fill the prompt editor with a template version
+   * @param {string} templateId - Template ID
+   * @param {number} version - Version to show (default: latest)
+   */
+  function showPromptTemplate(templateId, version) {
+    const templateSelect = document.getElementById('promptTemplateSelect');
+    const versionSelect = document.getElementById('promptVersionSelect');
+    const activeId = window.PromptLibrary.getActiveId();
+
+    templateSelect.innerHTML = window.PromptLibrary.list().map(t =>
+      `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}${t.builtIn ? ' (built-in)' : ''}</option>`
+    ).join('');
+    templateSelect.value = templateId;
+
+    const template = window.PromptLibrary.get(templateId) || window.PromptLibrary.get(activeId);
+    const latest = template.versions[template.versions.length - 1];
+    const shown = template.versions.find(v => v.version === version) || latest;
+
+    versionSelect.innerHTML = template.versions.slice().reverse().map(v =>
+      `<option value="${v.version}">v${v.version}${v.version === latest.version ? ' (latest)' : ''}</option>`
+    ).join('');
+    versionSelect.value = String(shown.version);
+
+    document.getElementById('renamePromptTemplateBtn').disabled = template.builtIn;
+    document.getElementById('deletePromptTemplateBtn').disabled = template.builtIn;
+
+    const info = [];
+    if (template.id !== activeId) {
+      info.push('Not used for evaluations.');
+    }
+    if (shown.note) {
+      info.push(`v${shown.version}: ${shown.note}`);
+    }
+    if (shown.savedAt) {
+      info.push(`Saved ${new Date(shown.savedAt).toLocaleString()}.`);
+    }
+    if (shown !== latest) {
+      info.push('Saving makes this text the newest version.');
+    }
+    document.getElementById('promptVersionInfo').textContent = info.join(' ');
+
+    setPromptEditorSections(shown.sections);
+  }
+
+  /**
+   * Read the prompt sections from the editor
+   * @returns {Object} - {systemRole, criteriaContext, dmpContext}
+   */
+  function getPromptEditorSections() {
+    return {
+      systemRole: document.getElementById('systemRoleInput').value,
+      criteriaContext: document.getElementById('criteriaContextInput').value,
+      dmpContext: document.getElementById('dmpContextInput').value
+    };
+  }
+
+  /**
+   * Put prompt sections into the editor and refresh the preview and diff
+   * @param {Object} sections - {systemRole, criteriaContext, dmpContext}
+   */
+  function setPromptEditorSections(sections) {
+    document.getElementById('systemRoleInput').value = sections.systemRole || '';
+    document.getElementById('criteriaContextInput').value = sections.criteriaContext || '';
+    document.getElementById('dmpContextInput').value = sections.dmpContext || '';
+    updateFullPromptPreview();
+    updatePromptDiff();
+  }
+
+  /**
+   * Show the line diff of the editor text against the built-in prompt
+   */
+  function updatePromptDiff() {
+    const view = document.getElementById('promptDiffView');
+    if (!view) return;
+
+    const defaults = window.LLMService.getDefaultPrompt();
+    const sections = getPromptEditorSections();
+    const labels = { systemRole: 'System Role', criteriaContext: 'Criteria Context', dmpContext: 'DMP Context' };
+
+    const html = window.PromptLibrary.SECTION_KEYS
+      .filter(key => (defaults[key] || '') !== sections[key])
+      .map(key => `<span class="diff-section">${labels[key]}</span>` +
+        window.PromptLibrary.diffLines(defaults[key], sections[key]).map(line => {
+          if (line.type === 'add') return `<span class="diff-add">+ ${escapeHtml(line.text)}</span>`;
+          if (line.type === 'remove') return `<span class="diff-remove">&minus; ${escapeHtml(line.text)}</span>`;
+          return `  ${escapeHtml(line.text)}\n`;
+        }).join(''))
+      .join('');
+
+    view.innerHTML = html || '<span class="text-muted">No differences from the default prompt.</span>';
+  }
+
+  // Parsed text of the loaded files for the prompt preview and language detection, parsed once per file
+  const loadedTextCache = new WeakMap();
+
+  /**
+   * Get the text of a loaded file without starting an evaluation
+   * @param {File} file - Loaded criteria or DMP file
+   * @returns {Promise<string|null>} - Text, or null for .doc files (extracted with AI only when evaluating)
+   */
+  async function getLoadedFileText(file) {
+    if (file.name.toLowerCase().endsWith('.doc')) {
+      return null;
+    }
+    if (!loadedTextCache.has(file)) {
+      loadedTextCache.set(file, window.FileParser.parseFile(file, { truncate: false }).then(data => data.text));
+    }
+    return loadedTextCache.get(file);
+  }
+
+  let previewRequest = 0;
+
+  /**
+   * Update full prompt preview with the prompt that would be sent for the loaded files
+   */
+  async function updateFullPromptPreview() {
+    const preview = document.getElementById('fullPromptPreview');
+    if (!preview) return;
+
+    const request = ++previewRequest;
+    const sections = getPromptEditorSections();
+    const phase = document.getElementById('projectPhase').value;
+    const notes = [];
+
+    // Template problems are shown in every tab
+    const labels = { systemRole: 'System Role', criteriaContext: 'Criteria Context', dmpContext: 'DMP Context' };
+    const problems = window.PromptLibrary.SECTION_KEYS.flatMap(key =>
+      window.PromptLibrary.checkTemplate(sections[key]).map(problem => `${labels[key]}: ${problem}`));
+    const problemsBox = document.getElementById('promptTemplateProblems');
+    problemsBox.innerHTML = problems.map(problem => `<div>${escapeHtml(problem)}</div>`).join('');
+    problemsBox.style.display = problems.length > 0 ? 'block' : 'none';
+
+    let criteria;
+    let dmpText = '[DMP document will be inserted here]';
+    try {
+      const criteriaText = state.criteriaFile ? await getLoadedFileText(state.criteriaFile) : null;
+      criteria = criteriaText !== null
+        ? window.CriteriaExtractor.extractCriteria(criteriaText, phase)
+        : window.CriteriaExtractor.getDefaultCriteria(phase);
+      notes.push(criteriaText !== null ? `criteria from ${state.criteriaFile.name}` : 'default criteria (no criteria file loaded)');
+
+      const loadedDmp = state.dmpFile ? await getLoadedFileText(state.dmpFile) : null;
+      if (loadedDmp !== null) {
+        dmpText = loadedDmp;
+        notes.push(`DMP from ${state.dmpFile.name} (long DMPs are sent in chunks)`);
+      } else {
+        notes.push('placeholder DMP (no DMP loaded)');
+      }
+    } catch (error) {
+      if (request !== previewRequest) return;
+      preview.value = 'Could not read the loaded files: ' + error.message;
+      return;
+    }
+    if (request !== previewRequest) return;
+
+    document.getElementById('fullPromptPreviewInfo').textContent =
+      `Prompt as sent for ${document.getElementById('projectPhase').selectedOptions[0].text} with ${notes.join(', ')} (read-only)`;
+    try {
+      const prompts = window.LLMService.buildEvaluationPrompt(criteria, dmpText, phase, { sections });
+      preview.value = `=== SYSTEM PROMPT ===\n${prompts.systemPrompt}\n\n` +
+                      `=== USER PROMPT ===\n${prompts.userPrompt}`;
+    } catch (error) {
+      preview.value = error.message;
+    }
+  }
+
+})();
@@ -447,6 +447,7 @@ Post-project: University RDM Service
    * @returns {Object} - Structured criteria object
    */
   function extractCriteria(text, phase = 'proposal') {
+    phase = normalizePhase(phase);
     console.log('[Criteria Extractor] Extracting criteria for phase:', phase);
 
     // First, try to parse as JSON (eva.json format)
@@ -458,8 +459,7 @@ Post-project: University RDM Service
     // Find Table 2 section for markdown format
     const table2Start = text.indexOf('Table 2');
     if (table2Start === -1) {
-      console.warn('[Criteria Extractor] Table 2 not found, using default criteria');
-      return getDefaultCriteria(phase);
+      return useDefaultCriteria(phase, 'neither eva.json criteria nor a "Table 2" table were found');
     }
 
     // Extract the table portion (from Table 2 to next major section)
@@ -470,8 +470,7 @@ Post-project: University RDM Service
     const criteria = parseTableRows(tableText, phase);
 
     if (criteria.categories.length === 0) {
-      console.warn('[Criteria Extractor] No criteria extracted, using defaults');
-      return getDefaultCriteria(phase);
+      return useDefaultCriteria(phase, 'no criteria could be read from "Table 2"');
     }
 
     console.log(`[Criteria Extractor] Extracted ${criteria.categories.length} criteria categories`);
@@ -555,7 +554,8 @@ Post-project: University RDM Service
 
     return {
       phase: phase,
-      categories: categories
+      categories: categories,
+      source: 'table'
     };
   }
 
@@ -625,10 +625,22 @@ Post-project: University RDM Service
 
     return {
       phase: phase,
-      categories: categories
+      categories: categories,
+      source: 'default'
     };
   }
 
+  /**
+   * Fall back to the default criteria because none could be read from the criteria file
+   * @param {string} phase - Project phase
+   * @param {string} reason - Why no criteria could be read
+   * @returns {Object} - Default criteria with usedDefaults: true and defaultsReason
+   */
+  function useDefaultCriteria(phase, reason) {
+    console.warn(`[Criteria Extractor] Using default criteria: ${reason}`);
+    return { ...getDefaultCriteria(phase), usedDefaults: true, defaultsReason: reason };
+  }
+
   /**
    * Validate extracted criteria
    * @param {Object} criteria - Criteria object
@@ -706,6 +718,25 @@ Post-project: University RDM Service
     return DEFAULT_CRITERIA_BY_PHASE[phase] || DEFAULT_CRITERIA_BY_PHASE.proposal;
   }
 
+  // eva.json stage key of each project phase
+  const PHASE_STAGE_KEYS = {
+    'proposal': 'proposal_early_stage',
+    'mid': 'mid_project',
+    'end': 'end_project'
+  };
+
+  /**
+   * Normalize a project phase given either as phase name or as eva.json stage key
+   * @param {string} phase - 'proposal', 'mid', 'end' or a stage key such as 'mid_project'
+   * @returns {string} - 'proposal', 'mid' or 'end' (unknown values become 'proposal')
+   */
+  function normalizePhase(phase) {
+    if (PHASE_STAGE_KEYS[phase]) {
+      return phase;
+    }
+    return Object.keys(PHASE_STAGE_KEYS).find(name => PHASE_STAGE_KEYS[name] === phase) || 'proposal';
+  }
+
   /**
    * Load EVA criteria from JSON format (eva.json)
    * @param {Object} evaData - Parsed eva.json data
@@ -715,26 +746,20 @@ Post-project: University RDM Service
   function loadEVACriteria(evaData, phase = 'proposal') {
     console.log('[Criteria Extractor] Loading EVA criteria for phase:', phase);
 
-    // Map phase to stage key
-    const stageKeyMap = {
-      'proposal': 'proposal_early_stage',
-      'mid': 'mid_project',
-      'end': 'end_project'
-    };
-    const stageKey = stageKeyMap[phase] || 'proposal_early_stage';
+    phase = normalizePhase(phase);
+    const stageKey = PHASE_STAGE_KEYS[phase];
 
     const categories = [];
 
-    if (!evaData || !evaData.data_management_plan) {
-      console.warn('[Criteria Extractor] Invalid EVA data format');
-      return getDefaultCriteria(phase);
+    if (!evaData || !Array.isArray(evaData.data_management_plan)) {
+      return useDefaultCriteria(phase, 'the file has no "data_management_plan" list');
     }
 
     // Extract criteria from eva.json structure
     evaData.data_management_plan.forEach(section => {
-      if (section.subsections && Array.isArray(section.subsections)) {
+      if (section && Array.isArray(section.subsections)) {
         section.subsections.forEach(sub => {
-          const stageRequirement = sub.stages && sub.stages[stageKey];
+          const stageRequirement = sub && sub.stages && sub.stages[stageKey];
           if (stageRequirement) {
             categories.push({
               id: sub.id,
@@ -749,8 +774,7 @@ Post-project: University RDM Service
     });
 
     if (categories.length === 0) {
-      console.warn('[Criteria Extractor] No EVA criteria extracted, using defaults');
-      return getDefaultCriteria(phase);
+      return useDefaultCriteria(phase, `no criterion has a "${stageKey}" stage text`);
     }
 
     console.log(`[Criteria Extractor] Loaded ${categories.length} EVA criteria for ${stageKey}`);
@@ -762,16 +786,93 @@ Post-project: University RDM Service
     };
   }
 
+  // Stage keys of an eva.json subsection, one per project phase
+  const STAGE_KEYS = ['proposal_early_stage', 'mid_project', 'end_project'];
+
+  // Structure of eva.json-style criteria files (subset understood by SchemaValidator).
+  // Published as eva.schema.json - keep both in sync.
+  const CRITERIA_SCHEMA = {
+    type: 'object',
+    required: ['data_management_plan'],
+    properties: {
+      data_management_plan: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['section_id', 'section_title', 'subsections'],
+          additionalProperties: false,
+          properties: {
+            section_id: { type: 'string', pattern: '^\\d+$', description: 'Section number, e.g. "1"' },
+            section_title: { type: 'string', minLength: 1 },
+            subsections: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['id', 'question', 'stages'],
+                additionalProperties: false,
+                properties: {
+                  id: { type: 'string', pattern: '^\\d+[a-z]$', description: 'Section number plus letter, e.g. "1a"' },
+                  question: { type: 'string', minLength: 1 },
+                  // A criterion may leave out phases it does not apply to
+                  stages: {
+                    type: 'object',
+                    minProperties: 1,
+                    additionalProperties: false,
+                    properties: {
+                      proposal_early_stage: { type: 'string', minLength: 1 },
+                      mid_project: { type: 'string', minLength: 1 },
+                      end_project: { type: 'string', minLength: 1 }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+
+  /**
+   * Validate eva.json-style criteria data against CRITERIA_SCHEMA and check that IDs are unique
+   * and belong to their section (the prompt relies on the "1a" pattern)
+   * @param {Object} data - Parsed criteria file
+   * @returns {Object} - {valid, errors}; errors are messages with JSON paths
+   */
+  function validateCriteriaData(data) {
+    const errors = window.SchemaValidator.validate(data, CRITERIA_SCHEMA).errors.slice();
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    const seen = new Set();
+    data.data_management_plan.forEach((section, i) => {
+      section.subsections.forEach((sub, j) => {
+        const path = `$.data_management_plan[${i}].subsections[${j}].id`;
+        if (seen.has(sub.id)) {
+          errors.push(`${path}: duplicate criterion ID "${sub.id}"`);
+        }
+        seen.add(sub.id);
+        if (parseInt(sub.id, 10) !== parseInt(section.section_id, 10)) {
+          errors.push(`${path}: "${sub.id}" does not belong to section ${section.section_id}`);
+        }
+      });
+    });
+    return { valid: errors.length === 0, errors };
+  }
+
   /**
    * Parse JSON criteria file (eva.json format)
    * @param {string} text - JSON text content
    * @param {string} phase - Project phase
-   * @returns {Object} - Structured criteria object or null if not valid JSON
+   * @returns {Object} - Structured criteria object or null if the text is not a JSON object
    */
   function parseJSONCriteria(text, phase = 'proposal') {
     try {
       const data = JSON.parse(text);
-      if (data.data_management_plan) {
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
         return loadEVACriteria(data, phase);
       }
     } catch (e) {
@@ -780,6 +881,59 @@ Post-project: University RDM Service
     return null;
   }
 
+  /**
+   * Check the content of a criteria file before it is used.
+   * eva.json-style files are validated against CRITERIA_SCHEMA; other documents need a "Table 2" table.
+   * @param {string} text - Criteria file content
+   * @returns {Object} - {format: 'eva.json'|'table'|'unknown', errors}; errors of eva.json-style files
+   *   start with the JSON path of the problem. 'unknown' means only the default criteria could be used.
+   */
+  function checkCriteriaFile(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('{')) {
+      try {
+        return { format: 'eva.json', errors: validateCriteriaData(JSON.parse(trimmed)).errors };
+      } catch (e) {
+        return { format: 'eva.json', errors: [`$: not valid JSON (${e.message})`] };
+      }
+    }
+
+    const criteria = extractCriteria(trimmed);
+    return criteria.usedDefaults
+      ? { format: 'unknown', errors: [`No criteria found: ${criteria.defaultsReason}`] }
+      : { format: 'table', errors: [] };
+  }
+
+  /**
+   * Convert criteria of one phase (e.g. extracted from a Table 2 document) into the eva.json structure
+   * @param {Object} criteria - Structured criteria object from extractCriteria
+   * @returns {Object} - {data_management_plan: [...]} with stage texts for the criteria's phase only
+   */
+  function criteriaToData(criteria) {
+    const stageKey = PHASE_STAGE_KEYS[normalizePhase(criteria.phase)];
+    const sections = [];
+
+    criteria.categories.forEach(category => {
+      const sectionId = String(parseInt(category.id, 10));
+      let section = sections.find(s => s.section_id === sectionId);
+      if (!section) {
+        section = {
+          section_id: sectionId,
+          section_title: category.section_title || `Section ${sectionId}`,
+          subsections: []
+        };
+        sections.push(section);
+      }
+      section.subsections.push({
+        id: String(category.id).toLowerCase(),
+        question: category.name,
+        stages: { [stageKey]: category.description }
+      });
+    });
+
+    return { data_management_plan: sections };
+  }
+
   // Export public API
   window.CriteriaExtractor = {
     extractCriteria,
@@ -788,8 +942,15 @@ Post-project: University RDM Service
     getCriteriaStats,
     getDefaultCriteria,
     getDefaultCriteriaText,
+    normalizePhase,
     loadEVACriteria,
     parseJSONCriteria,
+    checkCriteriaFile,
+    criteriaToData,
+    validateCriteriaData,
+    CRITERIA_SCHEMA,
+    STAGE_KEYS,
+    PHASE_STAGE_KEYS,
     CATEGORY_DEFINITIONS,
     DEFAULT_CRITERIA_TEXT,
     DEFAULT_CRITERIA_BY_PHASE,
@@ -0,0 +1,1265 @@
+// =============================================================================
+// EVALUATOR MODULE
+// Orchestrates the DMP evaluation process
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  // Default score spread (max - min) above which ensemble models are considered to disagree
+  const DEFAULT_DISAGREEMENT_MARGIN = 15;
+
+  // Upper bound on self-consistency runs per model
+  const MAX_RUNS = 10;
+
+  /**
+   * Main evaluation orchestrator
+   * @param {File} criteriaFile - Evaluation criteria file
+   * @param {File} dmpFile - DMP document file
+   * @param {string} phase - Project phase (proposal/mid/end)
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Evaluation options
+   * @param {AbortSignal} options.signal - Cancels the evaluation (result has cancelled: true)
+   * @param {Object} options.ensemble - Ensemble settings {members: [{profileId, model}], disagreementMargin};
+   *   with two or more members every member evaluates the DMP and the results are merged
+   * @param {number} options.runs - Self-consistency runs per model (default: 1); with more than one run
+   *   scores are averaged and their spread is reported as `stability`
+   * @param {boolean} options.useCache - Answer repeated requests from the response cache
+   *   (default: cache toggle); always off for self-consistency runs, which need fresh replies
+   * @param {Array<string>} options.failover - Fallback profile IDs tried in order when the active profile
+   *   fails (network error, server error, input too large); ignored for ensembles
+   * @param {string} options.feedbackLanguage - Language code for explanations and feedback, or 'auto'
+   *   (default) for the detected DMP language (English if it is not supported)
+   * @param {boolean} options.allowDefaultCriteria - Evaluate with the generic default criteria when none can be
+   *   read from the criteria file; otherwise such evaluations fail with errorCode 'DEFAULT_CRITERIA'
+   * @returns {Promise<Object>} - Evaluation results
+   */
+  async function evaluate(criteriaFile, dmpFile, phase, onProgress = null, options = {}) {
+    const { signal = null, ensemble = null } = options;
+    const runs = Math.min(Math.max(parseInt(options.runs, 10) || 1, 1), MAX_RUNS);
+    const useCache = runs === 1 && (options.useCache ?? window.ResponseCache.isEnabled());
+    const cacheStats = { requests: 0, hits: 0 };
+    const usageStats = { calls: 0, promptTokens: 0, completionTokens: 0, estimated: false, cost: 0, unpricedCalls: 0 };
+    const promptTemplate = window.PromptLibrary.getActive();
+
+    try {
+      // Step 1: Parse criteria file
+      const isDocCriteria = criteriaFile.name.toLowerCase().endsWith('.doc');
+      updateProgress(onProgress, isDocCriteria ? 'Extracting .doc file with AI...' : 'Parsing evaluation criteria...');
+      const criteriaData = await window.FileParser.parseFile(criteriaFile);
+      const criteria = window.CriteriaExtractor.extractCriteria(criteriaData.text, phase);
+
+      // Generic default criteria are only used with consent - a broken criteria file must not go unnoticed
+      if (criteria.usedDefaults && !options.allowDefaultCriteria) {
+        throw createDefaultCriteriaError(criteriaFile.name, criteriaData.text, criteria.defaultsReason);
+      }
+
+      // Validate criteria
+      const criteriaValidation = window.CriteriaExtractor.validateCriteria(criteria);
+      if (!criteriaValidation.valid) {
+        throw new Error(`Invalid criteria: ${criteriaValidation.message}`);
+      }
+
+      console.log('[Evaluator] Criteria loaded:', criteriaValidation.message);
+      updateProgress(onProgress, `Criteria loaded: ${criteria.categories.length} categories`);
+
+      // Step 2: Parse DMP file
+      const isDocDmp = dmpFile.name.toLowerCase().endsWith('.doc');
+      updateProgress(onProgress, isDocDmp ? 'Extracting .doc file with AI...' : 'Parsing DMP document...');
+      const dmpData = await window.FileParser.parseFile(dmpFile, { truncate: false });
+
+      console.log('[Evaluator] DMP document parsed:', dmpData.name);
+      updateProgress(onProgress, `DMP document parsed: ${window.FileParser.formatFileSize(dmpData.size)}`);
+
+      // Check DMP size
+      if (dmpData.text.length < 100) {
+        throw new Error('DMP document is too short. Please provide a complete DMP.');
+      }
+
+      // Explanations in the chosen language; the DMP text itself is sent and matched unchanged
+      const dmpLanguage = window.LanguageUtils.detectLanguage(dmpData.text);
+      const feedbackLanguage = resolveFeedbackLanguage(options.feedbackLanguage, dmpLanguage.code);
+      console.log(`[Evaluator] DMP language: ${dmpLanguage.code || 'unknown'}, feedback language: ${feedbackLanguage}`);
+
+      // Reviewed exemplars for the criteria in play, the same for every request
+      const exemplars = window.ExemplarBank.select(criteria.categories.map(cat => cat.id), phase);
+      const promptOptions = { sections: promptTemplate.sections, exemplars: exemplars, language: feedbackLanguage };
+
+      // Step 3-4: Evaluate with the active profile, or with every ensemble member
+      const isEnsemble = !!(ensemble && ensemble.members && ensemble.members.length >= 2);
+      const targets = isEnsemble
+        ? ensemble.members.map(member => describeTarget(member.profileId, member.model))
+        : [describeTarget(window.APIConfig.getActiveProfileId())];
+
+      // Once a fallback has answered, later chunks and runs go straight to it
+      const failover = !isEnsemble && Array.isArray(options.failover) && options.failover.length > 0
+        ? { target: targets[0], fallbackProfileIds: options.failover.slice(), used: [], failures: [] }
+        : null;
+
+      const targetResults = [];
+      for (let i = 0; i < targets.length; i++) {
+        if (isEnsemble) {
+          updateProgress(onProgress, `Ensemble model ${i + 1}/${targets.length}: ${targets[i].label}`);
+        }
+
+        // Repeat the evaluation for self-consistency
+        const runResults = [];
+        for (let run = 0; run < runs; run++) {
+          if (runs > 1) {
+            updateProgress(onProgress, `Self-consistency run ${run + 1}/${runs}`);
+          }
+          runResults.push(await evaluateTarget(criteria, dmpData.text, phase, targets[i], onProgress, {
+            signal, useCache, cacheStats, usageStats, failover, cacheLabel: dmpFile.name,
+            promptOptions
+          }));
+        }
+        targetResults.push(runs > 1
+          ? mergeRepeatedResults(runResults, criteria, dmpData.text, feedbackLanguage)
+          : runResults[0]);
+      }
+
+      // Step 5: Process and validate results
+      updateProgress(onProgress, 'Processing results...');
+      const disagreementMargin = ensemble && typeof ensemble.disagreementMargin === 'number'
+        ? ensemble.disagreementMargin
+        : DEFAULT_DISAGREEMENT_MARGIN;
+      const processedResults = isEnsemble
+        ? mergeEnsembleResults(targetResults, targets, criteria, dmpData.text, disagreementMargin, feedbackLanguage)
+        : targetResults[0];
+
+      console.log('[Evaluator] Evaluation complete. Overall score:', processedResults.overallScore);
+      updateProgress(onProgress, 'Evaluation complete!');
+
+      // With failover, record the profiles that actually answered
+      const usedTargets = failover && failover.used.length > 0 ? failover.used : targets;
+      const metadata = {
+        criteriaFile: criteriaFile.name,
+        dmpFile: dmpFile.name,
+        phase: phase,
+        evaluationDate: new Date().toISOString(),
+        model: usedTargets.map(t => t.model).join(' + '),
+        promptTemplate: { id: promptTemplate.id, name: promptTemplate.name, version: promptTemplate.version },
+        language: {
+          dmp: dmpLanguage.code || 'unknown',
+          dmpConfidence: dmpLanguage.confidence,
+          feedback: feedbackLanguage
+        }
+      };
+      if (!isEnsemble) {
+        Object.assign(metadata, describeRequestSettings(usedTargets[usedTargets.length - 1].profileId));
+      }
+      if (failover && failover.failures.length > 0) {
+        metadata.failover = {
+          requestedProfileId: targets[0].profileId,
+          usedProfileIds: usedTargets.map(t => t.profileId),
+          failures: failover.failures
+        };
+      }
+      if (window.LLMService.isTestMode()) {
+        metadata.testMode = true;
+      }
+      if (criteria.usedDefaults) {
+        metadata.defaultCriteria = { reason: criteria.defaultsReason };
+      }
+      if (exemplars.length > 0) {
+        metadata.exemplars = { count: exemplars.length, ids: exemplars.map(e => e.id) };
+      }
+      if (runs > 1) {
+        metadata.runs = runs;
+      }
+      if (cacheStats.hits > 0) {
+        metadata.cache = { hits: cacheStats.hits, requests: cacheStats.requests };
+      }
+      if (usageStats.calls > 0) {
+        metadata.usage = describeUsage(usageStats);
+      }
+      if (isEnsemble) {
+        metadata.ensemble = {
+          members: targets.map(t => ({ model: t.model, label: t.label, ...describeRequestSettings(t.profileId) })),
+          disagreementMargin: disagreementMargin
+        };
+      }
+
+      return {
+        success: true,
+        results: processedResults,
+        metadata: metadata
+      };
+
+    } catch (error) {
+      const metadata = {
+        criteriaFile: criteriaFile?.name,
+        dmpFile: dmpFile?.name,
+        phase: phase,
+        evaluationDate: new Date().toISOString()
+      };
+      // Tokens spent before a failure or cancel are reported too, so monthly totals stay complete
+      if (usageStats.calls > 0) {
+        metadata.usage = describeUsage(usageStats);
+      }
+
+      if (window.LLMService.isAbortError(error)) {
+        console.log('[Evaluator] Evaluation cancelled');
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Evaluation cancelled',
+          metadata: metadata
+        };
+      }
+
+      console.error('[Evaluator] Error:', error);
+      return {
+        success: false,
+        error: error.message,
+        ...(error.code ? { errorCode: error.code } : {}),
+        metadata: metadata
+      };
+    }
+  }
+
+  /**
+   * Create the error for a criteria file from which no criteria could be read
+   * @param {string} fileName - Criteria file name
+   * @param {string} text - Criteria file content
+   * @param {string} reason - Why the default criteria would be used
+   * @returns {Error} - Error with code 'DEFAULT_CRITERIA'
+   */
+  function createDefaultCriteriaError(fileName, text, reason) {
+    // Schema problems with their JSON paths; other documents have no structure to report on
+    const check = window.CriteriaExtractor.checkCriteriaFile(text);
+    const problems = check.format === 'eva.json' ? check.errors : [];
+    let message = `No criteria could be read from ${fileName}: ${reason}.`;
+    if (problems.length > 0) {
+      message += '\n' + problems.slice(0, 10).map(problem => `- ${problem}`).join('\n');
+      if (problems.length > 10) {
+        message += `\n- ... and ${problems.length - 10} more`;
+      }
+    }
+
+    const error = new Error(message);
+    error.code = 'DEFAULT_CRITERIA';
+    return error;
+  }
+
+  /**
+   * Choose the language of explanations and feedback
+   * @param {string} requested - Language code, or 'auto'/empty for the DMP language
+   * @param {string|null} detected - Detected DMP language code
+   * @returns {string} - Supported language code
+   */
+  function resolveFeedbackLanguage(requested, detected) {
+    if (requested && requested !== 'auto' && window.LanguageUtils.isSupported(requested)) {
+      return requested;
+    }
+    return detected && window.LanguageUtils.isSupported(detected) ? detected : window.LanguageUtils.DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Describe a profile/model pair to evaluate with
+   * @param {string} profileId - API profile ID
+   * @param {string} model - Model identifier (default: selected model for the profile)
+   * @returns {Object} - {profileId, model, label}
+   */
+  function describeTarget(profileId, model = null) {
+    const profile = window.APIConfig.getProfile(profileId);
+    const resolvedModel = model || window.LLMService.getSelectedModel(profileId);
+    return {
+      profileId: profileId,
+      model: resolvedModel,
+      label: profile ? `${resolvedModel} (${profile.name})` : resolvedModel
+    };
+  }
+
+  /**
+   * Describe how requests for a profile are made, for reproducibility metadata
+   * @param {string} profileId - API profile ID
+   * @returns {Object} - {profileId, provider, endpointHost, sampling}; sampling holds the values actually sent
+   */
+  function describeRequestSettings(profileId) {
+    const profile = window.APIConfig.getProfile(profileId) || window.APIConfig.getActiveProfile();
+    return {
+      profileId: profileId,
+      provider: profile.provider || 'openai',
+      endpointHost: window.APIConfig.getEndpointHost(profile),
+      sampling: {
+        ...window.ProviderAdapters.getSamplingParams(profile),
+        maxTokens: profile.maxTokens || null
+      }
+    };
+  }
+
+  /**
+   * Evaluate the DMP with one profile/model, chunking it to the profile's input budget
+   * @param {Object} criteria - Extracted evaluation criteria
+   * @param {string} dmpText - Full DMP text
+   * @param {string} phase - Project phase
+   * @param {Object} target - {profileId, model, label} from describeTarget
+   * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional abort signal
+   * @param {boolean} options.useCache - Read and write the response cache
+   * @param {Object} options.cacheStats - {requests, hits} counters, updated per request
+   * @param {Object} options.usageStats - Token and cost totals, updated per API call (see describeUsage)
+   * @param {Object} options.failover - Failover state {target, fallbackProfileIds, used, failures}; when set,
+   *   requests go to failover.target and move along the chain, which is updated in place
+   * @param {string} options.cacheLabel - Description stored with cached responses
+   * @param {Object} options.promptOptions - Options for LLMService.buildEvaluationPrompt ({sections, language, exemplars});
+   *   language is also used for the category feedback
+   * @returns {Promise<Object>} - Processed results (see processResults)
+   */
+  async function evaluateTarget(criteria, dmpText, phase, target, onProgress, options = {}) {
+    const { signal = null, useCache = false, cacheStats = null, usageStats = null, failover = null, cacheLabel = '',
+      promptOptions = {} } = options;
+    if (failover) {
+      target = failover.target;
+    }
+
+    // Split DMP into chunks that fit the profile's input budget. Chunks must also fit the fallback
+    // profiles, or failing over to one with a smaller limit would only hit that limit; a fallback
+    // too small for the prompt alone cannot take any chunk and is left to fail over in turn.
+    updateProgress(onProgress, 'Building evaluation prompt...');
+    const fallbackBudgets = (failover ? failover.fallbackProfileIds : []).map(profileId => {
+      try {
+        return getChunkTokenBudget(criteria, phase, profileId, promptOptions);
+      } catch (error) {
+        return Infinity;
+      }
+    });
+    const chunkBudget = Math.min(getChunkTokenBudget(criteria, phase, target.profileId, promptOptions), ...fallbackBudgets);
+    const chunks = splitIntoChunks(dmpText, chunkBudget);
+    if (chunks.length > 1) {
+      console.log(`[Evaluator] DMP split into ${chunks.length} chunks`);
+      updateProgress(onProgress, `DMP exceeds the input limit - evaluating in ${chunks.length} chunks`);
+    }
+
+    // Call LLM for evaluation, one chunk at a time
+    const chunkResults = [];
+    const reasoningTraces = [];
+    for (let i = 0; i < chunks.length; i++) {
+      const prompts = window.LLMService.buildEvaluationPrompt(criteria, chunks[i], phase, promptOptions);
+
+      console.log(`[Evaluator] Prompt built for chunk ${i + 1}/${chunks.length}, token estimate:`,
+        window.LLMService.estimateTokens(prompts.systemPrompt + prompts.userPrompt));
+
+      updateProgress(onProgress, chunks.length > 1
+        ? `Evaluating DMP with AI (chunk ${i + 1}/${chunks.length})...`
+        : 'Evaluating DMP with AI...');
+      let response;
+      try {
+        response = await window.LLMService.evaluateDMPDetailed(
+          prompts.systemPrompt,
+          prompts.userPrompt,
+          (msg) => {
+            // Streamed paragraphs are normalized so the UI can annotate them before the reply is complete
+            if (msg.type === 'paragraph') {
+              updateProgress(onProgress, {
+                type: 'paragraph',
+                evaluations: processResults({ p: [msg.paragraph] }, criteria).sentenceEvaluations,
+                round: msg.round,
+                dmpText: dmpText
+              });
+              return;
+            }
+            // Pass messages through directly
+            // LLM service now sends consistent object format
+            updateProgress(onProgress, msg);
+          },
+          {
+            signal,
+            profileId: target.profileId,
+            model: target.model,
+            fallbackProfileIds: failover ? failover.fallbackProfileIds : [],
+            useCache,
+            cacheLabel: chunks.length > 1 ? `${cacheLabel} (chunk ${i + 1}/${chunks.length})` : cacheLabel
+          }
+        );
+      } catch (error) {
+        // Correction rounds answered before the failure still count towards the evaluation's usage,
+        // charged to the profile that answered them
+        if (usageStats) {
+          addFailureUsage(usageStats, error.failures || []);
+          if (error.usage) {
+            addUsage(usageStats, error.usage, error.profileId ? { profileId: error.profileId, model: error.model } : target);
+          }
+        }
+        throw error;
+      }
+      const { result, cacheHit, usage, reasoning, profileId, model, failures } = response;
+      if (usageStats) {
+        addFailureUsage(usageStats, failures);
+      }
+      if (failover) {
+        failover.failures.push(...failures);
+        if (profileId !== target.profileId) {
+          failover.fallbackProfileIds = failover.fallbackProfileIds.slice(failover.fallbackProfileIds.indexOf(profileId) + 1);
+          failover.target = target = describeTarget(profileId, model);
+        }
+        if (!failover.used.some(t => t.profileId === target.profileId)) {
+          failover.used.push(target);
+        }
+      }
+      if (cacheStats) {
+        cacheStats.requests++;
+        if (cacheHit) cacheStats.hits++;
+      }
+      if (usageStats && usage) {
+        addUsage(usageStats, usage, target);
+      }
+      chunkResults.push(result);
+
+      // Label each trace with where it came from, so merged results stay auditable
+      reasoning.forEach(trace => {
+        const parts = [target.label];
+        if (chunks.length > 1) parts.push(`chunk ${i + 1}/${chunks.length}`);
+        if (trace.round > 0) parts.push(`correction round ${trace.round}`);
+        reasoningTraces.push({ label: parts.join(' · '), text: trace.text });
+      });
+    }
+
+    return processResults(mergeChunkResults(chunkResults), criteria, dmpText, {
+      chunkCount: chunks.length,
+      reasoning: reasoningTraces,
+      language: promptOptions.language
+    });
+  }
+
+  /**
+   * Add one API call's token counts and cost to the evaluation totals
+   * @param {Object} usageStats - Running totals
+   * @param {Object} usage - {promptTokens, completionTokens, estimated} from LLMService
+   * @param {Object} target - {profileId, model} the call was made with
+   */
+  function addUsage(usageStats, usage, target) {
+    usageStats.calls++;
+    usageStats.promptTokens += usage.promptTokens;
+    usageStats.completionTokens += usage.completionTokens;
+    usageStats.estimated = usageStats.estimated || usage.estimated;
+
+    const price = window.UsageTracker.getPrice(target.profileId, target.model);
+    if (price) {
+      usageStats.cost += window.UsageTracker.computeCost(usage, price);
+    } else {
+      usageStats.unpricedCalls++;
+    }
+  }
+
+  /**
+   * Add the tokens spent by profiles that failed before a failover to the evaluation totals
+   * @param {Object} usageStats - Running totals
+   * @param {Array<Object>} failures - [{profileId, model, usage}] from LLMService.evaluateDMPDetailed
+   */
+  function addFailureUsage(usageStats, failures) {
+    failures.forEach(failure => {
+      if (failure.usage) {
+        addUsage(usageStats, failure.usage, failure);
+      }
+    });
+  }
+
+  /**
+   * Summarize token usage for the result metadata
+   * @param {Object} usageStats - Running totals from addUsage
+   * @returns {Object} - {promptTokens, completionTokens, totalTokens, estimated, cost};
+   *   cost is null when no model used has a price, costIncomplete marks calls without a price
+   */
+  function describeUsage(usageStats) {
+    const usage = {
+      promptTokens: usageStats.promptTokens,
+      completionTokens: usageStats.completionTokens,
+      totalTokens: usageStats.promptTokens + usageStats.completionTokens,
+      estimated: usageStats.estimated,
+      cost: usageStats.unpricedCalls < usageStats.calls ? usageStats.cost : null
+    };
+    if (usage.cost !== null && usageStats.unpricedCalls > 0) {
+      usage.costIncomplete = true;
+    }
+    return usage;
+  }
+
+  // Share of the input budget available to a chunk; leaves headroom for the rough token estimate
+  const CHUNK_BUDGET_RATIO = 0.9;
+
+  // Below this many tokens per chunk the prompt overhead dominates and evaluation is pointless
+  const MIN_CHUNK_TOKENS = 250;
+
+  /**
+   * Get the token budget for one DMP chunk under a profile's input limit
+   * @param {Object} criteria - Extracted evaluation criteria
+   * @param {string} phase - Project phase
+   * @param {string} profileId - Profile the chunks are sent to
+   * @param {Object} promptOptions - Options for LLMService.buildEvaluationPrompt
+   * @returns {number} - Estimated tokens available for DMP text per request
+   */
+  function getChunkTokenBudget(criteria, phase, profileId, promptOptions = {}) {
+    const limit = window.LLMService.getInputTokenLimit(profileId);
+    const emptyPrompt = window.LLMService.buildEvaluationPrompt(criteria, '', phase, promptOptions);
+    const overhead = window.LLMService.estimateTokens(emptyPrompt.systemPrompt + emptyPrompt.userPrompt);
+    const budget = Math.floor((limit - overhead) * CHUNK_BUDGET_RATIO);
+
+    if (budget < MIN_CHUNK_TOKENS) {
+      throw new Error(
+        `The prompt and criteria alone use ~${overhead.toLocaleString()} of the ${limit.toLocaleString()} token input limit. ` +
+        'Please shorten the prompt or criteria, or use another API via API Config.'
+      );
+    }
+    return budget;
+  }
+
+  /**
+   * Split DMP text into chunks that fit a token budget.
+   * Splits along markdown headings first, then paragraphs, then lines and
+   * sentences. Chunks are verbatim excerpts so paragraph matching still works
+   * against the original text.
+   * @param {string} text - DMP document text
+   * @param {number} maxTokens - Token budget per chunk
+   * @returns {Array<string>} - Chunks in document order
+   */
+  function splitIntoChunks(text, maxTokens) {
+    const maxChars = maxTokens * 4; // Same ~4 chars/token estimate as LLMService.estimateTokens
+    if (text.length <= maxChars) {
+      return [text];
+    }
+
+    const chunks = [];
+    let current = '';
+    const addPiece = (piece) => {
+      if (!current) {
+        current = piece;
+      } else if (current.length + 2 + piece.length <= maxChars) {
+        current += '\n\n' + piece;
+      } else {
+        chunks.push(current);
+        current = piece;
+      }
+    };
+
+    // Sections start at markdown headings; keep a section together when it fits
+    const sections = text.split(/\n(?=#{1,6}\s)/);
+    for (const section of sections) {
+      const trimmedSection = section.trim();
+      if (!trimmedSection) continue;
+
+      if (trimmedSection.length <= maxChars) {
+        addPiece(trimmedSection);
+        continue;
+      }
+
+      // Section too large - fall back to paragraphs
+      for (const paragraph of trimmedSection.split(/\n\s*\n/)) {
+        const trimmedParagraph = paragraph.trim();
+        if (!trimmedParagraph) continue;
+        splitOversizedParagraph(trimmedParagraph, maxChars).forEach(addPiece);
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  /**
+   * Split a single paragraph that exceeds the chunk size by lines, then sentences
+   * @param {string} paragraph - Paragraph text
+   * @param {number} maxChars - Maximum characters per piece
+   * @returns {Array<string>} - Pieces no longer than maxChars
+   */
+  function splitOversizedParagraph(paragraph, maxChars) {
+    if (paragraph.length <= maxChars) {
+      return [paragraph];
+    }
+
+    // Table rows and bullet items are on separate lines; prose splits at sentence ends
+    const units = paragraph.includes('\n')
+      ? paragraph.split('\n')
+      : paragraph.split(/(?<=[.!?])\s+/);
+
+    const pieces = [];
+    let current = '';
+    const separator = paragraph.includes('\n') ? '\n' : ' ';
+    for (const unit of units) {
+      if (unit.length > maxChars) {
+        // No natural boundary left - hard cut
+        if (current) {
+          pieces.push(current);
+          current = '';
+        }
+        for (let i = 0; i < unit.length; i += maxChars) {
+          pieces.push(unit.slice(i, i + maxChars));
+        }
+      } else if (!current) {
+        current = unit;
+      } else if (current.length + separator.length + unit.length <= maxChars) {
+        current += separator + unit;
+      } else {
+        pieces.push(current);
+        current = unit;
+      }
+    }
+    if (current) {
+      pieces.push(current);
+    }
+    return pieces;
+  }
+
+  /**
+   * Merge raw LLM results from several chunks into one result
+   * @param {Array<Object|Array>} chunkResults - Raw results, one per chunk
+   * @returns {Object|Array} - Raw results in a format processResults accepts
+   */
+  function mergeChunkResults(chunkResults) {
+    if (chunkResults.length === 1) {
+      return chunkResults[0];
+    }
+    return {
+      sentenceEvaluations: chunkResults.flatMap(raw => expandCompactFormat(raw).sentenceEvaluations || [])
+    };
+  }
+
+  /**
+   * Normalize paragraph text so the same paragraph quoted by different models or runs groups together.
+   * The whole text is compared: templated DMPs have many paragraphs with the same opening.
+   * @param {string} text - Paragraph text as returned by a model
+   * @returns {string} - Comparison key
+   */
+  function paragraphKey(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/["'\u2018\u2019\u201c\u201d`*_]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Group paragraph evaluations from several processed results by paragraph.
+   * Criteria IDs are unioned and the first suggestion is kept; each result
+   * contributes at most one score per paragraph.
+   * @param {Array<Object>} resultsList - Processed results
+   * @returns {Array<Object>} - Groups {sentence, criteriaIds, suggestion, scores: [{index, score, explanation}]}
+   */
+  function groupParagraphs(resultsList) {
+    const groups = new Map();
+
+    resultsList.forEach((result, index) => {
+      result.sentenceEvaluations.forEach(se => {
+        const key = paragraphKey(se.sentence);
+        if (!key) return;
+
+        if (!groups.has(key)) {
+          groups.set(key, {
+            sentence: se.sentence,
+            criteriaIds: [],
+            suggestion: null,
+            scores: []
+          });
+        }
+        const group = groups.get(key);
+
+        se.criteriaIds.forEach(id => {
+          if (!group.criteriaIds.includes(id)) group.criteriaIds.push(id);
+        });
+        if (!group.suggestion && se.suggestion) {
+          group.suggestion = se.suggestion;
+        }
+        // A result that quotes the same paragraph twice counts once
+        if (!group.scores.some(entry => entry.index === index)) {
+          group.scores.push({ index: index, score: se.score, explanation: se.explanation });
+        }
+      });
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Summary statistics for a list of scores
+   * @param {Array<number>} scores - Scores (0-100)
+   * @returns {Object} - {mean, min, max, stddev}; mean and stddev rounded to one decimal
+   */
+  function describeScores(scores) {
+    const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+    const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length;
+    return {
+      mean: Math.round(mean * 10) / 10,
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      stddev: Math.round(Math.sqrt(variance) * 10) / 10
+    };
+  }
+
+  /**
+   * Pick the explanation whose score is closest to the combined score
+   * @param {Array<Object>} entries - [{score, explanation}]
+   * @param {number} score - Combined score
+   * @returns {string} - Explanation
+   */
+  function representativeExplanation(entries, score) {
+    return entries.reduce((best, entry) =>
+      Math.abs(entry.score - score) < Math.abs(best.score - score) ? entry : best).explanation;
+  }
+
+  /**
+   * Merge repeated runs of the same model into one result.
+   * Paragraph and category scores become the mean across runs; `stability`
+   * records min/max/standard deviation, and categories whose score band
+   * (see determineStatus) changes between runs are marked unstable.
+   * @param {Array<Object>} runResults - Processed results, one per run
+   * @param {Object} criteria - Original criteria
+   * @param {string} originalDMPText - Original DMP text
+   * @param {string} language - Language code of the category feedback
+   * @returns {Object} - Processed results with `stability` on paragraphs, categories and overall
+   */
+  function mergeRepeatedResults(runResults, criteria, originalDMPText, language) {
+    const sentenceEvaluations = groupParagraphs(runResults).map(group => {
+      const scores = group.scores.map(entry => entry.score);
+      const stats = describeScores(scores);
+      const score = Math.round(stats.mean);
+
+      return {
+        sentence: group.sentence,
+        criteriaIds: group.criteriaIds,
+        score: score,
+        explanation: representativeExplanation(group.scores, score),
+        suggestion: group.suggestion,
+        stability: { runs: scores.length, ...stats }
+      };
+    });
+
+    const merged = processResults({ sentenceEvaluations }, criteria, originalDMPText, {
+      chunkCount: Math.max(...runResults.map(r => r.chunkCount || 1)),
+      reasoning: runResults.flatMap((result, i) =>
+        (result.reasoning || []).map(trace => ({ label: `Run ${i + 1} · ${trace.label}`, text: trace.text }))),
+      language: language
+    });
+
+    // Category scores per run; the merged score is their mean rather than a re-aggregation.
+    // Runs in which no paragraph addressed a category do not count towards it (a missing score is not a 0).
+    merged.categories.forEach(cat => {
+      const scores = runResults
+        .filter(result => result.sentenceEvaluations.some(se => se.criteriaIds.includes(cat.id)))
+        .map(result => {
+          const match = result.categories.find(c => c.id === cat.id);
+          return match ? match.score : 0;
+        });
+      if (scores.length === 0) return;
+
+      const stats = describeScores(scores);
+      const explanations = merged.sentenceEvaluations
+        .filter(se => se.criteriaIds.includes(cat.id))
+        .map(se => se.explanation);
+      cat.score = Math.round(stats.mean);
+      cat.status = determineStatus(cat.score);
+      cat.feedback = generateCategoryFeedback(cat.id, cat.name, cat.score, explanations, language);
+      cat.stability = {
+        runs: scores.length,
+        scores: scores,
+        ...stats,
+        unstable: new Set(scores.map(determineStatus)).size > 1
+      };
+    });
+
+    // The overall score is the mean of the run scores, so it lies within the range shown next to it
+    const overallScores = runResults.map(r => r.overallScore);
+    merged.overallScore = Math.round(overallScores.reduce((a, b) => a + b, 0) / overallScores.length);
+    merged.stability = {
+      runs: runResults.length,
+      overallScores: overallScores,
+      ...describeScores(overallScores),
+      unstableCount: merged.categories.filter(cat => cat.stability && cat.stability.unstable).length
+    };
+
+    return merged;
+  }
+
+  /**
+   * Merge per-model processed results into a consensus result.
+   * Paragraph and category scores are averaged across models; the spread
+   * (max - min) flags paragraphs and categories where models disagree.
+   * A model that did not score a paragraph or category has score null there
+   * and is left out of the consensus and the spread.
+   * @param {Array<Object>} memberResults - Processed results, one per model
+   * @param {Array<Object>} targets - {profileId, model, label} for each result
+   * @param {Object} criteria - Original criteria
+   * @param {string} originalDMPText - Original DMP text
+   * @param {number} disagreementMargin - Spread above which a score is flagged
+   * @param {string} language - Language code of the category feedback
+   * @returns {Object} - Processed consensus results with per-model scores
+   */
+  function mergeEnsembleResults(memberResults, targets, criteria, originalDMPText, disagreementMargin, language) {
+    const sentenceEvaluations = groupParagraphs(memberResults).map(group => {
+      const scores = group.scores.map(entry => entry.score);
+      const consensus = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+      const spread = Math.max(...scores) - Math.min(...scores);
+
+      return {
+        sentence: group.sentence,
+        criteriaIds: group.criteriaIds,
+        score: consensus,
+        // Use the explanation of the model closest to the consensus
+        explanation: representativeExplanation(group.scores, consensus),
+        suggestion: group.suggestion,
+        agreement: {
+          modelScores: targets.map((target, memberIndex) => {
+            const entry = group.scores.find(e => e.index === memberIndex);
+            return {
+              label: target.label,
+              score: entry ? entry.score : null,
+              explanation: entry ? entry.explanation : null
+            };
+          }),
+          spread: spread,
+          disagreement: scores.length >= 2 && spread > disagreementMargin
+        }
+      };
+    });
+
+    const merged = processResults({ sentenceEvaluations }, criteria, originalDMPText, {
+      chunkCount: Math.max(...memberResults.map(r => r.chunkCount || 1)),
+      reasoning: memberResults.flatMap(result => result.reasoning || []),
+      language: language
+    });
+
+    // Per-model category scores next to the consensus; a model with no paragraph
+    // addressing the category did not score it. The consensus is the mean of the models'
+    // category scores, so it lies within the range shown next to it.
+    merged.categories.forEach(cat => {
+      const modelScores = memberResults.map((result, memberIndex) => {
+        const scored = result.sentenceEvaluations.some(se => se.criteriaIds.includes(cat.id));
+        const match = scored && result.categories.find(c => c.id === cat.id);
+        return { label: targets[memberIndex].label, score: match ? match.score : null };
+      });
+      const scores = modelScores.map(ms => ms.score).filter(score => score !== null);
+      const spread = scores.length > 0 ? Math.max(...scores) - Math.min(...scores) : 0;
+      if (scores.length > 0) {
+        const explanations = merged.sentenceEvaluations
+          .filter(se => se.criteriaIds.includes(cat.id))
+          .map(se => se.explanation);
+        cat.score = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+        cat.status = determineStatus(cat.score);
+        cat.feedback = generateCategoryFeedback(cat.id, cat.name, cat.score, explanations, language);
+      }
+      cat.agreement = {
+        modelScores: modelScores,
+        spread: spread,
+        disagreement: scores.length >= 2 && spread > disagreementMargin
+      };
+    });
+    merged.overallScore = calculateOverallScore(merged.categories);
+
+    merged.ensemble = {
+      members: targets.map((target, i) => ({
+        label: target.label,
+        profileId: target.profileId,
+        model: target.model,
+        overallScore: memberResults[i].overallScore
+      })),
+      disagreementMargin: disagreementMargin,
+      disagreementCount: merged.sentenceEvaluations.filter(se => se.agreement && se.agreement.disagreement).length
+    };
+
+    return merged;
+  }
+
+  /**
+   * Process and validate evaluation results
+   * @param {Object} rawResults - Raw results from LLM
+   * @param {Object} criteria - Original criteria
+   * @param {string} originalDMPText - Original DMP text (optional)
+   * @param {Object} options - Processing options
+   * @param {number} options.chunkCount - Number of chunks the DMP was evaluated in (default: 1)
+   * @param {Array<Object>} options.reasoning - Model reasoning traces [{label, text}] kept with the results
+   * @param {string} options.language - Language code of the category feedback (default: English)
+   * @returns {Object} - Processed results
+   */
+  function processResults(rawResults, criteria, originalDMPText = '', options = {}) {
+    // Detect and expand compact format
+    const expandedResults = expandCompactFormat(rawResults);
+
+    // Ensure all required fields exist
+    const processed = {
+      overallScore: 0,
+      categories: [],
+      sentenceEvaluations: [],
+      originalDMPText: originalDMPText,
+      chunkCount: options.chunkCount || 1
+    };
+    if (options.reasoning && options.reasoning.length > 0) {
+      processed.reasoning = options.reasoning;
+    }
+
+    // Process sentence evaluations - validate criteriaIds against valid list
+    const validCriteriaIds = criteria && criteria.categories
+      ? criteria.categories.map(c => c.id.toLowerCase())
+      : [];
+
+    if (expandedResults.sentenceEvaluations && Array.isArray(expandedResults.sentenceEvaluations)) {
+      processed.sentenceEvaluations = expandedResults.sentenceEvaluations.map(se => {
+        // Filter criteriaIds to only valid ones
+        const filteredIds = (se.criteriaIds || [])
+          .map(id => typeof id === 'string' ? id.toLowerCase() : String(id).toLowerCase())
+          .filter(id => validCriteriaIds.includes(id));
+
+        if (filteredIds.length === 0 && (se.criteriaIds || []).length > 0) {
+          console.warn('[Evaluator] Invalid criteria IDs removed:', se.criteriaIds, 'for sentence:', se.sentence?.substring(0, 50));
+        }
+
+        const evaluation = {
+          sentence: se.sentence || '',
+          criteriaIds: filteredIds,
+          score: Math.min(100, Math.max(0, Number(se.score) || 0)),
+          explanation: se.explanation || 'No explanation provided',
+          suggestion: se.suggestion || null
+        };
+        // Keep per-model scores from an ensemble merge and run statistics from a self-consistency merge
+        if (se.agreement) {
+          evaluation.agreement = se.agreement;
+        }
+        if (se.stability) {
+          evaluation.stability = se.stability;
+        }
+        return evaluation;
+      });
+    }
+
+    // Calculate category scores from sentence evaluations
+    const categoryScores = {};
+    const categoryExplanations = {};
+    processed.sentenceEvaluations.forEach(se => {
+      se.criteriaIds.forEach(cid => {
+        if (!categoryScores[cid]) {
+          categoryScores[cid] = [];
+          categoryExplanations[cid] = [];
+        }
+        categoryScores[cid].push(se.score);
+        if (se.explanation) {
+          categoryExplanations[cid].push(se.explanation);
+        }
+      });
+    });
+
+    // Build categories from criteria and sentence scores
+    if (criteria && criteria.categories) {
+      processed.categories = criteria.categories.map(critCat => {
+        const scores = categoryScores[critCat.id] || [];
+        const calculatedScore = scores.length > 0
+          ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
+          : 0;
+
+        const status = determineStatus(calculatedScore);
+
+        // Generate feedback from sentence explanations
+        const feedback = generateCategoryFeedback(critCat.id, critCat.name, calculatedScore, categoryExplanations[critCat.id] || [], options.language);
+
+        return {
+          id: critCat.id,
+          name: critCat.name,
+          score: calculatedScore,
+          status: status,
+          feedback: feedback
+        };
+      });
+    }
+
+    // Calculate overall score from category scores
+    processed.overallScore = calculateOverallScore(processed.categories);
+
+    // Sort categories by ID
+    processed.categories.sort((a, b) => {
+      const aNum = parseInt(a.id);
+      const bNum = parseInt(b.id);
+      if (aNum !== bNum) return aNum - bNum;
+      return a.id.localeCompare(b.id);
+    });
+
+    return processed;
+  }
+
+  /**
+   * Calculate the overall score as the mean of categories with a non-zero score
+   * @param {Array<Object>} categories - Processed categories
+   * @returns {number} - Overall score (0-100)
+   */
+  function calculateOverallScore(categories) {
+    const validCategories = categories.filter(c => c.score > 0);
+    if (validCategories.length === 0) return 0;
+    const sum = validCategories.reduce((acc, cat) => acc + cat.score, 0);
+    return Math.round(sum / validCategories.length);
+  }
+
+  /**
+   * Expand compact format to full format
+   * Handles multiple formats from different models:
+   * 1. Compact array format: {"s": [["sentence", ["1a"], 90, "explanation"]]}
+   * 2. Object format: {"s": [{"sentence": "...", "criteriaIds": ["1a"], "score": 90, ...}]}
+   * 3. Ministral format: [{"s": [["sentence", [1a]]], "score": 90, "explanation": "..."}]
+   * @param {Object|Array} compact - Compact format results
+   * @returns {Object} - Expanded results
+   */
+  function toStr(v) { return (v == null || Array.isArray(v)) ? '' : String(v); }
+
+  /**
+   * Normalize criteriaIds from any model output format to a clean string array.
+   * Handles: array, plain string "1a", bracket-string "[1a,2b]" (Qwen-family models)
+   */
+  function parseCriteriaIds(raw) {
+    if (Array.isArray(raw)) return raw.map(id => typeof id === 'string' ? id : String(id));
+    if (typeof raw !== 'string' || !raw.trim()) return [];
+    // Handle "[1a,2b]" bracket-string format (e.g. Qwen3.5-9B output)
+    const inner = raw.trim().replace(/^\[|\]$/g, '');
+    return inner.split(',').map(id => id.trim()).filter(Boolean);
+  }
+
+  /**
+   * Extract sentence text from various model output formats.
+   * Handles: plain string, single-element array [["text"]] (Qwen3.5-9B output), nested arrays
+   */
+  function extractSentence(raw) {
+    if (typeof raw === 'string') return raw;
+    if (Array.isArray(raw) && raw.length === 1) {
+      const inner = raw[0];
+      if (typeof inner === 'string') return inner;
+      // Handle doubly-nested [["text"]]
+      if (Array.isArray(inner) && inner.length === 1 && typeof inner[0] === 'string') return inner[0];
+    }
+    return toStr(raw);
+  }
+
+  function expandCompactFormat(compact) {
+    // Handle Ministral format: array at top level with nested s/score/explanation
+    if (Array.isArray(compact)) {
+      console.log('[Evaluator] Detected Ministral array format, normalizing...');
+      const sentenceEvaluations = [];
+
+      compact.forEach(item => {
+        if (item.s && Array.isArray(item.s)) {
+          item.s.forEach(sItem => {
+            const sentence = Array.isArray(sItem) ? sItem[0] : sItem;
+            const criteriaIds = Array.isArray(sItem) ? parseCriteriaIds(sItem[1]) : [];
+
+            sentenceEvaluations.push({
+              sentence: toStr(sentence),
+              criteriaIds: criteriaIds,
+              score: typeof item.score === 'number' ? item.score : 0,
+              explanation: item.explanation || 'No explanation provided',
+              suggestion: item.suggestion || null
+            });
+          });
+        }
+      });
+
+      return {
+        sentenceEvaluations,
+        categories: [],
+        overallScore: 0
+      };
+    }
+
+    // Handle new compact format (p for paragraphs, s for sentences - backward compatible)
+    if ((compact.p && Array.isArray(compact.p)) || (compact.s && Array.isArray(compact.s))) {
+      // Use 'p' if available (paragraph-level), fall back to 's' (sentence-level)
+      const hasParagraphs = compact.p && Array.isArray(compact.p);
+      const keyUsed = hasParagraphs ? 'p' : 's';
+      const sourceArray = hasParagraphs ? compact.p : compact.s;
+
+      console.log(`[Evaluator] Detected ${hasParagraphs ? 'paragraph' : 'sentence'} format (key: ${keyUsed}), expanding...`);
+
+      // Unwrap extra nesting level produced by Qwen-family models:
+      // {"p":[[[eval1],[eval2],...]]} → {"p":[[eval1],[eval2],...]}   (compact array entries)
+      // {"p":[[{obj1},{obj2},...}]]}  → {"p":[{obj1},{obj2},...]}    (object entries)
+      let items = sourceArray;
+      if (items.length === 1 && Array.isArray(items[0])) {
+        const firstInner = items[0][0];
+        if (Array.isArray(firstInner) || (firstInner !== null && typeof firstInner === 'object')) {
+          console.log('[Evaluator] Unwrapping extra nesting level');
+          items = items[0];
+        }
+      }
+
+      // Check if first item is an object (object format from smaller models)
+      const firstItem = items[0];
+      if (firstItem && typeof firstItem === 'object' && !Array.isArray(firstItem)) {
+        console.log('[Evaluator] Detected object format (from smaller model), normalizing...');
+        return {
+          sentenceEvaluations: items.map(item => ({
+            sentence: extractSentence(item.sentence || item.paragraph || item.text),
+            criteriaIds: parseCriteriaIds(item.criteriaIds),
+            score: typeof item.score === 'number' ? item.score : 0,
+            explanation: item.explanation || 'No explanation provided',
+            suggestion: item.suggestion || null
+          })),
+          categories: compact.c ? compact.c.map(item => ({
+            id: item[0], name: item[1], score: item[2],
+            status: expandStatus(item[3]), feedback: item[4], suggestion: item[5] || null
+          })) : [],
+          overallScore: 0
+        };
+      }
+
+      // Compact array format (paragraph or sentence)
+      return {
+        sentenceEvaluations: items.map(item => ({
+          sentence: extractSentence(item[0]),
+          criteriaIds: parseCriteriaIds(item[1]),
+          score: item[2],
+          explanation: item[3],
+          suggestion: item[4] || null
+        })),
+        categories: compact.c ? compact.c.map(item => ({
+          id: item[0], name: item[1], score: item[2],
+          status: expandStatus(item[3]), feedback: item[4], suggestion: item[5] || null
+        })) : [],
+        overallScore: 0
+      };
+    }
+    // Fallback to original format (backward compatibility)
+    return compact;
+  }
+
+  /**
+   * Expand status code to full status name
+   * @param {string} code - Status code (e/g/p/i)
+   * @returns {string} - Full status name
+   */
+  function expandStatus(code) {
+    const map = {
+      'e': 'excellent',
+      'g': 'good',
+      'p': 'pass',
+      'i': 'insufficient'
+    };
+    return map[code] || code;
+  }
+
+  /**
+   * Generate category feedback from sentence explanations
+   * @param {string} categoryId - Category ID
+   * @param {string} categoryName - Category name
+   * @param {number} score - Calculated score
+   * @param {Array<string>} explanations - Array of sentence explanations
+   * @param {string} language - Language code of the summary sentence (default: English)
+   * @returns {string} - Generated feedback
+   */
+  function generateCategoryFeedback(categoryId, categoryName, score, explanations, language = 'en') {
+    if (explanations.length === 0) {
+      return window.LanguageUtils.getCategoryFeedback(language, categoryName, score, false);
+    }
+
+    // Combine unique explanations (avoid repetition)
+    const uniqueExplanations = [...new Set(explanations)].slice(0, 3);
+
+    return `${window.LanguageUtils.getCategoryFeedback(language, categoryName, score, true)} ${uniqueExplanations.join(' ')}`;
+  }
+
+  /**
+   * Determine status label based on score
+   * @param {number} score - Score (0-100)
+   * @returns {string} - Status label
+   */
+  function determineStatus(score) {
+    if (score >= 90) return 'excellent';
+    if (score >= 75) return 'good';
+    if (score >= 60) return 'pass';
+    return 'insufficient';
+  }
+
+  /**
+   * Update progress callback
+   * @param {Function} callback - Progress callback
+   * @param {string|Object} message - Progress message or streaming object
+   */
+  function updateProgress(callback, message) {
+    if (callback && typeof callback === 'function') {
+      callback(message);
+    }
+    // Only log non-streaming messages to avoid console spam
+    // Stream messages are objects with type: 'stream' or 'paragraph'
+    if (typeof message === 'string' || (message && message.type !== 'stream' && message.type !== 'paragraph')) {
+      console.log('[Progress]', message);
+    }
+  }
+
+  /**
+   * Get score color class
+   * @param {number} score - Score (0-100)
+   * @returns {string} - CSS class name
+   */
+  function getScoreColorClass(score) {
+    if (score >= 90) return 'score-excellent';
+    if (score >= 75) return 'score-good';
+    if (score >= 60) return 'score-pass';
+    return 'score-insufficient';
+  }
+
+  /**
+   * Get score status badge class
+   * @param {string} status - Status (excellent/good/pass/insufficient)
+   * @returns {string} - CSS class name
+   */
+  function getStatusBadgeClass(status) {
+    const map = {
+      'excellent': 'bg-success',
+      'good': 'bg-info',
+      'pass': 'bg-warning',
+      'insufficient': 'bg-danger'
+    };
+    return map[status] || 'bg-secondary';
+  }
+
+  /**
+   * Get progress bar color class
+   * @param {number} score - Score (0-100)
+   * @returns {string} - Bootstrap color class
+   */
+  function getProgressBarClass(score) {
+    if (score >= 90) return 'bg-success';
+    if (score >= 75) return 'bg-info';
+    if (score >= 60) return 'bg-warning';
+    return 'bg-danger';
+  }
+
+  /**
+   * Generate summary statistics
+   * @param {Object} results - Evaluation results
+   * @returns {Object} - Summary statistics
+   */
+  function generateSummary(results) {
+    if (!results || !results.categories) {
+      return null;
+    }
+
+    const categories = results.categories;
+    const scores = categories.map(c => c.score);
+
+    const statusCounts = {
+      excellent: categories.filter(c => c.status === 'excellent').length,
+      good: categories.filter(c => c.status === 'good').length,
+      pass: categories.filter(c => c.status === 'pass').length,
+      insufficient: categories.filter(c => c.status === 'insufficient').length
+    };
+
+    return {
+      overallScore: results.overallScore,
+      totalCategories: categories.length,
+      averageScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+      maxScore: Math.max(...scores),
+      minScore: Math.min(...scores),
+      statusCounts: statusCounts,
+      strengths: categories.filter(c => c.score >= 80),
+      weaknesses: categories.filter(c => c.score < 60)
+    };
+  }
+
+  // Export public API
+  window.Evaluator = {
+    evaluate,
+    processResults,
+    splitIntoChunks,
+    determineStatus,
+    getScoreColorClass,
+    getStatusBadgeClass,
+    getProgressBarClass,
+    generateSummary
+  };
+
+})(window);
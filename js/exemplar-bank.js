@@ -0,0 +1,329 @@
+// =============================================================================
+// EXEMPLAR BANK MODULE
+// Reviewed ("gold") paragraph evaluations used as few-shot examples in the prompt
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  const STORAGE_KEYS = {
+    BANK: 'exemplarBank',              // {exemplars: [{id, text, criteriaIds, score, explanation, phase, ...}]}
+    TOKEN_BUDGET: 'exemplarTokenBudget' // Prompt tokens available for exemplars per request
+  };
+
+  const BANK_FORMAT = 'dmp-eva-exemplars';
+  const BANK_VERSION = 1;
+
+  const DEFAULT_TOKEN_BUDGET = 800;
+
+  /**
+   * Read the stored exemplars
+   * @returns {Array<Object>} - Exemplars, oldest first
+   */
+  function readExemplars() {
+    try {
+      const bank = JSON.parse(localStorage.getItem(STORAGE_KEYS.BANK));
+      return bank && Array.isArray(bank.exemplars) ? bank.exemplars : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Write the exemplars
+   * @param {Array<Object>} exemplars - All exemplars
+   */
+  function writeExemplars(exemplars) {
+    localStorage.setItem(STORAGE_KEYS.BANK, JSON.stringify({ exemplars: exemplars }));
+  }
+
+  /**
+   * Estimate tokens of text (same ~4 chars/token estimate as LLMService.estimateTokens)
+   * @param {string} text - Text
+   * @returns {number}
+   */
+  function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Check an exemplar and bring it into the stored shape
+   * @param {Object} entry - Exemplar fields
+   * @param {string} path - JSON path for error messages
+   * @returns {Object} - {text, criteriaIds, score, explanation, suggestion, phase, source, model, note}
+   */
+  function normalizeExemplar(entry, path) {
+    if (!entry || typeof entry.text !== 'string' || !entry.text.trim()) {
+      throw new Error(`${path}.text: expected the paragraph text`);
+    }
+    const criteriaIds = Array.isArray(entry.criteriaIds)
+      ? entry.criteriaIds.map(id => String(id).trim().toLowerCase()).filter(id => /^\d+[a-z]$/.test(id))
+      : [];
+    if (criteriaIds.length === 0) {
+      throw new Error(`${path}.criteriaIds: expected at least one criterion ID like "1a"`);
+    }
+    const score = Number(entry.score);
+    if (!Number.isFinite(score) || score < 0 || score > 100) {
+      throw new Error(`${path}.score: expected a number from 0 to 100`);
+    }
+    const phase = window.CriteriaExtractor.normalizePhase(entry.phase);
+    if (entry.phase !== phase && entry.phase !== window.CriteriaExtractor.PHASE_STAGE_KEYS[phase]) {
+      throw new Error(`${path}.phase: expected "proposal", "mid" or "end"`);
+    }
+
+    return {
+      text: entry.text.trim(),
+      criteriaIds: Array.from(new Set(criteriaIds)),
+      score: Math.round(score),
+      explanation: typeof entry.explanation === 'string' ? entry.explanation : '',
+      suggestion: typeof entry.suggestion === 'string' ? entry.suggestion : '',
+      phase: phase,
+      source: typeof entry.source === 'string' ? entry.source : '',
+      model: typeof entry.model === 'string' ? entry.model : '',
+      note: typeof entry.note === 'string' ? entry.note : ''
+    };
+  }
+
+  /**
+   * Find a stored exemplar for the same paragraph and phase
+   * @param {Array<Object>} exemplars - All exemplars
+   * @param {string} text - Paragraph text
+   * @param {string} phase - Normalized phase
+   * @returns {Object|undefined}
+   */
+  function findSame(exemplars, text, phase) {
+    const trimmed = text.trim();
+    return exemplars.find(e => e.text === trimmed && e.phase === phase);
+  }
+
+  // =============================================================================
+  // EXEMPLARS
+  // =============================================================================
+
+  /**
+   * List all exemplars, newest first
+   * @returns {Array<Object>}
+   */
+  function list() {
+    return readExemplars().slice().reverse();
+  }
+
+  /**
+   * Get the number of exemplars
+   * @returns {number}
+   */
+  function count() {
+    return readExemplars().length;
+  }
+
+  /**
+   * Check whether a paragraph is already in the bank for a phase
+   * @param {string} text - Paragraph text
+   * @param {string} phase - Project phase
+   * @returns {string|null} - Exemplar ID, or null
+   */
+  function findId(text, phase) {
+    const existing = findSame(readExemplars(), text || '', window.CriteriaExtractor.normalizePhase(phase));
+    return existing ? existing.id : null;
+  }
+
+  /**
+   * Save a reviewed paragraph evaluation as an exemplar.
+   * A paragraph is stored once per phase; saving it again replaces the earlier evaluation.
+   * @param {Object} evaluation - Paragraph evaluation {sentence|text, criteriaIds, score, explanation, suggestion}
+   * @param {Object} info - {phase, source, model, note}
+   * @returns {string} - Exemplar ID
+   */
+  function add(evaluation, info = {}) {
+    const exemplar = normalizeExemplar({
+      text: evaluation.text ?? evaluation.sentence,
+      criteriaIds: evaluation.criteriaIds,
+      score: evaluation.score,
+      explanation: evaluation.explanation,
+      suggestion: evaluation.suggestion,
+      ...info
+    }, 'exemplar');
+
+    const exemplars = readExemplars().filter(e => !(e.text === exemplar.text && e.phase === exemplar.phase));
+    const id = 'ex-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 6);
+    exemplars.push({ id: id, ...exemplar, addedAt: new Date().toISOString() });
+    writeExemplars(exemplars);
+    console.log(`[Exemplars] Saved ${exemplar.criteriaIds.join(', ')} (${exemplar.phase}, score ${exemplar.score})`);
+    return id;
+  }
+
+  /**
+   * Remove one exemplar
+   * @param {string} id - Exemplar ID
+   */
+  function remove(id) {
+    writeExemplars(readExemplars().filter(e => e.id !== id));
+  }
+
+  /**
+   * Remove all exemplars
+   */
+  function clear() {
+    localStorage.removeItem(STORAGE_KEYS.BANK);
+  }
+
+  // =============================================================================
+  // PROMPT SELECTION
+  // =============================================================================
+
+  /**
+   * Get the prompt tokens available for exemplars per request
+   * @returns {number} - Token budget (0 = exemplars are not used)
+   */
+  function getTokenBudget() {
+    const budget = parseInt(localStorage.getItem(STORAGE_KEYS.TOKEN_BUDGET), 10);
+    return Number.isFinite(budget) && budget >= 0 ? budget : DEFAULT_TOKEN_BUDGET;
+  }
+
+  /**
+   * Set the prompt tokens available for exemplars per request
+   * @param {number} tokens - Token budget (0 = exemplars are not used)
+   */
+  function setTokenBudget(tokens) {
+    localStorage.setItem(STORAGE_KEYS.TOKEN_BUDGET, String(Math.max(0, Math.floor(tokens) || 0)));
+  }
+
+  /**
+   * Format one exemplar as a line in the evaluation output format
+   * @param {Object} exemplar - Exemplar
+   * @returns {string} - [paragraphText, [criteriaIds], score, explanation]
+   */
+  function formatExemplar(exemplar) {
+    return JSON.stringify([exemplar.text, exemplar.criteriaIds, exemplar.score, exemplar.explanation]);
+  }
+
+  /**
+   * Pick the exemplars most relevant to an evaluation within the token budget.
+   * Only exemplars of the same phase whose criteria are in play are used. Exemplars are
+   * taken round-robin over the criteria, so every criterion gets one before any gets a
+   * second; within a criterion, exemplars covering more of the criteria in play come first.
+   * The choice is deterministic, so repeated evaluations send the same prompt.
+   * @param {Array<string>} criteriaIds - Criteria IDs of the evaluation
+   * @param {string} phase - Project phase
+   * @param {number} tokenBudget - Token budget (default: getTokenBudget())
+   * @returns {Array<Object>} - Selected exemplars
+   */
+  function select(criteriaIds, phase, tokenBudget = getTokenBudget()) {
+    const inPlay = new Set(criteriaIds.map(id => String(id).toLowerCase()));
+    const normalizedPhase = window.CriteriaExtractor.normalizePhase(phase);
+    const candidates = readExemplars()
+      .filter(e => e.phase === normalizedPhase && e.criteriaIds.some(id => inPlay.has(id)))
+      .map(e => ({ exemplar: e, overlap: e.criteriaIds.filter(id => inPlay.has(id)).length }))
+      .sort((a, b) => b.overlap - a.overlap || a.exemplar.addedAt.localeCompare(b.exemplar.addedAt));
+
+    // Queue of candidates per criterion, in criteria order
+    const queues = Array.from(inPlay).map(id => candidates.filter(c => c.exemplar.criteriaIds.includes(id)));
+
+    const selected = [];
+    let tokens = 0;
+    let progress = true;
+    while (progress) {
+      progress = false;
+      for (const queue of queues) {
+        while (queue.length > 0 && selected.includes(queue[0].exemplar)) {
+          queue.shift();
+        }
+        if (queue.length === 0) continue;
+
+        const { exemplar } = queue.shift();
+        const cost = estimateTokens(formatExemplar(exemplar)) + 1;
+        if (tokens + cost <= tokenBudget) {
+          selected.push(exemplar);
+          tokens += cost;
+        }
+        progress = true;
+      }
+    }
+    return selected;
+  }
+
+  /**
+   * Format selected exemplars for the {exemplars} prompt variable
+   * @param {Array<Object>} exemplars - Exemplars from select()
+   * @returns {string} - One JSON array per line, or '' if there are none
+   */
+  function formatForPrompt(exemplars) {
+    return exemplars.map(formatExemplar).join('\n');
+  }
+
+  // =============================================================================
+  // IMPORT / EXPORT
+  // =============================================================================
+
+  /**
+   * Build an exemplar file
+   * @returns {Object} - {format, version, exportedAt, exemplars: [...]}
+   */
+  function exportExemplars() {
+    return {
+      format: BANK_FORMAT,
+      version: BANK_VERSION,
+      exportedAt: new Date().toISOString(),
+      exemplars: readExemplars().map(({ id, ...exemplar }) => exemplar)
+    };
+  }
+
+  /**
+   * Add the exemplars of an exemplar file to the bank.
+   * Paragraphs already in the bank for the same phase are replaced by the imported evaluation.
+   * @param {Object} data - Parsed exemplar file
+   * @returns {Object} - {added, replaced}
+   */
+  function importExemplars(data) {
+    if (!data || data.format !== BANK_FORMAT || !Array.isArray(data.exemplars)) {
+      throw new Error('Not an exemplar file (expected format "' + BANK_FORMAT + '")');
+    }
+    if (data.version > BANK_VERSION) {
+      throw new Error(`Exemplar file version ${data.version} is newer than supported (${BANK_VERSION})`);
+    }
+
+    // Validate everything before changing the bank
+    const incoming = data.exemplars.map((entry, i) => ({
+      ...normalizeExemplar(entry, `$.exemplars[${i}]`),
+      addedAt: entry && typeof entry.addedAt === 'string' ? entry.addedAt : new Date().toISOString()
+    }));
+
+    const exemplars = readExemplars();
+    let added = 0;
+    let replaced = 0;
+    incoming.forEach((exemplar, i) => {
+      const existing = findSame(exemplars, exemplar.text, exemplar.phase);
+      if (existing) {
+        Object.assign(existing, exemplar);
+        replaced++;
+      } else {
+        exemplars.push({ id: `ex-${Date.now().toString(36)}-${i}`, ...exemplar });
+        added++;
+      }
+    });
+
+    writeExemplars(exemplars);
+    console.log(`[Exemplars] Imported ${added} new, ${replaced} replaced`);
+    return { added, replaced };
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.ExemplarBank = {
+    list,
+    count,
+    findId,
+    add,
+    remove,
+    clear,
+    getTokenBudget,
+    setTokenBudget,
+    select,
+    formatForPrompt,
+    exportExemplars,
+    importExemplars
+  };
+
+})(window);
@@ -10,12 +10,14 @@
    * Export results as JSON file
    * @param {Object} evaluationData - Complete evaluation data with results and metadata
    * @param {string} filename - Optional filename (default: dmp-evaluation-{date}.json)
+   * @param {Object} options - Export options
+   * @param {boolean} options.includeReasoning - Keep the model reasoning traces (default: false)
    */
-  function exportAsJSON(evaluationData, filename = null) {
+  function exportAsJSON(evaluationData, filename = null, options = {}) {
     const defaultFilename = `dmp-evaluation-${getDateString()}.json`;
     const finalFilename = filename || defaultFilename;
 
-    const jsonString = JSON.stringify(evaluationData, null, 2);
+    const jsonString = JSON.stringify(withoutReasoning(evaluationData, options.includeReasoning), null, 2);
     const blob = new Blob([jsonString], { type: 'application/json' });
 
     downloadFile(blob, finalFilename);
@@ -26,18 +28,34 @@
    * Export results as Markdown file
    * @param {Object} evaluationData - Complete evaluation data with results and metadata
    * @param {string} filename - Optional filename
+   * @param {Object} options - Export options
+   * @param {boolean} options.includeReasoning - Append the model reasoning traces (default: false)
    */
-  function exportAsMarkdown(evaluationData, filename = null) {
+  function exportAsMarkdown(evaluationData, filename = null, options = {}) {
     const defaultFilename = `dmp-evaluation-${getDateString()}.md`;
     const finalFilename = filename || defaultFilename;
 
-    const markdown = generateMarkdown(evaluationData);
+    const markdown = generateMarkdown(withoutReasoning(evaluationData, options.includeReasoning));
     const blob = new Blob([markdown], { type: 'text/markdown' });
 
     downloadFile(blob, finalFilename);
     console.log('[Export] Markdown file exported:', finalFilename);
   }
 
+  /**
+   * Drop the reasoning traces from evaluation data unless they should be exported
+   * @param {Object} evaluationData - Evaluation data with results and metadata
+   * @param {boolean} includeReasoning - Keep the traces
+   * @returns {Object} - Evaluation data (a shallow copy when traces were removed)
+   */
+  function withoutReasoning(evaluationData, includeReasoning) {
+    if (includeReasoning || !evaluationData.results || !evaluationData.results.reasoning) {
+      return evaluationData;
+    }
+    const { reasoning, ...results } = evaluationData.results;
+    return { ...evaluationData, results };
+  }
+
   /**
    * Generate Markdown content from evaluation data
    * @param {Object} data - Evaluation data
@@ -56,7 +74,49 @@
     md += `- **Phase**: ${phase}\n`;
     md += `- **DMP File**: ${metadata.dmpFile}\n`;
     md += `- **Criteria File**: ${metadata.criteriaFile}\n`;
-    md += `- **Model Used**: ${metadata.model || 'N/A'}\n\n`;
+    if (metadata.defaultCriteria) {
+      md += `- **Criteria Used**: generic default criteria (${metadata.defaultCriteria.reason})\n`;
+    }
+    md += `- **Model Used**: ${metadata.model || 'N/A'}\n`;
+    if (metadata.promptTemplate) {
+      md += `- **Prompt Template**: ${metadata.promptTemplate.name} (version ${metadata.promptTemplate.version})\n`;
+    }
+    if (metadata.language) {
+      md += `- **Language**: DMP ${describeLanguage(metadata.language.dmp)}, feedback ${describeLanguage(metadata.language.feedback)}\n`;
+    }
+    if (metadata.exemplars) {
+      md += `- **Exemplars**: ${metadata.exemplars.count} reviewed example evaluations in the prompt\n`;
+    }
+    if (metadata.profileId) {
+      md += `- **API Profile**: ${metadata.profileId}${metadata.endpointHost ? ` (${metadata.endpointHost})` : ''}\n`;
+      md += `- **Sampling**: ${formatSampling(metadata.sampling)}\n`;
+    }
+    if (metadata.failover) {
+      md += `- **Failover**: ${metadata.failover.requestedProfileId} failed ` +
+        `(${metadata.failover.failures.map(f => f.code).join(', ')}), answered by ${metadata.failover.usedProfileIds.join(', ')}\n`;
+    }
+    if (metadata.testMode) {
+      md += `- **Test Mode**: sample data, no API calls\n`;
+    }
+    if (metadata.runs > 1) {
+      md += `- **Self-Consistency Runs**: ${metadata.runs}\n`;
+    }
+    if (metadata.usage) {
+      const u = metadata.usage;
+      md += `- **Tokens**: ${window.UsageTracker.formatTokens(u.totalTokens)} ` +
+        `(${window.UsageTracker.formatTokens(u.promptTokens)} prompt, ${window.UsageTracker.formatTokens(u.completionTokens)} completion` +
+        `${u.estimated ? ', partly estimated' : ''})\n`;
+      if (u.cost !== null && u.cost !== undefined) {
+        md += `- **Estimated Cost**: ${window.UsageTracker.formatCost(u.cost)}${u.costIncomplete ? ' (some models have no price)' : ''}\n`;
+      }
+    }
+    if (metadata.cache && metadata.cache.hits > 0) {
+      md += `- **Response Cache**: ${metadata.cache.hits} of ${metadata.cache.requests} requests answered from cache\n`;
+    }
+    if (results.chunkCount > 1) {
+      md += `- **Chunks Evaluated**: ${results.chunkCount} (DMP exceeded the model input limit)\n`;
+    }
+    md += `\n`;
 
     // Overall Score
     md += `## Overall Compliance Score\n\n`;
@@ -69,6 +129,11 @@
     const emptyLength = barLength - filledLength;
     md += `\`[${'█'.repeat(filledLength)}${' '.repeat(emptyLength)}]\`\n\n`;
 
+    if (results.stability) {
+      md += `Mean of ${results.stability.runs} runs: range ${results.stability.min}–${results.stability.max}, `;
+      md += `standard deviation ${results.stability.stddev}.\n\n`;
+    }
+
     // Summary statistics
     const summary = window.Evaluator.generateSummary(results);
     if (summary) {
@@ -91,16 +156,55 @@
     md += `|----|----------|-------|--------|\n`;
 
     results.categories.forEach(cat => {
-      md += `| ${cat.id} | ${cat.name} | ${cat.score}/100 | ${capitalizeFirst(cat.status)} |\n`;
+      const unstable = cat.stability && cat.stability.unstable ? ' ⚠ unstable' : '';
+      md += `| ${cat.id} | ${cat.name} | ${cat.score}/100 | ${capitalizeFirst(cat.status)}${unstable} |\n`;
     });
     md += `\n`;
 
+    // Ensemble agreement
+    if (results.ensemble) {
+      md += `## Model Agreement\n\n`;
+      md += `| Model | Overall Score |\n`;
+      md += `|-------|---------------|\n`;
+      results.ensemble.members.forEach(m => {
+        md += `| ${m.label} | ${m.overallScore}/100 |\n`;
+      });
+      md += `\n`;
+
+      if (metadata.ensemble) {
+        metadata.ensemble.members.forEach(m => {
+          md += `- **${m.label}**: ${m.endpointHost || m.profileId}, ${formatSampling(m.sampling)}\n`;
+        });
+        md += `\n`;
+      }
+
+      const flaggedCategories = results.categories.filter(cat => cat.agreement && cat.agreement.disagreement);
+      const flaggedParagraphs = (results.sentenceEvaluations || []).filter(se => se.agreement && se.agreement.disagreement);
+      md += `Disagreement margin: ${results.ensemble.disagreementMargin} points. `;
+      md += `${flaggedCategories.length} categories and ${flaggedParagraphs.length} paragraphs exceed it.\n\n`;
+
+      flaggedCategories.forEach(cat => {
+        const scores = formatModelScores(cat.agreement.modelScores);
+        md += `- **${cat.id}. ${cat.name}** (consensus ${cat.score}): ${scores}\n`;
+      });
+      flaggedParagraphs.forEach(se => {
+        const preview = se.sentence.length > 90 ? se.sentence.substring(0, 90) + '...' : se.sentence;
+        const scores = formatModelScores(se.agreement.modelScores);
+        md += `- *"${preview}"* (consensus ${se.score}): ${scores}\n`;
+      });
+      md += `\n`;
+    }
+
     // Detailed feedback
     md += `## Detailed Feedback\n\n`;
 
     results.categories.forEach(cat => {
       md += `### ${cat.id}. ${cat.name}\n\n`;
       md += `**Score**: ${cat.score}/100 (${capitalizeFirst(cat.status)})\n\n`;
+      if (cat.stability) {
+        md += `**Runs**: ${cat.stability.scores.join(', ')} (mean ${cat.stability.mean}, σ ${cat.stability.stddev})`;
+        md += cat.stability.unstable ? ` — status changed between runs\n\n` : `\n\n`;
+      }
       md += `${cat.feedback}\n\n`;
       md += `---\n\n`;
     });
@@ -126,6 +230,15 @@
       }
     }
 
+    // Model reasoning traces (only present when the export includes them)
+    if (results.reasoning && results.reasoning.length > 0) {
+      md += `## Model Reasoning\n\n`;
+      results.reasoning.forEach(trace => {
+        md += `### ${trace.label}\n\n`;
+        md += `~~~~text\n${trace.text.trim()}\n~~~~\n\n`;
+      });
+    }
+
     // Footer
     md += `---\n\n`;
     md += `*Generated by DMP Evaluation Tool on ${new Date(metadata.evaluationDate).toLocaleString()}*\n`;
@@ -149,6 +262,16 @@
     URL.revokeObjectURL(url);
   }
 
+  /**
+   * Download any JSON data as a file
+   * @param {Object} data - Data to serialize
+   * @param {string} filenamePrefix - Filename without date and extension
+   */
+  function downloadJSON(data, filenamePrefix) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile(blob, `${filenamePrefix}-${getDateString()}.json`);
+  }
+
   /**
    * Get date string for filename
    * @returns {string} - Date string (YYYY-MM-DD)
@@ -168,6 +291,47 @@
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
+  /**
+   * Name a recorded language code for display
+   * @param {string} code - Language code from evaluation metadata ('unknown' if not detected)
+   * @returns {string} - e.g. "German (de)"
+   */
+  function describeLanguage(code) {
+    return window.LanguageUtils.isSupported(code) ? `${window.LanguageUtils.getLanguageName(code)} (${code})` : code;
+  }
+
+  /**
+   * Format per-model scores of an ensemble result
+   * @param {Array<Object>} modelScores - [{label, score}]; score is null where the model gave none
+   * @returns {string} - e.g. "GPT-4o: 80, Llama: –"
+   */
+  function formatModelScores(modelScores) {
+    return modelScores.map(ms => `${ms.label}: ${ms.score === null ? '–' : ms.score}`).join(', ');
+  }
+
+  /**
+   * Format recorded sampling settings for display
+   * @param {Object} sampling - Sampling settings from evaluation metadata
+   * @returns {string} - e.g. "temperature 0.3, seed 42, max tokens 8000"
+   */
+  function formatSampling(sampling) {
+    if (!sampling) return 'N/A';
+    const labels = {
+      temperature: 'temperature',
+      topP: 'top_p',
+      topK: 'top_k',
+      seed: 'seed',
+      stopSequences: 'stop',
+      frequencyPenalty: 'frequency penalty',
+      presencePenalty: 'presence penalty',
+      maxTokens: 'max tokens'
+    };
+    const parts = Object.entries(sampling)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${labels[key] || key} ${Array.isArray(value) ? JSON.stringify(value) : value}`);
+    return parts.length > 0 ? parts.join(', ') : 'API defaults';
+  }
+
   /**
    * Get status label from score
    * @param {number} score - Score (0-100)
@@ -183,7 +347,8 @@
   // Export public API
   window.ExportService = {
     exportAsJSON,
-    exportAsMarkdown
+    exportAsMarkdown,
+    downloadJSON
   };
 
 })(window);
@@ -238,9 +238,14 @@
   /**
    * Parse any supported file format
    * @param {File} file - File object
+   * @param {Object} options - Parse options
+   * @param {boolean} options.truncate - Cut text at the 30KB limit (default: true).
+   *   DMPs are parsed untruncated because the evaluator splits them into chunks.
    * @returns {Promise<Object>} - {text: string, type: string, originalFile: File, truncated: boolean}
    */
-  async function parseFile(file) {
+  async function parseFile(file, options = {}) {
+    const { truncate = true } = options;
+
     if (!file) {
       throw new Error('No file provided');
     }
@@ -288,7 +293,7 @@
 
       // Truncate text if exceeds 30KB limit
       originalTextLength = text.length;
-      if (text.length > MAX_TEXT_SIZE) {
+      if (truncate && text.length > MAX_TEXT_SIZE) {
         text = text.slice(0, MAX_TEXT_SIZE);
         truncated = true;
         console.warn(`[File Parser] Text truncated from ${originalTextLength} to ${MAX_TEXT_SIZE} chars (30KB limit)`);
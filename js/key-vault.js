@@ -0,0 +1,415 @@
+// =============================================================================
+// KEY VAULT MODULE
+// Per-profile API keys encrypted with AES-GCM under a PBKDF2-derived passphrase
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  const STORAGE_KEYS = {
+    VAULT: 'apiKeyVault',            // {version, salt, iterations, check, keys: {profileId: {iv, data}}}
+    AUTO_LOCK: 'apiKeyVaultAutoLock', // Minutes without key use before locking (0 = never)
+    LEGACY: 'togetherAPIKey'          // Plain-text key of earlier versions
+  };
+
+  const VAULT_VERSION = 1;
+  const PBKDF2_ITERATIONS = 600000;
+  const CHECK_TEXT = 'dmp-eva-key-vault';
+
+  // Unlocked state lives in memory only - reloading the page locks the vault
+  let cryptoKey = null;
+  const keys = new Map();      // profileId -> plain-text key while unlocked
+  const pending = new Set();   // profileIds entered while locked, saved on unlock
+  let autoLockTimer = null;
+  let autoLockPaused = false; // Set while an evaluation runs
+  const listeners = [];
+
+  /**
+   * Check whether WebCrypto is available (https or localhost only)
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return !!(window.crypto && window.crypto.subtle);
+  }
+
+  /**
+   * Read the stored vault
+   * @returns {Object|null} - Vault record, or null if none has been created
+   */
+  function readVault() {
+    try {
+      const vault = JSON.parse(localStorage.getItem(STORAGE_KEYS.VAULT));
+      return vault && vault.version && vault.check ? vault : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Encode bytes as base64
+   * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+   * @returns {string}
+   */
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  /**
+   * Decode base64 to bytes
+   * @param {string} text - Base64 text
+   * @returns {Uint8Array}
+   */
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Derive the AES-GCM key from a passphrase
+   * @param {string} passphrase - User passphrase
+   * @param {Uint8Array} salt - Vault salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
+   */
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await window.crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return window.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt text with a fresh IV
+   * @param {CryptoKey} key - AES-GCM key
+   * @param {string} text - Plain text
+   * @returns {Promise<Object>} - {iv, data} as base64
+   */
+  async function encrypt(key, text) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Decrypt an {iv, data} record
+   * @param {CryptoKey} key - AES-GCM key
+   * @param {Object} record - {iv, data} as base64
+   * @returns {Promise<string>} - Plain text (rejects if the key is wrong)
+   */
+  async function decrypt(key, record) {
+    const data = await window.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.data));
+    return new TextDecoder().decode(data);
+  }
+
+  /**
+   * Encrypt all unlocked keys and write the vault
+   * @returns {Promise<void>}
+   */
+  async function persist() {
+    const vault = readVault();
+    const encrypted = {};
+    for (const [profileId, apiKey] of keys) {
+      encrypted[profileId] = await encrypt(cryptoKey, apiKey);
+    }
+    vault.keys = encrypted;
+    localStorage.setItem(STORAGE_KEYS.VAULT, JSON.stringify(vault));
+  }
+
+  /**
+   * Notify listeners that the lock state or stored keys changed
+   */
+  function notify() {
+    listeners.forEach(listener => {
+      try {
+        listener(getStatus());
+      } catch (error) {
+        console.warn('[Vault] Listener failed:', error);
+      }
+    });
+  }
+
+  // =============================================================================
+  // LOCK STATE
+  // =============================================================================
+
+  /**
+   * Check whether a vault has been created
+   * @returns {boolean}
+   */
+  function exists() {
+    return readVault() !== null;
+  }
+
+  /**
+   * Check whether the vault is locked (also true before it is created)
+   * @returns {boolean}
+   */
+  function isLocked() {
+    return cryptoKey === null;
+  }
+
+  /**
+   * Get the vault state for display
+   * @returns {Object} - {exists, locked, storedKeys, autoLockMinutes}
+   */
+  function getStatus() {
+    const vault = readVault();
+    return {
+      exists: vault !== null,
+      locked: isLocked(),
+      storedKeys: vault ? Object.keys(vault.keys || {}).length : 0,
+      autoLockMinutes: getAutoLockMinutes()
+    };
+  }
+
+  /**
+   * Create the vault with a new passphrase and unlock it.
+   * Keys entered before (including the plain-text key of earlier versions,
+   * which is assigned to legacyProfileId) are moved into it.
+   * @param {string} passphrase - New passphrase
+   * @param {string} legacyProfileId - Profile that receives the old plain-text key
+   * @returns {Promise<void>}
+   */
+  async function create(passphrase, legacyProfileId) {
+    if (!isSupported()) {
+      throw new Error('Encryption is not available - open the app via https or localhost.');
+    }
+    if (!passphrase) {
+      throw new Error('Passphrase must not be empty');
+    }
+
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    cryptoKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    localStorage.setItem(STORAGE_KEYS.VAULT, JSON.stringify({
+      version: VAULT_VERSION,
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      check: await encrypt(cryptoKey, CHECK_TEXT),
+      keys: {}
+    }));
+
+    const legacyKey = localStorage.getItem(STORAGE_KEYS.LEGACY);
+    if (legacyKey && legacyProfileId && !keys.has(legacyProfileId)) {
+      keys.set(legacyProfileId, legacyKey);
+    }
+    localStorage.removeItem(STORAGE_KEYS.LEGACY);
+
+    pending.clear();
+    await persist();
+    scheduleAutoLock();
+    console.log('[Vault] Created');
+    notify();
+  }
+
+  /**
+   * Unlock the vault for this session
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<Array<string>>} - Profiles whose stored key could not be decrypted (skipped);
+   *   rejects with 'Wrong passphrase' if it does not match
+   */
+  async function unlock(passphrase) {
+    const vault = readVault();
+    if (!vault) {
+      throw new Error('No key vault has been created yet');
+    }
+    if (!isSupported()) {
+      throw new Error('Encryption is not available - open the app via https or localhost.');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+    try {
+      if (await decrypt(key, vault.check) !== CHECK_TEXT) {
+        throw new Error('check mismatch');
+      }
+    } catch (e) {
+      throw new Error('Wrong passphrase');
+    }
+
+    // Keys entered while locked take precedence over the stored ones. Nothing is kept in memory
+    // until every record has been read, and a corrupt record does not block the others.
+    const decrypted = new Map();
+    const unreadable = [];
+    for (const [profileId, record] of Object.entries(vault.keys || {})) {
+      if (pending.has(profileId)) continue;
+      try {
+        decrypted.set(profileId, await decrypt(key, record));
+      } catch (e) {
+        console.warn(`[Vault] Could not decrypt the key of profile ${profileId}, skipping it`);
+        unreadable.push(profileId);
+      }
+    }
+    decrypted.forEach((apiKey, profileId) => keys.set(profileId, apiKey));
+    cryptoKey = key;
+
+    if (pending.size > 0) {
+      pending.clear();
+      await persist();
+    }
+    scheduleAutoLock();
+    console.log(`[Vault] Unlocked (${keys.size} keys)`);
+    notify();
+    return unreadable;
+  }
+
+  /**
+   * Lock the vault and drop all decrypted keys from memory
+   */
+  function lock() {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    cryptoKey = null;
+    keys.clear();
+    pending.clear();
+    console.log('[Vault] Locked');
+    notify();
+  }
+
+  /**
+   * Delete the vault and every stored key (the passphrase is not needed)
+   */
+  function forgetAll() {
+    localStorage.removeItem(STORAGE_KEYS.VAULT);
+    localStorage.removeItem(STORAGE_KEYS.LEGACY);
+    lock();
+    console.log('[Vault] All keys forgotten');
+  }
+
+  // =============================================================================
+  // AUTO-LOCK
+  // =============================================================================
+
+  /**
+   * Get the auto-lock delay
+   * @returns {number} - Minutes without key use before locking (0 = never)
+   */
+  function getAutoLockMinutes() {
+    const minutes = parseInt(localStorage.getItem(STORAGE_KEYS.AUTO_LOCK), 10);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+  }
+
+  /**
+   * Set the auto-lock delay
+   * @param {number} minutes - Minutes without key use before locking (0 = never)
+   */
+  function setAutoLockMinutes(minutes) {
+    localStorage.setItem(STORAGE_KEYS.AUTO_LOCK, String(Math.max(0, Math.floor(minutes) || 0)));
+    scheduleAutoLock();
+  }
+
+  /**
+   * Restart the auto-lock countdown (no-op while locked, paused or when auto-lock is off)
+   */
+  function scheduleAutoLock() {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    const minutes = getAutoLockMinutes();
+    if (isLocked() || autoLockPaused || minutes === 0) return;
+
+    autoLockTimer = setTimeout(() => {
+      console.log(`[Vault] Auto-locking after ${minutes} min without use`);
+      lock();
+    }, minutes * 60000);
+  }
+
+  /**
+   * Pause auto-lock, e.g. for the duration of an evaluation. Keys are only read when a request
+   * starts, so a long streamed reply could otherwise let the vault lock between two requests.
+   * Resuming starts a fresh countdown.
+   * @param {boolean} paused - true to pause, false to resume
+   */
+  function setAutoLockPaused(paused) {
+    autoLockPaused = !!paused;
+    scheduleAutoLock();
+  }
+
+  // =============================================================================
+  // KEYS
+  // =============================================================================
+
+  /**
+   * Get a profile's API key
+   * @param {string} profileId - API profile ID
+   * @returns {string|null} - Key, or null if none is set or the vault is locked
+   */
+  function getKey(profileId) {
+    const apiKey = keys.get(profileId) || null;
+    if (apiKey) {
+      scheduleAutoLock();
+    }
+    return apiKey;
+  }
+
+  /**
+   * Check whether a profile has a key, unlocked or still encrypted
+   * @param {string} profileId - API profile ID
+   * @returns {boolean}
+   */
+  function hasKey(profileId) {
+    if (keys.has(profileId)) return true;
+    if (pending.has(profileId)) return false;
+    const vault = readVault();
+    return !!(vault && vault.keys && vault.keys[profileId]);
+  }
+
+  /**
+   * Set or clear a profile's API key.
+   * While the vault is locked the key is kept for this session only
+   * and encrypted once the vault is created or unlocked.
+   * @param {string} profileId - API profile ID
+   * @param {string} apiKey - Key ('' removes it)
+   * @returns {Promise<void>}
+   */
+  async function setKey(profileId, apiKey) {
+    if (apiKey) {
+      keys.set(profileId, apiKey);
+    } else {
+      keys.delete(profileId);
+    }
+
+    if (isLocked()) {
+      pending.add(profileId);
+      notify();
+      return;
+    }
+
+    await persist();
+    scheduleAutoLock();
+    notify();
+  }
+
+  /**
+   * Register a callback for lock/unlock and key changes
+   * @param {Function} listener - (status) => void, see getStatus()
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.KeyVault = {
+    isSupported,
+    exists,
+    isLocked,
+    getStatus,
+    create,
+    unlock,
+    lock,
+    forgetAll,
+    getAutoLockMinutes,
+    setAutoLockMinutes,
+    setAutoLockPaused,
+    getKey,
+    hasKey,
+    setKey,
+    onChange
+  };
+
+})(window);
@@ -0,0 +1,214 @@
+// =============================================================================
+// LANGUAGE UTILS MODULE
+// DMP language detection and localised category feedback
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  // Below this many words the detection is not trusted
+  const MIN_DETECTION_WORDS = 20;
+
+  // Only the start of long documents is needed to recognise the language
+  const DETECTION_SAMPLE_CHARS = 20000;
+
+  // Supported languages with frequent function words used for detection
+  const LANGUAGES = {
+    en: {
+      name: 'English',
+      nativeName: 'English',
+      stopwords: ['the', 'and', 'of', 'to', 'is', 'will', 'be', 'are', 'with', 'this', 'that', 'which',
+        'from', 'by', 'for', 'on', 'as', 'it', 'we', 'our', 'have', 'all']
+    },
+    de: {
+      name: 'German',
+      nativeName: 'Deutsch',
+      stopwords: ['der', 'die', 'das', 'und', 'ist', 'wird', 'werden', 'mit', 'von', 'den', 'dem', 'auf',
+        'für', 'nicht', 'sind', 'eine', 'ein', 'zu', 'im', 'des', 'auch', 'wir', 'unsere']
+    },
+    fr: {
+      name: 'French',
+      nativeName: 'Français',
+      stopwords: ['le', 'la', 'les', 'et', 'des', 'est', 'sont', 'une', 'un', 'du', 'pour', 'dans', 'avec',
+        'sur', 'par', 'qui', 'nous', 'au', 'aux', 'ces', 'seront', 'sera']
+    },
+    es: {
+      name: 'Spanish',
+      nativeName: 'Español',
+      stopwords: ['el', 'los', 'las', 'y', 'que', 'en', 'es', 'son', 'una', 'para', 'con', 'por', 'del',
+        'se', 'como', 'será', 'serán', 'nuestro', 'nuestros', 'datos']
+    },
+    it: {
+      name: 'Italian',
+      nativeName: 'Italiano',
+      stopwords: ['il', 'lo', 'gli', 'di', 'che', 'è', 'sono', 'per', 'con', 'della', 'dei', 'nel', 'nella',
+        'saranno', 'sarà', 'questo', 'questi', 'dati', 'anche', 'degli']
+    },
+    nl: {
+      name: 'Dutch',
+      nativeName: 'Nederlands',
+      stopwords: ['het', 'een', 'en', 'van', 'zijn', 'wordt', 'worden', 'met', 'voor', 'op', 'niet', 'dat',
+        'die', 'te', 'ook', 'wij', 'onze', 'deze', 'gegevens', 'naar']
+    },
+    pt: {
+      name: 'Portuguese',
+      nativeName: 'Português',
+      stopwords: ['os', 'e', 'que', 'em', 'é', 'são', 'uma', 'um', 'para', 'com', 'por', 'do', 'da', 'dos',
+        'das', 'não', 'será', 'serão', 'dados', 'nosso']
+    }
+  };
+
+  // Category feedback sentences; {name} is the criterion name
+  const FEEDBACK_STRINGS = {
+    en: {
+      lowerCaseName: true,
+      noContent: 'No relevant content found in DMP for this criterion.',
+      excellent: 'Excellent coverage of {name}.',
+      good: 'Good coverage of {name}.',
+      pass: 'Adequate coverage of {name}, but could be improved.',
+      insufficient: 'Insufficient coverage of {name}.'
+    },
+    de: {
+      noContent: 'Im DMP wurde kein relevanter Inhalt zu diesem Kriterium gefunden.',
+      excellent: 'Ausgezeichnete Abdeckung von „{name}“.',
+      good: 'Gute Abdeckung von „{name}“.',
+      pass: 'Ausreichende Abdeckung von „{name}“, aber verbesserungsfähig.',
+      insufficient: 'Unzureichende Abdeckung von „{name}“.'
+    },
+    fr: {
+      noContent: 'Aucun contenu pertinent trouvé dans le PGD pour ce critère.',
+      excellent: 'Excellente couverture de « {name} ».',
+      good: 'Bonne couverture de « {name} ».',
+      pass: 'Couverture satisfaisante de « {name} », mais améliorable.',
+      insufficient: 'Couverture insuffisante de « {name} ».'
+    },
+    es: {
+      noContent: 'No se encontró contenido relevante en el PGD para este criterio.',
+      excellent: 'Cobertura excelente de «{name}».',
+      good: 'Buena cobertura de «{name}».',
+      pass: 'Cobertura adecuada de «{name}», pero mejorable.',
+      insufficient: 'Cobertura insuficiente de «{name}».'
+    },
+    it: {
+      noContent: 'Nessun contenuto rilevante trovato nel DMP per questo criterio.',
+      excellent: 'Copertura eccellente di «{name}».',
+      good: 'Buona copertura di «{name}».',
+      pass: 'Copertura adeguata di «{name}», ma migliorabile.',
+      insufficient: 'Copertura insufficiente di «{name}».'
+    },
+    nl: {
+      noContent: 'Geen relevante inhoud gevonden in het DMP voor dit criterium.',
+      excellent: 'Uitstekende dekking van "{name}".',
+      good: 'Goede dekking van "{name}".',
+      pass: 'Voldoende dekking van "{name}", maar kan beter.',
+      insufficient: 'Onvoldoende dekking van "{name}".'
+    },
+    pt: {
+      noContent: 'Nenhum conteúdo relevante encontrado no PGD para este critério.',
+      excellent: 'Excelente cobertura de "{name}".',
+      good: 'Boa cobertura de "{name}".',
+      pass: 'Cobertura adequada de "{name}", mas pode ser melhorada.',
+      insufficient: 'Cobertura insuficiente de "{name}".'
+    }
+  };
+
+  /**
+   * List the supported languages
+   * @returns {Array<Object>} - [{code, name, nativeName}]
+   */
+  function listLanguages() {
+    return Object.entries(LANGUAGES).map(([code, language]) => ({
+      code: code,
+      name: language.name,
+      nativeName: language.nativeName
+    }));
+  }
+
+  /**
+   * Check whether a language code is supported
+   * @param {string} code - ISO 639-1 code
+   * @returns {boolean}
+   */
+  function isSupported(code) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+  }
+
+  /**
+   * Get the English name of a language (used in the prompt)
+   * @param {string} code - ISO 639-1 code
+   * @returns {string} - e.g. "German"; English for unsupported codes
+   */
+  function getLanguageName(code) {
+    return (LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE]).name;
+  }
+
+  /**
+   * Detect the language of a text by counting frequent function words
+   * @param {string} text - Text (e.g. the DMP)
+   * @returns {Object} - {code, name, confidence}; code is null if the text is too short or unclear.
+   *   confidence is the share of the best language among all function-word hits (0-1).
+   */
+  function detectLanguage(text) {
+    const words = (text || '').substring(0, DETECTION_SAMPLE_CHARS).toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < MIN_DETECTION_WORDS) {
+      return { code: null, name: null, confidence: 0 };
+    }
+
+    const counts = {};
+    Object.entries(LANGUAGES).forEach(([code, language]) => {
+      const stopwords = new Set(language.stopwords);
+      counts[code] = words.filter(word => stopwords.has(word)).length;
+    });
+
+    const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+    const [bestCode, bestCount] = ranked[0];
+    if (bestCount === 0) {
+      return { code: null, name: null, confidence: 0 };
+    }
+
+    return {
+      code: bestCode,
+      name: LANGUAGES[bestCode].name,
+      confidence: Math.round((bestCount / total) * 100) / 100
+    };
+  }
+
+  /**
+   * Build the summary sentence of a category's feedback
+   * @param {string} language - ISO 639-1 code (unsupported codes use English)
+   * @param {string} categoryName - Criterion name
+   * @param {number} score - Category score (0-100)
+   * @param {boolean} hasContent - Whether any paragraph addressed the criterion
+   * @returns {string}
+   */
+  function getCategoryFeedback(language, categoryName, score, hasContent) {
+    const strings = FEEDBACK_STRINGS[language] || FEEDBACK_STRINGS[DEFAULT_LANGUAGE];
+    if (!hasContent) {
+      return strings.noContent;
+    }
+
+    const name = strings.lowerCaseName ? categoryName.toLowerCase() : categoryName;
+    const template = score >= 90 ? strings.excellent
+      : score >= 75 ? strings.good
+      : score >= 60 ? strings.pass
+      : strings.insufficient;
+    return template.replace('{name}', () => name);
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.LanguageUtils = {
+    DEFAULT_LANGUAGE,
+    listLanguages,
+    isSupported,
+    getLanguageName,
+    detectLanguage,
+    getCategoryFeedback
+  };
+
+})(window);
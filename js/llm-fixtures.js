@@ -0,0 +1,180 @@
+// =============================================================================
+// LLM FIXTURES MODULE
+// Records raw API responses to a fixture file and replays them without a network
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  const FIXTURE_FORMAT = 'dmp-eva-llm-fixtures';
+  const FIXTURE_VERSION = 1;
+
+  const MODES = ['off', 'record', 'replay'];
+
+  // Fixtures live in memory for the session; the fixture file is the persistent copy
+  let mode = 'off';
+  const fixtures = new Map(); // key -> fixture
+
+  /**
+   * Get the current fixture mode
+   * @returns {string} - 'off', 'record' or 'replay'
+   */
+  function getMode() {
+    return mode;
+  }
+
+  /**
+   * Set the fixture mode
+   * @param {string} newMode - 'off', 'record' or 'replay'
+   */
+  function setMode(newMode) {
+    if (!MODES.includes(newMode)) {
+      throw new Error(`Unknown fixture mode: ${newMode}`);
+    }
+    mode = newMode;
+    console.log('[Fixtures] Mode:', mode);
+  }
+
+  /**
+   * Compute the fixture key of a request (URL and body, not headers)
+   * @param {Object} fetchConfig - {url, options} from APIConfig.generateFetchConfig
+   * @returns {Promise<string>} - Content hash
+   */
+  function computeKey(fetchConfig) {
+    return window.ResponseCache.hashValue({
+      url: fetchConfig.url,
+      body: JSON.parse(fetchConfig.options.body)
+    });
+  }
+
+  /**
+   * Pass a live response through while saving its raw body as a fixture.
+   * The body is split in two so streaming to the caller is not delayed.
+   * @param {Object} fetchConfig - Request that produced the response
+   * @param {Response} response - Live API response
+   * @param {Object} info - {endpointHost} stored instead of the full URL
+   * @returns {Promise<Response>} - Equivalent response for the caller to consume
+   */
+  async function record(fetchConfig, response, info = {}) {
+    const key = await computeKey(fetchConfig);
+    if (!response.body) {
+      return response;
+    }
+
+    const [forCaller, forFixture] = response.body.tee();
+    new Response(forFixture).text().then(text => {
+      fixtures.set(key, {
+        key: key,
+        request: {
+          endpointHost: info.endpointHost || '',
+          body: JSON.parse(fetchConfig.options.body)
+        },
+        response: {
+          status: response.status,
+          contentType: response.headers.get('content-type') || '',
+          body: text
+        },
+        recordedAt: new Date().toISOString()
+      });
+      console.log(`[Fixtures] Recorded ${key.substring(0, 12)}... (${text.length} chars)`);
+    }).catch(error => {
+      console.warn('[Fixtures] Could not record response:', error);
+    });
+
+    return new Response(forCaller, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  }
+
+  /**
+   * Build the recorded response for a request
+   * @param {Object} fetchConfig - Request to answer
+   * @returns {Promise<Response>} - Response with the recorded status, content type and raw body
+   */
+  async function replay(fetchConfig) {
+    const key = await computeKey(fetchConfig);
+    const fixture = fixtures.get(key);
+    if (!fixture) {
+      throw new Error('Replay mode: no recorded response for this request. ' +
+        'Record it first with the same profile, model, settings, prompt and DMP.');
+    }
+
+    console.log(`[Fixtures] Replaying ${key.substring(0, 12)}...`);
+    return new Response(fixture.response.body, {
+      status: fixture.response.status,
+      headers: { 'content-type': fixture.response.contentType }
+    });
+  }
+
+  /**
+   * Get the recorded/loaded fixtures as a fixture file
+   * @returns {Object} - {format, version, createdAt, fixtures: [...]}
+   */
+  function exportFixtures() {
+    return {
+      format: FIXTURE_FORMAT,
+      version: FIXTURE_VERSION,
+      createdAt: new Date().toISOString(),
+      fixtures: Array.from(fixtures.values())
+    };
+  }
+
+  /**
+   * Load fixtures from a fixture file (added to those already loaded)
+   * @param {Object} data - Parsed fixture file
+   * @returns {number} - Number of fixtures loaded
+   */
+  function importFixtures(data) {
+    if (!data || data.format !== FIXTURE_FORMAT || !Array.isArray(data.fixtures)) {
+      throw new Error('Not a fixture file (expected format "' + FIXTURE_FORMAT + '")');
+    }
+    if (data.version > FIXTURE_VERSION) {
+      throw new Error(`Fixture file version ${data.version} is newer than supported (${FIXTURE_VERSION})`);
+    }
+
+    let loaded = 0;
+    data.fixtures.forEach((fixture, i) => {
+      if (!fixture || typeof fixture.key !== 'string' || !fixture.response ||
+          typeof fixture.response.body !== 'string') {
+        console.warn(`[Fixtures] Skipping invalid fixture #${i}`);
+        return;
+      }
+      fixtures.set(fixture.key, fixture);
+      loaded++;
+    });
+    return loaded;
+  }
+
+  /**
+   * Get the number of fixtures in memory
+   * @returns {number}
+   */
+  function count() {
+    return fixtures.size;
+  }
+
+  /**
+   * Remove all fixtures from memory
+   */
+  function clear() {
+    fixtures.clear();
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.LLMFixtures = {
+    getMode,
+    setMode,
+    record,
+    replay,
+    exportFixtures,
+    importFixtures,
+    count,
+    clear
+  };
+
+})(window);
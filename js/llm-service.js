@@ -22,37 +22,43 @@
    - DO NOT invent new IDs like 7a, 8a, etc.
    - DO NOT use IDs not in the list above
 5. Score 0-100 (90-100 excellent, 75-89 good, 60-74 pass, 0-59 insufficient)
+6. Write the explanation in {language}; never translate the paragraph text
 
 Output JSON format: {"p":[[paragraphText,["criteriaIds"],score,explanation]]}
 
-DMP (paragraphs separated by blank lines):
+{#if exemplars}Reviewed example evaluations - calibrate your scores to these, do not evaluate them:
+{exemplars}
+
+{/if}DMP (paragraphs separated by blank lines):
 {dmpText}
 
-Process ALL paragraphs. JSON output only.`
+Process ALL paragraphs. JSON output only.
+
+PHASE-SPECIFIC SCORING INSTRUCTIONS:
+{phaseGuide}`
+  };
+
+  // Phase-specific scoring instructions ({phaseGuide})
+  const PHASE_GUIDES = {
+    'proposal': 'This is a PROPOSAL / EARLY STAGE evaluation. Score based on PLANS, INTENTIONS, and EXPECTED approaches. Plans that are concrete and well-thought-out score well. Vague or missing plans score poorly.',
+    'mid': 'This is a MID-PROJECT evaluation. Score based on ACTUAL PROGRESS, IMPLEMENTATION, and UPDATES to original plans. Confirm what has been done. Report deviations. Ongoing work with clear evidence scores well. Plans without progress evidence score poorly.',
+    'end': 'This is an END-PROJECT evaluation. Score based on FINAL OUTCOMES, COMPLETED ACTIONS, and DELIVERABLES. Only concrete completed work scores well. Plans, intentions, or ongoing work WITHOUT final delivery score VERY POORLY. Be STRICT: if the DMP describes what WILL be done rather than what HAS been done, score 0-59 (insufficient).'
   };
 
+  // Phase names ({phase}), as in the Project Phase selector
+  const PHASE_LABELS = {
+    'proposal': 'Proposal / Early Stage',
+    'mid': 'Mid-Project',
+    'end': 'End-Project'
+  };
+
+
   /**
-   * Load custom prompt from localStorage
+   * Load the prompt sections of the active template (see PromptLibrary)
    * @returns {Object} - Prompt sections object
    */
   function loadPromptFromStorage() {
-    const saved = localStorage.getItem('dmpCustomPrompt');
-    if (saved) {
-      try {
-        return JSON.parse(saved);
-      } catch (e) {
-        return { ...DEFAULT_PROMPT };
-      }
-    }
-    return { ...DEFAULT_PROMPT };
-  }
-
-  /**
-   * Save custom prompt to localStorage
-   * @param {Object} promptSections - Prompt sections to save
-   */
-  function savePromptToStorage(promptSections) {
-    localStorage.setItem('dmpCustomPrompt', JSON.stringify(promptSections));
+    return window.PromptLibrary.getActive().sections;
   }
 
   /**
@@ -64,30 +70,28 @@ Process ALL paragraphs. JSON output only.`
   }
 
   /**
-   * Assemble full prompt from sections
-   * @param {Object} sections - Prompt sections
-   * @param {string} criteriaText - Formatted criteria text
-   * @param {string} dmpText - DMP document text
-   * @param {string} phase - Project phase
-   * @returns {Object} - {systemPrompt, userPrompt}
+   * Collect the values of the prompt template variables (see PromptLibrary.VARIABLES)
+   * @param {Object} criteria - Extracted evaluation criteria
+   * @param {string} dmpText - DMP text of the request
+   * @param {string} phase - Project phase (proposal/mid/end or an eva.json stage key)
+   * @param {Object} options - {language} code of the explanations (default: English) and {exemplars}
+   *   (default: ExemplarBank.select for the criteria and phase)
+   * @returns {Object} - Values by variable name
    */
-  function assembleFullPrompt(sections, criteriaText, dmpText, phase) {
-    // Extract criteria IDs from criteriaText (handles various formats)
-    const criteriaIds = [];
-    const lines = criteriaText.split('\n');
-    for (const line of lines) {
-      const match = line.match(/^(\d+[a-z])/i);
-      if (match) criteriaIds.push(match[1].toLowerCase());
-    }
-    const criteriaList = criteriaIds.length > 0 ? criteriaIds.join(' ') : '1a 1b 2a 2b 3a 3b 4a 4b 4c 5a 5b 5c 6a 6b';
+  function buildPromptVariables(criteria, dmpText, phase, options = {}) {
+    const normalizedPhase = window.CriteriaExtractor.normalizePhase(phase);
+    const exemplars = options.exemplars ||
+      window.ExemplarBank.select(criteria.categories.map(cat => cat.id), normalizedPhase);
 
-    // Phase-specific scoring instructions
-    const phaseInstructions = {
-      'proposal_early_stage': 'This is a PROPOSAL / EARLY STAGE evaluation. Score based on PLANS, INTENTIONS, and EXPECTED approaches. Plans that are concrete and well-thought-out score well. Vague or missing plans score poorly.',
-      'mid_project': 'This is a MID-PROJECT evaluation. Score based on ACTUAL PROGRESS, IMPLEMENTATION, and UPDATES to original plans. Confirm what has been done. Report deviations. Ongoing work with clear evidence scores well. Plans without progress evidence score poorly.',
-      'end_project': 'This is an END-PROJECT evaluation. Score based on FINAL OUTCOMES, COMPLETED ACTIONS, and DELIVERABLES. Only concrete completed work scores well. Plans, intentions, or ongoing work WITHOUT final delivery score VERY POORLY. Be STRICT: if the DMP describes what WILL be done rather than what HAS been done, score 0-59 (insufficient).'
-    };
-    const phaseGuide = phaseInstructions[phase] || phaseInstructions['proposal_early_stage'];
+    // Format criteria text
+    const criteriaText = criteria.categories.map(cat =>
+      `${cat.id}: ${cat.name}\n${cat.description}`
+    ).join('\n\n');
+
+    const criteriaIds = criteria.categories
+      .map(cat => String(cat.id).toLowerCase())
+      .filter(id => /^\d+[a-z]$/.test(id));
+    const criteriaList = criteriaIds.length > 0 ? criteriaIds.join(' ') : '1a 1b 2a 2b 3a 3b 4a 4b 4c 5a 5b 5c 6a 6b';
 
     // Clean DMP text - replace all problematic quotes (regular and Unicode curly)
     const dmpClean = dmpText
@@ -97,38 +101,130 @@ Process ALL paragraphs. JSON output only.`
       .replace(/"/g, '"')       // Unicode left double quote (U+201C)
       .replace(/"/g, '"');      // Unicode right double quote (U+201D)
 
-    // Build prompt with phase guidance injected
-    const userPrompt = sections.dmpContext
-      .replace('{criteriaList}', criteriaList)
-      .replace('{dmpText}', dmpClean)
-      + '\n\nPHASE-SPECIFIC SCORING INSTRUCTIONS:\n' + phaseGuide;
+    const sectionTitles = (dmpText.match(/^#{1,6}\s+.+$/gm) || [])
+      .map(line => line.replace(/^#{1,6}\s+/, '').trim())
+      .join('\n');
 
     return {
-      systemPrompt: sections.systemRole || '',
+      criteriaText: criteriaText,
+      criteriaList: criteriaList,
+      phase: PHASE_LABELS[normalizedPhase],
+      phaseGuide: PHASE_GUIDES[normalizedPhase],
+      dmpText: dmpClean,
+      sectionTitles: sectionTitles,
+      language: window.LanguageUtils.getLanguageName(options.language),
+      exemplars: window.ExemplarBank.formatForPrompt(exemplars)
+    };
+  }
+
+  /**
+   * Assemble full prompt from sections.
+   * Every section is rendered with PromptLibrary.renderTemplate; the user prompt is the
+   * criteria context followed by the DMP context. Templates that do not use {exemplars},
+   * {phaseGuide} or {language} (written before they existed) get them appended; the language
+   * only when it is not English.
+   * @param {Object} sections - Prompt sections {systemRole, criteriaContext, dmpContext}
+   * @param {Object} variables - Variable values from buildPromptVariables
+   * @returns {Object} - {systemPrompt, userPrompt}
+   */
+  function assembleFullPrompt(sections, variables) {
+    const render = (text) => window.PromptLibrary.renderTemplate(text || '', variables);
+
+    let userPrompt = [render(sections.criteriaContext), render(sections.dmpContext)]
+      .filter(part => part.trim())
+      .join('\n\n');
+    if (variables.exemplars && !window.PromptLibrary.usesVariable(sections, 'exemplars')) {
+      userPrompt += '\n\nREVIEWED EXAMPLE EVALUATIONS (calibrate your scores to these, do not evaluate them):\n' + variables.exemplars;
+    }
+    if (!window.PromptLibrary.usesVariable(sections, 'phaseGuide')) {
+      userPrompt += '\n\nPHASE-SPECIFIC SCORING INSTRUCTIONS:\n' + variables.phaseGuide;
+    }
+    if (variables.language !== window.LanguageUtils.getLanguageName(window.LanguageUtils.DEFAULT_LANGUAGE) &&
+        !window.PromptLibrary.usesVariable(sections, 'language')) {
+      userPrompt += `\n\nLANGUAGE: Write all explanations and suggestions in ${variables.language}. ` +
+        'Copy paragraph text verbatim in its original language; never translate it.';
+    }
+
+    return {
+      systemPrompt: render(sections.systemRole),
       userPrompt: userPrompt
     };
   }
 
   /**
-   * Get the currently selected LLM model from localStorage
-   * For dataplan profile, always returns GPT OSS 20B
+   * Get the model selected for a profile
+   * Falls back to the profile's default model (GPT OSS 20B for DataPLANT), then DEFAULT_MODEL.
+   * @param {string} profileId - Profile ID (default: active profile)
    * @returns {string} - Model identifier
    */
-  function getSelectedModel() {
-    // Check if dataplan profile is active - always use GPT OSS 20B
-    const activeProfileId = window.localStorage.getItem('apiActiveProfile') || 'dataplan';
-    if (activeProfileId === 'dataplan') {
-      return 'openai/gpt-oss-20b';
+  function getSelectedModel(profileId = window.APIConfig.getActiveProfileId()) {
+    const profile = window.APIConfig.getProfile(profileId);
+    return window.APIConfig.getProfileModel(profileId) || profile?.defaultModel || DEFAULT_MODEL;
+  }
+
+  /**
+   * List the models an endpoint offers (OpenAI-compatible /models next to the chat URL)
+   * @param {string} profileId - Profile ID (default: active profile)
+   * @param {Object} options - {signal}
+   * @returns {Promise<Array<Object>>} - [{id, name, contextLength}] sorted by ID;
+   *   contextLength is null when the endpoint does not report it
+   */
+  async function listModels(profileId = window.APIConfig.getActiveProfileId(), options = {}) {
+    const profile = window.APIConfig.getProfile(profileId);
+    if (!profile) {
+      throw new Error(`Unknown API profile: ${profileId}`);
+    }
+
+    if (!window.APIConfig.generateModelsFetchConfig(profile, '')) {
+      throw new Error('This endpoint has no model listing (OpenAI-compatible .../chat/completions endpoints only)');
     }
-    return window.localStorage.getItem('togetherAIModel') || DEFAULT_MODEL;
+
+    let apiKey = '';
+    if (profile.requiresAPIKey !== false) {
+      apiKey = getAPIKey(profileId);
+      if (!apiKey) {
+        throw missingKeyError(profileId, 'API key required to list models');
+      }
+    }
+
+    const fetchConfig = window.APIConfig.generateModelsFetchConfig(profile, apiKey);
+
+    const response = await fetch(fetchConfig.url, { ...fetchConfig.options, signal: options.signal });
+    const data = await response.json().catch(() => null);
+    const adapter = window.ProviderAdapters.getAdapter(profile.provider);
+    if (!response.ok) {
+      const message = data && adapter.extractError(data);
+      throw new Error(`Model listing failed (${response.status})${message ? ': ' + message : ''}`);
+    }
+    if (!data) {
+      throw new Error('Model listing did not return JSON');
+    }
+
+    const models = adapter.parseModelList(data).sort((a, b) => a.id.localeCompare(b.id));
+    console.log(`[LLM] ${models.length} models available from ${fetchConfig.url}`);
+    return models;
   }
 
   /**
-   * Get API key from localStorage
+   * Get a profile's API key from the key vault
+   * @param {string} profileId - API profile ID (default: active profile)
    * @returns {string|null} - API key or null
    */
-  function getAPIKey() {
-    return window.localStorage.getItem('togetherAPIKey');
+  function getAPIKey(profileId = window.APIConfig.getActiveProfileId()) {
+    return window.KeyVault.getKey(profileId);
+  }
+
+  /**
+   * Build the error for a profile without a usable API key
+   * @param {string} profileId - API profile ID
+   * @param {string} message - Message for a missing key
+   * @returns {Error}
+   */
+  function missingKeyError(profileId, message) {
+    if (window.KeyVault.isLocked() && window.KeyVault.hasKey(profileId)) {
+      return new Error('The API key vault is locked. Unlock it with your passphrase.');
+    }
+    return new Error(message);
   }
 
   /**
@@ -159,6 +255,50 @@ Process ALL paragraphs. JSON output only.`
     ]
   };
 
+  /**
+   * JSON Schema of the compact evaluation payload:
+   * {"p": [[paragraphText, [criteriaIds], score, explanation, suggestion?], ...]}
+   */
+  const EVALUATION_SCHEMA = {
+    type: 'object',
+    required: ['p'],
+    additionalProperties: false,
+    properties: {
+      p: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'array',
+          minItems: 4,
+          maxItems: 5,
+          prefixItems: [
+            { type: 'string', minLength: 1, description: 'Paragraph text copied verbatim' },
+            { type: 'array', items: { type: 'string', pattern: '^\\d+[a-zA-Z]$' }, description: 'Criteria IDs' },
+            { type: 'number', minimum: 0, maximum: 100, description: 'Score' },
+            { type: 'string', description: 'Explanation' },
+            { type: ['string', 'null'], description: 'Suggestion for improvement (optional)' }
+          ]
+        }
+      }
+    }
+  };
+
+  // Rounds of "here are the schema errors, fix your answer" before giving up
+  const DEFAULT_CORRECTION_ROUNDS = 2;
+
+  // Input token limits (estimated at ~4 chars/token)
+  const MAX_INPUT_TOKENS = 16000;
+  const DATAPLAN_INPUT_TOKENS = 4000; // Free community server - keep it light
+
+  /**
+   * Get the input token limit for a profile
+   * @param {string} profileId - Profile ID (default: active profile)
+   * @returns {number} - Maximum prompt size in estimated tokens
+   */
+  function getInputTokenLimit(profileId = window.APIConfig.getActiveProfileId()) {
+    return profileId === 'dataplan' ? DATAPLAN_INPUT_TOKENS : MAX_INPUT_TOKENS;
+  }
+
   /**
    * Estimate token count (rough approximation: 1 token ≈ 4 characters)
    * @param {string} text - Text to estimate
@@ -168,17 +308,335 @@ Process ALL paragraphs. JSON output only.`
     return Math.ceil(text.length / 4);
   }
 
+  /**
+   * Create the error thrown when a request is cancelled by the user
+   * @returns {DOMException} - Error with name 'AbortError' (same as an aborted fetch)
+   */
+  function createAbortError() {
+    return new DOMException('Evaluation cancelled', 'AbortError');
+  }
+
+  // Error codes that make evaluateDMPDetailed move on to the next profile of a failover chain
+  // (UNKNOWN_PROFILE: a profile deleted after it was put in the chain)
+  const FAILOVER_ERROR_CODES = ['NETWORK', 'SERVER', 'INPUT_TOO_LARGE', 'UNKNOWN_PROFILE'];
+
+  /**
+   * Create an error with a machine-readable code
+   * @param {string} message - Error message
+   * @param {string} code - 'NETWORK', 'SERVER', 'INPUT_TOO_LARGE' or 'UNKNOWN_PROFILE'
+   * @returns {Error} - Error with a code property
+   */
+  function createCodedError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Check whether an error was caused by cancellation
+   * @param {Error} error - Error to check
+   * @returns {boolean}
+   */
+  function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Wait for a delay, rejecting early if the signal is aborted
+   * @param {number} ms - Delay in ms
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {Promise<void>}
+   */
+  function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // =============================================================================
+  // REQUEST SCHEDULER
+  // Queues API calls per profile to stay within its concurrency, requests-per-minute
+  // and tokens-per-minute limits, and pauses a profile when the server says so
+  // =============================================================================
+
+  // Parallel requests per profile unless the profile sets maxConcurrency
+  const DEFAULT_MAX_CONCURRENCY = 2;
+
+  // Requests and tokens per minute are counted over a sliding window
+  const RATE_WINDOW_MS = 60000;
+
+  // Scheduler state per profile ID: {active, queue, log: [{time, tokens}], blockedUntil, timer}
+  const schedulers = {};
+
+  /**
+   * Get (and create on first use) the scheduler state of a profile
+   * @param {string} key - Profile ID
+   * @returns {Object} - Scheduler state
+   */
+  function getScheduler(key) {
+    if (!schedulers[key]) {
+      schedulers[key] = { active: 0, queue: [], log: [], blockedUntil: 0, timer: null };
+    }
+    return schedulers[key];
+  }
+
+  /**
+   * Get the rate limits configured for a profile
+   * @param {Object} profile - Profile configuration
+   * @returns {Object} - {concurrency, rpm, tpm}; rpm/tpm are null when unlimited
+   */
+  function getRateLimits(profile) {
+    const positive = value => (Number.isFinite(value) && value > 0 ? value : null);
+    return {
+      concurrency: positive(profile.maxConcurrency) || DEFAULT_MAX_CONCURRENCY,
+      rpm: positive(profile.requestsPerMinute),
+      tpm: positive(profile.tokensPerMinute)
+    };
+  }
+
+  /**
+   * Get how long a request must wait before it may start
+   * @param {Object} scheduler - Scheduler state
+   * @param {Object} limits - {concurrency, rpm, tpm}
+   * @param {number} tokens - Estimated tokens of the request
+   * @param {number} now - Current time (ms)
+   * @returns {number} - Wait in ms (0 = start now), Infinity while all slots are busy
+   */
+  function getWaitTime(scheduler, limits, tokens, now) {
+    scheduler.log = scheduler.log.filter(entry => now - entry.time < RATE_WINDOW_MS);
+    if (scheduler.active >= limits.concurrency) {
+      return Infinity;
+    }
+
+    let wait = Math.max(0, scheduler.blockedUntil - now);
+    if (limits.rpm && scheduler.log.length >= limits.rpm) {
+      const oldestCounted = scheduler.log[scheduler.log.length - limits.rpm];
+      wait = Math.max(wait, oldestCounted.time + RATE_WINDOW_MS - now);
+    }
+    if (limits.tpm) {
+      // Wait until enough old requests leave the window for this one to fit
+      // (a request larger than the limit waits for an empty window)
+      let used = scheduler.log.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (let i = 0; i < scheduler.log.length && used + tokens > limits.tpm; i++) {
+        used -= scheduler.log[i].tokens;
+        wait = Math.max(wait, scheduler.log[i].time + RATE_WINDOW_MS - now);
+      }
+    }
+    return wait;
+  }
+
+  /**
+   * Start queued requests that may run now and tell the others where they stand
+   * @param {Object} scheduler - Scheduler state
+   */
+  function pumpQueue(scheduler) {
+    clearTimeout(scheduler.timer);
+    scheduler.timer = null;
+
+    while (scheduler.queue.length > 0) {
+      const head = scheduler.queue[0];
+      const now = Date.now();
+      const wait = getWaitTime(scheduler, head.limits, head.tokens, now);
+
+      if (wait === 0) {
+        scheduler.queue.shift();
+        scheduler.active++;
+        const logEntry = { time: now, tokens: head.tokens };
+        scheduler.log.push(logEntry);
+        head.start(logEntry);
+        continue;
+      }
+
+      if (wait !== Infinity) {
+        head.notify(`Rate limit for ${head.label} reached - waiting ${Math.ceil(wait / 1000)}s...`);
+        scheduler.timer = setTimeout(() => pumpQueue(scheduler), wait);
+      }
+      break;
+    }
+
+    scheduler.queue.forEach((waiter, i) => {
+      if (i > 0 || scheduler.timer === null) {
+        waiter.notify(`Queued for ${waiter.label}: position ${i + 1} of ${scheduler.queue.length}`);
+      }
+    });
+  }
+
+  /**
+   * Run an API call once the profile's limits allow it
+   * @param {string} profileId - Profile ID; profiles share no queue or limits, even when named alike
+   * @param {Object} profile - Profile configuration (limits from getRateLimits)
+   * @param {number} tokens - Estimated tokens of the request
+   * @param {Function} onProgress - Receives queue position and rate-limit waits as status messages
+   * @param {AbortSignal} signal - Aborts while queued or running
+   * @param {Function} task - async (slot) => result; slot has noteAttempt() (call before each HTTP attempt),
+   *   reportTokens(n) and noteResponse(response)
+   * @returns {Promise<*>} - Result of the task
+   */
+  async function scheduleRequest(profileId, profile, tokens, onProgress, signal, task) {
+    const scheduler = getScheduler(profileId);
+
+    const logEntry = await new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      let lastMessage = null;
+      const waiter = {
+        limits: getRateLimits(profile),
+        tokens: tokens,
+        label: profile.name || 'API',
+        notify: (message) => {
+          if (onProgress && message !== lastMessage) {
+            onProgress({ type: 'status', content: message });
+          }
+          lastMessage = message;
+        },
+        start: (entry) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve(entry);
+        }
+      };
+      const onAbort = () => {
+        scheduler.queue = scheduler.queue.filter(w => w !== waiter);
+        reject(createAbortError());
+        pumpQueue(scheduler);
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      scheduler.queue.push(waiter);
+      pumpQueue(scheduler);
+    });
+
+    // Retries run in the same slot but are requests of their own for the per-minute limits
+    let attemptEntry = logEntry;
+    let attempts = 0;
+    try {
+      return await task({
+        noteAttempt: () => {
+          attempts++;
+          if (attempts > 1) {
+            attemptEntry = { time: Date.now(), tokens: tokens };
+            scheduler.log.push(attemptEntry);
+          }
+        },
+        // Replace the estimate with the real count once the API reports it
+        reportTokens: (actual) => {
+          attemptEntry.tokens = actual;
+        },
+        noteResponse: (response) => {
+          const delay = getRateLimitDelay(response.headers, response.status);
+          if (delay > 0) {
+            console.warn(`[LLM] Server rate limit for ${profile.name}: pausing requests for ${Math.ceil(delay / 1000)}s`);
+            scheduler.blockedUntil = Math.max(scheduler.blockedUntil, Date.now() + delay);
+          }
+        }
+      });
+    } finally {
+      scheduler.active--;
+      pumpQueue(scheduler);
+    }
+  }
+
+  // Rate-limit header pairs (remaining, reset) used by OpenAI, Together, Anthropic and others
+  const RATE_LIMIT_HEADERS = [
+    ['x-ratelimit-remaining-requests', 'x-ratelimit-reset-requests'],
+    ['x-ratelimit-remaining-tokens', 'x-ratelimit-reset-tokens'],
+    ['x-ratelimit-remaining', 'x-ratelimit-reset'],
+    ['anthropic-ratelimit-requests-remaining', 'anthropic-ratelimit-requests-reset'],
+    ['anthropic-ratelimit-tokens-remaining', 'anthropic-ratelimit-tokens-reset']
+  ];
+
+  /**
+   * Parse a rate-limit reset or Retry-After value
+   * @param {string} value - Seconds ("30"), a duration ("1m30s", "250ms"), a Unix time or an HTTP/ISO date
+   * @returns {number|null} - Delay in ms from now, or null if not understood
+   */
+  function parseResetDelay(value) {
+    if (!value) return null;
+    const text = value.trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      const number = parseFloat(text);
+      // Large numbers are Unix timestamps, small ones are seconds to wait
+      return number > 1e9 ? Math.max(0, number * 1000 - Date.now()) : number * 1000;
+    }
+
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)];
+    if (parts.length > 0 && parts.map(p => p[0]).join('') === text) {
+      return parts.reduce((sum, p) => sum + parseFloat(p[1]) * units[p[2]], 0);
+    }
+
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Get how long the server asks clients to wait, from Retry-After or exhausted rate-limit headers
+   * @param {Headers} headers - Response headers (only CORS-exposed ones are readable)
+   * @param {number} status - HTTP status
+   * @returns {number} - Delay in ms (0 = no wait requested)
+   */
+  function getRateLimitDelay(headers, status) {
+    if (!headers) return 0;
+    let delay = 0;
+
+    if (status === 429 || status === 503) {
+      delay = parseResetDelay(headers.get('retry-after')) || 0;
+    }
+    RATE_LIMIT_HEADERS.forEach(([remainingHeader, resetHeader]) => {
+      const remaining = headers.get(remainingHeader);
+      if (remaining !== null && parseFloat(remaining) <= 0) {
+        delay = Math.max(delay, parseResetDelay(headers.get(resetHeader)) || 0);
+      }
+    });
+    return delay;
+  }
+
+  const LMSTUDIO_CORS_MESSAGE = 'CORS Error: LM Studio requires CORS to be enabled.\n\nIn LM Studio:\n' +
+    '1. Go to "Local Server" tab\n2. Enable "CORS" option\n3. Restart the server';
+
+  /**
+   * Check whether a network error is most likely LM Studio blocking the browser (CORS off)
+   * @param {Error} error - Error thrown by fetch
+   * @param {Object} profile - Profile that was called
+   * @returns {boolean}
+   */
+  function isLMStudioCORSError(error, profile) {
+    return !!(error.message && error.message.includes('Failed to fetch') &&
+      profile.endpoint && profile.endpoint.includes('localhost:1234'));
+  }
+
   /**
    * Helper: Retry a fetch request with exponential backoff
    * @param {Function} fetchFn - Async function that returns a fetch response
    * @param {number} maxRetries - Maximum number of retries (default: 3)
    * @param {number} initialDelay - Initial delay in ms (default: 2000)
+   * @param {AbortSignal} signal - Optional abort signal; cancels pending retries
+   * @param {Object} profile - Profile that is called (to recognize LM Studio CORS errors)
    * @returns {Promise<Response>} - Fetch response
    */
-  async function retryWithBackoff(fetchFn, maxRetries = 3, initialDelay = 2000) {
+  async function retryWithBackoff(fetchFn, maxRetries = 3, initialDelay = 2000, signal = null, profile = null) {
     let lastError;
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (signal && signal.aborted) {
+        throw createAbortError();
+      }
+
       try {
         const response = await fetchFn();
 
@@ -187,19 +645,22 @@ Process ALL paragraphs. JSON output only.`
           return response;
         }
 
+        // Retry-After / rate-limit headers take precedence over the backoff schedule
+        const serverDelay = getRateLimitDelay(response.headers, response.status);
+
         // Server error (5xx) - retry with exponential backoff
         if (response.status >= 500 && attempt < maxRetries) {
-          const delay = initialDelay * Math.pow(2, attempt);
+          const delay = serverDelay || initialDelay * Math.pow(2, attempt);
           console.warn(`[LLM] Server error ${response.status}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await sleep(delay, signal);
           continue;
         }
 
         // Rate limit (429) - retry with longer delay
         if (response.status === 429 && attempt < maxRetries) {
-          const delay = 5000 * Math.pow(2, attempt);
+          const delay = serverDelay || 5000 * Math.pow(2, attempt);
           console.warn(`[LLM] Rate limited, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries})...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await sleep(delay, signal);
           continue;
         }
 
@@ -207,28 +668,113 @@ Process ALL paragraphs. JSON output only.`
         return response;
 
       } catch (error) {
+        // Cancelled by the user (aborted fetch or backoff sleep) - never retry
+        if (isAbortError(error)) {
+          throw error;
+        }
+
         lastError = error;
         console.error(`[LLM] Network error on attempt ${attempt + 1}:`, error);
 
         // Check for CORS error
-        if (error.message && error.message.includes('Failed to fetch')) {
-          const activeProfile = window.APIConfig.getActiveProfile();
-          if (activeProfile.endpoint && activeProfile.endpoint.includes('localhost:1234')) {
-            // This is likely a CORS error with LM Studio
-            throw new Error('CORS Error: LM Studio requires CORS to be enabled.\n\nIn LM Studio:\n1. Go to "Local Server" tab\n2. Enable "CORS" option\n3. Restart the server');
-          }
+        if (profile && isLMStudioCORSError(error, profile)) {
+          throw createCodedError(LMSTUDIO_CORS_MESSAGE, 'NETWORK');
         }
 
         if (attempt < maxRetries) {
           const delay = initialDelay * Math.pow(2, attempt);
           console.warn(`[LLM] Retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await sleep(delay, signal);
         }
       }
     }
 
     // All retries failed
-    throw new Error(`All retry attempts failed. Last error: ${lastError?.message || 'Unknown error'}`);
+    throw createCodedError(`All retry attempts failed. Last error: ${lastError?.message || 'Unknown error'}`, 'NETWORK');
+  }
+
+  /**
+   * Create an incremental parser for a streamed {"p":[[...],...]} evaluation reply.
+   * Each paragraph entry is handed to onParagraph as soon as its closing bracket arrives,
+   * so results can be shown before the whole reply has been received. Entries wrapped in
+   * one extra array ({"p":[[[...],...]]}, as some Qwen models reply) are unwrapped.
+   * @param {Function} onParagraph - Receives each parsed entry (tuple array or object)
+   * @returns {Object} - {push(text)} to feed streamed content into
+   */
+  function createParagraphStreamParser(onParagraph) {
+    const stack = [];      // Open brackets ('{' or '[') outside strings
+    let inString = false;
+    let escaped = false;
+    let entry = null;      // Text of the paragraph entry being read
+    let inner = null;      // Text of an item inside that entry, in case the entry is a wrapper
+    let unwrapped = false; // The entry turned out to be a wrapper and its items were emitted
+
+    function parse(text) {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        console.warn('[LLM] Skipping unparseable streamed paragraph');
+        return null;
+      }
+    }
+
+    function emit(value) {
+      if (value && typeof value === 'object') {
+        onParagraph(value);
+      }
+    }
+
+    // An item shaped like [text, ids, score, ...] or {..., score}; a text or ID list is not
+    function isEntry(value) {
+      if (Array.isArray(value)) {
+        return value.length >= 3 && (Array.isArray(value[1]) || typeof value[1] === 'string') &&
+          (typeof value[2] === 'number' || (typeof value[2] === 'string' && value[2].trim() !== '' && !isNaN(value[2])));
+      }
+      return !!value && typeof value === 'object' && 'score' in value;
+    }
+
+    function push(text) {
+      for (const ch of text) {
+        if (entry !== null) entry += ch;
+        if (inner !== null) inner += ch;
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+
+        // Text before the opening brace (e.g. a ```json fence) is not JSON
+        if (ch === '"' && stack.length > 0) {
+          inString = true;
+        } else if (ch === '{' || ch === '[') {
+          // Entries are the items of the array in the top-level object
+          if (stack.length === 2 && stack[0] === '{' && stack[1] === '[') {
+            entry = ch;
+            unwrapped = false;
+          } else if (stack.length === 3 && entry !== null && stack[2] === '[') {
+            inner = ch;
+          }
+          stack.push(ch);
+        } else if ((ch === '}' || ch === ']') && stack.length > 0) {
+          stack.pop();
+          if (inner !== null && stack.length === 3) {
+            const value = parse(inner);
+            inner = null;
+            if (isEntry(value)) {
+              emit(value);
+              unwrapped = true;
+            }
+          } else if (entry !== null && stack.length === 2) {
+            if (!unwrapped) emit(parse(entry));
+            entry = null;
+          }
+        }
+      }
+    }
+
+    return { push };
   }
 
   /**
@@ -333,21 +879,46 @@ Process ALL paragraphs. JSON output only.`
   }
 
   /**
-   * Parse Server-Sent Events (SSE) stream from Together.ai API
+   * Parse a streaming response in the provider's event format
+   * (Server-Sent Events or newline-delimited JSON, see ProviderAdapters)
    * @param {ReadableStream} stream - Response body stream
+   * @param {Object} adapter - Provider adapter that decodes each event
    * @param {Function} onChunk - Callback for each content chunk (text, isReasoning)
-   * @returns {Promise<string>} - Complete accumulated content
+   * @param {AbortSignal} signal - Optional abort signal; cancels the reader
+   * @returns {Promise<Object>} - {text, usage}: complete accumulated content and
+   *   reported token counts ({promptTokens, completionTokens}, null if the stream had none)
    */
-  async function parseSSEStream(stream, onChunk = null) {
+  async function parseStream(stream, adapter, onChunk = null, signal = null) {
     const reader = stream.getReader();
     const decoder = new TextDecoder();
+    const isNDJSON = adapter.streamFormat === 'ndjson';
     let buffer = '';
     let accumulatedContent = '';
     let accumulatedReasoning = '';
+    let usage = null;
+    let finished = false;
+
+    // Cancelling the reader ends the pending read() so the loop can exit
+    const onAbort = () => {
+      reader.cancel().catch(() => {});
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
 
     try {
-      while (true) {
-        const { done, value } = await reader.read();
+      while (!finished) {
+        let chunk;
+        try {
+          chunk = await reader.read();
+        } catch (readError) {
+          // The connection dropped mid-reply: tag it like a fetch failure so failover moves on
+          if (isAbortError(readError)) {
+            throw readError;
+          }
+          throw createCodedError(`Connection lost while streaming the response: ${readError.message}`, 'NETWORK');
+        }
+        const { done, value } = chunk;
 
         if (done) {
           console.log('[LLM Stream] Stream completed');
@@ -369,112 +940,597 @@ Process ALL paragraphs. JSON output only.`
           // Skip empty lines
           if (!trimmedLine) continue;
 
-          // Check for data: prefix (SSE format)
-          if (trimmedLine.startsWith('data: ')) {
-            const data = trimmedLine.substring(6);
+          // SSE carries JSON in data: lines (event: lines name the type, which the JSON repeats)
+          let data = trimmedLine;
+          if (!isNDJSON) {
+            if (!trimmedLine.startsWith('data:')) continue;
+            data = trimmedLine.substring(5).trim();
+          }
 
-            // Check for stream termination
-            if (data === '[DONE]') {
-              console.log('[LLM Stream] Received [DONE] signal');
-              break;
+          // Check for stream termination
+          if (data === '[DONE]') {
+            console.log('[LLM Stream] Received [DONE] signal');
+            finished = true;
+            break;
+          }
+
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch (parseError) {
+            console.warn('[LLM Stream] Failed to parse chunk:', parseError, 'Data:', data);
+            // Continue processing other chunks
+            continue;
+          }
+
+          const { content, reasoning, done: eventDone, usage: eventUsage } = adapter.parseStreamEvent(event);
+
+          // Providers report token counts across several events (e.g. input first, output last)
+          if (eventUsage) {
+            usage = mergeUsage(usage, eventUsage);
+          }
+
+          // Handle reasoning content (for models like DeepSeek-R1)
+          if (reasoning) {
+            accumulatedReasoning += reasoning;
+            if (onChunk) {
+              onChunk(reasoning, true); // true = isReasoning
             }
+          }
 
-            try {
-              const chunk = JSON.parse(data);
-              const delta = chunk.choices?.[0]?.delta;
-
-              if (!delta) continue;
-
-              // Handle reasoning content (for models like DeepSeek-R1)
-              if (delta.reasoning) {
-                accumulatedReasoning += delta.reasoning;
-                if (onChunk) {
-                  onChunk(delta.reasoning, true); // true = isReasoning
-                }
-              }
-
-              // Handle regular content
-              if (delta.content) {
-                accumulatedContent += delta.content;
-                if (onChunk) {
-                  onChunk(delta.content, false); // false = regular content
-                }
-              }
-
-              // Check for completion
-              const finishReason = chunk.choices?.[0]?.finish_reason;
-              if (finishReason === 'stop' || finishReason === 'length') {
-                console.log(`[LLM Stream] Stream finished: ${finishReason}`);
-                break;
-              }
-
-            } catch (parseError) {
-              console.warn('[LLM Stream] Failed to parse chunk:', parseError, 'Data:', data);
-              // Continue processing other chunks
+          // Handle regular content
+          if (content) {
+            accumulatedContent += content;
+            if (onChunk) {
+              onChunk(content, false); // false = regular content
             }
           }
+
+          // Check for completion
+          if (eventDone) {
+            console.log('[LLM Stream] Stream finished');
+            finished = true;
+            break;
+          }
         }
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       console.error('[LLM Stream] Stream reading error:', error);
       throw error;
     } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
       reader.releaseLock();
     }
 
-    // Return the complete content (reasoning is typically not used for final output)
-    return accumulatedContent || accumulatedReasoning;
+    // A cancelled reader reports done - don't mistake partial output for a result
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
+    // Reasoning models may put the whole answer in the reasoning field
+    return { text: accumulatedContent || accumulatedReasoning, reasoning: accumulatedReasoning, usage };
+  }
+
+  /**
+   * Overlay the token counts an event reports onto those seen so far
+   * @param {Object|null} usage - {promptTokens, completionTokens} so far
+   * @param {Object} update - Counts from the latest event (missing fields are kept)
+   * @returns {Object} - Merged counts
+   */
+  function mergeUsage(usage, update) {
+    const merged = { ...(usage || {}) };
+    ['promptTokens', 'completionTokens'].forEach(key => {
+      if (typeof update[key] === 'number') merged[key] = update[key];
+    });
+    return merged;
+  }
+
+  /**
+   * Add one answered request's token counts to a running total, estimating them from the
+   * text when the API reported none
+   * @param {Object} usage - Running total {promptTokens, completionTokens, estimated}, updated in place
+   * @param {Object|null} reported - Counts the API reported for the request
+   * @param {Array} messages - Chat messages that were sent
+   * @param {string} content - Reply text
+   */
+  function addRequestUsage(usage, reported, messages, content) {
+    const hasUsage = reported && typeof reported.promptTokens === 'number' &&
+      typeof reported.completionTokens === 'number';
+    usage.promptTokens += hasUsage
+      ? reported.promptTokens
+      : estimateTokens(messages.map(m => m.content).join('\n'));
+    usage.completionTokens += hasUsage ? reported.completionTokens : estimateTokens(content || '');
+    usage.estimated = usage.estimated || !hasUsage;
+  }
+
+  /**
+   * Send a chat request with a profile and return the model's reply text.
+   * Handles the provider's request format, HTTP retries, and streaming or plain JSON responses.
+   * @param {Object} profile - Profile configuration
+   * @param {string} apiKey - API key ('' for unauthenticated profiles)
+   * @param {string} model - Model identifier
+   * @param {Array} messages - Chat messages [{role, content}]
+   * @param {Object} options - Request options
+   * @param {string} options.profileId - ID of the profile, whose request queue and rate limits apply
+   * @param {AbortSignal} options.signal - Aborts the request, stream and pending retries
+   * @param {Function} options.onProgress - Receives {type: 'stream'|'status', ...} updates
+   * @param {Object} options.responseSchema - {name, schema} for profiles with the json_schema response format
+   * @param {Function} options.onUsage - Receives the reported token counts {promptTokens, completionTokens},
+   *   or null if the API reported none
+   * @param {Function} options.onReasoning - Receives the model's reasoning trace when it returned one
+   *   besides the content
+   * @returns {Promise<string>} - Reply content (reasoning text if the model returned no content)
+   */
+  async function sendChat(profile, apiKey, model, messages, options = {}) {
+    // Replayed responses need no network, so they skip the rate limits
+    if (window.LLMFixtures.getMode() === 'replay') {
+      return sendChatNow(profile, apiKey, model, messages, options, null);
+    }
+
+    const tokens = estimateTokens(messages.map(m => m.content).join('\n'));
+    return scheduleRequest(options.profileId, profile, tokens, options.onProgress, options.signal, slot =>
+      sendChatNow(profile, apiKey, model, messages, options, slot));
+  }
+
+  // Wording servers use when a prompt exceeds the model's context window
+  const INPUT_TOO_LARGE_PATTERN = /context (length|window)|maximum context|too (long|large)|exceeds? .*(limit|tokens)|prompt is too/i;
+
+  /**
+   * Classify a failed API response for failover decisions
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message from the response body
+   * @returns {string|undefined} - 'SERVER', 'INPUT_TOO_LARGE', or undefined for other errors
+   */
+  function classifyHTTPError(status, message) {
+    if (status >= 500) {
+      return 'SERVER';
+    }
+    if (status === 413 || ((status === 400 || status === 422) && INPUT_TOO_LARGE_PATTERN.test(message))) {
+      return 'INPUT_TOO_LARGE';
+    }
+    return undefined;
+  }
+
+  /**
+   * Send a chat request immediately (see sendChat)
+   * @param {Object} profile - Profile configuration
+   * @param {string} apiKey - API key ('' for unauthenticated profiles)
+   * @param {string} model - Model identifier
+   * @param {Array} messages - Chat messages [{role, content}]
+   * @param {Object} options - Request options (see sendChat)
+   * @param {Object|null} slot - Scheduler slot from scheduleRequest, told about headers and token counts
+   * @returns {Promise<string>} - Reply content
+   */
+  async function sendChatNow(profile, apiKey, model, messages, options, slot) {
+    const { signal = null, onProgress = null, responseSchema = null } = options;
+    const adapter = window.ProviderAdapters.getAdapter(profile.provider);
+
+    // The scheduler counts the real tokens against the profile's tokens-per-minute limit
+    const onUsage = (usage) => {
+      if (slot && usage) {
+        slot.reportTokens((usage.promptTokens || 0) + (usage.completionTokens || 0));
+      }
+      if (options.onUsage) {
+        options.onUsage(usage);
+      }
+    };
+
+    // Generate fetch configuration from profile (built once, reused on retries)
+    const fetchConfig = window.APIConfig.generateFetchConfig(profile, apiKey, model, messages, { responseSchema });
+
+    // Make API call with HTTP-level retry logic (replay mode answers from recorded fixtures instead)
+    const fixtureMode = window.LLMFixtures.getMode();
+    let response = fixtureMode === 'replay'
+      ? await window.LLMFixtures.replay(fetchConfig)
+      : await retryWithBackoff(async () => {
+        if (slot) slot.noteAttempt();
+        const attempt = await fetch(fetchConfig.url, { ...fetchConfig.options, signal });
+        if (slot) slot.noteResponse(attempt);
+        return attempt;
+      }, 3, 2000, signal, profile);
+
+    if (fixtureMode === 'record') {
+      response = await window.LLMFixtures.record(fetchConfig, response, {
+        endpointHost: window.APIConfig.getEndpointHost(profile)
+      });
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = adapter.extractError(errorData) || 'Unknown error';
+      throw createCodedError(`API Error ${response.status}: ${message}`, classifyHTTPError(response.status, message));
+    }
+
+    // Check if response is streaming
+    const contentType = response.headers.get('content-type') || '';
+    const isStreaming = contentType.includes('text/event-stream') || contentType.includes('ndjson');
+
+    if (isStreaming) {
+      console.log('[LLM] Streaming response detected');
+      const { text, reasoning, usage } = await parseStream(response.body, adapter, (chunk, isReasoning) => {
+        if (onProgress) {
+          onProgress({ type: 'stream', content: chunk, isReasoning: isReasoning });
+        }
+      }, signal);
+      if (onProgress) {
+        onProgress({ type: 'status', content: 'Processing complete response...' });
+      }
+      onUsage(usage);
+      if (reasoning && text !== reasoning && options.onReasoning) {
+        options.onReasoning(reasoning);
+      }
+      return text;
+    }
+
+    console.log('[LLM] Standard JSON response');
+    const data = await response.json();
+    if (onProgress) {
+      onProgress({ type: 'status', content: 'Parsing response...' });
+    }
+    const message = adapter.extractMessage(data);
+    onUsage(adapter.extractUsage(data));
+
+    // Log which field was used
+    if (!message.content && message.reasoning) {
+      console.log('[LLM] Using reasoning field (reasoning model)');
+    } else if (message.reasoning && options.onReasoning) {
+      options.onReasoning(message.reasoning);
+    }
+    return message.content || message.reasoning;
+  }
+
+  // =============================================================================
+  // CONNECTION TEST
+  // Tiny probe requests that check a profile before a real evaluation
+  // =============================================================================
+
+  const PROBE_TIMEOUT_MS = 30000;    // Per probe request
+  const PROBE_MAX_TOKENS = 256;      // Room for reasoning models to think before answering
+  const PROBE_MESSAGES = [
+    { role: 'user', content: 'Reply with the JSON object {"ok": true} and nothing else.' }
+  ];
+
+  /**
+   * Send one probe request directly (no retries, queue, cache or fixtures)
+   * @param {Object} profile - Profile configuration
+   * @param {string} apiKey - API key ('' for none)
+   * @param {string} model - Model identifier
+   * @param {Object} overrides - Profile settings for this probe (streamEnabled, responseFormat)
+   * @param {Function} handle - async (response, startedAt) => result, runs before the timeout is cleared
+   * @param {AbortSignal} signal - Cancels the probe
+   * @returns {Promise<*>} - Result of handle
+   */
+  async function sendProbe(profile, apiKey, model, overrides, handle, signal) {
+    const fetchConfig = window.APIConfig.generateFetchConfig(
+      { ...profile, maxTokens: PROBE_MAX_TOKENS, ...overrides }, apiKey, model, PROBE_MESSAGES);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const startedAt = Date.now();
+      const response = await fetch(fetchConfig.url, { ...fetchConfig.options, signal: controller.signal });
+      return await handle(response, startedAt);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw createAbortError();
+      }
+      if (isAbortError(error)) {
+        throw new Error(`No answer within ${PROBE_TIMEOUT_MS / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Read the provider's error message from a failed response
+   * @param {Response} response - Non-OK response
+   * @param {Object} adapter - Provider adapter
+   * @returns {Promise<string>} - e.g. "401: Invalid API key"
+   */
+  async function describeErrorResponse(response, adapter) {
+    const data = await response.json().catch(() => null);
+    const message = data && adapter.extractError(data);
+    return `${response.status}${message ? ': ' + message : ''}`;
+  }
+
+  /**
+   * Test a profile with a few tiny requests.
+   * Checks reachability, authentication, latency, which reply field holds the answer,
+   * streaming, and whether the JSON response format is accepted.
+   * @param {Object} profile - Profile configuration (may be unsaved form values)
+   * @param {Object} options - {apiKey, model, signal}
+   * @returns {Promise<Object>} - {checks: [{id, label, status, detail}], latencyMs, usage}
+   *   status is 'ok', 'warn', 'fail' or 'skip'; usage is {promptTokens, completionTokens, estimated}
+   *   of the answered probes, or null when none was answered
+   */
+  async function probeProfile(profile, options = {}) {
+    const { apiKey = '', signal = null } = options;
+    const model = options.model || profile.defaultModel || DEFAULT_MODEL;
+    const adapter = window.ProviderAdapters.getAdapter(profile.provider);
+    const checks = [];
+    const add = (id, label, status, detail) => checks.push({ id, label, status, detail });
+    const reasoningField = (profile.provider || 'openai') === 'openai' ? 'reasoning_content' : 'reasoning';
+
+    // Answered probes are billed like any other request
+    const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+    let answered = 0;
+    const countUsage = (reported, text) => {
+      addRequestUsage(usage, reported, PROBE_MESSAGES, text);
+      answered++;
+    };
+    const report = (latencyMs) => ({ checks, latencyMs, usage: answered > 0 ? usage : null });
+
+    // 1. Plain request: reachability, auth, latency, answer field
+    let basic;
+    try {
+      basic = await sendProbe(profile, apiKey, model, { streamEnabled: false, responseFormat: null }, async (response, startedAt) => {
+        const latencyMs = Date.now() - startedAt;
+        if (!response.ok) {
+          return { status: response.status, latencyMs, error: await describeErrorResponse(response, adapter) };
+        }
+        const data = await response.json();
+        const message = adapter.extractMessage(data);
+        countUsage(adapter.extractUsage(data), message.content || message.reasoning);
+        return { status: response.status, latencyMs: Date.now() - startedAt, message: message };
+      }, signal);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      const hint = isLMStudioCORSError(error, profile)
+        ? LMSTUDIO_CORS_MESSAGE
+        : `${error.message} (server down, wrong URL, or the browser was blocked by CORS)`;
+      add('reachable', 'Reachability', 'fail', hint);
+      return report(null);
+    }
+
+    add('reachable', 'Reachability', 'ok', `HTTP ${basic.status} from ${window.APIConfig.getEndpointHost(profile) || 'endpoint'}`);
+
+    const needsKey = profile.requiresAPIKey !== false;
+    if (basic.status === 401 || basic.status === 403) {
+      add('auth', 'Authentication', 'fail', needsKey && !apiKey
+        ? `Rejected (${basic.error}) - no API key is saved for this profile`
+        : `Rejected (${basic.error})`);
+    } else if (basic.error) {
+      add('auth', 'Authentication', needsKey ? 'warn' : 'skip', `Not confirmed - request failed with ${basic.error}`);
+    } else {
+      add('auth', 'Authentication', 'ok', needsKey ? 'API key accepted' : 'No API key needed');
+    }
+
+    if (basic.error) {
+      add('latency', 'Latency', 'skip', 'No successful reply');
+      add('answer', 'Answer field', 'skip', 'No successful reply');
+      add('streaming', 'Streaming', 'skip', 'Skipped because the plain request failed');
+      add('json', 'JSON response format', 'skip', 'Skipped because the plain request failed');
+      return report(null);
+    }
+
+    add('latency', 'Latency', basic.latencyMs > 20000 ? 'warn' : 'ok',
+      `${basic.latencyMs} ms for a ${PROBE_MAX_TOKENS}-token reply (model ${model})`);
+
+    const { content, reasoning } = basic.message;
+    if (content) {
+      add('answer', 'Answer field', 'ok', `content${reasoning ? ` (plus ${reasoningField})` : ''}: "${content.trim().substring(0, 60)}"`);
+    } else if (reasoning) {
+      add('answer', 'Answer field', 'warn',
+        `Only ${reasoningField} is filled - reasoning model; the reply is read from there`);
+    } else {
+      add('answer', 'Answer field', 'warn', `Empty reply - the ${PROBE_MAX_TOKENS}-token limit may be too small for this model`);
+    }
+
+    // 2. Streaming
+    try {
+      const streamed = await sendProbe(profile, apiKey, model, { streamEnabled: true, responseFormat: null }, async (response, startedAt) => {
+        if (!response.ok) {
+          return { error: await describeErrorResponse(response, adapter) };
+        }
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/event-stream') && !contentType.includes('ndjson')) {
+          const data = await response.json().catch(() => null);
+          if (data) {
+            const message = adapter.extractMessage(data);
+            countUsage(adapter.extractUsage(data), message.content || message.reasoning);
+          }
+          return { notStreamed: contentType || 'unknown content type' };
+        }
+        let chunks = 0;
+        let firstChunkMs = null;
+        const { text, usage: streamUsage } = await parseStream(response.body, adapter, () => {
+          chunks++;
+          if (firstChunkMs === null) firstChunkMs = Date.now() - startedAt;
+        }, signal);
+        countUsage(streamUsage, text);
+        return { chunks, firstChunkMs };
+      }, signal);
+
+      if (streamed.error) {
+        add('streaming', 'Streaming', 'fail', `Rejected (${streamed.error}) - turn streaming off for this profile`);
+      } else if (streamed.notStreamed) {
+        add('streaming', 'Streaming', 'warn', `Answered without streaming (${streamed.notStreamed}); results appear at the end`);
+      } else if (streamed.chunks === 0) {
+        add('streaming', 'Streaming', 'warn', 'Stream opened but carried no text');
+      } else {
+        add('streaming', 'Streaming', 'ok', `${streamed.chunks} chunks, first after ${streamed.firstChunkMs} ms`);
+      }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      add('streaming', 'Streaming', 'fail', error.message);
+    }
+
+    // 3. JSON response format
+    if ((profile.provider || 'openai') === 'anthropic') {
+      add('json', 'JSON response format', 'skip', 'The Messages API has no JSON mode (JSON Schema uses a tool call)');
+    } else {
+      try {
+        const json = await sendProbe(profile, apiKey, model, { streamEnabled: false, responseFormat: 'json_object' }, async (response) => {
+          if (!response.ok) {
+            return { error: await describeErrorResponse(response, adapter) };
+          }
+          const data = await response.json();
+          const message = adapter.extractMessage(data);
+          countUsage(adapter.extractUsage(data), message.content || message.reasoning);
+          return { text: message.content || message.reasoning };
+        }, signal);
+
+        if (json.error) {
+          add('json', 'JSON response format', 'fail', `json_object rejected (${json.error}) - leave Response Format empty`);
+        } else {
+          let parses = true;
+          try {
+            JSON.parse(json.text);
+          } catch (e) {
+            parses = false;
+          }
+          add('json', 'JSON response format', parses ? 'ok' : 'warn', parses
+            ? 'json_object accepted, reply is valid JSON'
+            : 'json_object accepted, but the reply is not valid JSON');
+        }
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        add('json', 'JSON response format', 'fail', error.message);
+      }
+    }
+
+    return report(basic.latencyMs);
   }
 
   /**
-   * Call Together AI API to evaluate DMP
+   * Call the LLM API to evaluate DMP
    * @param {string} systemPrompt - System prompt describing the evaluator role
    * @param {string} userPrompt - User prompt with criteria and DMP text
    * @param {Function} onProgress - Optional callback for streaming updates
+   * @param {Object} options - Request options (see evaluateDMPDetailed)
    * @returns {Promise<Object>} - Evaluation results
    */
-  async function evaluateDMP(systemPrompt, userPrompt, onProgress = null) {
+  async function evaluateDMP(systemPrompt, userPrompt, onProgress = null, options = {}) {
+    return (await evaluateDMPDetailed(systemPrompt, userPrompt, onProgress, options)).result;
+  }
+
+  /**
+   * Call the LLM API to evaluate DMP and report how the result was obtained
+   * @param {string} systemPrompt - System prompt describing the evaluator role
+   * @param {string} userPrompt - User prompt with criteria and DMP text
+   * @param {Function} onProgress - Optional callback for streaming updates
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborts the request, stream and pending retries
+   * @param {string} options.profileId - Profile to call (default: active profile)
+   * @param {string} options.model - Model to use (default: selected model for the profile)
+   * @param {boolean} options.useCache - Read and write the response cache (default: cache toggle)
+   * @param {string} options.cacheLabel - Description shown in the cache browser
+   * @param {Array<string>} options.fallbackProfileIds - Failover chain: profiles to try in order when the
+   *   request fails with a network error, a server error (5xx) after retries, an input-size rejection,
+   *   or the profile no longer exists
+   * @returns {Promise<Object>} - {result, cacheHit, usage, reasoning, profileId, model, failures}; usage is
+   *   {promptTokens, completionTokens, estimated} summed over correction rounds, or null when no API call
+   *   was made (test mode, cache hit); reasoning holds the model's reasoning traces [{round, text}];
+   *   profileId/model are those that produced the result, failures lists the profiles that failed
+   *   before it [{profileId, model, code, message, usage}] with the tokens of the rounds they answered
+   *   (usage null if none). A thrown error carries the same failures and the profileId/model that threw.
+   */
+  async function evaluateDMPDetailed(systemPrompt, userPrompt, onProgress = null, options = {}) {
+    const primaryId = options.profileId || window.APIConfig.getActiveProfileId();
+    const chain = [primaryId, ...(options.fallbackProfileIds || []).filter(id => id !== primaryId)];
+    const failures = [];
+
+    for (let i = 0; i < chain.length; i++) {
+      const profileId = chain[i];
+      // A model chosen for the primary profile does not apply to its fallbacks
+      const model = i === 0 && options.model ? options.model : getSelectedModel(profileId);
+      try {
+        const outcome = await evaluateWithProfile(systemPrompt, userPrompt, onProgress, { ...options, profileId, model });
+        return { ...outcome, profileId, model, failures };
+      } catch (error) {
+        const next = chain[i + 1];
+        if (isAbortError(error) || !next || !FAILOVER_ERROR_CODES.includes(error.code)) {
+          // The caller charges error.usage and the failed profiles' usage to the profiles that spent it
+          error.failures = failures;
+          error.profileId = profileId;
+          error.model = model;
+          throw error;
+        }
+
+        failures.push({ profileId, model, code: error.code, message: error.message, usage: error.usage || null });
+        const name = (id) => window.APIConfig.getProfile(id)?.name || id;
+        console.warn(`[LLM] ${name(profileId)} failed (${error.code}), failing over to ${name(next)}:`, error.message);
+        if (onProgress) {
+          onProgress({ type: 'status', content: `${name(profileId)} failed (${error.code}) - switching to ${name(next)}...` });
+        }
+      }
+    }
+  }
+
+  /**
+   * Evaluate with one profile (see evaluateDMPDetailed; no failover)
+   * @param {string} systemPrompt - System prompt describing the evaluator role
+   * @param {string} userPrompt - User prompt with criteria and DMP text
+   * @param {Function} onProgress - Optional callback for streaming updates
+   * @param {Object} options - Request options (see evaluateDMPDetailed)
+   * @returns {Promise<Object>} - {result, cacheHit, usage, reasoning}
+   */
+  async function evaluateWithProfile(systemPrompt, userPrompt, onProgress, options) {
+    const {
+      signal = null,
+      profileId = window.APIConfig.getActiveProfileId(),
+      useCache = window.ResponseCache.isEnabled(),
+      cacheLabel = ''
+    } = options;
+
     // Check test mode
     if (isTestMode()) {
       console.log('[LLM] Test mode enabled, returning sample data');
       if (onProgress) {
         onProgress({ type: 'status', content: 'Using test mode - sample evaluation data' });
       }
-      await new Promise(resolve => setTimeout(resolve, 1500)); // Simulate delay
-      return TEST_EVALUATION_DATA;
+      await sleep(1500, signal); // Simulate delay
+      return { result: TEST_EVALUATION_DATA, cacheHit: false, usage: null, reasoning: [] };
     }
 
-    // Get active profile first to check if API key is needed
-    const activeProfile = window.APIConfig.getActiveProfile();
+    // Get the profile first to check if API key is needed
+    const activeProfile = window.APIConfig.getProfile(profileId);
+    if (!activeProfile) {
+      throw createCodedError(`Unknown API profile: ${profileId}`, 'UNKNOWN_PROFILE');
+    }
     const needsAPIKey = activeProfile.requiresAPIKey !== false;
 
-    // Only validate API key if profile requires it
+    // Only validate API key if profile requires it; replayed requests never reach the API
     let apiKey = '';
-    if (needsAPIKey) {
-      apiKey = getAPIKey();
+    if (needsAPIKey && window.LLMFixtures.getMode() !== 'replay') {
+      apiKey = getAPIKey(profileId);
       if (!apiKey) {
-        throw new Error('API key not configured. Please enter your API key.');
+        throw missingKeyError(profileId, 'API key not configured. Please enter your API key.');
       }
     }
 
-    const model = getSelectedModel();
+    const model = options.model || getSelectedModel(profileId);
     const promptTokens = estimateTokens(systemPrompt + userPrompt);
     console.log(`[LLM] Evaluating DMP with model: ${model}`);
     console.log(`[LLM] Prompt size: ~${promptTokens} tokens`);
 
-    // Input token limits (estimated at ~4 chars/token)
-    const MAX_INPUT_TOKENS = 16000;
-    const DATAPLAN_INPUT_TOKENS = 4000; // Free community server - keep it light
     if (promptTokens > MAX_INPUT_TOKENS) {
-      throw new Error(
+      throw createCodedError(
         `Your input is too large (~${promptTokens.toLocaleString()} tokens; the limit is ${MAX_INPUT_TOKENS.toLocaleString()}). ` +
-        'Please shorten the document, or use a local LLM (LM Studio profile) or another API via API Config.'
+        'Please shorten the document, or use a local LLM (LM Studio profile) or another API via API Config.',
+        'INPUT_TOO_LARGE'
       );
     }
-    if (window.APIConfig.getActiveProfileId() === 'dataplan' && promptTokens > DATAPLAN_INPUT_TOKENS) {
-      throw new Error(
+    if (profileId === 'dataplan' && promptTokens > DATAPLAN_INPUT_TOKENS) {
+      throw createCodedError(
         `Your input is too large for the free DataPLANT community server (~${promptTokens.toLocaleString()} tokens; the limit is ${DATAPLAN_INPUT_TOKENS.toLocaleString()}). ` +
-        'Please use a local LLM (LM Studio profile) or another API (e.g. Together.ai or an OpenAI-compatible endpoint) via API Config.'
+        'Please use a local LLM (LM Studio profile) or another API (e.g. Together.ai or an OpenAI-compatible endpoint) via API Config.',
+        'INPUT_TOO_LARGE'
       );
     }
 
@@ -494,111 +1550,272 @@ Process ALL paragraphs. JSON output only.`
       }
     ];
 
-    // Generate fetch configuration from profile (built once, reused on retries)
-    const fetchConfig = window.APIConfig.generateFetchConfig(
-      activeProfile,
-      apiKey,
-      model,
-      messages
-    );
-
-    const MAX_JSON_RETRIES = 1;
-    for (let attempt = 1; attempt <= MAX_JSON_RETRIES; attempt++) {
-      if (onProgress) {
-        onProgress({ type: 'status', content: `Calling ${model}${attempt > 1 ? ` (attempt ${attempt}/${MAX_JSON_RETRIES})` : ''}...` });
+    // Identical requests (endpoint, model, sampling, messages) are answered from the cache
+    const cacheKey = useCache
+      ? await window.ResponseCache.computeKey({
+        endpoint: window.APIConfig.deobfuscateURL(activeProfile.endpoint),
+        model: model,
+        sampling: {
+          provider: activeProfile.provider || 'openai',
+          ...window.ProviderAdapters.getSamplingParams(activeProfile),
+          maxTokens: activeProfile.maxTokens || null,
+          responseFormat: activeProfile.responseFormat || null
+        },
+        messages: messages
+      })
+      : null;
+
+    if (cacheKey) {
+      const cached = await window.ResponseCache.get(cacheKey);
+      if (cached) {
+        console.log('[LLM] Cache hit:', cacheKey);
+        if (onProgress) {
+          onProgress({ type: 'status', content: `Using cached response from ${new Date(cached.createdAt).toLocaleString()}` });
+        }
+        return { result: cached.result, cacheHit: true, usage: null, reasoning: cached.reasoning || [] };
       }
+    }
 
-      // Make API call with HTTP-level retry logic
-      const response = await retryWithBackoff(async () => {
-        return fetch(fetchConfig.url, fetchConfig.options);
+    const { result, valid, usage, reasoning } = await requestEvaluation(activeProfile, profileId, apiKey, model, messages, onProgress, signal,
+      getInputTokenLimit(profileId));
+
+    // Replies that never passed validation are used once but not cached, so the next request asks the model again
+    if (cacheKey && valid) {
+      await window.ResponseCache.put(cacheKey, result, {
+        model: model,
+        endpointHost: window.APIConfig.getEndpointHost(activeProfile),
+        profileId: profileId,
+        label: cacheLabel,
+        reasoning: reasoning
       });
+    }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API Error ${response.status}: ${errorData.error?.message || 'Unknown error'}`);
-      }
+    return { result, cacheHit: false, usage, reasoning };
+  }
 
-      // Check if response is streaming
-      const contentType = response.headers.get('content-type');
-      const isStreaming = contentType && contentType.includes('text/event-stream');
+  /**
+   * Request an evaluation and validate the reply, re-prompting with schema errors
+   * @param {Object} activeProfile - Profile configuration
+   * @param {string} profileId - ID of the profile
+   * @param {string} apiKey - API key ('' for unauthenticated profiles)
+   * @param {string} model - Model identifier
+   * @param {Array} messages - Chat messages [{role, content}]
+   * @param {Function} onProgress - Optional callback for streaming updates
+   * @param {AbortSignal} signal - Optional abort signal
+   * @param {number} inputTokenLimit - Prompt size limit of the profile; correction rounds that would exceed it are skipped
+   * @returns {Promise<Object>} - {result, valid, usage, reasoning}: parsed evaluation results, whether they passed
+   *   the schema, token counts of all rounds, and the reasoning traces [{round, text}] of rounds where the model returned one
+   */
+  async function requestEvaluation(activeProfile, profileId, apiKey, model, messages, onProgress, signal, inputTokenLimit = MAX_INPUT_TOKENS) {
+    // Replies that fail the schema go back to the model with the errors, up to maxRounds times
+    const maxRounds = Number.isInteger(activeProfile.maxCorrectionRounds)
+      ? activeProfile.maxCorrectionRounds
+      : DEFAULT_CORRECTION_ROUNDS;
+    const responseSchema = { name: 'dmp_evaluation', schema: EVALUATION_SCHEMA };
+    let conversation = messages;
+    let lastParsed = null;
+    let lastContent = '';
+    let attempts = 0;
+    const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+    const reasoning = [];
+
+    for (let round = 0; round <= maxRounds; round++) {
+      if (onProgress) {
+        onProgress({ type: 'status', content: round === 0
+          ? `Calling ${model}...`
+          : `Asking ${model} to correct its answer (round ${round}/${maxRounds})...` });
+      }
 
+      // Report each paragraph as it arrives; a correction round starts a fresh reply
+      const streamParser = createParagraphStreamParser(paragraph => {
+        onProgress({ type: 'paragraph', paragraph: paragraph, round: round });
+      });
+      let roundUsage = null;
       let content;
-
-      if (isStreaming) {
-        console.log('[LLM] Streaming response detected');
-        content = await parseSSEStream(response.body, (chunk, isReasoning) => {
-          if (onProgress) {
-            onProgress({ type: 'stream', content: chunk, isReasoning: isReasoning });
-          }
+      try {
+        content = await sendChat(activeProfile, apiKey, model, conversation, {
+          profileId,
+          signal,
+          onUsage: reported => { roundUsage = reported; },
+          onReasoning: text => { reasoning.push({ round: round, text: text }); },
+          onProgress: onProgress && (msg => {
+            onProgress(msg);
+            if (msg.type === 'stream' && !msg.isReasoning) {
+              streamParser.push(msg.content);
+            }
+          }),
+          responseSchema
         });
-        if (onProgress) {
-          onProgress({ type: 'status', content: 'Processing complete response...' });
-        }
-      } else {
-        console.log('[LLM] Standard JSON response');
-        const data = await response.json();
-        if (onProgress) {
-          onProgress({ type: 'status', content: 'Parsing response...' });
+      } catch (error) {
+        // A failed correction round must not throw away an earlier usable reply
+        if (round > 0 && lastParsed && !isAbortError(error)) {
+          console.warn(`[LLM] Correction round ${round} failed, keeping the earlier reply:`, error.message);
+          break;
         }
-        // Handle reasoning models (minimax, glm) that use reasoning_content field
-        const msg = data.choices[0]?.message;
-        content = msg?.content || msg?.reasoning_content || '';
-
-        // Log which field was used
-        if (!msg?.content && msg?.reasoning_content) {
-          console.log('[LLM] Using reasoning_content field (reasoning model)');
+        // Rounds already answered were paid for even though the request failed
+        if (attempts > 0) {
+          error.usage = usage;
         }
+        throw error;
       }
 
-      if (!content) {
-        throw new Error('No content in API response');
-      }
+      attempts++;
+      lastContent = content;
+      addRequestUsage(usage, roundUsage, conversation, content);
 
-      console.log(`[LLM] Response received (attempt ${attempt}), parsing JSON...`);
+      console.log(`[LLM] Response received (round ${round}), parsing JSON...`);
 
-      const result = repairJSON(content);
-      if (result) {
+      // Shapes the result parser reads anyway (nesting, object entries, string scores) need no correction.
+      // An empty reply (e.g. a reasoning model that used up its tokens) counts as a failed round too.
+      const repaired = content ? repairJSON(content) : null;
+      const parsed = repaired ? normalizeEvaluationReply(repaired) : null;
+      const errors = parsed
+        ? window.SchemaValidator.validate(parsed, EVALUATION_SCHEMA).errors
+        : [content ? '$: response is not valid JSON' : '$: response is empty'];
+
+      if (errors.length === 0) {
         if (onProgress) {
           onProgress({ type: 'complete', content: 'Evaluation complete!' });
         }
-        return result;
+        return { result: parsed, valid: true, usage, reasoning };
       }
 
-      console.warn(`[LLM] JSON parse failed on attempt ${attempt}/${MAX_JSON_RETRIES}`);
-      if (attempt < MAX_JSON_RETRIES) {
-        await new Promise(r => setTimeout(r, 1000));
+      console.warn(`[LLM] Response failed schema validation (round ${round}/${maxRounds}):`, errors);
+      if (parsed) {
+        lastParsed = parsed;
+      }
+      // APIs reject empty assistant turns, so an empty reply is simply asked for again
+      conversation = content
+        ? [
+          ...messages,
+          { role: 'assistant', content: content },
+          { role: 'user', content: buildCorrectionPrompt(errors) }
+        ]
+        : messages;
+
+      // Each correction round re-sends the prompt plus the reply - stop before the profile's input limit
+      const correctionTokens = estimateTokens(conversation.map(m => m.content).join('\n'));
+      if (round < maxRounds && correctionTokens > inputTokenLimit) {
+        console.warn(`[LLM] Correction prompt too large (~${correctionTokens} tokens, limit ${inputTokenLimit}), not re-prompting`);
+        break;
       }
     }
 
-    throw new Error(`Failed to parse evaluation results as JSON after ${MAX_JSON_RETRIES} attempts`);
+    // Out of rounds - valid JSON in another shape may still be usable by the lenient result parser
+    if (lastParsed) {
+      console.warn('[LLM] Using last JSON response despite schema errors');
+      if (onProgress) {
+        onProgress({ type: 'complete', content: 'Evaluation complete (response did not fully match the schema)' });
+      }
+      return { result: lastParsed, valid: false, usage, reasoning };
+    }
+
+    const error = new Error(`${lastContent ? 'Failed to parse evaluation results as JSON' : 'No content in API response'} after ${
+      attempts} attempt${attempts === 1 ? '' : 's'}`);
+    error.usage = usage;
+    throw error;
+  }
+
+  /**
+   * Bring reply shapes that the evaluator's result parser reads anyway into the EVALUATION_SCHEMA form:
+   * the doubly-nested {"p":[[[...]]]} of Qwen-family models, "s" instead of "p", object entries,
+   * top-level arrays of {s, score, explanation}, string scores and "[1a,2b]" criteria strings.
+   * Replies in other shapes are returned unchanged and fail validation.
+   * @param {*} reply - Parsed JSON reply
+   * @returns {*} - {"p": [[paragraphText, [criteriaIds], score, explanation, suggestion?], ...]} or the reply
+   */
+  function normalizeEvaluationReply(reply) {
+    const toScore = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? Number(value) : value);
+    const toIds = (value) => {
+      if (Array.isArray(value)) return value.map(String);
+      if (typeof value !== 'string') return value;
+      return value.trim().replace(/^\[|\]$/g, '').split(',').map(id => id.trim()).filter(Boolean);
+    };
+    const toText = (value) => (Array.isArray(value) && value.length === 1 ? toText(value[0]) : value);
+    const toEntry = (text, ids, score, explanation, suggestion) => {
+      const entry = [toText(text), toIds(ids), toScore(score), explanation];
+      if (typeof suggestion === 'string' && suggestion) {
+        entry.push(suggestion);
+      }
+      return entry;
+    };
+
+    // Top-level array: [{s: [[text, ids], ...], score, explanation, suggestion}, ...]
+    if (Array.isArray(reply)) {
+      if (!reply.every(item => item && Array.isArray(item.s))) return reply;
+      return {
+        p: reply.flatMap(item => item.s.map(sItem => Array.isArray(sItem)
+          ? toEntry(sItem[0], sItem[1], item.score, item.explanation, item.suggestion)
+          : toEntry(sItem, [], item.score, item.explanation, item.suggestion)))
+      };
+    }
+    if (!reply || typeof reply !== 'object') return reply;
+
+    let items = Array.isArray(reply.p) ? reply.p : Array.isArray(reply.s) ? reply.s : null;
+    if (!items) return reply;
+    if (items.length === 1 && Array.isArray(items[0]) &&
+        (Array.isArray(items[0][0]) || (items[0][0] !== null && typeof items[0][0] === 'object'))) {
+      items = items[0];
+    }
+
+    return {
+      p: items.map(item => {
+        if (Array.isArray(item)) {
+          return toEntry(item[0], item[1], item[2], item[3], item[4]);
+        }
+        if (item && typeof item === 'object') {
+          return toEntry(item.sentence || item.paragraph || item.text, item.criteriaIds, item.score,
+            item.explanation || '', item.suggestion);
+        }
+        return item;
+      })
+    };
+  }
+
+  /**
+   * Build the follow-up message asking the model to fix a reply that failed validation
+   * @param {Array<string>} errors - Validation errors with JSON paths
+   * @returns {string} - Correction prompt
+   */
+  function buildCorrectionPrompt(errors) {
+    const MAX_LISTED_ERRORS = 20;
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).map(e => `- ${e}`).join('\n');
+    const more = errors.length > MAX_LISTED_ERRORS ? `\n- ... and ${errors.length - MAX_LISTED_ERRORS} more` : '';
+
+    return `Your previous answer does not match the required JSON structure.
+
+Validation errors:
+${listed}${more}
+
+Required format: {"p":[[paragraphText,["criteriaIds"],score,explanation]]} with an optional fifth element for a suggestion.
+Scores are numbers from 0 to 100; criteria IDs look like "1a".
+
+Return the complete corrected JSON for ALL paragraphs. JSON output only.`;
   }
 
   /**
    * Build evaluation prompt from criteria and DMP text
-   * Uses custom prompt from localStorage if available
+   * Uses the active prompt template unless sections are given
    * @param {Object} criteria - Extracted evaluation criteria
    * @param {string} dmpText - DMP document text
    * @param {string} phase - Project phase (proposal/mid/end)
+   * @param {Object} options - {sections, language (code), exemplars} (see buildPromptVariables)
    * @returns {Object} - {systemPrompt, userPrompt}
    */
-  function buildEvaluationPrompt(criteria, dmpText, phase) {
-    // Load custom prompt from storage
-    const customPrompt = loadPromptFromStorage();
-
-    // Format criteria text
-    const criteriaText = criteria.categories.map(cat =>
-      `${cat.id}: ${cat.name}\n${cat.description}`
-    ).join('\n\n');
-
-    // Assemble prompt using custom sections
-    return assembleFullPrompt(customPrompt, criteriaText, dmpText, phase);
+  function buildEvaluationPrompt(criteria, dmpText, phase, options = {}) {
+    const sections = options.sections || loadPromptFromStorage();
+    return assembleFullPrompt(sections, buildPromptVariables(criteria, dmpText, phase, options));
   }
 
   /**
-   * Detect if criteria text is suitable for evaluation and convert if needed
+   * Detect if criteria text can be used as-is, or convert it to the eva.json structure with AI
    * @param {string} criteriaText - Raw criteria text from user input
    * @param {Function} onProgress - Progress callback
-   * @returns {Promise<Object>} - {suitable: boolean, convertedText: string, originalText: string}
+   * @returns {Promise<Object>} - {suitable, convertedText, originalText, message, errors, error, usage, profileId, model};
+   *   when not suitable, convertedText is eva.json-style JSON for the user to review and
+   *   errors lists what still fails CriteriaExtractor.validateCriteriaData (JSON paths);
+   *   usage is {promptTokens, completionTokens, estimated} of the conversion requests made with
+   *   profileId/model, or null when no request was answered
    */
   async function detectAndConvertCriteria(criteriaText, onProgress = null) {
     if (!criteriaText || criteriaText.trim().length < 50) {
@@ -610,19 +1827,17 @@ Process ALL paragraphs. JSON output only.`
       onProgress({ type: 'status', content: 'Analyzing evaluation criteria...' });
     }
 
-    // Check if already in evaluation format (heuristic check)
-    const hasEvaluationKeywords = /evaluate|assess|check|criteria|score|rating|measure/i.test(criteriaText);
-    const hasStructure = /\d+\.|###|##|\*\*|criterion|requirement/i.test(criteriaText);
-    const isLongEnough = criteriaText.length > 300;
-
-    // If it looks good, use as-is
-    if (hasEvaluationKeywords && hasStructure && isLongEnough) {
+    // eva.json-style JSON and "Table 2" documents are read directly; anything else would
+    // silently fall back to the generic default criteria
+    const extracted = window.CriteriaExtractor.extractCriteria(criteriaText, 'proposal');
+    if (extracted.source !== 'default') {
       console.log('[LLM] Criteria appears suitable for direct use');
       return {
         suitable: true,
         convertedText: criteriaText,
         originalText: criteriaText,
-        message: 'Criteria format looks good and can be used directly.'
+        message: 'Criteria format looks good and can be used directly.',
+        errors: []
       };
     }
 
@@ -631,9 +1846,10 @@ Process ALL paragraphs. JSON output only.`
       console.log('[LLM] Test mode - skipping AI conversion');
       return {
         suitable: false,
-        convertedText: criteriaText,
+        convertedText: JSON.stringify(buildCriteriaSkeleton(), null, 2),
         originalText: criteriaText,
-        message: 'Test mode: Using criteria as-is without AI conversion.'
+        message: 'Test mode: no AI conversion - fill in the criteria structure by hand.',
+        errors: []
       };
     }
 
@@ -643,6 +1859,12 @@ Process ALL paragraphs. JSON output only.`
       onProgress({ type: 'status', content: 'Converting criteria to evaluation format...' });
     }
 
+    const activeProfileId = window.APIConfig.getActiveProfileId();
+    const model = getSelectedModel(activeProfileId);
+    const usage = { promptTokens: 0, completionTokens: 0, estimated: false };
+    let answered = 0;
+    const usageFields = () => ({ usage: answered > 0 ? usage : null, profileId: activeProfileId, model: model });
+
     try {
       // Get active profile first to check if API key is needed
       const activeProfile = window.APIConfig.getActiveProfile();
@@ -653,90 +1875,142 @@ Process ALL paragraphs. JSON output only.`
       if (needsAPIKey) {
         apiKey = getAPIKey();
         if (!apiKey) {
-          throw new Error('API key required for criteria conversion');
+          throw missingKeyError(activeProfileId, 'API key required for criteria conversion');
         }
       }
 
-      const model = getSelectedModel();
+      const schema = window.CriteriaExtractor.CRITERIA_SCHEMA;
 
-      const systemPrompt = `You are an expert in Data Management Plan (DMP) evaluation. Your task is to convert any DMP-related document, guidelines, or requirements into a clear, structured set of evaluation criteria.
+      const systemPrompt = `You are an expert in Data Management Plan (DMP) evaluation. Your task is to convert any DMP-related document, guidelines, or requirements into evaluation criteria in a fixed JSON structure.
 
-The output should be formatted as evaluation criteria that can be used to assess a DMP, including:
-- Clear criterion names/categories
-- Specific aspects to evaluate
-- What to look for in each area
-- Expected standards or requirements
+Output ONLY a JSON object of this form:
+{"data_management_plan":[{"section_id":"1","section_title":"SECTION TITLE","subsections":[{"id":"1a","question":"Question the DMP must answer","stages":{"proposal_early_stage":"What to expect at proposal stage","mid_project":"What to expect mid-project","end_project":"What to expect at the end of the project"}}]}]}
 
-Structure the criteria logically with numbered sections and subsections.`;
+Rules:
+- Group related criteria into numbered sections ("1", "2", ...)
+- Criterion IDs are the section number plus a lowercase letter ("1a", "1b", "2a", ...), unique across the document
+- Every criterion has all three stages; write what an evaluator should look for in that project phase
+- Keep the wording and requirements of the source; do not invent unrelated criteria`;
 
-      const userPrompt = `Convert the following text into structured DMP evaluation criteria:
+      const userPrompt = `Convert the following text into DMP evaluation criteria in the JSON structure described:
 
 ${criteriaText}
 
-Create comprehensive evaluation criteria that cover all important aspects mentioned in the text. Format as a structured document with clear sections, specific evaluation points, and actionable guidance.`;
+JSON output only.`;
 
       const messages = [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
       ];
 
-      const fetchConfig = window.APIConfig.generateFetchConfig(
-        activeProfile,
-        apiKey,
-        model,
-        messages
-      );
-
-      // Make API call
-      const response = await retryWithBackoff(async () => {
-        return fetch(fetchConfig.url, fetchConfig.options);
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API Error ${response.status}: ${errorData.error?.message || 'Unknown error'}`);
-      }
+      // Replies that fail validation go back to the model with the errors, like evaluation replies
+      const maxRounds = Number.isInteger(activeProfile.maxCorrectionRounds)
+        ? activeProfile.maxCorrectionRounds
+        : DEFAULT_CORRECTION_ROUNDS;
+      let conversation = messages;
+      let content = '';
+      let parsed = null;
+      let errors = [];
+
+      for (let round = 0; round <= maxRounds; round++) {
+        let roundUsage = null;
+        content = await sendChat(activeProfile, apiKey, model, conversation, {
+          profileId: activeProfileId,
+          onProgress,
+          onUsage: reported => { roundUsage = reported; },
+          responseSchema: { name: 'dmp_criteria', schema: schema }
+        });
+        addRequestUsage(usage, roundUsage, conversation, content);
+        answered++;
 
-      const data = await response.json();
-      const convertedText = data.choices[0]?.message?.content;
+        if (!content) {
+          throw new Error('No content in API response');
+        }
 
-      if (!convertedText) {
-        throw new Error('No content in API response');
+        parsed = repairJSON(content);
+        errors = parsed
+          ? window.CriteriaExtractor.validateCriteriaData(parsed).errors
+          : ['$: response is not valid JSON'];
+        if (errors.length === 0) break;
+
+        console.warn(`[LLM] Converted criteria failed validation (round ${round}/${maxRounds}):`, errors);
+        conversation = [
+          ...messages,
+          { role: 'assistant', content: content },
+          { role: 'user', content: `Your answer does not match the required structure.\n\nValidation errors:\n${
+            errors.slice(0, 20).map(e => `- ${e}`).join('\n')}\n\nReturn the complete corrected JSON. JSON output only.` }
+        ];
       }
 
-      console.log('[LLM] Criteria converted successfully');
+      console.log('[LLM] Criteria converted', errors.length === 0 ? 'successfully' : 'with remaining errors');
       return {
         suitable: false,
-        convertedText: convertedText,
+        convertedText: parsed ? JSON.stringify(parsed, null, 2) : content,
         originalText: criteriaText,
-        message: 'Criteria have been converted to evaluation format using AI.'
+        message: errors.length === 0
+          ? 'Criteria have been converted to the eva.json structure using AI. Review them before use.'
+          : 'The converted criteria still have problems - please correct them before use.',
+        errors: errors,
+        ...usageFields()
       };
 
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       console.error('[LLM] Error converting criteria:', error);
-      // Fall back to using original text
       return {
         suitable: false,
-        convertedText: criteriaText,
+        convertedText: JSON.stringify(buildCriteriaSkeleton(), null, 2),
         originalText: criteriaText,
-        message: `Could not convert criteria (${error.message}). Using original text.`,
-        error: true
+        message: `Could not convert criteria (${error.message}). Fill in the criteria structure by hand.`,
+        errors: [],
+        error: true,
+        ...usageFields()
       };
     }
   }
 
+  /**
+   * Build a one-criterion eva.json skeleton for manual editing
+   * @returns {Object} - Criteria data that passes CriteriaExtractor.validateCriteriaData
+   */
+  function buildCriteriaSkeleton() {
+    return {
+      data_management_plan: [{
+        section_id: '1',
+        section_title: 'SECTION TITLE',
+        subsections: [{
+          id: '1a',
+          question: 'Question the DMP must answer',
+          stages: {
+            proposal_early_stage: 'What to expect at proposal stage',
+            mid_project: 'What to expect mid-project',
+            end_project: 'What to expect at the end of the project'
+          }
+        }]
+      }]
+    };
+  }
+
   // Export public API
   window.LLMService = {
     evaluateDMP,
+    evaluateDMPDetailed,
     buildEvaluationPrompt,
+    createParagraphStreamParser,
     detectAndConvertCriteria,
     getSelectedModel,
+    listModels,
+    probeProfile,
     getAPIKey,
     isTestMode,
+    isAbortError,
     estimateTokens,
+    getInputTokenLimit,
+    EVALUATION_SCHEMA,
     // Prompt editor functions
     loadPromptFromStorage,
-    savePromptToStorage,
     getDefaultPrompt
   };
 
@@ -0,0 +1,577 @@
+// =============================================================================
+// PROMPT LIBRARY MODULE
+// Named prompt templates with version history, notes, diff and file import/export,
+// and the variables and conditionals available in their sections
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  const STORAGE_KEYS = {
+    LIBRARY: 'promptLibrary',     // {activeId, templates: {id: {id, name, source, versions: [...]}}}
+    LEGACY: 'dmpCustomPrompt'     // Single custom prompt of earlier versions
+  };
+
+  const BUNDLE_FORMAT = 'dmp-eva-prompt-templates';
+  const BUNDLE_VERSION = 1;
+
+  // The built-in template is not stored; it always reflects LLMService's default prompt
+  const DEFAULT_ID = 'default';
+  const DEFAULT_NAME = 'Default';
+
+  const SECTION_KEYS = ['systemRole', 'criteriaContext', 'dmpContext'];
+
+  /**
+   * Read the stored library, migrating the single custom prompt of earlier versions
+   * @returns {Object} - {activeId, templates}
+   */
+  function readLibrary() {
+    let library = null;
+    try {
+      library = JSON.parse(localStorage.getItem(STORAGE_KEYS.LIBRARY));
+    } catch (e) {
+      library = null;
+    }
+    if (!library || typeof library.templates !== 'object' || library.templates === null) {
+      library = { activeId: DEFAULT_ID, templates: {} };
+    }
+
+    const legacy = localStorage.getItem(STORAGE_KEYS.LEGACY);
+    if (legacy) {
+      try {
+        const sections = normalizeSections(JSON.parse(legacy));
+        if (!sameSections(sections, getDefaultSections())) {
+          const template = newTemplate(uniqueName(library, 'Custom prompt'), sections,
+            'Migrated from the previous custom prompt');
+          library.templates[template.id] = template;
+          library.activeId = template.id;
+        }
+      } catch (e) {
+        console.warn('[Prompts] Could not migrate the previous custom prompt:', e);
+      }
+      localStorage.removeItem(STORAGE_KEYS.LEGACY);
+      writeLibrary(library);
+      console.log('[Prompts] Previous custom prompt moved into the library');
+    }
+    return library;
+  }
+
+  /**
+   * Write the library
+   * @param {Object} library - {activeId, templates}
+   */
+  function writeLibrary(library) {
+    localStorage.setItem(STORAGE_KEYS.LIBRARY, JSON.stringify(library));
+  }
+
+  /**
+   * Get the built-in default sections
+   * @returns {Object} - {systemRole, criteriaContext, dmpContext}
+   */
+  function getDefaultSections() {
+    return normalizeSections(window.LLMService.getDefaultPrompt());
+  }
+
+  /**
+   * Keep only the known prompt sections, as strings
+   * @param {Object} sections - Prompt sections
+   * @returns {Object} - {systemRole, criteriaContext, dmpContext}
+   */
+  function normalizeSections(sections) {
+    const normalized = {};
+    SECTION_KEYS.forEach(key => {
+      normalized[key] = sections && typeof sections[key] === 'string' ? sections[key] : '';
+    });
+    return normalized;
+  }
+
+  /**
+   * Compare two sets of prompt sections
+   * @param {Object} a - Prompt sections
+   * @param {Object} b - Prompt sections
+   * @returns {boolean}
+   */
+  function sameSections(a, b) {
+    return SECTION_KEYS.every(key => (a[key] || '') === (b[key] || ''));
+  }
+
+  /**
+   * Create a template record with a first version
+   * @param {string} name - Template name
+   * @param {Object} sections - Prompt sections
+   * @param {string} note - Note for version 1
+   * @returns {Object} - Template record
+   */
+  function newTemplate(name, sections, note) {
+    return {
+      id: 'tpl-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 6),
+      name: name,
+      createdAt: new Date().toISOString(),
+      versions: [{ version: 1, sections: normalizeSections(sections), note: note || '', savedAt: new Date().toISOString() }]
+    };
+  }
+
+  /**
+   * Make a template name unique in the library
+   * @param {Object} library - {templates}
+   * @param {string} name - Wanted name
+   * @returns {string} - Name, with " (2)", " (3)", ... appended if taken
+   */
+  function uniqueName(library, name) {
+    const taken = new Set([DEFAULT_NAME, ...Object.values(library.templates).map(t => t.name)]);
+    if (!taken.has(name)) return name;
+    let n = 2;
+    while (taken.has(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+  }
+
+  /**
+   * Get a stored template or throw
+   * @param {Object} library - Library
+   * @param {string} id - Template ID
+   * @returns {Object} - Template record
+   */
+  function requireTemplate(library, id) {
+    const template = library.templates[id];
+    if (!template) {
+      throw new Error(id === DEFAULT_ID ? 'The default template cannot be changed' : `Unknown prompt template: ${id}`);
+    }
+    return template;
+  }
+
+  // =============================================================================
+  // TEMPLATES
+  // =============================================================================
+
+  /**
+   * List all templates, the built-in default first
+   * @returns {Array<Object>} - [{id, name, latestVersion, versionCount, builtIn}]
+   */
+  function list() {
+    const library = readLibrary();
+    const stored = Object.values(library.templates)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(t => ({
+        id: t.id,
+        name: t.name,
+        latestVersion: t.versions[t.versions.length - 1].version,
+        versionCount: t.versions.length,
+        builtIn: false
+      }));
+    return [{ id: DEFAULT_ID, name: DEFAULT_NAME, latestVersion: 1, versionCount: 1, builtIn: true }, ...stored];
+  }
+
+  /**
+   * Get a template with its version history
+   * @param {string} id - Template ID
+   * @returns {Object|null} - {id, name, builtIn, versions: [{version, sections, note, savedAt}]}, newest last
+   */
+  function get(id) {
+    if (id === DEFAULT_ID) {
+      return {
+        id: DEFAULT_ID,
+        name: DEFAULT_NAME,
+        builtIn: true,
+        versions: [{ version: 1, sections: getDefaultSections(), note: 'Built-in prompt', savedAt: null }]
+      };
+    }
+    const template = readLibrary().templates[id];
+    return template ? { ...template, builtIn: false } : null;
+  }
+
+  /**
+   * Get the ID of the template used for evaluations
+   * @returns {string}
+   */
+  function getActiveId() {
+    const library = readLibrary();
+    return library.templates[library.activeId] ? library.activeId : DEFAULT_ID;
+  }
+
+  /**
+   * Choose the template used for evaluations
+   * @param {string} id - Template ID
+   */
+  function setActive(id) {
+    const library = readLibrary();
+    if (id !== DEFAULT_ID) requireTemplate(library, id);
+    library.activeId = id;
+    writeLibrary(library);
+  }
+
+  /**
+   * Get the latest version of the active template
+   * @returns {Object} - {id, name, version, sections}
+   */
+  function getActive() {
+    const template = get(getActiveId());
+    const latest = template.versions[template.versions.length - 1];
+    return { id: template.id, name: template.name, version: latest.version, sections: { ...latest.sections } };
+  }
+
+  /**
+   * Create a template
+   * @param {string} name - Template name (made unique)
+   * @param {Object} sections - Prompt sections of version 1
+   * @param {string} note - Note for version 1
+   * @returns {string} - New template ID
+   */
+  function create(name, sections, note = '') {
+    const library = readLibrary();
+    const template = newTemplate(uniqueName(library, (name || '').trim() || 'Untitled prompt'), sections, note);
+    library.templates[template.id] = template;
+    writeLibrary(library);
+    console.log('[Prompts] Template created:', template.name);
+    return template.id;
+  }
+
+  /**
+   * Save new sections as the next version of a template
+   * @param {string} id - Template ID (not the built-in default)
+   * @param {Object} sections - Prompt sections
+   * @param {string} note - What changed
+   * @returns {number} - Version number (the latest one if nothing changed)
+   */
+  function saveVersion(id, sections, note = '') {
+    const library = readLibrary();
+    const template = requireTemplate(library, id);
+    const latest = template.versions[template.versions.length - 1];
+    if (sameSections(latest.sections, sections)) {
+      return latest.version;
+    }
+
+    const version = latest.version + 1;
+    template.versions.push({ version, sections: normalizeSections(sections), note: note || '', savedAt: new Date().toISOString() });
+    writeLibrary(library);
+    console.log(`[Prompts] ${template.name} saved as version ${version}`);
+    return version;
+  }
+
+  /**
+   * Rename a template
+   * @param {string} id - Template ID (not the built-in default)
+   * @param {string} name - New name (made unique)
+   * @returns {string} - Name actually used
+   */
+  function rename(id, name) {
+    const library = readLibrary();
+    const template = requireTemplate(library, id);
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Template name must not be empty');
+    }
+    if (trimmed !== template.name) {
+      template.name = uniqueName(library, trimmed);
+      writeLibrary(library);
+    }
+    return template.name;
+  }
+
+  /**
+   * Delete a template; the default becomes active if it was the active one
+   * @param {string} id - Template ID (not the built-in default)
+   */
+  function remove(id) {
+    const library = readLibrary();
+    requireTemplate(library, id);
+    delete library.templates[id];
+    if (library.activeId === id) {
+      library.activeId = DEFAULT_ID;
+    }
+    writeLibrary(library);
+  }
+
+  /**
+   * Add a template from an external source (e.g. the ?prompt= URL parameter) and make it active.
+   * Loading the same source again adds a version only if the text changed, so the user's
+   * own templates are never overwritten.
+   * @param {string} source - Where the prompt came from (URL)
+   * @param {string} name - Name for a new template
+   * @param {Object} sections - Prompt sections
+   * @returns {Object} - {id, version, created}
+   */
+  function importFromSource(source, name, sections) {
+    const library = readLibrary();
+    const existing = Object.values(library.templates).find(t => t.source === source);
+
+    let result;
+    if (existing) {
+      library.activeId = existing.id;
+      writeLibrary(library);
+      result = { id: existing.id, version: saveVersion(existing.id, sections, 'Updated from ' + source), created: false };
+    } else {
+      const template = newTemplate(uniqueName(library, name), sections, 'Loaded from ' + source);
+      template.source = source;
+      library.templates[template.id] = template;
+      library.activeId = template.id;
+      writeLibrary(library);
+      result = { id: template.id, version: 1, created: true };
+    }
+    console.log('[Prompts] Template from source active:', source);
+    return result;
+  }
+
+  // =============================================================================
+  // IMPORT / EXPORT
+  // =============================================================================
+
+  /**
+   * Build a template file with the full version history
+   * @param {Array<string>} ids - Template IDs (default: all stored templates)
+   * @returns {Object} - {format, version, exportedAt, templates: [...]}
+   */
+  function exportTemplates(ids = null) {
+    const library = readLibrary();
+    const templates = Object.values(library.templates)
+      .filter(t => !ids || ids.includes(t.id))
+      .map(({ id, ...template }) => template);
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      templates: templates
+    };
+  }
+
+  /**
+   * Add the templates of a template file to the library (names are made unique)
+   * @param {Object} data - Parsed template file
+   * @returns {Array<Object>} - Imported templates [{id, name, versions}]
+   */
+  function importTemplates(data) {
+    if (!data || data.format !== BUNDLE_FORMAT || !Array.isArray(data.templates)) {
+      throw new Error('Not a prompt template file (expected format "' + BUNDLE_FORMAT + '")');
+    }
+    if (data.version > BUNDLE_VERSION) {
+      throw new Error(`Template file version ${data.version} is newer than supported (${BUNDLE_VERSION})`);
+    }
+
+    const library = readLibrary();
+    const imported = [];
+    data.templates.forEach((entry, i) => {
+      if (!entry || typeof entry.name !== 'string' || !Array.isArray(entry.versions) || entry.versions.length === 0 ||
+          !entry.versions.every(v => v && Number.isInteger(v.version) && v.sections && typeof v.sections.dmpContext === 'string')) {
+        throw new Error(`$.templates[${i}]: expected {name, versions: [{version, sections: {dmpContext, ...}, note}]}`);
+      }
+
+      const template = newTemplate(uniqueName(library, entry.name.trim() || 'Imported prompt'), {}, '');
+      template.versions = entry.versions
+        .map(v => ({
+          version: v.version,
+          sections: normalizeSections(v.sections),
+          note: typeof v.note === 'string' ? v.note : '',
+          savedAt: typeof v.savedAt === 'string' ? v.savedAt : null
+        }))
+        .sort((a, b) => a.version - b.version);
+      library.templates[template.id] = template;
+      imported.push({ id: template.id, name: template.name, versions: template.versions.length });
+    });
+
+    writeLibrary(library);
+    console.log(`[Prompts] Imported ${imported.length} templates`);
+    return imported;
+  }
+
+  // =============================================================================
+  // TEMPLATE VARIABLES
+  // =============================================================================
+
+  // Placeholders available in every prompt section; values come from LLMService.buildEvaluationPrompt
+  const VARIABLES = {
+    criteriaText: 'Criteria of the selected phase, each as "ID: name" followed by its description',
+    criteriaList: 'Criteria IDs separated by spaces, e.g. "1a 1b 2a"',
+    phase: 'Project phase, e.g. "Mid-Project"',
+    phaseGuide: 'Phase-specific scoring instructions (appended to the user prompt when no section uses it)',
+    dmpText: 'DMP text of the request, one chunk for long DMPs (double quotes replaced by single quotes)',
+    sectionTitles: 'Markdown headings of the DMP text, one per line (empty if there are none)',
+    language: 'Language of the explanations, e.g. "English"',
+    exemplars: 'Reviewed example evaluations for the criteria in play, one JSON array per line (see Exemplar Bank; appended when no section uses it)'
+  };
+
+  /**
+   * Check whether a name is a template variable
+   * @param {string} name - Placeholder name
+   * @returns {boolean}
+   */
+  function isVariable(name) {
+    return Object.prototype.hasOwnProperty.call(VARIABLES, name);
+  }
+
+  // {#if name}, {else}, {/if} and {name}
+  const TAG_PATTERN = /\{#if\s+(\w+)\s*\}|\{else\}|\{\/if\}|\{(\w+)\}/g;
+
+  /**
+   * Parse a template into text, variable and conditional nodes
+   * @param {string} text - Template text
+   * @returns {Object} - {nodes, errors, unknown}; errors are structural problems,
+   *   unknown lists {name} placeholders that are not variables (kept as literal text)
+   */
+  function parseTemplate(text) {
+    const errors = [];
+    const unknown = [];
+    const nodes = [];
+    const open = [];
+    let target = nodes;
+    let last = 0;
+    const lineAt = (index) => text.slice(0, index).split('\n').length;
+
+    const pattern = new RegExp(TAG_PATTERN.source, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const [tag, condition, name] = match;
+      if (match.index > last) {
+        target.push(text.slice(last, match.index));
+      }
+      last = pattern.lastIndex;
+
+      if (condition) {
+        if (!isVariable(condition)) {
+          errors.push(`Unknown variable in {#if ${condition}} (line ${lineAt(match.index)})`);
+        }
+        const block = { condition: condition, then: [], otherwise: [], parent: target, inElse: false };
+        target.push(block);
+        open.push(block);
+        target = block.then;
+      } else if (tag === '{else}') {
+        const block = open[open.length - 1];
+        if (!block || block.inElse) {
+          errors.push(`{else} without {#if} (line ${lineAt(match.index)})`);
+          continue;
+        }
+        block.inElse = true;
+        target = block.otherwise;
+      } else if (tag === '{/if}') {
+        const block = open.pop();
+        if (!block) {
+          errors.push(`{/if} without {#if} (line ${lineAt(match.index)})`);
+          continue;
+        }
+        target = block.parent;
+      } else if (isVariable(name)) {
+        target.push({ variable: name });
+      } else {
+        // Not a variable - braces in example output and the like stay as they are
+        target.push(tag);
+        if (!unknown.includes(name)) unknown.push(name);
+      }
+    }
+    if (last < text.length) {
+      target.push(text.slice(last));
+    }
+    open.forEach(block => errors.push(`{#if ${block.condition}} is not closed with {/if}`));
+
+    return { nodes, errors, unknown };
+  }
+
+  /**
+   * Fill a prompt section with variable values.
+   * {name} inserts a variable; {#if name}...{else}...{/if} keeps the first part when the
+   * variable is not empty and the (optional) else part otherwise. Blocks can be nested.
+   * Values are inserted as they are, so placeholders inside the DMP are not expanded.
+   * @param {string} text - Template text
+   * @param {Object} variables - Values by variable name (see VARIABLES)
+   * @returns {string} - Rendered text
+   */
+  function renderTemplate(text, variables) {
+    const { nodes, errors } = parseTemplate(text || '');
+    if (errors.length > 0) {
+      throw new Error('Invalid prompt template: ' + errors.join('; '));
+    }
+
+    const render = (list) => list.map(node => {
+      if (typeof node === 'string') return node;
+      if (node.variable) return String(variables[node.variable] ?? '');
+      return render(String(variables[node.condition] ?? '').trim() ? node.then : node.otherwise);
+    }).join('');
+    return render(nodes);
+  }
+
+  /**
+   * Check a prompt section for template problems
+   * @param {string} text - Template text
+   * @returns {Array<string>} - Problems (empty if the template is fine)
+   */
+  function checkTemplate(text) {
+    const { errors, unknown } = parseTemplate(text || '');
+    return [...errors, ...unknown.map(name => `{${name}} is not a known variable and is sent as written`)];
+  }
+
+  /**
+   * Check whether any prompt section refers to a variable
+   * @param {Object} sections - Prompt sections
+   * @param {string} name - Variable name
+   * @returns {boolean}
+   */
+  function usesVariable(sections, name) {
+    const pattern = new RegExp(`\\{(#if\\s+)?${name}\\s*\\}`);
+    return SECTION_KEYS.some(key => pattern.test(sections[key] || ''));
+  }
+
+  // =============================================================================
+  // DIFF
+  // =============================================================================
+
+  /**
+   * Line diff of two texts (longest common subsequence)
+   * @param {string} oldText - Original text
+   * @param {string} newText - Changed text
+   * @returns {Array<Object>} - [{type: 'same'|'add'|'remove', text}] in reading order
+   */
+  function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+
+    // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        diff.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        diff.push({ type: 'remove', text: a[i++] });
+      } else {
+        diff.push({ type: 'add', text: b[j++] });
+      }
+    }
+    while (i < a.length) diff.push({ type: 'remove', text: a[i++] });
+    while (j < b.length) diff.push({ type: 'add', text: b[j++] });
+    return diff;
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.PromptLibrary = {
+    DEFAULT_ID,
+    SECTION_KEYS,
+    list,
+    get,
+    getActiveId,
+    setActive,
+    getActive,
+    create,
+    saveVersion,
+    rename,
+    remove,
+    importFromSource,
+    exportTemplates,
+    importTemplates,
+    VARIABLES,
+    renderTemplate,
+    checkTemplate,
+    usesVariable,
+    diffLines
+  };
+
+})(window);
@@ -0,0 +1,479 @@
+// =============================================================================
+// PROVIDER ADAPTERS MODULE
+// Translates chat requests and responses for each supported provider API
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  /**
+   * Split chat messages into the system prompt and the remaining turns
+   * @param {Array} messages - Chat messages [{role, content}]
+   * @returns {Object} - {system, turns}
+   */
+  function splitSystemMessages(messages) {
+    const system = messages
+      .filter(m => m.role === 'system' && m.content)
+      .map(m => m.content)
+      .join('\n\n');
+    const turns = messages.filter(m => m.role !== 'system');
+    return { system, turns };
+  }
+
+  // Sampling settings a profile may define (camelCase profile keys)
+  const SAMPLING_KEYS = ['temperature', 'topP', 'topK', 'seed', 'stopSequences', 'frequencyPenalty', 'presencePenalty'];
+
+  /**
+   * Copy the sampling settings that are set and that the provider supports
+   * @param {Object} adapter - Provider adapter
+   * @param {Object} profile - Profile configuration
+   * @returns {Object} - Sampling settings, e.g. {temperature: 0.3, seed: 42}
+   */
+  function pickSampling(adapter, profile) {
+    const sampling = {};
+    SAMPLING_KEYS.forEach(key => {
+      if (!adapter.supportedSampling.includes(key)) return;
+      const value = profile[key];
+      if (key === 'stopSequences') {
+        if (Array.isArray(value) && value.length > 0) sampling[key] = [...value];
+      } else if (typeof value === 'number' && Number.isFinite(value)) {
+        sampling[key] = value;
+      }
+    });
+    return sampling;
+  }
+
+  /**
+   * Check whether a request should constrain output to a JSON Schema
+   * @param {Object} profile - Profile configuration
+   * @param {Object|null} responseSchema - {name, schema} for this request, if any
+   * @returns {boolean}
+   */
+  function usesSchema(profile, responseSchema) {
+    return profile.responseFormat === 'json_schema' && !!responseSchema;
+  }
+
+  /**
+   * Build the auth header for a profile
+   * @param {Object} adapter - Provider adapter
+   * @param {Object} profile - Profile configuration
+   * @param {string} apiKey - API key (empty for unauthenticated profiles)
+   * @returns {Object} - Header map ({} when no key is needed)
+   */
+  function buildAuthHeader(adapter, profile, apiKey) {
+    // An empty template means the endpoint takes no auth header
+    const template = profile.authHeaderTemplate ?? adapter.authHeaderTemplate;
+    if (profile.requiresAPIKey === false || !apiKey || !template) {
+      return {};
+    }
+    const headerName = profile.authHeaderName || adapter.authHeaderName;
+    return { [headerName]: template.replace('{API_KEY}', apiKey) };
+  }
+
+  // =============================================================================
+  // ADAPTERS
+  // Each adapter describes one provider API:
+  //   supportedSampling - sampling settings (SAMPLING_KEYS) the API accepts
+  //   buildRequest(profile, model, messages, stream, sampling, responseSchema) -> {url, body}
+  //     responseSchema ({name, schema}) is applied when profile.responseFormat is 'json_schema'
+  //   parseStreamEvent(event) -> {content, reasoning, done, usage}
+  //     usage ({promptTokens, completionTokens}, either may be missing) when the event reports token counts
+  //   extractMessage(data) -> {content, reasoning}
+  //   extractUsage(data) -> {promptTokens, completionTokens}|null
+  //   extractError(data) -> string|null
+  //   modelsURL(endpoint) -> string|null (optional) model listing next to the chat endpoint
+  //   parseModelList(data) -> [{id, name, contextLength}] (with modelsURL)
+  // =============================================================================
+
+  const ADAPTERS = {
+    openai: {
+      name: 'OpenAI-compatible Chat Completions',
+      exampleEndpoint: 'https://api.openai.com/v1/chat/completions',
+      authHeaderName: 'Authorization',
+      authHeaderTemplate: 'Bearer {API_KEY}',
+      streamFormat: 'sse',
+      // top_k is not part of the OpenAI API but Together, vLLM and LM Studio accept it
+      supportedSampling: SAMPLING_KEYS,
+
+      buildRequest(profile, model, messages, stream, sampling, responseSchema) {
+        const body = {
+          [profile.modelParamName || 'model']: model,
+          [profile.messagesParamName || 'messages']: messages
+        };
+        if (profile.maxTokens) {
+          body.max_tokens = profile.maxTokens;
+        }
+        Object.assign(body, renameKeys(sampling, {
+          temperature: 'temperature',
+          topP: 'top_p',
+          topK: 'top_k',
+          seed: 'seed',
+          stopSequences: 'stop',
+          frequencyPenalty: 'frequency_penalty',
+          presencePenalty: 'presence_penalty'
+        }));
+        if (usesSchema(profile, responseSchema)) {
+          body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: false }
+          };
+        } else if (profile.responseFormat === 'json_object') {
+          body.response_format = { type: 'json_object' };
+        }
+        if (stream) {
+          body.stream = true;
+          // Token counts arrive in a final chunk after the one with finish_reason
+          body.stream_options = { include_usage: true };
+        }
+        return { url: profile.endpoint, body };
+      },
+
+      parseStreamEvent(event) {
+        const choice = event.choices?.[0];
+        const delta = choice?.delta || {};
+        // Not done at finish_reason - the usage chunk follows; the stream ends with [DONE]
+        return {
+          content: delta.content || '',
+          // vLLM/OpenRouter stream `reasoning`, DeepSeek-style servers `reasoning_content`
+          reasoning: delta.reasoning_content || delta.reasoning || '',
+          done: false,
+          usage: ADAPTERS.openai.extractUsage(event)
+        };
+      },
+
+      extractMessage(data) {
+        // Reasoning models (minimax, glm) may only fill reasoning_content
+        const msg = data.choices?.[0]?.message;
+        return {
+          content: msg?.content || '',
+          reasoning: msg?.reasoning_content || msg?.reasoning || ''
+        };
+      },
+
+      extractUsage(data) {
+        if (!data.usage) return null;
+        return {
+          promptTokens: data.usage.prompt_tokens,
+          completionTokens: data.usage.completion_tokens
+        };
+      },
+
+      extractError(data) {
+        return data.error?.message || null;
+      },
+
+      modelsURL(endpoint) {
+        const match = endpoint.match(/^(.*)\/chat\/completions\/?(\?.*)?$/);
+        return match ? `${match[1]}/models${match[2] || ''}` : null;
+      },
+
+      parseModelList(data) {
+        // {data: [...]} per the OpenAI API; Together returns a bare array
+        const models = Array.isArray(data) ? data : (data.data || data.models || []);
+        return models
+          .filter(model => model && typeof model.id === 'string')
+          .map(model => ({
+            id: model.id,
+            name: model.display_name || '',
+            // vLLM: max_model_len, Together/OpenRouter: context_length, llama.cpp: meta.n_ctx_train
+            contextLength: model.context_length || model.max_model_len || model.max_context_length ||
+              model.context_window || model.meta?.n_ctx_train || null
+          }));
+      }
+    },
+
+    anthropic: {
+      name: 'Anthropic Messages',
+      exampleEndpoint: 'https://api.anthropic.com/v1/messages',
+      authHeaderName: 'x-api-key',
+      authHeaderTemplate: '{API_KEY}',
+      streamFormat: 'sse',
+      defaultHeaders: {
+        'anthropic-version': '2023-06-01',
+        // Required for calls made directly from the browser
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+
+      supportedSampling: ['temperature', 'topP', 'topK', 'stopSequences'],
+
+      buildRequest(profile, model, messages, stream, sampling, responseSchema) {
+        const { system, turns } = splitSystemMessages(messages);
+        const body = {
+          model: model,
+          messages: turns,
+          // max_tokens is mandatory for the Messages API
+          max_tokens: profile.maxTokens || 8000,
+          ...renameKeys(sampling, {
+            temperature: 'temperature',
+            topP: 'top_p',
+            topK: 'top_k',
+            stopSequences: 'stop_sequences'
+          })
+        };
+        if (system) {
+          body.system = system;
+        }
+        // No JSON mode - force a tool call whose input follows the schema
+        if (usesSchema(profile, responseSchema)) {
+          body.tools = [{
+            name: responseSchema.name,
+            description: 'Submit the result in the required structure.',
+            input_schema: responseSchema.schema
+          }];
+          body.tool_choice = { type: 'tool', name: responseSchema.name };
+        }
+        if (stream) {
+          body.stream = true;
+        }
+        return { url: profile.endpoint, body };
+      },
+
+      parseStreamEvent(event) {
+        if (event.type === 'content_block_delta') {
+          return {
+            // Tool input arrives as partial JSON text
+            content: event.delta?.text || event.delta?.partial_json || '',
+            reasoning: event.delta?.thinking || '',
+            done: false
+          };
+        }
+        if (event.type === 'error') {
+          throw new Error(`API Error: ${event.error?.message || 'Unknown error'}`);
+        }
+        // Input tokens come with message_start, the output total with message_delta
+        const usage = event.type === 'message_start'
+          ? ADAPTERS.anthropic.extractUsage(event.message || {})
+          : ADAPTERS.anthropic.extractUsage(event);
+        return { content: '', reasoning: '', done: event.type === 'message_stop', usage };
+      },
+
+      extractMessage(data) {
+        const blocks = Array.isArray(data.content) ? data.content : [];
+        const toolUse = blocks.find(b => b.type === 'tool_use');
+        return {
+          content: toolUse
+            ? JSON.stringify(toolUse.input)
+            : blocks.filter(b => b.type === 'text').map(b => b.text).join(''),
+          reasoning: blocks.filter(b => b.type === 'thinking').map(b => b.thinking).join('')
+        };
+      },
+
+      extractUsage(data) {
+        if (!data.usage) return null;
+        return {
+          promptTokens: data.usage.input_tokens,
+          completionTokens: data.usage.output_tokens
+        };
+      },
+
+      extractError(data) {
+        return data.error?.message || null;
+      }
+    },
+
+    ollama: {
+      name: 'Ollama native (/api/chat)',
+      exampleEndpoint: 'http://localhost:11434/api/chat',
+      authHeaderName: 'Authorization',
+      authHeaderTemplate: 'Bearer {API_KEY}',
+      streamFormat: 'ndjson',
+
+      supportedSampling: SAMPLING_KEYS,
+
+      buildRequest(profile, model, messages, stream, sampling, responseSchema) {
+        const body = {
+          model: model,
+          messages: messages,
+          // Ollama streams by default - always say which one we want
+          stream: !!stream
+        };
+        if (usesSchema(profile, responseSchema)) {
+          body.format = responseSchema.schema;
+        } else if (profile.responseFormat === 'json_object') {
+          body.format = 'json';
+        }
+
+        // Sampling and length settings go into the model options
+        const modelOptions = renameKeys(sampling, {
+          temperature: 'temperature',
+          topP: 'top_p',
+          topK: 'top_k',
+          seed: 'seed',
+          stopSequences: 'stop',
+          frequencyPenalty: 'frequency_penalty',
+          presencePenalty: 'presence_penalty'
+        });
+        if (profile.maxTokens) {
+          modelOptions.num_predict = profile.maxTokens;
+        }
+        if (Object.keys(modelOptions).length > 0) {
+          body.options = modelOptions;
+        }
+        return { url: profile.endpoint, body };
+      },
+
+      parseStreamEvent(event) {
+        if (event.error) {
+          throw new Error(`API Error: ${event.error}`);
+        }
+        return {
+          content: event.message?.content || '',
+          reasoning: event.message?.thinking || '',
+          done: event.done === true,
+          usage: ADAPTERS.ollama.extractUsage(event)
+        };
+      },
+
+      extractMessage(data) {
+        return {
+          content: data.message?.content || '',
+          reasoning: data.message?.thinking || ''
+        };
+      },
+
+      extractUsage(data) {
+        // Counts are only on the final (done) message
+        if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+        return {
+          promptTokens: data.prompt_eval_count,
+          completionTokens: data.eval_count
+        };
+      },
+
+      extractError(data) {
+        return typeof data.error === 'string' ? data.error : (data.error?.message || null);
+      }
+    },
+
+    gemini: {
+      name: 'Google Gemini (generateContent)',
+      exampleEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+      authHeaderName: 'x-goog-api-key',
+      authHeaderTemplate: '{API_KEY}',
+      streamFormat: 'sse',
+
+      supportedSampling: SAMPLING_KEYS,
+
+      buildRequest(profile, model, messages, stream, sampling, responseSchema) {
+        const { system, turns } = splitSystemMessages(messages);
+        const body = {
+          contents: turns.map(m => ({
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: m.content }]
+          })),
+          // Gemini uses the same camelCase names as the profile settings
+          generationConfig: { ...sampling }
+        };
+        if (system) {
+          body.systemInstruction = { parts: [{ text: system }] };
+        }
+        if (profile.maxTokens) {
+          body.generationConfig.maxOutputTokens = profile.maxTokens;
+        }
+        if (usesSchema(profile, responseSchema)) {
+          body.generationConfig.responseMimeType = 'application/json';
+          body.generationConfig.responseJsonSchema = responseSchema.schema;
+        } else if (profile.responseFormat === 'json_object') {
+          body.generationConfig.responseMimeType = 'application/json';
+        }
+
+        // The model is part of the URL; streaming uses a different method
+        let url = profile.endpoint.replace('{model}', encodeURIComponent(model));
+        if (stream) {
+          url = url.replace(':generateContent', ':streamGenerateContent');
+          url += (url.includes('?') ? '&' : '?') + 'alt=sse';
+        }
+        return { url, body };
+      },
+
+      parseStreamEvent(event) {
+        const candidate = event.candidates?.[0];
+        const parts = candidate?.content?.parts || [];
+        return {
+          content: parts.filter(p => !p.thought).map(p => p.text || '').join(''),
+          reasoning: parts.filter(p => p.thought).map(p => p.text || '').join(''),
+          done: !!candidate?.finishReason,
+          usage: ADAPTERS.gemini.extractUsage(event)
+        };
+      },
+
+      extractMessage(data) {
+        const { content, reasoning } = ADAPTERS.gemini.parseStreamEvent(data);
+        return { content, reasoning };
+      },
+
+      extractUsage(data) {
+        const meta = data.usageMetadata;
+        if (!meta) return null;
+        // Thinking tokens are billed as output
+        return {
+          promptTokens: meta.promptTokenCount,
+          completionTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+        };
+      },
+
+      extractError(data) {
+        return data.error?.message || null;
+      }
+    }
+  };
+
+  /**
+   * Rename the keys of a settings object, dropping keys without a mapping
+   * @param {Object} values - Settings object
+   * @param {Object} names - Map from setting key to request parameter name
+   * @returns {Object} - Renamed settings
+   */
+  function renameKeys(values, names) {
+    const renamed = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (names[key]) renamed[names[key]] = value;
+    }
+    return renamed;
+  }
+
+  /**
+   * Get the sampling settings a profile actually sends with its provider
+   * @param {Object} profile - Profile configuration
+   * @returns {Object} - Effective sampling settings
+   */
+  function getSamplingParams(profile) {
+    return pickSampling(getAdapter(profile.provider), profile);
+  }
+
+  /**
+   * Get the adapter for a provider type
+   * @param {string} provider - Provider type (default: openai)
+   * @returns {Object} - Provider adapter
+   */
+  function getAdapter(provider) {
+    return ADAPTERS[provider] || ADAPTERS.openai;
+  }
+
+  /**
+   * List available provider types
+   * @returns {Array<Object>} - [{id, name, exampleEndpoint}]
+   */
+  function listProviders() {
+    return Object.entries(ADAPTERS).map(([id, adapter]) => ({
+      id: id,
+      name: adapter.name,
+      exampleEndpoint: adapter.exampleEndpoint,
+      authHeaderName: adapter.authHeaderName,
+      authHeaderTemplate: adapter.authHeaderTemplate
+    }));
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.ProviderAdapters = {
+    getAdapter,
+    listProviders,
+    buildAuthHeader,
+    getSamplingParams,
+    SAMPLING_KEYS
+  };
+
+})(window);
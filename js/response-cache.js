@@ -0,0 +1,228 @@
+// =============================================================================
+// RESPONSE CACHE MODULE
+// Content-addressed IndexedDB cache of LLM evaluation responses
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  const DB_NAME = 'dmpEvalResponseCache';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'responses';
+  const ENABLED_KEY = 'llmCacheEnabled';
+
+  let dbPromise = null;
+
+  /**
+   * Check whether cached responses should be used (toggle in the Advanced menu)
+   * @returns {boolean} - true unless the user chose to bypass the cache
+   */
+  function isEnabled() {
+    return localStorage.getItem(ENABLED_KEY) !== 'false';
+  }
+
+  /**
+   * Turn the cache on or off
+   * @param {boolean} enabled - Use cached responses
+   */
+  function setEnabled(enabled) {
+    localStorage.setItem(ENABLED_KEY, enabled ? 'true' : 'false');
+  }
+
+  /**
+   * Open (and create on first use) the cache database
+   * @returns {Promise<IDBDatabase|null>} - Database, or null if IndexedDB is unavailable
+   */
+  function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) {
+        console.warn('[Cache] IndexedDB not available, response cache disabled');
+        resolve(null);
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[Cache] Could not open IndexedDB:', request.error);
+        resolve(null);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<*>} - Request result, or null if the cache is unavailable or fails
+   */
+  async function withStore(mode, makeRequest) {
+    const db = await openDB();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      try {
+        const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('[Cache] IndexedDB request failed:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('[Cache] IndexedDB error:', error);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Serialize a value with object keys sorted, so equal content gives equal text
+   * @param {*} value - JSON value
+   * @returns {string} - Canonical JSON
+   */
+  function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(canonicalJSON).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => JSON.stringify(key) + ':' + canonicalJSON(value[key]))
+        .join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Hash text to a hex digest (SHA-256; FNV-1a fallback outside secure contexts)
+   * @param {string} text - Text to hash
+   * @returns {Promise<string>} - Hex digest
+   */
+  async function hashText(text) {
+    if (window.crypto && window.crypto.subtle) {
+      const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+      return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // crypto.subtle needs https or localhost - two FNV-1a passes with different seeds
+    const fnv = (seed) => {
+      let hash = seed;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619) >>> 0;
+      }
+      return hash.toString(16).padStart(8, '0');
+    };
+    return 'fnv-' + fnv(2166136261) + fnv(374761393) + text.length.toString(16);
+  }
+
+  /**
+   * Hash a JSON value by content (object key order does not matter)
+   * @param {*} value - JSON value
+   * @returns {Promise<string>} - Hex digest
+   */
+  function hashValue(value) {
+    return hashText(canonicalJSON(value));
+  }
+
+  /**
+   * Compute the cache key for a request
+   * @param {Object} request - {endpoint, model, sampling, messages}
+   * @returns {Promise<string>} - Content hash
+   */
+  function computeKey(request) {
+    return hashValue({
+      endpoint: request.endpoint,
+      model: request.model,
+      sampling: request.sampling,
+      messages: request.messages
+    });
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Cache key from computeKey
+   * @returns {Promise<Object|null>} - Cache entry ({key, result, ...}) or null
+   */
+  async function get(key) {
+    return (await withStore('readonly', store => store.get(key))) || null;
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key from computeKey
+   * @param {Object} result - Parsed evaluation result
+   * @param {Object} info - Display details {model, endpointHost, profileId, label}
+   *   and the reasoning traces returned with the result
+   * @returns {Promise<void>}
+   */
+  async function put(key, result, info = {}) {
+    const json = JSON.stringify(result);
+    await withStore('readwrite', store => store.put({
+      key: key,
+      result: result,
+      model: info.model || '',
+      endpointHost: info.endpointHost || '',
+      profileId: info.profileId || '',
+      label: info.label || '',
+      reasoning: info.reasoning || [],
+      size: new Blob([json]).size,
+      createdAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * List cached responses without their payloads, newest first
+   * @returns {Promise<Array<Object>>} - [{key, model, endpointHost, profileId, label, size, createdAt}]
+   */
+  async function list() {
+    const entries = (await withStore('readonly', store => store.getAll())) || [];
+    return entries
+      .map(({ result, reasoning, ...summary }) => summary)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Remove one cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async function remove(key) {
+    await withStore('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Remove all cached responses
+   * @returns {Promise<void>}
+   */
+  async function clear() {
+    await withStore('readwrite', store => store.clear());
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.ResponseCache = {
+    isEnabled,
+    setEnabled,
+    computeKey,
+    hashValue,
+    get,
+    put,
+    list,
+    remove,
+    clear
+  };
+
+})(window);
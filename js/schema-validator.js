@@ -0,0 +1,171 @@
+// =============================================================================
+// SCHEMA VALIDATOR MODULE
+// Minimal JSON Schema validation (the subset used by this app's schemas)
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  // Stop collecting after this many errors; the first few are enough to act on
+  const MAX_ERRORS = 50;
+
+  /**
+   * Get the JSON Schema type name of a value
+   * @param {*} value - Any JSON value
+   * @returns {string} - null, array, integer, number, string, boolean or object
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Check a value against a schema "type" keyword
+   * @param {*} value - Value to check
+   * @param {string|Array<string>} type - Allowed type(s)
+   * @returns {boolean}
+   */
+  function matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    const actual = typeOf(value);
+    return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+  }
+
+  /**
+   * Validate a value against a schema, collecting errors
+   * Supported keywords: type, enum, const, properties, required, additionalProperties,
+   * minProperties, items, prefixItems, minItems, maxItems, uniqueItems, minLength, maxLength, pattern,
+   * minimum, maximum, anyOf, oneOf, $ref (to #/$defs/...).
+   * @param {*} value - Value to validate
+   * @param {Object} schema - Schema (sub)tree
+   * @param {string} path - JSON path of the value (e.g. $.p[0][2])
+   * @param {Object} root - Root schema, for $ref resolution
+   * @param {Array<string>} errors - Collected error messages
+   */
+  function check(value, schema, path, root, errors) {
+    if (errors.length >= MAX_ERRORS || !schema || schema === true) return;
+
+    if (schema.$ref) {
+      const name = schema.$ref.replace(/^#\/\$defs\//, '');
+      check(value, root.$defs && root.$defs[name], path, root, errors);
+      return;
+    }
+
+    if (schema.type && !matchesType(value, schema.type)) {
+      const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+      errors.push(`${path}: expected ${expected}, got ${typeOf(value)}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if ('const' in schema && schema.const !== value) {
+      errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.anyOf || schema.oneOf) {
+      const options = schema.anyOf || schema.oneOf;
+      const matching = options.filter(option => {
+        const optionErrors = [];
+        check(value, option, path, root, optionErrors);
+        return optionErrors.length === 0;
+      }).length;
+      if (matching === 0 || (schema.oneOf && matching > 1)) {
+        errors.push(`${path}: does not match ${schema.oneOf ? 'exactly one' : 'any'} of the allowed forms`);
+      }
+    }
+
+    const type = typeOf(value);
+
+    if (type === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(schema.minLength === 1
+          ? `${path}: must not be empty`
+          : `${path}: must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: "${value}" does not match pattern ${schema.pattern}`);
+      }
+    }
+
+    if (type === 'integer' || type === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+      }
+    }
+
+    if (type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: must have at least ${schema.minItems} items, got ${value.length}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: must have at most ${schema.maxItems} items, got ${value.length}`);
+      }
+      if (schema.uniqueItems) {
+        const seen = new Set();
+        value.forEach((item, i) => {
+          const key = JSON.stringify(item);
+          if (seen.has(key)) errors.push(`${path}[${i}]: duplicate value ${key}`);
+          seen.add(key);
+        });
+      }
+      const prefix = schema.prefixItems || [];
+      value.forEach((item, i) => {
+        const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+        check(item, itemSchema, `${path}[${i}]`, root, errors);
+      });
+    }
+
+    if (type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          errors.push(`${path}: missing required property "${key}"`);
+        }
+      });
+      if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        errors.push(`${path}: must have at least ${schema.minProperties} ${schema.minProperties === 1 ? 'property' : 'properties'}`);
+      }
+      const properties = schema.properties || {};
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+        if (properties[key]) {
+          check(child, properties[key], childPath, root, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}: unexpected property "${key}"`);
+        } else if (typeof schema.additionalProperties === 'object') {
+          check(child, schema.additionalProperties, childPath, root, errors);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate a value against a JSON Schema
+   * @param {*} value - Parsed JSON value
+   * @param {Object} schema - JSON Schema
+   * @returns {Object} - {valid, errors: ["$.path: message", ...]}
+   */
+  function validate(value, schema) {
+    const errors = [];
+    check(value, schema, '$', schema, errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.SchemaValidator = {
+    validate
+  };
+
+})(window);
@@ -0,0 +1,184 @@
+// =============================================================================
+// USAGE TRACKER MODULE
+// Token prices per profile/model, evaluation cost and monthly spend totals
+// =============================================================================
+
+(function(window) {
+  'use strict';
+
+  const STORAGE_KEYS = {
+    PRICES: 'llmPriceTable',      // {profileId: {model: {input, output}}} in USD per 1M tokens
+    MONTHLY: 'llmUsageMonthly'    // {'YYYY-MM': {promptTokens, completionTokens, cost, evaluations}}
+  };
+
+  /**
+   * Read a JSON object from localStorage
+   * @param {string} key - Storage key
+   * @returns {Object} - Stored object ({} if missing or invalid)
+   */
+  function readJSON(key) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // =============================================================================
+  // PRICE TABLE
+  // =============================================================================
+
+  /**
+   * Get all configured prices
+   * @returns {Object} - {profileId: {model: {input, output}}}, USD per 1M tokens
+   */
+  function getPriceTable() {
+    return readJSON(STORAGE_KEYS.PRICES);
+  }
+
+  /**
+   * Get the price of a profile/model pair
+   * @param {string} profileId - API profile ID
+   * @param {string} model - Model identifier
+   * @returns {Object|null} - {input, output} in USD per 1M tokens, or null if not priced
+   */
+  function getPrice(profileId, model) {
+    const price = getPriceTable()[profileId]?.[model];
+    return price && typeof price.input === 'number' && typeof price.output === 'number' ? price : null;
+  }
+
+  /**
+   * Replace the price table
+   * @param {Array<Object>} rows - [{profileId, model, input, output}], USD per 1M tokens
+   */
+  function savePriceTable(rows) {
+    const table = {};
+    rows.forEach(row => {
+      if (!row.profileId || !row.model) return;
+      if (!Number.isFinite(row.input) || !Number.isFinite(row.output) || row.input < 0 || row.output < 0) return;
+      table[row.profileId] = table[row.profileId] || {};
+      table[row.profileId][row.model] = { input: row.input, output: row.output };
+    });
+    localStorage.setItem(STORAGE_KEYS.PRICES, JSON.stringify(table));
+  }
+
+  /**
+   * Compute the cost of a token count at a price
+   * @param {Object} usage - {promptTokens, completionTokens}
+   * @param {Object} price - {input, output} in USD per 1M tokens
+   * @returns {number} - Cost in USD
+   */
+  function computeCost(usage, price) {
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+  }
+
+  // =============================================================================
+  // MONTHLY TOTALS
+  // =============================================================================
+
+  /**
+   * Get the month key for a date
+   * @param {Date} date - Date (default: now)
+   * @returns {string} - YYYY-MM
+   */
+  function monthKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Add tokens and cost to the running total of the current month
+   * @param {Object} usage - {promptTokens, completionTokens, cost}
+   * @param {number} evaluations - Number of evaluations the usage belongs to
+   */
+  function addToMonthlyTotal(usage, evaluations) {
+    const totals = readJSON(STORAGE_KEYS.MONTHLY);
+    const key = monthKey();
+    const month = totals[key] || { promptTokens: 0, completionTokens: 0, cost: 0, evaluations: 0 };
+    month.promptTokens += usage.promptTokens || 0;
+    month.completionTokens += usage.completionTokens || 0;
+    month.cost += usage.cost || 0;
+    month.evaluations += evaluations;
+    totals[key] = month;
+    localStorage.setItem(STORAGE_KEYS.MONTHLY, JSON.stringify(totals));
+  }
+
+  /**
+   * Add an evaluation's usage to the running total of the current month
+   * @param {Object} usage - metadata.usage {promptTokens, completionTokens, cost}
+   */
+  function recordEvaluation(usage) {
+    if (!usage) return;
+    addToMonthlyTotal(usage, 1);
+  }
+
+  /**
+   * Add the usage of requests outside an evaluation (criteria conversion, connection tests)
+   * to the running total of the current month, priced like evaluation requests
+   * @param {Object} usage - {promptTokens, completionTokens}
+   * @param {string} profileId - API profile the requests were sent to
+   * @param {string} model - Model identifier
+   */
+  function recordUsage(usage, profileId, model) {
+    if (!usage) return;
+    const price = getPrice(profileId, model);
+    addToMonthlyTotal({ ...usage, cost: price ? computeCost(usage, price) : 0 }, 0);
+  }
+
+  /**
+   * Get the running total of a month
+   * @param {string} month - YYYY-MM (default: current month)
+   * @returns {Object} - {month, promptTokens, completionTokens, cost, evaluations}
+   */
+  function getMonthlyTotal(month = monthKey()) {
+    const total = readJSON(STORAGE_KEYS.MONTHLY)[month];
+    return { month, promptTokens: 0, completionTokens: 0, cost: 0, evaluations: 0, ...total };
+  }
+
+  /**
+   * Clear all monthly totals
+   */
+  function resetMonthlyTotals() {
+    localStorage.removeItem(STORAGE_KEYS.MONTHLY);
+  }
+
+  // =============================================================================
+  // FORMATTING
+  // =============================================================================
+
+  /**
+   * Format a token count for display
+   * @param {number} tokens - Token count
+   * @returns {string} - e.g. "12,345"
+   */
+  function formatTokens(tokens) {
+    return Math.round(tokens || 0).toLocaleString('en-US');
+  }
+
+  /**
+   * Format a cost for display (more decimals for small amounts)
+   * @param {number} cost - Cost in USD
+   * @returns {string} - e.g. "$0.0042" or "$1.25"
+   */
+  function formatCost(cost) {
+    return '$' + (cost >= 1 ? cost.toFixed(2) : cost.toFixed(4));
+  }
+
+  // =============================================================================
+  // PUBLIC API
+  // =============================================================================
+
+  window.UsageTracker = {
+    getPriceTable,
+    getPrice,
+    savePriceTable,
+    computeCost,
+    recordEvaluation,
+    recordUsage,
+    getMonthlyTotal,
+    resetMonthlyTotals,
+    formatTokens,
+    formatCost
+  };
+
+})(window);
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+// =============================================================================
+// MOCK LLM SERVER
+// Offline stand-in for the provider APIs supported by ProviderAdapters.
+// Answers evaluation prompts with a deterministic {"p":[...]} result built
+// from the DMP paragraphs in the prompt, in each provider's wire format.
+//
+// Usage: node tools/mock-llm-server.js [port] [--script file.json]   (default port 8808)
+//
+// A script replaces the generated reply with scripted ones, to reproduce
+// malformed JSON, unusual result shapes or HTTP errors offline:
+//   {"responses": [
+//     {"match": "regex on the prompt", "reply": "raw reply text or a JSON value", "times": 1},
+//     {"status": 429, "error": "Slow down", "headers": {"Retry-After": "2"}, "times": 1}
+//   ]}
+// Each request takes the first entry whose "match" (optional) matches the prompt
+// and that has uses left ("times", default unlimited). Without a matching entry the
+// generated reply is used. See tools/mock-script.example.json.
+//
+// Endpoints (point a profile of the matching provider type at them):
+//   openai     POST http://localhost:8808/v1/chat/completions
+//              GET  http://localhost:8808/v1/models (model listing)
+//   anthropic  POST http://localhost:8808/v1/messages
+//   ollama     POST http://localhost:8808/api/chat
+//   gemini     POST http://localhost:8808/v1beta/models/{model}:generateContent
+// =============================================================================
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+
+const args = process.argv.slice(2);
+const scriptArg = args.indexOf('--script');
+const SCRIPT_PATH = scriptArg >= 0 ? args[scriptArg + 1] : null;
+const PORT = parseInt(args.find((arg, i) => /^\d+$/.test(arg) && args[i - 1] !== '--script'), 10) || 8808;
+
+// Scripted responses with their remaining uses
+const script = SCRIPT_PATH ? loadScript(SCRIPT_PATH) : [];
+
+/**
+ * Read a response script
+ * @param {string} path - Script file
+ * @returns {Array<Object>} - Script entries
+ */
+function loadScript(path) {
+  const data = JSON.parse(fs.readFileSync(path, 'utf8'));
+  if (!data || !Array.isArray(data.responses)) {
+    throw new Error(`${path}: expected {"responses": [...]}`);
+  }
+  return data.responses.map(entry => ({
+    ...entry,
+    pattern: entry.match ? new RegExp(entry.match) : null,
+    remaining: Number.isInteger(entry.times) ? entry.times : Infinity
+  }));
+}
+
+/**
+ * Take the scripted response for a prompt, if any
+ * @param {string} prompt - Concatenated prompt text
+ * @returns {Object|null} - Script entry ({reply} or {status, error}) or null
+ */
+function takeScripted(prompt) {
+  const entry = script.find(e => e.remaining > 0 && (!e.pattern || e.pattern.test(prompt)));
+  if (!entry) return null;
+  entry.remaining--;
+  return entry;
+}
+
+/**
+ * Resolve the reply for a prompt, sending a scripted HTTP error if one is due
+ * @param {string} prompt - Concatenated prompt text
+ * @param {http.ServerResponse} res - Response (used for scripted errors)
+ * @param {Function} errorBody - (message) => provider error body
+ * @returns {string|null} - Reply text, or null if an error was sent
+ */
+function resolveReply(prompt, res, errorBody) {
+  const scripted = takeScripted(prompt);
+  if (scripted && scripted.headers) {
+    for (const [name, value] of Object.entries(scripted.headers)) {
+      res.setHeader(name, value);
+    }
+  }
+  if (scripted && scripted.status && scripted.status >= 400) {
+    console.log(`[Mock LLM] Scripted error ${scripted.status}`);
+    sendJSON(res, scripted.status, errorBody(scripted.error || `Scripted error ${scripted.status}`));
+    return null;
+  }
+  if (scripted && scripted.reply !== undefined) {
+    console.log('[Mock LLM] Scripted reply');
+    return typeof scripted.reply === 'string' ? scripted.reply : JSON.stringify(scripted.reply);
+  }
+  return buildEvaluationReply(prompt);
+}
+
+// Error body used by the OpenAI, Anthropic and Gemini APIs
+const standardError = message => ({ error: { message } });
+
+// Delay between streamed chunks, so progress output is visible in the UI
+const CHUNK_DELAY_MS = 20;
+const CHUNK_SIZE = 40;
+
+/**
+ * Build a deterministic evaluation reply from the prompt text
+ * @param {string} prompt - Concatenated prompt text
+ * @returns {string} - JSON reply in the compact {"p":[...]} format
+ */
+function buildEvaluationReply(prompt) {
+  const idsMatch = prompt.match(/criteria IDs from ONLY this list:\s*([^\n]+)/);
+  const criteriaIds = idsMatch ? idsMatch[1].trim().split(/\s+/) : ['1a'];
+
+  const dmpMatch = prompt.match(/DMP \(paragraphs separated by blank lines\):\n([\s\S]*?)\n\nProcess ALL paragraphs/);
+  const paragraphs = (dmpMatch ? dmpMatch[1] : '')
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(p => p.length > 20);
+
+  const rows = paragraphs.map((paragraph, i) => [
+    paragraph,
+    [criteriaIds[i % criteriaIds.length]],
+    60 + (i * 7) % 40,
+    'Mock evaluation from the local test server.'
+  ]);
+  if (rows.length === 0) {
+    rows.push(['Mock paragraph', [criteriaIds[0]], 75, 'Mock evaluation from the local test server.']);
+  }
+
+  return JSON.stringify({ p: rows });
+}
+
+/**
+ * Rough token count (4 characters per token), reported as usage
+ * @param {string} text - Text to count
+ * @returns {number} - Token count
+ */
+function countTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Split text into fixed-size chunks for streaming
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Chunks
+ */
+function chunkText(text) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+    chunks.push(text.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+/**
+ * Write events one by one with a short delay between them
+ * @param {http.ServerResponse} res - Response
+ * @param {Array<string>} events - Serialized events
+ */
+function writeSlowly(res, events) {
+  let i = 0;
+  const timer = setInterval(() => {
+    if (i >= events.length) {
+      clearInterval(timer);
+      res.end();
+      return;
+    }
+    res.write(events[i++]);
+  }, CHUNK_DELAY_MS);
+  res.on('close', () => clearInterval(timer));
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ */
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Start a streaming response
+ * @param {http.ServerResponse} res - Response
+ * @param {string} contentType - Stream content type
+ */
+function startStream(res, contentType) {
+  res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+}
+
+// =============================================================================
+// PROVIDER HANDLERS
+// =============================================================================
+
+function handleOpenAI(body, res) {
+  const promptText = (body.messages || []).map(m => m.content).join('\n\n');
+  const reply = resolveReply(promptText, res, standardError);
+  if (reply === null) return;
+  const usage = { prompt_tokens: countTokens(promptText), completion_tokens: countTokens(reply) };
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+  if (!body.stream) {
+    sendJSON(res, 200, {
+      id: 'mock-1',
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+      usage
+    });
+    return;
+  }
+
+  startStream(res, 'text/event-stream');
+  const events = chunkText(reply).map(chunk =>
+    `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: chunk }, finish_reason: null }] })}\n\n`);
+  events.push(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+  if (body.stream_options && body.stream_options.include_usage) {
+    events.push(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+  }
+  events.push('data: [DONE]\n\n');
+  writeSlowly(res, events);
+}
+
+function handleAnthropic(body, res) {
+  const promptText = [body.system || '', ...(body.messages || []).map(m => m.content)].join('\n\n');
+  const reply = resolveReply(promptText, res, standardError);
+  if (reply === null) return;
+  const usage = { input_tokens: countTokens(promptText), output_tokens: countTokens(reply) };
+
+  // A forced tool call (structured output) answers with the tool input instead of text;
+  // scripted replies that are not valid JSON are sent as text
+  let tool = body.tool_choice && body.tool_choice.type === 'tool' ? body.tool_choice.name : null;
+  if (tool) {
+    try {
+      JSON.parse(reply);
+    } catch {
+      tool = null;
+    }
+  }
+
+  if (!body.stream) {
+    sendJSON(res, 200, {
+      id: 'msg_mock',
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content: tool
+        ? [{ type: 'tool_use', id: 'toolu_mock', name: tool, input: JSON.parse(reply) }]
+        : [{ type: 'text', text: reply }],
+      stop_reason: tool ? 'tool_use' : 'end_turn',
+      usage
+    });
+    return;
+  }
+
+  const sse = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+  startStream(res, 'text/event-stream');
+  const events = [
+    sse('message_start', { message: {
+      id: 'msg_mock', type: 'message', role: 'assistant', model: body.model, content: [],
+      usage: { input_tokens: usage.input_tokens, output_tokens: 1 }
+    } }),
+    sse('content_block_start', { index: 0, content_block: tool
+      ? { type: 'tool_use', id: 'toolu_mock', name: tool, input: {} }
+      : { type: 'text', text: '' } }),
+    ...chunkText(reply).map(chunk => sse('content_block_delta', { index: 0, delta: tool
+      ? { type: 'input_json_delta', partial_json: chunk }
+      : { type: 'text_delta', text: chunk } })),
+    sse('content_block_stop', { index: 0 }),
+    sse('message_delta', { delta: { stop_reason: tool ? 'tool_use' : 'end_turn' }, usage: { output_tokens: usage.output_tokens } }),
+    sse('message_stop', {})
+  ];
+  writeSlowly(res, events);
+}
+
+function handleOllama(body, res) {
+  const promptText = (body.messages || []).map(m => m.content).join('\n\n');
+  const reply = resolveReply(promptText, res, message => ({ error: message }));
+  if (reply === null) return;
+  const counts = { prompt_eval_count: countTokens(promptText), eval_count: countTokens(reply) };
+
+  // Ollama streams unless told otherwise
+  if (body.stream === false) {
+    sendJSON(res, 200, {
+      model: body.model,
+      message: { role: 'assistant', content: reply },
+      done: true,
+      ...counts
+    });
+    return;
+  }
+
+  startStream(res, 'application/x-ndjson');
+  const events = chunkText(reply).map(chunk =>
+    JSON.stringify({ model: body.model, message: { role: 'assistant', content: chunk }, done: false }) + '\n');
+  events.push(JSON.stringify({ model: body.model, message: { role: 'assistant', content: '' }, done: true, ...counts }) + '\n');
+  writeSlowly(res, events);
+}
+
+function handleGemini(body, res, stream) {
+  const parts = [
+    ...(body.systemInstruction?.parts || []),
+    ...(body.contents || []).flatMap(c => c.parts || [])
+  ];
+  const promptText = parts.map(p => p.text || '').join('\n\n');
+  const reply = resolveReply(promptText, res, standardError);
+  if (reply === null) return;
+  const usageMetadata = { promptTokenCount: countTokens(promptText), candidatesTokenCount: countTokens(reply) };
+  const candidate = (text, finishReason) => ({
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, ...(finishReason ? { finishReason } : {}) }],
+    ...(finishReason ? { usageMetadata } : {})
+  });
+
+  if (!stream) {
+    sendJSON(res, 200, candidate(reply, 'STOP'));
+    return;
+  }
+
+  startStream(res, 'text/event-stream');
+  const chunks = chunkText(reply);
+  const events = chunks.map((chunk, i) =>
+    `data: ${JSON.stringify(candidate(chunk, i === chunks.length - 1 ? 'STOP' : null))}\n\n`);
+  writeSlowly(res, events);
+}
+
+// Answered by GET /v1/models - the mock accepts any model name
+const MOCK_MODELS = [
+  { id: 'mock-model', object: 'model', owned_by: 'mock', context_length: 32768 },
+  { id: 'mock-model-large', object: 'model', owned_by: 'mock', max_model_len: 131072 }
+];
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+const server = http.createServer((req, res) => {
+  // The app calls the server from the browser - allow any origin and header
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', '*');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let body;
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch {
+      sendJSON(res, 400, { error: { message: 'Request body is not valid JSON' } });
+      return;
+    }
+
+    const path = req.url.split('?')[0];
+    console.log(`[Mock LLM] ${req.method} ${path}`);
+
+    if (req.method === 'GET' && path.endsWith('/v1/models')) {
+      sendJSON(res, 200, { object: 'list', data: MOCK_MODELS });
+    } else if (req.method === 'POST' && path.endsWith('/chat/completions')) {
+      handleOpenAI(body, res);
+    } else if (req.method === 'POST' && path.endsWith('/messages')) {
+      handleAnthropic(body, res);
+    } else if (req.method === 'POST' && path.endsWith('/api/chat')) {
+      handleOllama(body, res);
+    } else if (req.method === 'POST' && /:(stream)?generateContent$/i.test(path)) {
+      handleGemini(body, res, /:streamGenerateContent$/.test(path));
+    } else {
+      sendJSON(res, 404, { error: { message: `No mock endpoint for ${req.method} ${path}` } });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[Mock LLM] Listening on http://localhost:${PORT}`);
+  console.log('[Mock LLM] openai:    /v1/chat/completions, /v1/models');
+  console.log('[Mock LLM] anthropic: /v1/messages');
+  console.log('[Mock LLM] ollama:    /api/chat');
+  console.log('[Mock LLM] gemini:    /v1beta/models/{model}:generateContent');
+  if (SCRIPT_PATH) {
+    console.log(`[Mock LLM] Script: ${SCRIPT_PATH} (${script.length} responses)`);
+  }
+});